@@ -65,11 +65,13 @@ const enableGoWhenGuessIsValid = () => {
 
 const throwAndCheckGuess = () => {
     const guess = parseInt(GUESS.value, 10);
-    const sumOfDice = BOARD.throwDice().reduce((sum, die) => sum += die.pips, 0);
+    BOARD.throwDice().then((dice) => {
+        const sumOfDice = dice.reduce((sum, die) => sum += die.pips, 0);
 
-    setTimeout(() => {
-        showMessage(guess === sumOfDice ? WIN_MESSAGE : LOSE_MESSAGE);
-    }, WAIT_FOR_SCORE);
+        setTimeout(() => {
+            showMessage(guess === sumOfDice ? WIN_MESSAGE : LOSE_MESSAGE);
+        }, WAIT_FOR_SCORE);
+    });
 
 };
 
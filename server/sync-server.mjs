@@ -0,0 +1,206 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+
+/**
+ * The reference sync server: a {@link SyncServer} behind a minimal
+ * WebSocket server (RFC 6455) without dependencies, to synchronize dice
+ * boards locally or in tests.
+ *
+ *     node server/sync-server.mjs [port]
+ *
+ * Clients connect to "ws://localhost:22223" by default. Only text messages
+ * are supported.
+ */
+import {createServer} from "node:http";
+import {createHash} from "node:crypto";
+import {Buffer} from "node:buffer";
+import process from "node:process";
+import {SyncServer} from "../src/sync/SyncServer.js";
+
+const DEFAULT_PORT = 22223;
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_SIZE = 1024 * 1024; // bytes
+
+const CONTINUATION = 0x0;
+const TEXT = 0x1;
+const CLOSE = 0x8;
+const PING = 0x9;
+const PONG = 0xA;
+
+const acceptKey = (key) => createHash("sha1").update(`${key}${WEBSOCKET_GUID}`).digest("base64");
+
+// Frames sent by the server are never masked.
+const frame = (opcode, payload = Buffer.alloc(0)) => {
+    const length = payload.length;
+    let header = null;
+    if (126 > length) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (0x10000 > length) {
+        header = Buffer.alloc(4);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(126, 1);
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(127, 1);
+        header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+        header.writeUInt32BE(length % 0x100000000, 6);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+// Parse the first frame in buffer. Null if the frame is incomplete.
+const parseFrame = (buffer) => {
+    if (2 > buffer.length) {
+        return null;
+    }
+
+    const fin = 0 !== (buffer[0] & 0x80);
+    const opcode = buffer[0] & 0x0F;
+    const masked = 0 !== (buffer[1] & 0x80);
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (126 === length) {
+        if (4 > buffer.length) {
+            return null;
+        }
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (127 === length) {
+        if (10 > buffer.length) {
+            return null;
+        }
+        length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+        offset = 10;
+    }
+
+    const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+    offset += masked ? 4 : 0;
+
+    if (buffer.length < offset + length) {
+        return {fin, opcode, length, payload: null, size: offset + length};
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+
+    return {fin, opcode, length, payload, size: offset + length};
+};
+
+const upgrade = (syncServer, request, socket) => {
+    const key = request.headers["sec-websocket-key"];
+    if ("websocket" !== `${request.headers.upgrade}`.toLowerCase() || undefined === key) {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return;
+    }
+
+    socket.write([
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        "",
+        ""
+    ].join("\r\n"));
+
+    const connection = syncServer.connect((data) => {
+        if (!socket.destroyed) {
+            socket.write(frame(TEXT, Buffer.from(data, "utf8")));
+        }
+    });
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+
+    const close = () => {
+        if (!socket.destroyed) {
+            socket.end(frame(CLOSE));
+        }
+    };
+
+    socket.on("data", (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        let parsed = parseFrame(buffer);
+        while (null !== parsed && null !== parsed.payload) {
+            buffer = buffer.subarray(parsed.size);
+            const {fin, opcode, payload} = parsed;
+
+            if (TEXT === opcode || CONTINUATION === opcode) {
+                fragments.push(payload);
+                if (fin) {
+                    connection.receive(Buffer.concat(fragments).toString("utf8"));
+                    fragments = [];
+                }
+            } else if (PING === opcode) {
+                socket.write(frame(PONG, payload));
+            } else if (CLOSE === opcode) {
+                close();
+                return;
+            }
+
+            parsed = parseFrame(buffer);
+        }
+
+        if (null !== parsed && MAX_MESSAGE_SIZE < parsed.length) {
+            // Refuse messages too large to be board actions.
+            close();
+        }
+    });
+
+    socket.on("end", () => socket.end());
+    socket.on("close", () => connection.disconnect());
+    socket.on("error", () => socket.destroy());
+};
+
+/**
+ * Start a reference sync server.
+ *
+ * @param {Object} [config = {}] - The configuration of the server.
+ * @param {Number} [config.port = 22223] - The port to listen on.
+ * @return {Promise<http.Server>} A promise resolving to the HTTP server
+ * once it listens. Close it to stop the server.
+ */
+const startSyncServer = ({port = DEFAULT_PORT} = {}) => {
+    const syncServer = new SyncServer();
+    const server = createServer((request, response) => {
+        response.writeHead(426, {"Content-Type": "text/plain", "Upgrade": "websocket"});
+        response.end("This is a twenty-one-pips sync server: connect with a WebSocket.\n");
+    });
+    server.on("upgrade", (request, socket) => upgrade(syncServer, request, socket));
+
+    return new Promise((resolve) => server.listen(port, () => resolve(server)));
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    startSyncServer({port}).then(() => console.log(`Sync server listening on ws://localhost:${port}`));
+}
+
+export {
+    startSyncServer,
+    DEFAULT_PORT
+};
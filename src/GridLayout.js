@@ -19,11 +19,12 @@
  */
 import {ConfigurationError} from "./error/ConfigurationError.js";
 import {DEFAULT_DIE_SIZE, DEFAULT_DISPERSION, DEFAULT_WIDTH, DEFAULT_HEIGHT} from "./TopDiceBoard.js";
+import {DEFAULT_RANDOM, checkRandom} from "./random/random.js";
 
 const FULL_CIRCLE_IN_DEGREES = 360;
 
-const randomizeCenter = (n) => {
-    return (0.5 <= Math.random() ? Math.floor : Math.ceil).call(0, n);
+const randomizeCenter = (n, random) => {
+    return (0.5 <= random.random() ? Math.floor : Math.ceil).call(0, n);
 };
 
 // Private fields
@@ -35,6 +36,7 @@ const _dice = new WeakMap();
 const _dieSize = new WeakMap();
 const _dispersion = new WeakMap();
 const _rotate = new WeakMap();
+const _random = new WeakMap();
 
 /**
  * @typedef {Object} GridLayoutConfiguration
@@ -45,6 +47,8 @@ const _rotate = new WeakMap();
  * @property {Number} config.dispersion - The distance from the center of the
  * layout a die can be layout.
  * @property {Number} config.dieSize - The size of a die.
+ * @property {RandomGenerator} [config.random] - The random number generator
+ * used to position and rotate dice.
  */
 
 /**
@@ -61,7 +65,8 @@ const GridLayout = class {
         width = DEFAULT_WIDTH,
         height = DEFAULT_HEIGHT,
         dieSize = DEFAULT_DIE_SIZE,
-        dispersion = DEFAULT_DISPERSION
+        dispersion = DEFAULT_DISPERSION,
+        random = DEFAULT_RANDOM
     } = {}) {
         _dice.set(this, []);
         _dieSize.set(this, 1);
@@ -73,6 +78,21 @@ const GridLayout = class {
         this.dieSize = dieSize;
         this.width = width;
         this.height = height;
+        this.random = random;
+    }
+
+    /**
+     * The random number generator used by this GridLayout to position and
+     * rotate dice.
+     *
+     * @throws ConfigurationError Random should be a RandomGenerator
+     * @type {RandomGenerator}
+     */
+    get random() {
+        return _random.get(this);
+    }
+    set random(r) {
+        _random.set(this, checkRandom(r));
     }
 
     /**
@@ -193,8 +213,8 @@ const GridLayout = class {
      * @private
      */
     get _center() {
-        const row = randomizeCenter(this._rows / 2) - 1;
-        const col = randomizeCenter(this._cols / 2) - 1;
+        const row = randomizeCenter(this._rows / 2, this.random) - 1;
+        const col = randomizeCenter(this._cols / 2, this.random) - 1;
 
         return {row, col};
     }
@@ -231,12 +251,12 @@ const GridLayout = class {
         const availableCells = this._computeAvailableCells(max, alreadyLayoutDice);
 
         for (const die of diceToLayout) {
-            const randomIndex = Math.floor(Math.random() * availableCells.length);
+            const randomIndex = Math.floor(this.random.random() * availableCells.length);
             const randomCell = availableCells[randomIndex];
             availableCells.splice(randomIndex, 1);
 
             die.coordinates = this._numberToCoordinates(randomCell);
-            die.rotation = this.rotate ? Math.round(Math.random() * FULL_CIRCLE_IN_DEGREES) : null;
+            die.rotation = this.rotate ? Math.round(this.random.random() * FULL_CIRCLE_IN_DEGREES) : null;
             alreadyLayoutDice.push(die);
         }
 
@@ -245,6 +265,18 @@ const GridLayout = class {
         return alreadyLayoutDice;
     }
 
+    /**
+     * Take over dice that already have coordinates, like dice restored
+     * from a saved game, without laying them out again.
+     *
+     * @param {TopDie[]} dice - The dice to take over.
+     * @return {TopDie[]} The same list of dice.
+     */
+    adopt(dice) {
+        _dice.set(this, [...dice]);
+        return dice;
+    }
+
     /**
      * Compute a list with available cells to place dice on.
      *
@@ -0,0 +1,271 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {DEFAULT_RANDOM} from "./random/random.js";
+
+const FULL_CIRCLE_IN_DEGREES = 360;
+const MAX_DELAY = 0.2; // fraction of the duration
+const MIN_SPINS = 1;
+const MAX_SPINS = 3;
+const CURVE = 0.3; // fraction of the distance travelled
+const FLICK_INTERVAL = 80; // ms
+const SETTLE = 0.8; // fraction of the way a die shows its final face
+
+const TOP = 0;
+const RIGHT = 1;
+const BOTTOM = 2;
+const LEFT = 3;
+
+const easeOut = (p) => 1 - (1 - p) ** 3;
+
+const clamp = (p) => Math.min(1, Math.max(0, p));
+
+/**
+ * Compute the point on the quadratic Bézier curve from start via control to
+ * end at t.
+ *
+ * @param {Coordinates} start - The start of the curve.
+ * @param {Coordinates} control - The control point of the curve.
+ * @param {Coordinates} end - The end of the curve.
+ * @param {Number} t - The position on the curve, 0 ≤ t ≤ 1.
+ * @return {Coordinates} The point on the curve at t.
+ */
+const bezier = (start, control, end, t) => ({
+    x: (1 - t) ** 2 * start.x + 2 * (1 - t) * t * control.x + t ** 2 * end.x,
+    y: (1 - t) ** 2 * start.y + 2 * (1 - t) * t * control.y + t ** 2 * end.y
+});
+
+/**
+ * Compute the point a die enters the board through edge.
+ *
+ * @param {Number} edge - The edge the dice enter the board through.
+ * @param {Object} board - The size of the board.
+ * @param {RandomGenerator} random - The random number generator to use.
+ * @return {Coordinates} The entry point, just outside the board.
+ */
+const entryPoint = (edge, {width, height, dieSize}, random) => {
+    const along = (length) => random.random() * Math.max(0, length - dieSize);
+    switch (edge) {
+    case TOP: return {x: along(width), y: -dieSize};
+    case RIGHT: return {x: width, y: along(height)};
+    case BOTTOM: return {x: along(width), y: height};
+    case LEFT: return {x: -dieSize, y: along(height)};
+    default: return {x: 0, y: 0};
+    }
+};
+
+/**
+ * Plan the path of a die from its entry point to its laid-out cell.
+ *
+ * @param {TopDie} die - The die to plan the path for.
+ * @param {Coordinates} start - The entry point of the die.
+ * @param {RandomGenerator} random - The random number generator to use.
+ * @return {Object} The path of the die.
+ */
+const planPath = (die, start, random) => {
+    const end = die.coordinates;
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const bend = (2 * random.random() - 1) * CURVE;
+
+    return {
+        die,
+        start,
+        end,
+        control: {
+            x: start.x + dx / 2 - dy * bend,
+            y: start.y + dy / 2 + dx * bend
+        },
+        delay: random.random() * MAX_DELAY,
+        rotation: die.rotation || 0,
+        spin: (0.5 <= random.random() ? 1 : -1) * (MIN_SPINS + random.random() * (MAX_SPINS - MIN_SPINS)) * FULL_CIRCLE_IN_DEGREES,
+        face: null
+    };
+};
+
+// Private properties
+const _paths = new WeakMap();
+const _dice = new WeakMap();
+const _duration = new WeakMap();
+const _random = new WeakMap();
+const _render = new WeakMap();
+const _frame = new WeakMap();
+const _resolve = new WeakMap();
+
+/**
+ * @typedef {Object} FrameDie
+ *
+ * @property {TopDie} die - The die to render.
+ * @property {Coordinates} coordinates - The coordinates to render the die
+ * at.
+ * @property {Object} appearance - The rotation and face to render the die
+ * with.
+ */
+
+/**
+ * ThrowAnimation animates throwing dice on a dice board: the thrown dice
+ * tumble in from one of the board's edges along a curved path to their
+ * laid-out cell, spinning and flicking through random faces before they
+ * settle. Dice that are being held stay where they are.
+ *
+ * The animation only changes how the dice look while they are rolling. The
+ * dice are thrown and laid out before the animation starts. As a
+ * consequence, the animation uses its own random number generator and does
+ * not disturb the sequence of a seeded board.
+ */
+const ThrowAnimation = class {
+
+    /**
+     * Create a new ThrowAnimation.
+     *
+     * @param {Object} config - The configuration of the animation.
+     * @param {TopDie[]} config.dice - All dice on the board, already thrown
+     * and laid out.
+     * @param {Number} config.width - The width of the board.
+     * @param {Number} config.height - The height of the board.
+     * @param {Number} config.dieSize - The size of the dice.
+     * @param {Number} config.duration - The duration of the animation in ms.
+     * @param {Function} config.render - Callback to render a frame, a list
+     * of {@link FrameDie}.
+     * @param {RandomGenerator} [config.random = DEFAULT_RANDOM] - The random
+     * number generator used for the cosmetic randomness of the animation.
+     */
+    constructor({dice, width, height, dieSize, duration, render, random = DEFAULT_RANDOM}) {
+        const edge = Math.floor(random.random() * 4);
+        const paths = dice
+            .filter(die => !die.isHeld())
+            .map(die => planPath(die, entryPoint(edge, {width, height, dieSize}, random), random));
+
+        _dice.set(this, dice);
+        _paths.set(this, paths);
+        _duration.set(this, duration);
+        _random.set(this, random);
+        _render.set(this, render);
+        _frame.set(this, null);
+        _resolve.set(this, null);
+    }
+
+    /**
+     * The duration of this ThrowAnimation in ms.
+     *
+     * @type {Number}
+     */
+    get duration() {
+        return _duration.get(this);
+    }
+
+    /**
+     * Is this ThrowAnimation running?
+     *
+     * @type {Boolean}
+     */
+    get isRunning() {
+        return null !== _resolve.get(this);
+    }
+
+    /**
+     * Start this ThrowAnimation.
+     *
+     * @return {Promise} A promise that resolves when the dice have settled.
+     */
+    start() {
+        if (0 >= this.duration || 0 >= _paths.get(this).length || "function" !== typeof window.requestAnimationFrame) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            _resolve.set(this, resolve);
+            let startTime = null;
+
+            const step = (timestamp) => {
+                if (null === startTime) {
+                    startTime = timestamp;
+                }
+
+                const elapsed = timestamp - startTime;
+                if (elapsed >= this.duration) {
+                    this.stop();
+                } else {
+                    _render.get(this)(this._frameAt(elapsed));
+                    _frame.set(this, window.requestAnimationFrame(step));
+                }
+            };
+
+            _frame.set(this, window.requestAnimationFrame(step));
+        });
+    }
+
+    /**
+     * Stop this ThrowAnimation. The dice settle immediately.
+     */
+    stop() {
+        if (this.isRunning) {
+            window.cancelAnimationFrame(_frame.get(this));
+            const resolve = _resolve.get(this);
+            _frame.set(this, null);
+            _resolve.set(this, null);
+            resolve();
+        }
+    }
+
+    /**
+     * Compute the frame at elapsed ms after the start of this
+     * ThrowAnimation.
+     *
+     * @param {Number} elapsed - The time since the start in ms.
+     * @return {FrameDie[]} The dice to render in this frame.
+     * @private
+     */
+    _frameAt(elapsed) {
+        const random = _random.get(this);
+        const flick = Math.floor(elapsed / FLICK_INTERVAL);
+        const paths = new Map(_paths.get(this).map(path => [path.die, path]));
+
+        return _dice.get(this).map((die) => {
+            if (!paths.has(die)) {
+                return {die, coordinates: die.coordinates, appearance: {}};
+            }
+
+            const path = paths.get(die);
+            const progress = clamp((elapsed / this.duration - path.delay) / (1 - path.delay));
+            const eased = easeOut(progress);
+
+            if (SETTLE <= progress) {
+                path.face = null;
+            } else if (null === path.face || path.face.flick !== flick) {
+                path.face = {flick, number: 1 + Math.floor(random.random() * die.sides)};
+            }
+
+            const appearance = {rotation: path.rotation + path.spin * (1 - eased)};
+            if (null !== path.face) {
+                appearance.face = path.face.number;
+            }
+
+            return {
+                die,
+                coordinates: bezier(path.start, path.control, path.end, eased),
+                appearance
+            };
+        });
+    }
+};
+
+export {
+    ThrowAnimation
+};
@@ -0,0 +1,244 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "./error/ConfigurationError.js";
+import {TopPlayer} from "./TopPlayer.js";
+import {toStrategy} from "./bot/strategies.js";
+
+const TAG_NAME = "top-bot-player";
+
+const STRATEGY_ATTRIBUTE = "strategy";
+const THINKING_DELAY_ATTRIBUTE = "thinking-delay";
+
+const DEFAULT_STRATEGY = "greedy";
+const DEFAULT_THINKING_DELAY = 500; // ms
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Private properties
+const _strategy = new WeakMap();
+const _scoring = new WeakMap();
+const _list = new WeakMap();
+const _onStartTurn = new WeakMap();
+const _timeout = new WeakMap();
+
+const boardOf = (bot) => bot.closest("top-dice-board");
+
+const think = (bot) => new Promise((resolve) => {
+    _timeout.set(bot, window.setTimeout(resolve, bot.thinkingDelay));
+});
+
+const contextOf = (bot, board) => {
+    const dice = board.dice;
+    return {
+        board,
+        player: bot,
+        dice,
+        free: dice.filter(die => !die.isHeld() || die.heldBy.equals(bot)),
+        throwsLeft: board._playerList.throwsLeft,
+        score: bot.scoring,
+        random: board.random
+    };
+};
+
+const endTurn = (bot, board) => {
+    const done = new CustomEvent("top:bot-turn-done", {
+        bubbles: true,
+        cancelable: true,
+        detail: {
+            player: bot,
+            dice: board.dice
+        }
+    });
+
+    if (bot.dispatchEvent(done) && bot.hasTurn) {
+        board._playerList.nextTurn();
+    }
+};
+
+// A throw or the strategy failed: report the error and pass the turn, so
+// the bot does not stall the game.
+const fail = (bot, board, error) => {
+    bot.dispatchEvent(new CustomEvent("top:bot-error", {
+        bubbles: true,
+        detail: {
+            player: bot,
+            error
+        }
+    }));
+
+    if (bot.hasTurn) {
+        board._playerList.nextTurn();
+    }
+};
+
+// Throw, decide what to hold, and throw again until the strategy stops or
+// no throws are left.
+const play = (bot, board) => think(bot)
+    .then(() => bot.hasTurn ? board.throwDice(bot) : null)
+    .then((dice) => {
+        if (null === dice || !bot.hasTurn) {
+            return null;
+        }
+
+        const context = contextOf(bot, board);
+        const {hold, throwAgain} = bot.strategy.decide(context);
+
+        context.free.forEach((die) => {
+            if (hold.includes(die)) {
+                die.holdIt(bot);
+            } else {
+                die.releaseIt(bot);
+            }
+        });
+
+        if (throwAgain && 0 < board._playerList.throwsLeft && hold.length < context.free.length) {
+            return play(bot, board);
+        }
+
+        return think(bot).then(() => {
+            if (bot.hasTurn) {
+                endTurn(bot, board);
+            }
+        });
+    });
+
+/**
+ * TopBotPlayer is the "top-bot-player" custom element: a {@link TopPlayer}
+ * controlled by the computer. When its turn starts, it throws the dice on
+ * its board, holds dice, and throws again as its strategy decides. Then it
+ * fires a cancelable "top:bot-turn-done" event and passes the turn to the
+ * next player unless the event is canceled. Games that need more than
+ * passing the turn, like scoring a category, listen for that event. When
+ * throwing the dice or the strategy fails, the bot fires a "top:bot-error"
+ * event with the error and passes the turn.
+ *
+ * Choose a strategy with the "strategy" attribute: "random", "greedy", or
+ * "expected-value". Set the "thinking-delay" attribute to the ms to wait
+ * before each action, so people can follow along.
+ *
+ * @extends TopPlayer
+ */
+const TopBotPlayer = class extends TopPlayer {
+
+    /**
+     * Create a new TopBotPlayer.
+     *
+     * @param {Object} [config] - An initial configuration for the bot, see
+     * {@link TopPlayer}.
+     * @param {String|Object} [config.strategy] - The bot's strategy.
+     * @param {Number} [config.thinkingDelay] - The ms to wait before each
+     * action.
+     */
+    constructor(config = {}) {
+        super(config);
+        _strategy.set(this, null);
+        _scoring.set(this, sum);
+        _onStartTurn.set(this, (event) => {
+            if (this === event.detail.player) {
+                // The turn starts once the event has been handled.
+                Promise.resolve().then(() => {
+                    const board = boardOf(this);
+                    if (null !== board && this.hasTurn) {
+                        play(this, board).catch(error => fail(this, board, error));
+                    }
+                });
+            }
+        });
+
+        if (undefined !== config.strategy) {
+            this.strategy = config.strategy;
+        }
+        if (undefined !== config.thinkingDelay) {
+            this.setAttribute(THINKING_DELAY_ATTRIBUTE, config.thinkingDelay);
+        }
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        const list = this.parentNode;
+        list.addEventListener("top:start-turn", _onStartTurn.get(this));
+        _list.set(this, list);
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        if (_list.has(this)) {
+            _list.get(this).removeEventListener("top:start-turn", _onStartTurn.get(this));
+            _list.delete(this);
+        }
+        window.clearTimeout(_timeout.get(this));
+    }
+
+    /**
+     * The strategy of this bot. Set it to the name of a built-in strategy
+     * or to a custom strategy with a decide method. Defaults to the
+     * "strategy" attribute or "greedy".
+     *
+     * @throws {ConfigurationError} The strategy should exist or have a
+     * decide method.
+     * @type {Object}
+     */
+    get strategy() {
+        const strategy = _strategy.get(this);
+        if (null !== strategy) {
+            return strategy;
+        }
+        return toStrategy(this.getAttribute(STRATEGY_ATTRIBUTE) || DEFAULT_STRATEGY);
+    }
+    set strategy(strategy) {
+        _strategy.set(this, toStrategy(strategy));
+    }
+
+    /**
+     * The ms this bot waits before each action. Defaults to 500.
+     *
+     * @type {Number}
+     */
+    get thinkingDelay() {
+        const delay = parseInt(this.getAttribute(THINKING_DELAY_ATTRIBUTE), 10);
+        return Number.isNaN(delay) || 0 > delay ? DEFAULT_THINKING_DELAY : delay;
+    }
+
+    /**
+     * The scoring function this bot's strategy optimizes: from the values
+     * of all dice on the board to a number. Defaults to the sum of the
+     * dice.
+     *
+     * @throws {ConfigurationError} The scoring function should be a
+     * function.
+     * @type {Function}
+     */
+    get scoring() {
+        return _scoring.get(this);
+    }
+    set scoring(scoring) {
+        if ("function" !== typeof scoring) {
+            throw new ConfigurationError(`A bot's scoring function should be a function, got '${scoring}' instead.`);
+        }
+        _scoring.set(this, scoring);
+    }
+};
+
+window.customElements.define(TAG_NAME, TopBotPlayer);
+
+export {
+    TopBotPlayer,
+    TAG_NAME
+};
@@ -17,20 +17,49 @@
  * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
  * @ignore
  */
-//import {ConfigurationError} from "./error/ConfigurationError.js";
+import {ConfigurationError} from "./error/ConfigurationError.js";
+import {GameRuleError} from "./error/GameRuleError.js";
 import {GridLayout} from "./GridLayout.js";
+import {CanvasRenderer} from "./renderer/CanvasRenderer.js";
+import {SvgRenderer} from "./renderer/SvgRenderer.js";
+import {frameOf} from "./renderer/Renderer.js";
+import {ThrowAnimation} from "./ThrowAnimation.js";
 import {TopDie, TAG_NAME as TOP_DIE} from "./TopDie.js";
 import {DEFAULT_SYSTEM_PLAYER, TopPlayer, TAG_NAME as TOP_PLAYER, HAS_TURN_ATTRIBUTE} from "./TopPlayer.js";
 import {TAG_NAME as TOP_PLAYER_LIST} from "./TopPlayerList.js";
+import {DEFAULT_RANDOM, createRandom, checkRandom} from "./random/random.js";
+import {SeededRandomGenerator} from "./random/SeededRandomGenerator.js";
+import {ReplayRandomGenerator} from "./random/ReplayRandomGenerator.js";
+import {ThrowAuthority} from "./authority/ThrowAuthority.js";
+import {verifyFairThrow} from "./authority/fairness.js";
+import {ChannelMirror} from "./sync/ChannelMirror.js";
+import {STATE_VERSION, checkState} from "./state/boardState.js";
+import {
+    CommandHistory,
+    DEFAULT_HISTORY_DEPTH,
+    THROW as THROW_COMMAND,
+    HOLD as HOLD_COMMAND,
+    RELEASE as RELEASE_COMMAND,
+    MOVE as MOVE_COMMAND,
+    ADD_DIE as ADD_DIE_COMMAND,
+    REMOVE_DIE as REMOVE_DIE_COMMAND,
+    PLAYERS as PLAYERS_COMMAND
+} from "./history/CommandHistory.js";
 import {validate} from "./validate/validate.js";
 
 const TAG_NAME = "top-dice-board";
 
 const DEFAULT_DIE_SIZE = 100; // px
 const DEFAULT_HOLD_DURATION = 375; // ms
+const DEFAULT_THROW_DURATION = 750; // ms
 const DEFAULT_DRAGGING_DICE_DISABLED = false;
 const DEFAULT_HOLDING_DICE_DISABLED = false;
 const DEFAULT_ROTATING_DICE_DISABLED = false;
+const DEFAULT_SPECTATOR = false;
+
+const CANVAS_RENDERER = "canvas";
+const SVG_RENDERER = "svg";
+const DEFAULT_RENDERER = CANVAS_RENDERER;
 
 const ROWS = 10;
 const COLS = 10;
@@ -49,6 +78,13 @@ const DRAGGING_DICE_DISABLED_ATTRIBUTE = "dragging-dice-disabled";
 const HOLDING_DICE_DISABLED_ATTRIBUTE = "holding-dice-disabled";
 const ROTATING_DICE_DISABLED_ATTRIBUTE = "rotating-dice-disabled";
 const HOLD_DURATION_ATTRIBUTE = "hold-duration";
+const THROW_DURATION_ATTRIBUTE = "throw-duration";
+const SEED_ATTRIBUTE = "seed";
+const RENDERER_ATTRIBUTE = "renderer";
+const HISTORY_DEPTH_ATTRIBUTE = "history-depth";
+const VIEWER_ATTRIBUTE = "viewer";
+const SYNC_CHANNEL_ATTRIBUTE = "sync-channel";
+const SPECTATOR_ATTRIBUTE = "spectator";
 
 const parseNumber = (numberString, defaultNumber = 0) => {
     const number = parseInt(numberString, 10);
@@ -90,12 +126,26 @@ const getBooleanAttribute = (element, name, defaultValue) => {
 };
 
 // Private properties
-const _canvas = new WeakMap();
+const _renderer = new WeakMap();
+const _shadow = new WeakMap();
 const _layout = new WeakMap();
 const _currentPlayer = new WeakMap();
 const _numberOfReadyDice = new WeakMap();
-
-const context = (board) => _canvas.get(board).getContext("2d");
+const _random = new WeakMap();
+const _throwAnimation = new WeakMap();
+const _throwingDice = new WeakSet();
+const _restoring = new WeakSet();
+const _pendingState = new WeakMap();
+const _history = new WeakMap();
+const _undoPolicy = new WeakMap();
+const _concealPolicy = new WeakMap();
+const _throwAuthority = new WeakMap();
+const _signedThrow = new WeakMap();
+const _applyingSignedThrow = new WeakSet();
+const _playerObserver = new WeakMap();
+const _mirror = new WeakMap();
+
+const isThrowing = (board) => _throwAnimation.has(board) && _throwAnimation.get(board).isRunning;
 
 const getReadyDice = (board) => {
     if (undefined === _numberOfReadyDice.get(board)) {
@@ -111,28 +161,250 @@ const updateReadyDice = (board, update) => {
 
 const isReady = (board) => getReadyDice(board) === board.dice.length;
 
-const updateBoard = (board, dice = board.dice) => {
-    if (isReady(board)) {
-        context(board).clearRect(0, 0, board.width, board.height);
+const renderFrame = (board, frame) => {
+    // Concealed dice are drawn face down, even while they are rolling.
+    const visibleFrame = frame.map(frameDie => board.isConcealed(frameDie.die)
+        ? Object.assign({}, frameDie, {appearance: Object.assign({}, frameDie.appearance, {hidden: true})})
+        : frameDie);
+    _renderer.get(board).render(visibleFrame, board.dieSize);
+};
 
-        for (const die of dice) {
-            die.render(context(board), board.dieSize);
-        }
+const updateBoard = (board, dice = board.dice) => {
+    // While the dice are being thrown, the throw animation renders the board.
+    if (isReady(board) && !isThrowing(board)) {
+        renderFrame(board, frameOf(dice));
     }
 };
 
+const toRendererType = (value) => [CANVAS_RENDERER, SVG_RENDERER].includes(value) ? value : DEFAULT_RENDERER;
+
+const createRenderer = (type, {width, height}) => {
+    return SVG_RENDERER === type ? new SvgRenderer({width, height}) : new CanvasRenderer({width, height});
+};
+
+// While restoring a board, dice keep their restored coordinates.
 const addDie = (board) => {
     updateReadyDice(board, 1);
-    if (isReady(board)) {
+    if (isReady(board) && !_restoring.has(board)) {
         updateBoard(board, board.layout.layout(board.dice));
     }
 };
 
 const removeDie = (board) => {
-    updateBoard(board, board.layout.layout(board.dice));
+    if (!_restoring.has(board)) {
+        updateBoard(board, board.layout.layout(board.dice));
+    }
     updateReadyDice(board, -1);
 };
 
+const restorePlayer = (board, config) => {
+    if (DEFAULT_SYSTEM_PLAYER.name === config.name) {
+        const player = board.addPlayer(DEFAULT_SYSTEM_PLAYER);
+        player.score = config.score;
+        if (config.hasTurn) {
+            player.startTurn();
+        } else {
+            player.endTurn();
+        }
+        return player;
+    }
+
+    return board.addPlayer(config);
+};
+
+const restoreState = (board, state) => {
+    // Check the whole state before changing the board.
+    const {width, height, dieSize, dispersion, random, players, turns, dice} = checkState(state);
+
+    if (_throwAnimation.has(board)) {
+        _throwAnimation.get(board).stop();
+    }
+
+    _restoring.add(board);
+    try {
+        [
+            [WIDTH_ATTRIBUTE, width],
+            [HEIGHT_ATTRIBUTE, height],
+            [DIE_SIZE_ATTRIBUTE, dieSize],
+            [DISPERSION_ATTRIBUTE, dispersion]
+        ]
+            .filter(([, value]) => Number.isFinite(value))
+            .forEach(([name, value]) => board.setAttribute(name, value));
+
+        if (null !== random && undefined !== random) {
+            board.setAttribute(SEED_ATTRIBUTE, random.seed);
+            const generator = new SeededRandomGenerator(random.seed);
+            generator.state = random.state;
+            board.random = generator;
+        } else {
+            board.removeAttribute(SEED_ATTRIBUTE);
+        }
+
+        board.players.forEach(player => board.removePlayer(player));
+        const restoredPlayers = players.map(config => restorePlayer(board, config));
+        board._playerList.turnState = turns;
+
+        board.dice.forEach(die => board.removeDie(die));
+        dice.forEach(config => board.addDie(Object.assign({}, config, {
+            heldBy: restoredPlayers.find(player => player.name === config.heldBy) || null
+        })));
+        board.layout.adopt(board.dice);
+    } finally {
+        _restoring.delete(board);
+    }
+
+    updateBoard(board);
+};
+
+const allowAll = () => true;
+const concealNone = () => false;
+
+// Record a command in the board's history unless the board is being
+// restored or its history has not been started yet.
+const record = (board, type, detail = {}) => {
+    const history = _history.get(board);
+    if (!_restoring.has(board) && null !== history.present) {
+        history.record(type, board.toJSON(), detail);
+    }
+};
+
+// Lay out the thrown dice and let them tumble onto the board.
+const settleThrow = (board, player) => {
+    const dice = board.layout.layout(board.dice);
+    record(board, THROW_COMMAND, {player});
+
+    const animation = new ThrowAnimation({
+        dice,
+        width: board.width,
+        height: board.height,
+        dieSize: board.dieSize,
+        duration: isReady(board) ? board.throwDuration : 0,
+        render: (frame) => renderFrame(board, frame)
+    });
+    _throwAnimation.set(board, animation);
+
+    return animation.start().then(() => {
+        // Only the last throw settles the dice on the board.
+        if (animation === _throwAnimation.get(board)) {
+            updateBoard(board);
+            board.dispatchEvent(new CustomEvent("top:dice-settled", {
+                detail: {
+                    dice: board.dice
+                }
+            }));
+        }
+        return board.dice;
+    });
+};
+
+const isSignedThrowOf = (request, signedThrow) => {
+    return null !== signedThrow && "object" === typeof signedThrow
+        && request.nonce === signedThrow.nonce
+        && request.player === signedThrow.player
+        && Array.isArray(signedThrow.sides) && Array.isArray(signedThrow.faces)
+        && request.sides.length === signedThrow.sides.length
+        && request.sides.every((sides, i) => sides === signedThrow.sides[i] && Number.isInteger(signedThrow.faces[i]) && 1 <= signedThrow.faces[i] && sides >= signedThrow.faces[i]);
+};
+
+// A commit–reveal throw should reveal the seeds it was asked to use.
+const isFairThrowOf = (request, fairThrow) => {
+    return request.commitment === fairThrow.commitment
+        && Array.isArray(fairThrow.clientSeeds)
+        && request.clientSeeds.length === fairThrow.clientSeeds.length
+        && request.clientSeeds.every((seed, i) => seed === fairThrow.clientSeeds[i]);
+};
+
+// Ask the throw authority to throw the dice that are not held, and show the
+// result once its signature has been verified. A commit–reveal authority
+// publishes its commitment first, and the result should prove to be fair.
+const throwWithAuthority = (board, player, thrownDice) => {
+    const authority = board.throwAuthority;
+    const dice = thrownDice.filter(die => !die.isHeld());
+    const request = {
+        nonce: `${Date.now()}-${DEFAULT_RANDOM.integer(0, Number.MAX_SAFE_INTEGER)}`,
+        player: player ? player.name : null,
+        sides: dice.map(die => die.sides)
+    };
+
+    return Promise.resolve(authority.commit())
+        .then((commitment) => {
+            if (null !== commitment) {
+                board.dispatchEvent(new CustomEvent("top:throw-commitment", {
+                    detail: {
+                        nonce: request.nonce,
+                        commitment
+                    }
+                }));
+
+                // Players can change their seeds until now.
+                request.commitment = commitment;
+                request.clientSeeds = board.playersTakingTurns.map(({clientSeed}) => clientSeed);
+            }
+            return authority.throwDice(request);
+        })
+        .then(signedThrow => Promise.all([
+            authority.verify(signedThrow),
+            undefined === request.commitment || (isFairThrowOf(request, signedThrow) && verifyFairThrow(signedThrow))
+        ]).then(([valid, fair]) => {
+            if (!valid || !isSignedThrowOf(request, signedThrow)) {
+                throw new GameRuleError(`The result of throw '${request.nonce}' has not been signed by the throw authority.`);
+            }
+            if (!fair) {
+                throw new GameRuleError(`The result of throw '${request.nonce}' does not follow from the seeds committed to.`);
+            }
+            return signedThrow;
+        }))
+        .then((signedThrow) => {
+            if (_throwAnimation.has(board)) {
+                _throwAnimation.get(board).stop();
+            }
+
+            // Throw each die to the face the authority threw.
+            _throwingDice.add(board);
+            _applyingSignedThrow.add(board);
+            dice.forEach((die, i) => die.throwIt(new ReplayRandomGenerator([(signedThrow.faces[i] - 0.5) / die.sides])));
+            _applyingSignedThrow.delete(board);
+            _throwingDice.delete(board);
+
+            _signedThrow.set(board, signedThrow);
+            if (undefined !== request.commitment) {
+                board.dispatchEvent(new CustomEvent("top:fair-throw", {
+                    detail: {
+                        proof: signedThrow
+                    }
+                }));
+            }
+            return settleThrow(board, player);
+        });
+};
+
+// Mirror this board on the channel named by its "sync-channel" attribute
+// while it is connected.
+const mirrorBoard = (board) => {
+    const channel = board.isConnected ? board.getAttribute(SYNC_CHANNEL_ATTRIBUTE) : null;
+    const mirror = board.mirror;
+    if (null !== mirror && channel === mirror.channel) {
+        return;
+    }
+
+    if (null !== mirror) {
+        mirror.close();
+        _mirror.set(board, null);
+    }
+
+    if (null !== channel && "" !== channel) {
+        const newMirror = new ChannelMirror(board, {channel});
+        _mirror.set(board, newMirror);
+        newMirror.open();
+    }
+};
+
+const isPlayerMutation = ({type, target, addedNodes, removedNodes}) => {
+    if ("attributes" === type) {
+        return target instanceof TopPlayer;
+    }
+    return [...addedNodes, ...removedNodes].some(node => node instanceof TopPlayer || TOP_PLAYER_LIST === node.localName);
+};
 
 // Interaction states
 const NONE = Symbol("no_interaction");
@@ -142,22 +414,13 @@ const INDETERMINED = Symbol("indetermined");
 const DRAGGING = Symbol("dragging");
 
 // Methods to handle interaction
-const convertWindowCoordinatesToCanvas = (canvas, xWindow, yWindow) => {
-    const canvasBox = canvas.getBoundingClientRect();
-
-    const x = xWindow - canvasBox.left * (canvas.width / canvasBox.width);
-    const y = yWindow - canvasBox.top * (canvas.height / canvasBox.height);
-
-    return {x, y};
-};
-
 const setupInteraction = (board) => {
-    const canvas = _canvas.get(board);
+    const renderer = _renderer.get(board);
+    const element = renderer.element;
 
     // Setup interaction
     let origin = {};
     let state = NONE;
-    let staticBoard = null;
     let dieUnderCursor = null;
     let holdTimeout = null;
 
@@ -188,14 +451,12 @@ const setupInteraction = (board) => {
     };
 
     const startInteraction = (event) => {
-        if (NONE === state) {
+        if (NONE === state && !isThrowing(board) && !board.spectator) {
 
-            origin = {
-                x: event.clientX,
-                y: event.clientY
-            };
+            // Work in board coordinates: the board can be shown scaled.
+            origin = renderer.toBoardCoordinates(event.clientX, event.clientY);
 
-            dieUnderCursor = board.layout.getAt(convertWindowCoordinatesToCanvas(canvas, event.clientX, event.clientY));
+            dieUnderCursor = board.layout.getAt(origin);
 
             if (null !== dieUnderCursor) {
                 // Only interaction with the board via a die
@@ -214,13 +475,13 @@ const setupInteraction = (board) => {
     };
 
     const showInteraction = (event) => {
-        const dieUnderCursor = board.layout.getAt(convertWindowCoordinatesToCanvas(canvas, event.clientX, event.clientY));
+        const dieUnderCursor = board.layout.getAt(renderer.toBoardCoordinates(event.clientX, event.clientY));
         if (DRAGGING === state) {
-            canvas.style.cursor = "grabbing";
+            element.style.cursor = "grabbing";
         } else if (null !== dieUnderCursor) {
-            canvas.style.cursor = "grab";
+            element.style.cursor = "grab";
         } else {
-            canvas.style.cursor = "default";
+            element.style.cursor = "default";
         }
     };
 
@@ -228,32 +489,33 @@ const setupInteraction = (board) => {
         if (MOVE === state || INDETERMINED === state) {
             // determine if a die is under the cursor
             // Ignore small movements
-            const dx = Math.abs(origin.x - event.clientX);
-            const dy = Math.abs(origin.y - event.clientY);
+            const cursor = renderer.toBoardCoordinates(event.clientX, event.clientY);
+            const dx = Math.abs(origin.x - cursor.x);
+            const dy = Math.abs(origin.y - cursor.y);
 
             if (MIN_DELTA < dx || MIN_DELTA < dy) {
                 state = DRAGGING;
                 stopHolding();
-
-                const diceWithoutDieUnderCursor = board.dice.filter(die => die !== dieUnderCursor);
-                updateBoard(board, diceWithoutDieUnderCursor);
-                staticBoard = context(board).getImageData(0, 0, canvas.width, canvas.height);
             }
         } else if (DRAGGING === state) {
-            const dx = origin.x - event.clientX;
-            const dy = origin.y - event.clientY;
+            const cursor = renderer.toBoardCoordinates(event.clientX, event.clientY);
+            const dx = origin.x - cursor.x;
+            const dy = origin.y - cursor.y;
 
             const {x, y} = dieUnderCursor.coordinates;
 
-            context(board).putImageData(staticBoard, 0, 0);
-            dieUnderCursor.render(context(board), board.dieSize, {x: x - dx, y: y - dy});
+            // Draw the dragged die on top of the other dice.
+            const frame = frameOf(board.dice.filter(die => die !== dieUnderCursor));
+            frame.push({die: dieUnderCursor, coordinates: {x: x - dx, y: y - dy}, appearance: {}});
+            renderFrame(board, frame);
         }
     };
 
     const stopInteraction = (event) => {
         if (null !== dieUnderCursor && DRAGGING === state) {
-            const dx = origin.x - event.clientX;
-            const dy = origin.y - event.clientY;
+            const cursor = renderer.toBoardCoordinates(event.clientX, event.clientY);
+            const dx = origin.x - cursor.x;
+            const dy = origin.y - cursor.y;
 
             const {x, y} = dieUnderCursor.coordinates;
 
@@ -263,9 +525,7 @@ const setupInteraction = (board) => {
                 y: y - dy,
             });
 
-            const newCoords = null != snapToCoords ? snapToCoords : {x, y};
-
-            dieUnderCursor.coordinates = newCoords;
+            board.moveDie(dieUnderCursor, null != snapToCoords ? snapToCoords : {x, y});
         }
 
         // Clear state
@@ -289,25 +549,45 @@ const setupInteraction = (board) => {
                 const {clientX, clientY} = touchEvent.touches[0];
                 touchCoordinates = {clientX, clientY};
             }
-            canvas.dispatchEvent(new MouseEvent(mouseEventName, touchCoordinates));
+            element.dispatchEvent(new MouseEvent(mouseEventName, touchCoordinates));
         };
     };
 
-    canvas.addEventListener("touchstart", touch2mouseEvent("mousedown"));
-    canvas.addEventListener("mousedown", startInteraction);
+    element.addEventListener("touchstart", touch2mouseEvent("mousedown"));
+    element.addEventListener("mousedown", startInteraction);
 
     if (!board.disabledDraggingDice) {
-        canvas.addEventListener("touchmove", touch2mouseEvent("mousemove"));
-        canvas.addEventListener("mousemove", move);
+        element.addEventListener("touchmove", touch2mouseEvent("mousemove"));
+        element.addEventListener("mousemove", move);
     }
 
     if (!board.disabledDraggingDice || !board.disabledHoldingDice) {
-        canvas.addEventListener("mousemove", showInteraction);
+        element.addEventListener("mousemove", showInteraction);
     }
 
-    canvas.addEventListener("touchend", touch2mouseEvent("mouseup"));
-    canvas.addEventListener("mouseup", stopInteraction);
-    canvas.addEventListener("mouseout", stopInteraction);
+    element.addEventListener("touchend", touch2mouseEvent("mouseup"));
+    element.addEventListener("mouseup", stopInteraction);
+    element.addEventListener("mouseleave", stopInteraction);
+};
+
+const useRenderer = (board, type) => {
+    const renderer = createRenderer(type, {width: board.width, height: board.height});
+    const shadow = _shadow.get(board);
+
+    if (_renderer.has(board)) {
+        const previous = _renderer.get(board);
+        previous.disconnect();
+        shadow.replaceChild(renderer.element, previous.element);
+    } else {
+        shadow.appendChild(renderer.element);
+    }
+
+    if (!board.isConnected) {
+        renderer.disconnect();
+    }
+
+    _renderer.set(board, renderer);
+    setupInteraction(board);
 };
 
 /**
@@ -324,19 +604,27 @@ const TopDiceBoard = class extends HTMLElement {
     constructor() {
         super();
         this.style.display = "inline-block";
-        const shadow = this.attachShadow({mode: "closed"});
-        const canvas = document.createElement("canvas");
-        shadow.appendChild(canvas);
-
-        _canvas.set(this, canvas);
+        _shadow.set(this, this.attachShadow({mode: "closed"}));
         _currentPlayer.set(this, DEFAULT_SYSTEM_PLAYER);
+        _random.set(this, DEFAULT_RANDOM);
+        _history.set(this, new CommandHistory({depth: this.historyDepth}));
+        _undoPolicy.set(this, allowAll);
+        _concealPolicy.set(this, concealNone);
+        _throwAuthority.set(this, null);
+        _signedThrow.set(this, null);
+        _playerObserver.set(this, new MutationObserver((mutations) => {
+            if (mutations.some(isPlayerMutation)) {
+                record(this, PLAYERS_COMMAND);
+            }
+        }));
         _layout.set(this, new GridLayout({
             width: this.width,
             height: this.height,
             dieSize: this.dieSize,
-            dispersion: this.dispersion
+            dispersion: this.dispersion,
+            random: this.random
         }));
-        setupInteraction(this);
+        useRenderer(this, this.renderer);
     }
 
     static get observedAttributes() {
@@ -348,23 +636,29 @@ const TopDiceBoard = class extends HTMLElement {
             DRAGGING_DICE_DISABLED_ATTRIBUTE,
             ROTATING_DICE_DISABLED_ATTRIBUTE,
             HOLDING_DICE_DISABLED_ATTRIBUTE,
-            HOLD_DURATION_ATTRIBUTE
+            HOLD_DURATION_ATTRIBUTE,
+            THROW_DURATION_ATTRIBUTE,
+            SEED_ATTRIBUTE,
+            RENDERER_ATTRIBUTE,
+            HISTORY_DEPTH_ATTRIBUTE,
+            VIEWER_ATTRIBUTE,
+            SYNC_CHANNEL_ATTRIBUTE
         ];
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
-        const canvas = _canvas.get(this);
+        const renderer = _renderer.get(this);
         switch (name) {
         case WIDTH_ATTRIBUTE: {
             const width = getPositiveNumber(newValue, parseNumber(oldValue) || DEFAULT_WIDTH);
             this.layout.width = width;
-            canvas.setAttribute(WIDTH_ATTRIBUTE, width);
+            renderer.resize(width, renderer.height);
             break;
         }
         case HEIGHT_ATTRIBUTE: {
             const height = getPositiveNumber(newValue, parseNumber(oldValue) || DEFAULT_HEIGHT);
             this.layout.height = height;
-            canvas.setAttribute(HEIGHT_ATTRIBUTE, height);
+            renderer.resize(renderer.width, height);
             break;
         }
         case DISPERSION_ATTRIBUTE: {
@@ -382,6 +676,24 @@ const TopDiceBoard = class extends HTMLElement {
             this.layout.rotate = !disabledRotation;
             break;
         }
+        case SEED_ATTRIBUTE: {
+            this.random = createRandom(newValue);
+            break;
+        }
+        case RENDERER_ATTRIBUTE: {
+            if (toRendererType(oldValue) !== toRendererType(newValue)) {
+                useRenderer(this, toRendererType(newValue));
+            }
+            break;
+        }
+        case HISTORY_DEPTH_ATTRIBUTE: {
+            _history.get(this).depth = this.historyDepth;
+            break;
+        }
+        case SYNC_CHANNEL_ATTRIBUTE: {
+            mirrorBoard(this);
+            break;
+        }
         default: {
             // The value is determined when using the getter
         }
@@ -391,14 +703,68 @@ const TopDiceBoard = class extends HTMLElement {
     }
 
     connectedCallback() {
-        this.addEventListener("top-die:added", () => addDie(this));
-        this.addEventListener("top-die:removed", () => removeDie(this));
+        this.addEventListener("top-die:added", () => {
+            addDie(this);
+            record(this, ADD_DIE_COMMAND);
+        });
+        this.addEventListener("top-die:removed", () => {
+            removeDie(this);
+            record(this, REMOVE_DIE_COMMAND);
+        });
+
+        // Show dice thrown on their own, outside of throwing this board.
+        this.addEventListener("top:throw-die", (event) => {
+            if (!_throwingDice.has(this)) {
+                updateBoard(this);
+                record(this, THROW_COMMAND, event.detail);
+            }
+        }, true);
+
+        // A spectator's dice are not thrown at all; with a throw authority,
+        // only the authority decides the pips.
+        this.addEventListener("top:will-throw-die", (event) => {
+            if (this.spectator) {
+                event.preventDefault();
+            } else if (null !== this.throwAuthority && !_applyingSignedThrow.has(this)) {
+                event.preventDefault();
+                this.dispatchEvent(new CustomEvent("top:unsigned-throw", {
+                    detail: {
+                        die: event.detail.die
+                    }
+                }));
+            }
+        }, true);
+
+        this.addEventListener("top:hold-die", (event) => record(this, HOLD_COMMAND, event.detail), true);
+        this.addEventListener("top:release-die", (event) => record(this, RELEASE_COMMAND, event.detail), true);
+        _playerObserver.get(this).observe(this, {
+            childList: true,
+            subtree: true,
+            attributes: true
+        });
+
+        _renderer.get(this).connect();
 
         // Add dice that are already in the DOM
         this.dice.forEach(() => addDie(this));
+
+        if (_pendingState.has(this)) {
+            const state = _pendingState.get(this);
+            _pendingState.delete(this);
+            restoreState(this, state);
+        }
+
+        // Start recording once the dice and players already in the DOM
+        // have been added.
+        Promise.resolve().then(() => this.clearHistory());
+
+        mirrorBoard(this);
     }
 
     disconnectedCallback() {
+        _renderer.get(this).disconnect();
+        _playerObserver.get(this).disconnect();
+        mirrorBoard(this);
     }
 
     adoptedCallback() {
@@ -490,6 +856,44 @@ const TopDiceBoard = class extends HTMLElement {
         return getBooleanAttribute(this, ROTATING_DICE_DISABLED_ATTRIBUTE, DEFAULT_ROTATING_DICE_DISABLED);
     }
 
+    /**
+     * Is this board a spectator? A spectator's dice cannot be thrown, held,
+     * or dragged. The {@link mirror} makes a board that follows the board
+     * of another tab a spectator.
+     * @type {Boolean}
+     */
+    get spectator() {
+        return getBooleanAttribute(this, SPECTATOR_ATTRIBUTE, DEFAULT_SPECTATOR);
+    }
+
+    /**
+     * The name of the BroadcastChannel this board is mirrored on, if any.
+     * Null otherwise. Set the "sync-channel" attribute to mirror this board
+     * across tabs.
+     *
+     * @type {String|null}
+     */
+    get syncChannel() {
+        return this.getAttribute(SYNC_CHANNEL_ATTRIBUTE);
+    }
+    set syncChannel(channel) {
+        if (null === channel) {
+            this.removeAttribute(SYNC_CHANNEL_ATTRIBUTE);
+        } else {
+            this.setAttribute(SYNC_CHANNEL_ATTRIBUTE, channel);
+        }
+    }
+
+    /**
+     * The mirror of this board on its {@link syncChannel} while it is
+     * connected, if any. Null otherwise.
+     *
+     * @type {ChannelMirror|null}
+     */
+    get mirror() {
+        return _mirror.has(this) ? _mirror.get(this) : null;
+    }
+
     /**
      * The duration in ms to press the mouse / touch a die before it bekomes
      * held by the Player. It has only an effect when this.holdableDice ===
@@ -501,6 +905,252 @@ const TopDiceBoard = class extends HTMLElement {
         return getPositiveNumberAttribute(this, HOLD_DURATION_ATTRIBUTE, DEFAULT_HOLD_DURATION);
     }
 
+    /**
+     * The renderer used to draw the dice on this board: "canvas" or "svg".
+     * Defaults to "canvas".
+     *
+     * @type {String}
+     */
+    get renderer() {
+        return toRendererType(this.getAttribute(RENDERER_ATTRIBUTE));
+    }
+
+    /**
+     * The duration in ms of the animation of throwing the dice on this
+     * board. Use 0 to disable the animation.
+     *
+     * @type {Number}
+     */
+    get throwDuration() {
+        return getPositiveNumberAttribute(this, THROW_DURATION_ATTRIBUTE, DEFAULT_THROW_DURATION);
+    }
+
+    /**
+     * The maximum number of commands this board remembers to undo. Use 0
+     * to disable undo. Defaults to 100.
+     *
+     * @type {Number}
+     */
+    get historyDepth() {
+        return getPositiveNumberAttribute(this, HISTORY_DEPTH_ATTRIBUTE, DEFAULT_HISTORY_DEPTH);
+    }
+
+    /**
+     * The policy deciding which commands can be undone. It is called with
+     * the {@link Command} to undo and returns true if the command can be
+     * undone. By default, all commands can be undone. Use {@link
+     * onlyUndoUiActions} to forbid undoing throws. Set to null to allow
+     * undoing all commands again.
+     *
+     * @throws {ConfigurationError} The policy should be a function.
+     * @type {Function}
+     */
+    get undoPolicy() {
+        return _undoPolicy.get(this);
+    }
+    set undoPolicy(policy) {
+        if (null === policy) {
+            _undoPolicy.set(this, allowAll);
+        } else if ("function" === typeof policy) {
+            _undoPolicy.set(this, policy);
+        } else {
+            throw new ConfigurationError(`An undo policy should be a function, got '${policy}' instead.`);
+        }
+    }
+
+    /**
+     * The player looking at this board, if any. Null if this board is shown
+     * to everyone. Dice the {@link concealPolicy} hides from the viewer are
+     * drawn face down. Set the "viewer" attribute to the viewer's name.
+     *
+     * @type {TopPlayer|null}
+     */
+    get viewer() {
+        if (!this.hasAttribute(VIEWER_ATTRIBUTE)) {
+            return null;
+        }
+        const name = this.getAttribute(VIEWER_ATTRIBUTE);
+        return this.players.find(player => player.name === name) || null;
+    }
+    set viewer(player) {
+        if (null === player) {
+            this.removeAttribute(VIEWER_ATTRIBUTE);
+        } else {
+            this.setAttribute(VIEWER_ATTRIBUTE, player.name);
+        }
+    }
+
+    /**
+     * The policy deciding which dice are hidden from the {@link viewer}. It
+     * is called with a die and the viewer, null when this board is shown to
+     * everyone, and returns true if the die should be drawn face down. By
+     * default, all dice are visible. Set to null to show all dice again.
+     *
+     * @throws {ConfigurationError} The policy should be a function.
+     * @type {Function}
+     */
+    get concealPolicy() {
+        return _concealPolicy.get(this);
+    }
+    set concealPolicy(policy) {
+        if (null === policy) {
+            _concealPolicy.set(this, concealNone);
+        } else if ("function" === typeof policy) {
+            _concealPolicy.set(this, policy);
+        } else {
+            throw new ConfigurationError(`A conceal policy should be a function, got '${policy}' instead.`);
+        }
+        updateBoard(this);
+    }
+
+    /**
+     * Is a die hidden from the {@link viewer}?
+     *
+     * @param {TopDie} die - The die.
+     * @return {Boolean} True if the die is drawn face down.
+     */
+    isConcealed(die) {
+        return true === this.concealPolicy(die, this.viewer);
+    }
+
+    /**
+     * The authority throwing the dice on this board, if any. Null
+     * otherwise, the default, in which case the dice are thrown on this
+     * board. With a throw authority, {@link throwDice} asks the authority
+     * to throw the dice and only applies results signed by it; dice thrown
+     * any other way are refused and fire "top:unsigned-throw". A
+     * commit–reveal authority, like {@link LocalFairThrowAuthority}, also
+     * proves each throw to be fair with the seeds of the players, see
+     * {@link TopPlayer#clientSeed}.
+     *
+     * @throws {ConfigurationError} The authority should be a
+     * ThrowAuthority.
+     * @type {ThrowAuthority|null}
+     */
+    get throwAuthority() {
+        return _throwAuthority.get(this);
+    }
+    set throwAuthority(authority) {
+        if (null !== authority && !(authority instanceof ThrowAuthority)) {
+            throw new ConfigurationError(`A throw authority should be a ThrowAuthority, got '${authority}' instead.`);
+        }
+        _throwAuthority.set(this, authority);
+        _signedThrow.set(this, null);
+    }
+
+    /**
+     * The signed result of the last throw by the {@link throwAuthority},
+     * if any. Null otherwise. Share it to let others verify the throw.
+     *
+     * @type {SignedThrow|null}
+     */
+    get signedThrow() {
+        return _signedThrow.get(this);
+    }
+
+    /**
+     * Can the last command on this board be undone? Throws, holding,
+     * releasing, and moving dice, adding and removing dice, and changes to
+     * the players are recorded as commands.
+     *
+     * @type {Boolean}
+     */
+    get canUndo() {
+        const command = _history.get(this).lastCommand;
+        return null !== command && true === this.undoPolicy(command);
+    }
+
+    /**
+     * Can the last undone command on this board be redone?
+     *
+     * @type {Boolean}
+     */
+    get canRedo() {
+        return null !== _history.get(this).nextCommand;
+    }
+
+    /**
+     * Undo the last command on this board if the {@link undoPolicy} allows
+     * it, restoring the board to its state before the command.
+     *
+     * @return {Command|null} The undone command, or null if no command could
+     * be undone.
+     * @fires "top:undo" with parameter the undone command.
+     */
+    undo() {
+        if (!this.canUndo) {
+            return null;
+        }
+
+        const command = _history.get(this).undo();
+        restoreState(this, command.before);
+        this.dispatchEvent(new CustomEvent("top:undo", {
+            detail: {
+                command
+            }
+        }));
+        return command;
+    }
+
+    /**
+     * Redo the last undone command on this board, restoring the board to its
+     * state after the command. Recording a new command forgets the
+     * commands that could be redone.
+     *
+     * @return {Command|null} The redone command, or null if no command could
+     * be redone.
+     * @fires "top:redo" with parameter the redone command.
+     */
+    redo() {
+        if (!this.canRedo) {
+            return null;
+        }
+
+        const command = _history.get(this).redo();
+        restoreState(this, command.after);
+        this.dispatchEvent(new CustomEvent("top:redo", {
+            detail: {
+                command
+            }
+        }));
+        return command;
+    }
+
+    /**
+     * Forget all commands on this board and start recording anew from
+     * the current state.
+     */
+    clearHistory() {
+        _history.get(this).reset(this.toJSON());
+    }
+
+    /**
+     * The seed of the random number generator of this board, if any. Null
+     * otherwise. Set the "seed" attribute to throw and lay out the dice on
+     * this board deterministically.
+     *
+     * @type {String|null}
+     */
+    get seed() {
+        return this.getAttribute(SEED_ATTRIBUTE);
+    }
+
+    /**
+     * The random number generator used by this board to throw, position,
+     * and rotate the dice. By default a {@link CryptoRandomGenerator} is
+     * used, or a {@link SeededRandomGenerator} when this board has a seed.
+     *
+     * @throws {ConfigurationError} The generator should be a RandomGenerator.
+     * @type {RandomGenerator}
+     */
+    get random() {
+        return _random.get(this);
+    }
+    set random(generator) {
+        _random.set(this, checkRandom(generator));
+        this.layout.random = generator;
+    }
+
     /**
      * The TopPlayerList element of this TopDiceBoard. If it does not exist,
      * it will be created.
@@ -511,7 +1161,7 @@ const TopDiceBoard = class extends HTMLElement {
     get _playerList() {
         let playerList = this.querySelector(TOP_PLAYER_LIST);
         if (null === playerList) {
-            playerList = this.appendChild(TOP_PLAYER_LIST);
+            playerList = this.appendChild(document.createElement(TOP_PLAYER_LIST));
         }
 
         return playerList;
@@ -527,20 +1177,148 @@ const TopDiceBoard = class extends HTMLElement {
     }
 
     /**
-     * As player, throw the dice on this board.
+     * The players taking turns on this board, see {@link
+     * TopPlayerList#playersTakingTurns}.
+     *
+     * @type {TopPlayer[]}
+     */
+    get playersTakingTurns() {
+        return this._playerList.playersTakingTurns;
+    }
+
+    /**
+     * As player, throw the dice on this board. The dice that are not being
+     * held tumble onto the board during {@link throwDuration} ms. The number
+     * of pips of the thrown dice is known immediately, however, unless
+     * this board has a {@link throwAuthority}: then the pips are known once
+     * the authority's signed result has been verified. Throwing the dice
+     * while they are still rolling settles them at once.
      *
      * @param {TopPlayer} [player = DEFAULT_SYSTEM_PLAYER] - The
-     * player that is throwing the dice on this board.
+     * player that is throwing the dice on this board. If no player has a
+     * turn, this player starts a turn.
+     * @param {Object} [options = {}] - Options of this throw.
+     * @param {TopDie[]} [options.dice = this.dice] - The dice on this board
+     * to throw, for example to reroll some of them. Each throw counts
+     * towards the player's {@link TopPlayerList#maxThrows}.
      *
-     * @return {TopDie[]} The thrown dice on this board. This list of dice is the same as this TopDiceBoard's {@see dice} property
+     * @return {Promise<TopDie[]>} A promise resolving to the thrown dice on
+     * this board when they have settled. This list of dice is the same as
+     * this TopDiceBoard's {@see dice} property.
+     *
+     * @fires "top:dice-settled" with parameter the dice on this board when
+     * the dice have settled.
+     * @fires "top:throw-commitment" with the nonce of the throw and the
+     * commitment of a commit–reveal {@link throwAuthority}, before the
+     * players' seeds are collected.
+     * @fires "top:fair-throw" with the proof of the throw, a {@link
+     * FairThrow}, when a commit–reveal authority has thrown the dice.
+     * @throws {GameRuleError} The promise is rejected when this board is a
+     * {@link spectator}, when another player has the turn, when the
+     * player has thrown the maximum number of
+     * times in this turn already, see {@link TopPlayerList#maxThrows}, or,
+     * with a {@link throwAuthority}, when the result has not been signed
+     * by the authority or, by commit–reveal, does not follow from the
+     * seeds.
      */
-    throwDice(player = DEFAULT_SYSTEM_PLAYER) {
+    throwDice(player = DEFAULT_SYSTEM_PLAYER, {dice = this.dice} = {}) {
+        if (this.spectator) {
+            return Promise.reject(new GameRuleError(`${player} cannot throw the dice on a spectator's board.`));
+        }
+
+        const playerList = this._playerList;
         if (player && !player.hasTurn) {
+            // Only start a turn when nobody has one: taking the turn from
+            // another player would give a fresh allowance of throws.
+            const current = playerList.currentPlayer;
+            if (null !== current) {
+                return Promise.reject(new GameRuleError(`${player} cannot throw the dice: it is ${current}'s turn.`));
+            }
             player.startTurn();
         }
-        this.dice.forEach(die => die.throwIt());
-        updateBoard(this, this.layout.layout(this.dice));
-        return this.dice;
+
+        if (0 >= playerList.throwsLeft) {
+            return Promise.reject(new GameRuleError(`${player} cannot throw the dice more than ${playerList.maxThrows} times in a turn.`));
+        }
+        playerList._countThrow();
+
+        if (null !== this.throwAuthority) {
+            return throwWithAuthority(this, player, dice);
+        }
+
+        if (_throwAnimation.has(this)) {
+            _throwAnimation.get(this).stop();
+        }
+
+        // The throw animation renders the thrown dice.
+        _throwingDice.add(this);
+        dice.forEach(die => die.throwIt(this.random));
+        _throwingDice.delete(this);
+
+        return settleThrow(this, player);
+    }
+
+    /**
+     * Convert this TopDiceBoard to a plain object that can be serialized to
+     * JSON to save, share, or restore a game. Custom face render callbacks
+     * are not included.
+     *
+     * @return {BoardState} The state of this board: its size, its seeded
+     * random number generator, if any, its players, and its dice.
+     */
+    toJSON() {
+        const random = this.random instanceof SeededRandomGenerator ? {
+            seed: this.random.seed,
+            state: this.random.state
+        } : null;
+
+        return {
+            version: STATE_VERSION,
+            width: this.width,
+            height: this.height,
+            dieSize: this.dieSize,
+            dispersion: this.dispersion,
+            random,
+            players: this.players.map(player => player.toJSON()),
+            turns: this._playerList.turnState,
+            dice: this.dice.map(die => die.toJSON())
+        };
+    }
+
+    /**
+     * Restore this TopDiceBoard to a state created by {@link toJSON}. The
+     * players and dice on this board are replaced by the saved ones and the
+     * dice keep their saved pips, coordinates, and rotation. A throw in
+     * progress is stopped. A board that is not connected to the document
+     * is restored once it is connected. Restoring a board clears its
+     * history.
+     *
+     * @param {BoardState} state - The state to restore.
+     * @throws {ConfigurationError} The state should be a valid board state
+     * of a supported version.
+     */
+    restore(state) {
+        if (this.isConnected) {
+            restoreState(this, state);
+            this.clearHistory();
+        } else {
+            _pendingState.set(this, checkState(state));
+        }
+    }
+
+    /**
+     * Create a new TopDiceBoard from a state created by {@link toJSON}.
+     * The board is restored once it is connected to the document.
+     *
+     * @param {BoardState|String} state - The state, or the state as JSON.
+     * @return {TopDiceBoard} The new board.
+     * @throws {ConfigurationError} The state should be a valid board state
+     * of a supported version.
+     */
+    static fromJSON(state) {
+        const board = document.createElement(TAG_NAME);
+        board.restore("string" === typeof state ? JSON.parse(state) : state);
+        return board;
     }
 
     /**
@@ -548,9 +1326,14 @@ const TopDiceBoard = class extends HTMLElement {
      *
      * @param {TopDie|Object} [config = {}] - The die or a configuration of
      * the die to add to this TopDiceBoard.
+     * @param {Number} [config.sides = 6] - The number of sides of the die
+     * to add: 4, 6, 8, 10, 12, or 20.
+     * @param {Array<FaceDefinition|String>} [config.faces] - A list of
+     * custom faces of the die to add instead of pips.
      * @param {Number|null} [config.pips] - The pips of the die to add.
-     * If no pips are specified or the pips are not between 1 and 6, a random
-     * number between 1 and 6 is generated instead.
+     * If no pips are specified or the pips are not between 1 and the number
+     * of sides, a random number between 1 and the number of sides is
+     * generated instead.
      * @param {String} [config.color] - The color of the die to add. Default
      * to the default color.
      * @param {Number} [config.x] - The x coordinate of the die.
@@ -558,10 +1341,37 @@ const TopDiceBoard = class extends HTMLElement {
      * @param {Number} [config.rotation] - The rotation of the die.
      * @param {TopPlayer} [config.heldBy] - The player holding the die.
      *
-     * @return {TopDie} The added die.
+     * @return {TopDie} The added die. Its random pips or face come from
+     * this board's {@link random} generator.
      */
     addDie(config = {}) {
-        return this.appendChild(config instanceof TopDie ? config : new TopDie(config));
+        return this.appendChild(config instanceof TopDie ? config : new TopDie(Object.assign({random: this.random}, config)));
+    }
+
+    /**
+     * Move a die on this TopDiceBoard to new coordinates, like dragging it
+     * does.
+     *
+     * @param {TopDie} die - The die to move.
+     * @param {Object} coordinates - The coordinates to move the die to.
+     * @param {Number} coordinates.x - The x coordinate.
+     * @param {Number} coordinates.y - The y coordinate.
+     * @fires "top:move-die" with parameters the die and the coordinates it
+     * moved from and to.
+     */
+    moveDie(die, {x, y}) {
+        const from = die.coordinates;
+        const to = {x, y};
+        die.coordinates = to;
+        record(this, MOVE_COMMAND, {die, from, to});
+        die.dispatchEvent(new CustomEvent("top:move-die", {
+            detail: {
+                die,
+                from,
+                to
+            }
+        }));
+        updateBoard(this);
     }
 
     /**
@@ -613,6 +1423,7 @@ export {
     TopDiceBoard,
     DEFAULT_DIE_SIZE,
     DEFAULT_HOLD_DURATION,
+    DEFAULT_THROW_DURATION,
     DEFAULT_WIDTH,
     DEFAULT_HEIGHT,
     DEFAULT_DISPERSION,
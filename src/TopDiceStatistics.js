@@ -0,0 +1,388 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "./error/ConfigurationError.js";
+import {TopDiceBoard} from "./TopDiceBoard.js";
+import {mean, variance, faceDistribution, sumDistribution, chiSquare} from "./probability/statistics.js";
+
+const TAG_NAME = "top-dice-statistics";
+
+const BOARD_ATTRIBUTE = "board";
+
+const STYLE = `
+:host {
+    display: inline-block;
+    font-family: sans-serif;
+    font-size: smaller;
+}
+
+section {
+    margin-bottom: 1ex;
+}
+
+h2 {
+    font-size: inherit;
+    margin: 0;
+}
+
+.histogram {
+    display: flex;
+    align-items: flex-end;
+    height: 6em;
+    border-bottom: 1px solid gray;
+}
+
+.column {
+    position: relative;
+    flex: 1;
+    height: 100%;
+    margin: 0 1px;
+}
+
+.bar {
+    position: absolute;
+    bottom: 0;
+    width: 100%;
+    background: steelblue;
+}
+
+.expected {
+    position: absolute;
+    width: 100%;
+    border-top: 2px dashed orangered;
+}
+
+.labels {
+    display: flex;
+}
+
+.labels span {
+    flex: 1;
+    text-align: center;
+}
+
+dl {
+    display: grid;
+    grid-template-columns: auto auto;
+    gap: 0 1ex;
+    margin: 0.5ex 0;
+}
+
+dd {
+    margin: 0;
+}
+`;
+
+// Private properties
+const _container = new WeakMap();
+const _board = new WeakMap();
+const _faceCounts = new WeakMap();
+const _sumCounts = new WeakMap();
+const _pendingThrow = new WeakMap();
+const _listener = new WeakMap();
+
+const increment = (counts, value) => counts.set(value, (counts.get(value) || 0) + 1);
+
+const total = (counts) => [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+// A label like "2d6 + 1d20" for a set of dice.
+const labelOf = (sides) => {
+    const numbers = sides.reduce((dice, faces) => increment(dice, faces), new Map());
+    return [...numbers]
+        .sort(([a], [b]) => a - b)
+        .map(([faces, count]) => `${count}d${faces}`)
+        .join(" + ");
+};
+
+const statisticsOf = (label, counts, probabilities, sides) => {
+    // The mean of a fair die with n sides is (n + 1) / 2 exactly; summing
+    // over the probabilities accumulates rounding errors.
+    const expectedMean = sides.reduce((sum, faces) => sum + (faces + 1) / 2, 0);
+    let expectedVariance = 0;
+    probabilities.forEach((probability, value) => {
+        expectedVariance += probability * Math.pow(value - expectedMean, 2);
+    });
+
+    const toObject = map => [...map].reduce((object, [key, value]) => Object.assign(object, {[key]: value}), {});
+
+    return {
+        label,
+        counts: toObject([...probabilities.keys()].reduce((all, value) => all.set(value, counts.get(value) || 0), new Map())),
+        expected: toObject(probabilities),
+        throws: total(counts),
+        mean: mean(counts),
+        variance: variance(counts),
+        expectedMean,
+        expectedVariance,
+        chiSquare: chiSquare(counts, probabilities)
+    };
+};
+
+const format = (number, digits = 2) => Number.isNaN(number) ? "–" : number.toFixed(digits);
+
+const renderHistogram = (statistics) => {
+    const section = document.createElement("section");
+    section.setAttribute("part", "histogram");
+
+    const heading = section.appendChild(document.createElement("h2"));
+    heading.textContent = `${statistics.label} (${statistics.throws} throws)`;
+
+    const values = Object.keys(statistics.counts);
+    const frequency = value => 0 === statistics.throws ? 0 : statistics.counts[value] / statistics.throws;
+    const highest = Math.max(...values.map(value => Math.max(frequency(value), statistics.expected[value])));
+
+    const histogram = section.appendChild(document.createElement("div"));
+    histogram.classList.add("histogram");
+    const labels = section.appendChild(document.createElement("div"));
+    labels.classList.add("labels");
+
+    values.forEach((value) => {
+        const column = histogram.appendChild(document.createElement("div"));
+        column.classList.add("column");
+        column.setAttribute("title", `${value}: ${statistics.counts[value]} thrown, ${format(statistics.throws * statistics.expected[value], 1)} expected`);
+
+        const bar = column.appendChild(document.createElement("div"));
+        bar.classList.add("bar");
+        bar.setAttribute("part", "bar");
+        bar.style.height = `${(100 * frequency(value) / highest).toFixed(2)}%`;
+
+        const expected = column.appendChild(document.createElement("div"));
+        expected.classList.add("expected");
+        expected.setAttribute("part", "expected");
+        expected.style.bottom = `${(100 * statistics.expected[value] / highest).toFixed(2)}%`;
+
+        labels.appendChild(document.createElement("span")).textContent = value;
+    });
+
+    const list = section.appendChild(document.createElement("dl"));
+    const describe = (term, description) => {
+        list.appendChild(document.createElement("dt")).textContent = term;
+        list.appendChild(document.createElement("dd")).textContent = description;
+    };
+    describe("Mean", `${format(statistics.mean)} (fair: ${format(statistics.expectedMean)})`);
+    describe("Variance", `${format(statistics.variance)} (fair: ${format(statistics.expectedVariance)})`);
+    if (null !== statistics.chiSquare) {
+        const {statistic, degreesOfFreedom, pValue} = statistics.chiSquare;
+        describe("χ²", `${format(statistic)}, df ${degreesOfFreedom}, p = ${format(pValue, 3)}`);
+    }
+
+    return section;
+};
+
+const render = (element) => {
+    const container = _container.get(element);
+    container.textContent = "";
+    element.faces.forEach(statistics => container.appendChild(renderHistogram(statistics)));
+    element.sums
+        .filter(statistics => statistics.label.includes(" ") || !statistics.label.startsWith("1d"))
+        .forEach(statistics => container.appendChild(renderHistogram(statistics)));
+};
+
+// Dice thrown in the same task form a single throw.
+const countThrownDie = (element, die) => {
+    const sides = die.sides;
+    const pips = die.pips;
+    if (!Number.isInteger(pips) || 1 > pips || sides < pips) {
+        // Only count dice showing one of their faces' pips.
+        return;
+    }
+
+    const faceCounts = _faceCounts.get(element);
+    if (!faceCounts.has(sides)) {
+        faceCounts.set(sides, new Map());
+    }
+    increment(faceCounts.get(sides), pips);
+
+    if (!_pendingThrow.has(element)) {
+        _pendingThrow.set(element, []);
+        Promise.resolve().then(() => {
+            const dice = _pendingThrow.get(element);
+            _pendingThrow.delete(element);
+
+            const label = labelOf(dice.map(({sides: faces}) => faces));
+            const sumCounts = _sumCounts.get(element);
+            if (!sumCounts.has(label)) {
+                sumCounts.set(label, {sides: dice.map(({sides: faces}) => faces), counts: new Map()});
+            }
+            increment(sumCounts.get(label).counts, dice.reduce((sum, thrown) => sum + thrown.pips, 0));
+            render(element);
+        });
+    }
+    _pendingThrow.get(element).push({sides, pips});
+};
+
+const attach = (element, board) => {
+    // Dice do not bubble "top:throw-die": listen while it is captured.
+    const listener = event => countThrownDie(element, event.detail.die);
+    board.addEventListener("top:throw-die", listener, true);
+    _listener.set(element, listener);
+    _board.set(element, board);
+};
+
+const detach = (element) => {
+    const board = _board.get(element);
+    if (null !== board) {
+        board.removeEventListener("top:throw-die", _listener.get(element), true);
+    }
+    _board.set(element, null);
+};
+
+/**
+ * TopDiceStatistics is the "top-dice-statistics" custom element keeping
+ * live statistics of the dice thrown on a {@link TopDiceBoard}. For each
+ * kind of die, and for the sum of the dice thrown together, it draws a
+ * histogram of the thrown values against the distribution of fair dice,
+ * and reports the mean, the variance, and the chi-square goodness of fit
+ * against fair dice.
+ *
+ * Attach the statistics to a board by setting its "board" attribute to
+ * the id of the board, or by setting its {@link board} property.
+ *
+ * @extends HTMLElement
+ */
+const TopDiceStatistics = class extends HTMLElement {
+
+    /**
+     * Create a new TopDiceStatistics.
+     */
+    constructor() {
+        super();
+        _board.set(this, null);
+        _faceCounts.set(this, new Map());
+        _sumCounts.set(this, new Map());
+
+        const shadow = this.attachShadow({mode: "closed"});
+        const style = shadow.appendChild(document.createElement("style"));
+        style.textContent = STYLE;
+
+        const container = shadow.appendChild(document.createElement("div"));
+        container.setAttribute("aria-live", "polite");
+        _container.set(this, container);
+    }
+
+    static get observedAttributes() {
+        return [BOARD_ATTRIBUTE];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (BOARD_ATTRIBUTE === name && this.isConnected) {
+            this.board = document.getElementById(newValue);
+        }
+    }
+
+    connectedCallback() {
+        if (null === this.board && this.hasAttribute(BOARD_ATTRIBUTE)) {
+            this.board = document.getElementById(this.getAttribute(BOARD_ATTRIBUTE));
+        }
+        render(this);
+    }
+
+    disconnectedCallback() {
+    }
+
+    /**
+     * The board whose throws are counted, if any. Null otherwise.
+     *
+     * @throws {ConfigurationError} The board should be a TopDiceBoard.
+     * @type {TopDiceBoard|null}
+     */
+    get board() {
+        return _board.get(this);
+    }
+    set board(board) {
+        if (null !== board && !(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`Dice statistics count the throws on a TopDiceBoard, got '${board}' instead.`);
+        }
+
+        if (board !== this.board) {
+            detach(this);
+            if (null !== board) {
+                attach(this, board);
+            }
+        }
+    }
+
+    /**
+     * @typedef {Object} Statistics
+     *
+     * @property {String} label - What was thrown, like "d6" or "2d6".
+     * @property {Object<Number, Number>} counts - The number of times each
+     * value was thrown.
+     * @property {Object<Number, Number>} expected - The probability of each
+     * value with fair dice.
+     * @property {Number} throws - The number of throws.
+     * @property {Number} mean - The mean of the thrown values.
+     * @property {Number} variance - The sample variance of the thrown values.
+     * @property {Number} expectedMean - The mean of fair dice.
+     * @property {Number} expectedVariance - The variance of fair dice.
+     * @property {ChiSquareTest|null} chiSquare - The goodness of fit against
+     * fair dice, null if nothing was thrown.
+     */
+
+    /**
+     * The statistics of the faces thrown per kind of die, fewest sides
+     * first.
+     *
+     * @type {Statistics[]}
+     */
+    get faces() {
+        return [..._faceCounts.get(this)]
+            .sort(([a], [b]) => a - b)
+            .map(([sides, counts]) => statisticsOf(`d${sides}`, counts, faceDistribution(sides), [sides]));
+    }
+
+    /**
+     * The statistics of the sum of the dice thrown together, per set of
+     * dice thrown.
+     *
+     * @type {Statistics[]}
+     */
+    get sums() {
+        return [..._sumCounts.get(this)]
+            .map(([label, {sides, counts}]) => statisticsOf(label, counts, sumDistribution(sides), sides));
+    }
+
+    /**
+     * Forget all throws counted so far.
+     */
+    reset() {
+        _faceCounts.set(this, new Map());
+        _sumCounts.set(this, new Map());
+        render(this);
+    }
+
+    /**
+     * The statistics as a plain object, to export as JSON.
+     *
+     * @return {Object} The statistics of the faces and the sums.
+     */
+    toJSON() {
+        return {
+            faces: this.faces,
+            sums: this.sums
+        };
+    }
+};
+
+window.customElements.define(TAG_NAME, TopDiceStatistics);
+
+export {
+    TopDiceStatistics,
+    TAG_NAME
+};
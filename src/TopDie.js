@@ -18,52 +18,157 @@
  * @ignore
  */
 
-//import {ConfigurationError} from "./error/ConfigurationError.js";
+import {SUPPORTED_SIDES} from "./die/sides.js";
+import {ConfigurationError} from "./error/ConfigurationError.js";
 import {ReadOnlyAttributes} from "./mixin/ReadOnlyAttributes.js";
+import {DEFAULT_RANDOM} from "./random/random.js";
+import {
+    BASE_DIE_SIZE,
+    BASE_ROUNDED_CORNER_RADIUS,
+    CIRCLE_DEGREES,
+    HALF,
+    HOLD_OPACITY,
+    MIN_STROKE_WIDTH,
+    NUMBER_COLOR,
+    NUMBER_FONT,
+    PIP_COLOR,
+    PIP_POSITIONS,
+    PIP_SIZE,
+    POLYHEDRAL_SHAPES,
+    deg2rad,
+    strokeWidth
+} from "./renderer/geometry.js";
 import {validate} from "./validate/validate.js";
 import {TopPlayer} from "./TopPlayer.js";
 
 const TAG_NAME = "top-die";
 
-const CIRCLE_DEGREES = 360; // degrees
 const NUMBER_OF_PIPS = 6; // Default / regular six sided die has 6 pips maximum.
+const DEFAULT_SIDES = NUMBER_OF_PIPS;
 const DEFAULT_COLOR = "Ivory";
 const DEFAULT_X = 0; // px
 const DEFAULT_Y = 0; // px
 const DEFAULT_ROTATION = 0; // degrees
-const DEFAULT_OPACITY = 0.5;
 
 const COLOR_ATTRIBUTE = "color";
 const HELD_BY_ATTRIBUTE = "held-by";
+const FACE_ATTRIBUTE = "face";
 const PIPS_ATTRIBUTE = "pips";
 const ROTATION_ATTRIBUTE = "rotation";
+const SIDES_ATTRIBUTE = "sides";
 const X_ATTRIBUTE = "x";
 const Y_ATTRIBUTE = "y";
 
-const BASE_DIE_SIZE = 100; // px
-const BASE_ROUNDED_CORNER_RADIUS = 15; // px
-const BASE_STROKE_WIDTH = 2.5; // px
-const MIN_STROKE_WIDTH = 1; // px
-const HALF = BASE_DIE_SIZE / 2; // px
-const THIRD = BASE_DIE_SIZE / 3; // px
-const PIP_SIZE = BASE_DIE_SIZE / 15; //px
-const PIP_COLOR = "black";
-
-const deg2rad = (deg) => {
-    return deg * (Math.PI / 180);
-};
-
 const isPipNumber = n => {
     const number = parseInt(n, 10);
     return Number.isInteger(number) && 1 <= number && number <= NUMBER_OF_PIPS;
 };
 
 /**
- * Generate a random number of pips between 1 and the NUMBER_OF_PIPS.
+ * Is n a supported number of sides of a die?
+ *
+ * @param {Number} n - The number of sides to check.
+ * @returns {Boolean} True if n is one of the standard polyhedral dice: 4, 6,
+ * 8, 10, 12, or 20.
+ */
+const isSupportedSides = n => SUPPORTED_SIDES.includes(n);
+
+/**
+ * Generate a random number of pips between 1 and sides.
+ *
+ * @param {Number} [sides = NUMBER_OF_PIPS] - The number of sides of the die.
+ * @param {RandomGenerator} [random = DEFAULT_RANDOM] - The random number
+ * generator to use.
+ * @returns {Number} A random number n, 1 ≤ n ≤ sides.
+ */
+const randomPips = (sides = NUMBER_OF_PIPS, random = DEFAULT_RANDOM) => Math.floor(random.random() * sides) + 1;
+
+/**
+ * @typedef {Object} FaceDefinition
+ *
+ * @property {String} [label] - The label of the face. Defaults to the
+ * face's value.
+ * @property {Number} [value] - The scoring value of the face. Defaults to
+ * the face's position in the list of faces, starting at 1.
+ * @property {Function} [render] - A callback render(context, x, y, size)
+ * drawing this face onto the die's body with its top-left corner at (x, y).
+ * @property {CanvasImageSource|String} [image] - An image, or the URL of
+ * an image, to draw onto the die's body.
+ */
+
+/**
+ * Load the image at a URL.
+ *
+ * @param {String} url - The URL of the image.
+ * @returns {HTMLImageElement} The image.
+ */
+const loadImage = (url) => {
+    const image = new Image();
+    image.src = url;
+    return image;
+};
+
+/**
+ * The URL of an image, to save it.
+ *
+ * @param {CanvasImageSource|null} image - The image.
+ * @returns {String|null} The URL of the image, if any. Null otherwise.
+ */
+const imageSource = (image) => {
+    if (null === image) {
+        return null;
+    }
+    if (image.currentSrc || image.src) {
+        return image.currentSrc || image.src;
+    }
+    return "function" === typeof image.toDataURL ? image.toDataURL() : null;
+};
+
+// An image can be drawn once it has loaded; other image sources can be
+// drawn right away.
+const isDrawable = (image) => !(image instanceof HTMLImageElement) || (image.complete && 0 < image.naturalWidth);
+
+/**
+ * Create a face from a face definition. A string is short for a face with
+ * that label.
+ *
+ * @param {FaceDefinition|String} definition - The definition of the face.
+ * @param {Number} index - The position of the face in the list of faces.
+ * @returns {FaceDefinition} The face, frozen.
+ * @throws {ConfigurationError} The value of a face should be a number.
+ */
+const createFace = (definition, index) => {
+    const {label, value, render, image} = "string" === typeof definition ? {label: definition} : definition;
+
+    if (undefined !== value && !Number.isFinite(value)) {
+        throw new ConfigurationError(`The value of a face should be a number, got '${value}' instead.`);
+    }
+
+    const faceValue = undefined === value ? index + 1 : value;
+
+    return Object.freeze({
+        label: undefined === label ? `${faceValue}` : `${label}`,
+        value: faceValue,
+        render: "function" === typeof render ? render : null,
+        image: "string" === typeof image ? loadImage(image) : image || null
+    });
+};
+
+/**
+ * Create the list of faces of a die from a list of face definitions.
  *
- * @returns {Number} A random number n, 1 ≤ n ≤ NUMBER_OF_PIPS.
+ * @param {Array<FaceDefinition|String>} definitions - The definitions of the
+ * faces, in order.
+ * @returns {FaceDefinition[]} The list of faces, frozen.
+ * @throws {ConfigurationError} A die should have at least two faces.
  */
-const randomPips = () => Math.floor(Math.random() * NUMBER_OF_PIPS) + 1;
+const createFaces = (definitions) => {
+    if (!Array.isArray(definitions) || 2 > definitions.length) {
+        throw new ConfigurationError("A die should have a list of at least two faces.");
+    }
+
+    return Object.freeze(definitions.map(createFace));
+};
 
 const DIE_UNICODE_CHARACTERS = ["⚀","⚁","⚂","⚃","⚄","⚅"];
 
@@ -94,7 +199,7 @@ const pipsToUnicode = p => isPipNumber(p) ? DIE_UNICODE_CHARACTERS[p - 1] : unde
 const renderHold = (context, x, y, width, color) => {
     const SEPERATOR = width / 30;
     context.save();
-    context.globalAlpha = DEFAULT_OPACITY;
+    context.globalAlpha = HOLD_OPACITY;
     context.beginPath();
     context.fillStyle = color;
     context.arc(x + width, y + width, width - SEPERATOR, 0, 2 * Math.PI, false);
@@ -108,7 +213,7 @@ const renderDie = (context, x, y, width, color) => {
     const INNER_SIZE = 2 * HALF_INNER_SIZE;
     const ROUNDED_CORNER_RADIUS = BASE_ROUNDED_CORNER_RADIUS * SCALE;
     const INNER_SIZE_ROUNDED = INNER_SIZE - 2 * ROUNDED_CORNER_RADIUS;
-    const STROKE_WIDTH = Math.max(MIN_STROKE_WIDTH, BASE_STROKE_WIDTH * SCALE);
+    const STROKE_WIDTH = strokeWidth(width);
 
     const startX = x + width - HALF_INNER_SIZE + ROUNDED_CORNER_RADIUS;
     const startY = y + width - HALF_INNER_SIZE;
@@ -133,6 +238,53 @@ const renderDie = (context, x, y, width, color) => {
     context.restore();
 };
 
+const scaleVertex = (cx, cy, radius) => ([vx, vy]) => [cx + vx * radius, cy + vy * radius];
+
+const renderPolyhedralDie = (context, x, y, width, color, sides) => {
+    const STROKE_WIDTH = strokeWidth(width);
+    const toCanvas = scaleVertex(x + width, y + width, width - STROKE_WIDTH);
+    const {outline, facets} = POLYHEDRAL_SHAPES[sides];
+
+    context.save();
+    context.fillStyle = color;
+    context.strokeStyle = "black";
+    context.lineWidth = STROKE_WIDTH;
+    context.lineJoin = "round";
+
+    context.beginPath();
+    outline.map(toCanvas).forEach(([vx, vy], i) => 0 === i ? context.moveTo(vx, vy) : context.lineTo(vx, vy));
+    context.closePath();
+    context.fill();
+    context.stroke();
+
+    context.lineWidth = STROKE_WIDTH / 2;
+    for (const facet of facets) {
+        const [[fromX, fromY], [toX, toY]] = facet.map(toCanvas);
+        context.beginPath();
+        context.moveTo(fromX, fromY);
+        context.lineTo(toX, toY);
+        context.stroke();
+    }
+    context.restore();
+};
+
+const renderLabel = (context, x, y, width, label, textSize) => {
+    const fontSize = Math.round(width * textSize);
+    context.save();
+    context.fillStyle = NUMBER_COLOR;
+    context.font = `bold ${fontSize}px ${NUMBER_FONT}`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillText(`${label}`, x, y, 1.2 * width);
+
+    if ("6" === `${label}` || "9" === `${label}`) {
+        // Underline 6 and 9 to tell them apart.
+        const lineWidth = fontSize / 2;
+        context.fillRect(x - lineWidth / 2, y + fontSize / 2, lineWidth, Math.max(MIN_STROKE_WIDTH, fontSize / 12));
+    }
+    context.restore();
+};
+
 const renderPip = (context, x, y, width) => {
     context.save();
     context.beginPath();
@@ -144,15 +296,59 @@ const renderPip = (context, x, y, width) => {
 };
 
 
+const renderCustomFace = (context, x, y, width, face) => {
+    const HALF_INNER_SIZE = Math.sqrt(width ** 2 / 2);
+    const innerX = x + width - HALF_INNER_SIZE;
+    const innerY = y + width - HALF_INNER_SIZE;
+    const innerSize = 2 * HALF_INNER_SIZE;
+
+    if (null !== face.render) {
+        context.save();
+        face.render(context, innerX, innerY, innerSize);
+        context.restore();
+    } else if (null !== face.image && isDrawable(face.image)) {
+        const margin = innerSize / 10;
+        context.drawImage(face.image, innerX + margin, innerY + margin, innerSize - 2 * margin, innerSize - 2 * margin);
+    } else {
+        renderLabel(context, x + width, y + width, HALF_INNER_SIZE, face.label, 0.8);
+    }
+};
+
+const renderPips = (context, x, y, scale, pips) => {
+    const SIZE = BASE_DIE_SIZE * scale;
+    const SPIP_SIZE = PIP_SIZE * scale;
+
+    for (const [px, py] of PIP_POSITIONS[pips] || []) {
+        renderPip(context, x + px * SIZE, y + py * SIZE, SPIP_SIZE);
+    }
+};
+
 // Private properties
 const _board = new WeakMap();
 const _color = new WeakMap();
+const _face = new WeakMap();
+const _faces = new WeakMap();
 const _heldBy = new WeakMap();
-const _pips = new WeakMap();
 const _rotation = new WeakMap();
+const _sides = new WeakMap();
 const _x = new WeakMap();
 const _y = new WeakMap();
 
+/**
+ * Turn face n of die up.
+ *
+ * @param {TopDie} die - The die to turn.
+ * @param {Number} n - The number of the face to turn up, 1 ≤ n ≤ sides.
+ * @private
+ */
+const setFace = (die, n) => {
+    _face.set(die, n);
+    die.setAttribute(PIPS_ATTRIBUTE, die.pips);
+    if (die.hasCustomFaces()) {
+        die.setAttribute(FACE_ATTRIBUTE, n);
+    }
+};
+
 /**
  * TopDie is the "top-die" custom [HTML
  * element](https://developer.mozilla.org/en-US/docs/Web/API/HTMLElement) representing a die
@@ -167,26 +363,58 @@ const TopDie = class extends ReadOnlyAttributes(HTMLElement) {
      * Create a new TopDie.
      *
      * @param {Object} [config = {}] - The initial configuration of the die.
+     * @param {Number} [config.sides = 6] - The number of sides of the die:
+     * 4, 6, 8, 10, 12, or 20.
+     * @param {Array<FaceDefinition|String>} [config.faces] - A list of
+     * custom faces for this die instead of pips. The number of sides of this
+     * die is the number of faces.
      * @param {Number|null} [config.pips] - The pips of the die to add.
-     * If no pips are specified or the pips are not between 1 and 6, a random
-     * number between 1 and 6 is generated instead.
+     * If no pips are specified or the pips are not between 1 and the number
+     * of sides, a random number between 1 and the number of sides is
+     * generated instead. Ignored for dice with custom faces.
+     * @param {Number|null} [config.face] - The face facing up, 1 ≤ face ≤
+     * number of faces, of a die with custom faces. If no face is specified,
+     * a random face is picked instead.
      * @param {String} [config.color] - The color of the die to add. Default
      * to the default color.
      * @param {Number} [config.x] - The x coordinate of the die.
      * @param {Number} [config.y] - The y coordinate of the die.
      * @param {Number} [config.rotation] - The rotation of the die.
      * @param {TopPlayer} [config.heldBy] - The player holding the die.
+     * @param {RandomGenerator} [config.random = DEFAULT_RANDOM] - The random
+     * number generator to pick random pips or a random face with.
+     *
+     * @throws {ConfigurationError} The number of sides should be one of the
+     * supported polyhedral dice, or the list of faces should be valid.
      */
-    constructor({pips, color, rotation, x, y, heldBy} = {}) {
+    constructor({sides, faces, pips, face, color, rotation, x, y, heldBy, random = DEFAULT_RANDOM} = {}) {
         super();
 
-        const pipsValue = validate.integer(pips || this.getAttribute(PIPS_ATTRIBUTE))
-            .between(1, 6)
-            .defaultTo(randomPips())
-            .value;
+        if (undefined !== faces && null !== faces) {
+            const customFaces = createFaces(faces);
+            _faces.set(this, customFaces);
+            _sides.set(this, customFaces.length);
+        } else {
+            const sidesValue = validate.integer(sides || this.getAttribute(SIDES_ATTRIBUTE))
+                .defaultTo(DEFAULT_SIDES)
+                .value;
+
+            if (!isSupportedSides(sidesValue)) {
+                throw new ConfigurationError(`A die should have ${SUPPORTED_SIDES.join(", ")} sides, got '${sidesValue}' instead.`);
+            }
+
+            _faces.set(this, null);
+            _sides.set(this, sidesValue);
+        }
 
-        _pips.set(this, pipsValue);
-        this.setAttribute(PIPS_ATTRIBUTE, pipsValue);
+        this.setAttribute(SIDES_ATTRIBUTE, this.sides);
+
+        const faceValue = validate.integer(this.hasCustomFaces() ? face || this.getAttribute(FACE_ATTRIBUTE) : pips || this.getAttribute(PIPS_ATTRIBUTE))
+            .between(1, this.sides);
+
+        // Only draw random pips when needed, so restoring dice does not
+        // advance the random number generator.
+        setFace(this, faceValue.isValid ? faceValue.value : randomPips(this.sides, random));
 
         this.color = validate.color(color || this.getAttribute(COLOR_ATTRIBUTE))
             .defaultTo(DEFAULT_COLOR)
@@ -215,8 +443,10 @@ const TopDie = class extends ReadOnlyAttributes(HTMLElement) {
         return [
             COLOR_ATTRIBUTE,
             HELD_BY_ATTRIBUTE,
+            FACE_ATTRIBUTE,
             PIPS_ATTRIBUTE,
             ROTATION_ATTRIBUTE,
+            SIDES_ATTRIBUTE,
             X_ATTRIBUTE,
             Y_ATTRIBUTE
         ];
@@ -234,12 +464,62 @@ const TopDie = class extends ReadOnlyAttributes(HTMLElement) {
 
     /**
      * Convert this Die to the corresponding unicode character of a die face.
+     * As unicode only has characters for six sided dice, other dice are
+     * represented by their number of pips and dice with custom faces by the
+     * label of the face facing up.
      *
      * @return {String} The unicode character corresponding to the number of
      * pips of this Die.
      */
     toUnicode() {
-        return pipsToUnicode(this.pips);
+        if (this.hasCustomFaces()) {
+            return this.face.label;
+        }
+        return NUMBER_OF_PIPS === this.sides ? pipsToUnicode(this.pips) : `${this.pips}`;
+    }
+
+    /**
+     * @typedef {Object} DieState
+     *
+     * @property {Number} sides - The number of sides of the die.
+     * @property {Number} [pips] - The pips of a regular die.
+     * @property {Array<{label: String, value: Number, image: String|null}>} [faces]
+     * - The custom faces of the die. Images are saved by their URL; render
+     * callbacks are not included.
+     * @property {Number} [face] - The face facing up of a die with custom
+     * faces.
+     * @property {String} color - The color of the die.
+     * @property {Number} x - The x coordinate of the die.
+     * @property {Number} y - The y coordinate of the die.
+     * @property {Number|null} rotation - The rotation of the die.
+     * @property {String|null} heldBy - The name of the player holding the
+     * die, if any.
+     */
+
+    /**
+     * Convert this Die to a plain object that can be serialized to JSON.
+     * Passing that object as configuration to the TopDie constructor,
+     * with heldBy resolved to the player, creates the same die again.
+     *
+     * @return {DieState} The state of this Die.
+     */
+    toJSON() {
+        const state = {sides: this.sides};
+
+        if (this.hasCustomFaces()) {
+            state.faces = this.faces.map(({label, value, image}) => ({label, value, image: imageSource(image)}));
+            state.face = _face.get(this);
+        } else {
+            state.pips = this.pips;
+        }
+
+        return Object.assign(state, {
+            color: this.color,
+            x: this.x,
+            y: this.y,
+            rotation: this.rotation,
+            heldBy: this.isHeld() ? this.heldBy.name : null
+        });
     }
 
     /**
@@ -253,12 +533,59 @@ const TopDie = class extends ReadOnlyAttributes(HTMLElement) {
     }
 
     /**
-     * This Die's number of pips, 1 ≤ pips ≤ 6.
+     * This Die's number of pips, 1 ≤ pips ≤ sides. For a die with custom
+     * faces, this is the scoring value of the face facing up.
      *
      * @type {Number}
      */
     get pips() {
-        return _pips.get(this);
+        return this.hasCustomFaces() ? this.face.value : _face.get(this);
+    }
+
+    /**
+     * This Die's scoring value. Same as {@link pips}.
+     *
+     * @type {Number}
+     */
+    get value() {
+        return this.pips;
+    }
+
+    /**
+     * The face of this Die facing up.
+     *
+     * @type {FaceDefinition}
+     */
+    get face() {
+        return this.faces[_face.get(this) - 1];
+    }
+
+    /**
+     * The faces of this Die, in order. For a regular die these are the faces
+     * with values 1 to the number of sides.
+     *
+     * @type {FaceDefinition[]}
+     */
+    get faces() {
+        return this.hasCustomFaces() ? _faces.get(this) : createFaces(Array.from({length: this.sides}, () => ({})));
+    }
+
+    /**
+     * Does this Die have custom faces instead of pips?
+     *
+     * @return {Boolean} True when this Die has custom faces.
+     */
+    hasCustomFaces() {
+        return null !== _faces.get(this);
+    }
+
+    /**
+     * This Die's number of sides: 4, 6, 8, 10, 12, or 20.
+     *
+     * @type {Number}
+     */
+    get sides() {
+        return _sides.get(this);
     }
 
     /**
@@ -368,15 +695,27 @@ const TopDie = class extends ReadOnlyAttributes(HTMLElement) {
     }
 
     /**
-     * Throw this Die. The number of pips to a random number n, 1 ≤ n ≤ 6.
-     * Only dice that are not being held can be thrown.
+     * Throw this Die. The number of pips to a random number n, 1 ≤ n ≤
+     * sides. For a die with custom faces, a random face is picked instead.
+     * Only dice that are not being held can be thrown. A listener can
+     * refuse the throw by canceling the "top:will-throw-die" event.
      *
+     * @param {RandomGenerator} [random = DEFAULT_RANDOM] - The random
+     * number generator to throw this Die with.
+     * @fires "top:will-throw-die" with parameters this Die, before the
+     * throw. The event is cancelable.
      * @fires "top:throw-die" with parameters this Die.
      */
-    throwIt() {
-        if (!this.isHeld()) {
-            _pips.set(this, randomPips());
-            this.setAttribute(PIPS_ATTRIBUTE, this.pips);
+    throwIt(random = DEFAULT_RANDOM) {
+        const allowed = () => this.dispatchEvent(new CustomEvent("top:will-throw-die", {
+            cancelable: true,
+            detail: {
+                die: this
+            }
+        }));
+
+        if (!this.isHeld() && allowed()) {
+            setFace(this, randomPips(this.sides, random));
             this.dispatchEvent(new CustomEvent("top:throw-die", {
                 detail: {
                     die: this
@@ -442,72 +781,54 @@ const TopDie = class extends ReadOnlyAttributes(HTMLElement) {
      * @param {Number} [coordinates = this.coordinates] - The coordinates to
      * draw this die. By default, this die is drawn at its own coordinates,
      * but you can also draw it elsewhere if so needed.
+     * @param {Object} [appearance = {}] - Draw this die differently than it
+     * is, for example while it is rolling.
+     * @param {Number} [appearance.rotation = this.rotation] - The rotation
+     * to draw this die with.
+     * @param {Number} [appearance.face] - The number of the face to draw
+     * facing up, 1 ≤ face ≤ sides. Defaults to the face facing up.
+     * @param {Boolean} [appearance.hidden = false] - Draw this die face
+     * down, without showing its face.
      */
-    render(context, dieSize, coordinates = this.coordinates) {
+    render(context, dieSize, coordinates = this.coordinates, {rotation = this.rotation, face = _face.get(this), hidden = false} = {}) {
         const scale = dieSize / BASE_DIE_SIZE;
         const SHALF = HALF * scale;
-        const STHIRD = THIRD * scale;
-        const SPIP_SIZE = PIP_SIZE * scale;
 
         const {x, y} = coordinates;
+        const pips = this.hasCustomFaces() ? this.faces[face - 1].value : face;
 
         if (this.isHeld()) {
             renderHold(context, x, y, SHALF, this.heldBy.color);
         }
 
-        if (0 !== this.rotation) {
+        // Keep the context's transformation, such as the scaling of a
+        // HiDPI canvas, intact.
+        context.save();
+
+        if (0 !== rotation) {
             context.translate(x + SHALF, y + SHALF);
-            context.rotate(deg2rad(this.rotation));
+            context.rotate(deg2rad(rotation));
             context.translate(-1 * (x + SHALF), -1 * (y + SHALF));
         }
 
-        renderDie(context, x, y, SHALF, this.color);
-
-        switch (this.pips) {
-        case 1: {
-            renderPip(context, x + SHALF, y + SHALF, SPIP_SIZE);
-            break;
-        }
-        case 2: {
-            renderPip(context, x + STHIRD, y + STHIRD, SPIP_SIZE);
-            renderPip(context, x + 2 * STHIRD, y + 2 * STHIRD, SPIP_SIZE);
-            break;
-        }
-        case 3: {
-            renderPip(context, x + STHIRD, y + STHIRD, SPIP_SIZE);
-            renderPip(context, x + SHALF, y + SHALF, SPIP_SIZE);
-            renderPip(context, x + 2 * STHIRD, y + 2 * STHIRD, SPIP_SIZE);
-            break;
-        }
-        case 4: {
-            renderPip(context, x + STHIRD, y + STHIRD, SPIP_SIZE);
-            renderPip(context, x + STHIRD, y + 2 * STHIRD, SPIP_SIZE);
-            renderPip(context, x + 2 * STHIRD, y + 2 * STHIRD, SPIP_SIZE);
-            renderPip(context, x + 2 * STHIRD, y + STHIRD, SPIP_SIZE);
-            break;
-        }
-        case 5: {
-            renderPip(context, x + STHIRD, y + STHIRD, SPIP_SIZE);
-            renderPip(context, x + STHIRD, y + 2 * STHIRD, SPIP_SIZE);
-            renderPip(context, x + SHALF, y + SHALF, SPIP_SIZE);
-            renderPip(context, x + 2 * STHIRD, y + 2 * STHIRD, SPIP_SIZE);
-            renderPip(context, x + 2 * STHIRD, y + STHIRD, SPIP_SIZE);
-            break;
-        }
-        case 6: {
-            renderPip(context, x + STHIRD, y + STHIRD, SPIP_SIZE);
-            renderPip(context, x + STHIRD, y + 2 * STHIRD, SPIP_SIZE);
-            renderPip(context, x + STHIRD, y + SHALF, SPIP_SIZE);
-            renderPip(context, x + 2 * STHIRD, y + 2 * STHIRD, SPIP_SIZE);
-            renderPip(context, x + 2 * STHIRD, y + STHIRD, SPIP_SIZE);
-            renderPip(context, x + 2 * STHIRD, y + SHALF, SPIP_SIZE);
-            break;
-        }
-        default: // No other values allowed / possible
+        if (hidden) {
+            if (this.hasCustomFaces() || NUMBER_OF_PIPS === this.sides) {
+                renderDie(context, x, y, SHALF, this.color);
+            } else {
+                renderPolyhedralDie(context, x, y, SHALF, this.color, this.sides);
+            }
+        } else if (this.hasCustomFaces()) {
+            renderDie(context, x, y, SHALF, this.color);
+            renderCustomFace(context, x, y, SHALF, this.faces[face - 1]);
+        } else if (NUMBER_OF_PIPS === this.sides) {
+            renderDie(context, x, y, SHALF, this.color);
+            renderPips(context, x, y, scale, pips);
+        } else {
+            renderPolyhedralDie(context, x, y, SHALF, this.color, this.sides);
+            renderLabel(context, x + SHALF, y + SHALF, SHALF, pips, POLYHEDRAL_SHAPES[this.sides].textSize);
         }
 
-        // Clear context
-        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.restore();
     }
 };
 
@@ -515,6 +836,7 @@ window.customElements.define(TAG_NAME, TopDie);
 
 export {
     TopDie,
+    SUPPORTED_SIDES,
     unicodeToPips,
     pipsToUnicode,
     TAG_NAME
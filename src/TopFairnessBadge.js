@@ -0,0 +1,181 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {verifyFairThrow} from "./authority/fairness.js";
+
+const TAG_NAME = "top-fairness-badge";
+
+const STATUS_ATTRIBUTE = "status";
+
+const NONE = "none";
+const UNVERIFIED = "unverified";
+const VERIFYING = "verifying";
+const FAIR = "fair";
+const UNFAIR = "unfair";
+
+const LABELS = {
+    [NONE]: "No proof",
+    [UNVERIFIED]: "Verify",
+    [VERIFYING]: "Verifying…",
+    [FAIR]: "✓ Fair",
+    [UNFAIR]: "✗ Not fair"
+};
+
+const STYLE = `
+:host {
+    display: inline-block;
+    font-family: sans-serif;
+    font-size: smaller;
+}
+
+button {
+    border: 1px solid dimgray;
+    border-radius: 1em;
+    padding: 0 1ex;
+    background: white;
+    font: inherit;
+    cursor: pointer;
+}
+
+:host([status="fair"]) button {
+    border-color: green;
+    color: green;
+}
+
+:host([status="unfair"]) button {
+    border-color: firebrick;
+    color: firebrick;
+}
+`;
+
+// Private properties
+const _button = new WeakMap();
+const _proof = new WeakMap();
+const _status = new WeakMap();
+
+const setStatus = (badge, status) => {
+    _status.set(badge, status);
+    badge.setAttribute(STATUS_ATTRIBUTE, status);
+
+    const button = _button.get(badge);
+    button.textContent = LABELS[status];
+    button.disabled = NONE === status || VERIFYING === status;
+
+    const proof = _proof.get(badge);
+    button.title = null === proof ? "" : `Commitment: ${proof.commitment}\nServer seed: ${proof.serverSeed}`;
+};
+
+/**
+ * TopFairnessBadge is the "top-fairness-badge" custom element to re-check
+ * a provably fair throw, like the proof of a throw in a {@link
+ * TopGameLog}. Clicking the badge verifies the proof with {@link
+ * module:authority/fairness.verifyFairThrow} and shows the outcome.
+ *
+ * The status of the badge is reflected in its "status" attribute: "none",
+ * "unverified", "verifying", "fair", or "unfair".
+ *
+ * @extends HTMLElement
+ */
+const TopFairnessBadge = class extends HTMLElement {
+
+    /**
+     * Create a new TopFairnessBadge.
+     *
+     * @param {FairThrow|null} [proof = null] - The proof of the throw to
+     * verify.
+     */
+    constructor(proof = null) {
+        super();
+        _proof.set(this, null);
+
+        const shadow = this.attachShadow({mode: "closed"});
+        const style = shadow.appendChild(document.createElement("style"));
+        style.textContent = STYLE;
+
+        const button = shadow.appendChild(document.createElement("button"));
+        button.type = "button";
+        button.addEventListener("click", () => this.verify());
+        _button.set(this, button);
+
+        this.proof = proof;
+    }
+
+    /**
+     * The proof of the throw to verify, if any. Null otherwise. Setting
+     * the proof resets the status of this badge.
+     *
+     * @type {FairThrow|null}
+     */
+    get proof() {
+        return _proof.get(this);
+    }
+    set proof(proof) {
+        _proof.set(this, proof);
+        setStatus(this, null === proof ? NONE : UNVERIFIED);
+    }
+
+    /**
+     * The status of this badge: "none", "unverified", "verifying",
+     * "fair", or "unfair".
+     *
+     * @type {String}
+     */
+    get status() {
+        return _status.get(this);
+    }
+
+    /**
+     * Verify the proof of the throw and show the outcome.
+     *
+     * @return {Promise<Boolean>} A promise resolving to true if the throw
+     * is fair, false otherwise or without a proof.
+     *
+     * @fires "top:fairness-verified" with the proof and whether the throw
+     * is fair.
+     */
+    verify() {
+        const proof = this.proof;
+        if (null === proof) {
+            return Promise.resolve(false);
+        }
+
+        setStatus(this, VERIFYING);
+        return verifyFairThrow(proof).then((fair) => {
+            // Ignore the outcome when the proof has been changed meanwhile.
+            if (proof === this.proof) {
+                setStatus(this, fair ? FAIR : UNFAIR);
+                this.dispatchEvent(new CustomEvent("top:fairness-verified", {
+                    bubbles: true,
+                    detail: {
+                        proof,
+                        fair
+                    }
+                }));
+            }
+            return fair;
+        });
+    }
+};
+
+window.customElements.define(TAG_NAME, TopFairnessBadge);
+
+export {
+    TopFairnessBadge,
+    TAG_NAME
+};
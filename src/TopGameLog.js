@@ -0,0 +1,293 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "./error/ConfigurationError.js";
+import {TopDiceBoard} from "./TopDiceBoard.js";
+import {TopFairnessBadge} from "./TopFairnessBadge.js";
+
+const TAG_NAME = "top-game-log";
+
+const BOARD_ATTRIBUTE = "board";
+
+const THROW = "throw";
+const HOLD = "hold";
+const RELEASE = "release";
+const START_TURN = "start-turn";
+
+const STYLE = `
+:host {
+    display: block;
+    max-height: 12em;
+    overflow-y: auto;
+    font-family: sans-serif;
+}
+
+ol {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+}
+
+li {
+    padding: 0.1em 0.5ex;
+}
+
+time {
+    color: dimgray;
+    margin-right: 1ex;
+}
+
+top-fairness-badge {
+    margin-left: 1ex;
+}
+`;
+
+/**
+ * @typedef {Object} LogEntry
+ *
+ * @property {String} type - The type of event: "throw", "hold", "release",
+ * or "start-turn".
+ * @property {Number} timestamp - The time of the event in ms since the
+ * epoch.
+ * @property {String|null} player - The name of the player, if any.
+ * @property {String[]} dice - The dice involved as unicode, see {@link
+ * TopDie#toUnicode}.
+ * @property {Number[]} values - The values of the dice involved.
+ * @property {FairThrow|null} proof - The proof of a provably fair throw,
+ * if any. Null otherwise. Verify it with {@link
+ * module:authority/fairness.verifyFairThrow}.
+ */
+
+const describe = ({type, player, dice}) => {
+    const who = null === player ? "Someone" : player;
+    const what = dice.join(" ");
+    switch (type) {
+    case THROW: return `${who} threw ${what}`;
+    case HOLD: return `${who} held ${what}`;
+    case RELEASE: return `${who} released ${what}`;
+    default: return `${who} started a turn`;
+    }
+};
+
+const playerWithTurn = (board) => board.players.find(player => player.hasTurn) || null;
+
+// Private properties
+const _list = new WeakMap();
+const _entries = new WeakMap();
+const _board = new WeakMap();
+const _listeners = new WeakMap();
+const _pendingThrow = new WeakMap();
+
+const renderEntry = (log, entry) => {
+    const item = document.createElement("li");
+    const time = item.appendChild(document.createElement("time"));
+    time.setAttribute("datetime", new Date(entry.timestamp).toISOString());
+    time.textContent = new Date(entry.timestamp).toLocaleTimeString();
+    item.appendChild(document.createTextNode(describe(entry)));
+    if (null !== entry.proof) {
+        item.appendChild(new TopFairnessBadge(entry.proof));
+    }
+
+    _list.get(log).appendChild(item);
+
+    // Keep the latest entry in view.
+    log.scrollTop = log.scrollHeight;
+};
+
+const addEntry = (log, type, player, dice, proof = null) => {
+    const entry = Object.freeze({
+        type,
+        timestamp: Date.now(),
+        player: null === player || undefined === player ? null : player.name,
+        dice: dice.map(die => die.toUnicode()),
+        values: dice.map(die => die.value),
+        proof
+    });
+
+    _entries.get(log).push(entry);
+    renderEntry(log, entry);
+
+    log.dispatchEvent(new CustomEvent("top:log-entry", {
+        detail: {
+            entry
+        }
+    }));
+};
+
+// A board throws its dice one by one in the same task, followed by the
+// proof of a fair throw, if any. Collect these into a single entry.
+const pendingThrow = (log, board) => {
+    if (!_pendingThrow.has(log)) {
+        _pendingThrow.set(log, {dice: [], proof: null});
+        Promise.resolve().then(() => {
+            const {dice, proof} = _pendingThrow.get(log);
+            _pendingThrow.delete(log);
+            addEntry(log, THROW, playerWithTurn(board), dice, proof);
+        });
+    }
+    return _pendingThrow.get(log);
+};
+
+const logThrownDie = (log, board, die) => pendingThrow(log, board).dice.push(die);
+
+const logProof = (log, board, proof) => {
+    pendingThrow(log, board).proof = proof;
+};
+
+const attach = (log, board) => {
+    const listeners = {
+        "top:throw-die": (event) => logThrownDie(log, board, event.detail.die),
+        "top:hold-die": (event) => addEntry(log, HOLD, event.detail.player, [event.detail.die]),
+        "top:release-die": (event) => addEntry(log, RELEASE, event.detail.player, [event.detail.die]),
+        "top:start-turn": (event) => addEntry(log, START_TURN, event.detail.player, []),
+        "top:fair-throw": (event) => logProof(log, board, event.detail.proof)
+    };
+
+    // These events do not bubble: listen while they are captured.
+    Object.entries(listeners).forEach(([type, listener]) => board.addEventListener(type, listener, true));
+    _listeners.set(log, listeners);
+    _board.set(log, board);
+};
+
+const detach = (log) => {
+    const board = _board.get(log);
+    if (null !== board) {
+        Object.entries(_listeners.get(log)).forEach(([type, listener]) => board.removeEventListener(type, listener, true));
+    }
+    _board.set(log, null);
+};
+
+/**
+ * TopGameLog is the "top-game-log" custom element that records what
+ * happens on a {@link TopDiceBoard}: throwing dice, holding and releasing
+ * dice, and players starting a turn. It shows a scrollable, human-readable
+ * log and exports the log as JSON or plain text. Provably fair throws are
+ * logged with their proof and a {@link TopFairnessBadge} to re-check them.
+ *
+ * Attach the log to a board by setting its "board" attribute to the id of
+ * the board, or by setting its {@link board} property.
+ *
+ * @extends HTMLElement
+ */
+const TopGameLog = class extends HTMLElement {
+
+    /**
+     * Create a new TopGameLog.
+     */
+    constructor() {
+        super();
+        _entries.set(this, []);
+        _board.set(this, null);
+
+        const shadow = this.attachShadow({mode: "closed"});
+        const style = shadow.appendChild(document.createElement("style"));
+        style.textContent = STYLE;
+
+        const list = shadow.appendChild(document.createElement("ol"));
+        list.setAttribute("role", "log");
+        list.setAttribute("aria-live", "polite");
+
+        _list.set(this, list);
+    }
+
+    static get observedAttributes() {
+        return [BOARD_ATTRIBUTE];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (BOARD_ATTRIBUTE === name && this.isConnected) {
+            this.board = document.getElementById(newValue);
+        }
+    }
+
+    connectedCallback() {
+        if (null === this.board && this.hasAttribute(BOARD_ATTRIBUTE)) {
+            this.board = document.getElementById(this.getAttribute(BOARD_ATTRIBUTE));
+        }
+    }
+
+    disconnectedCallback() {
+    }
+
+    /**
+     * The board this log records, if any. Null otherwise.
+     *
+     * @throws {ConfigurationError} The board should be a TopDiceBoard.
+     * @type {TopDiceBoard|null}
+     */
+    get board() {
+        return _board.get(this);
+    }
+    set board(board) {
+        if (null !== board && !(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`A game log records a TopDiceBoard, got '${board}' instead.`);
+        }
+
+        if (board !== this.board) {
+            detach(this);
+            if (null !== board) {
+                attach(this, board);
+            }
+        }
+    }
+
+    /**
+     * The entries in this log, oldest first.
+     *
+     * @type {LogEntry[]}
+     */
+    get entries() {
+        return [..._entries.get(this)];
+    }
+
+    /**
+     * Remove all entries from this log.
+     */
+    clear() {
+        _entries.set(this, []);
+        _list.get(this).textContent = "";
+    }
+
+    /**
+     * Export this log as a list of entries that can be serialized to JSON.
+     *
+     * @return {LogEntry[]} The entries in this log.
+     */
+    toJSON() {
+        return this.entries;
+    }
+
+    /**
+     * Export this log as plain text, one entry per line.
+     *
+     * @return {String} This log as text.
+     */
+    toText() {
+        return this.entries
+            .map(entry => `[${new Date(entry.timestamp).toISOString()}] ${describe(entry)}`)
+            .join("\n");
+    }
+};
+
+window.customElements.define(TAG_NAME, TopGameLog);
+
+export {
+    TopGameLog,
+    TAG_NAME
+};
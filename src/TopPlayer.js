@@ -20,6 +20,7 @@
 import {ConfigurationError} from "./error/ConfigurationError.js";
 import {ReadOnlyAttributes} from "./mixin/ReadOnlyAttributes.js";
 import {validate} from "./validate/validate.js";
+import {generateSeed} from "./authority/fairness.js";
 
 const TAG_NAME = "top-player";
 
@@ -34,6 +35,7 @@ const _color = new WeakMap();
 const _name = new WeakMap();
 const _score = new WeakMap();
 const _hasTurn = new WeakMap();
+const _clientSeed = new WeakMap();
 
 /**
  * A Player in a dice game.
@@ -65,8 +67,10 @@ const TopPlayer = class extends ReadOnlyAttributes(HTMLElement) {
      * @param {String} config.name - This player's name.
      * @param {Number} [config.score] - This player's score.
      * @param {Boolean} [config.hasTurn] - This player has a turn.
+     * @param {String} [config.clientSeed] - This player's seed for
+     * provably fair throws. Defaults to a random seed.
      */
-    constructor({color, name, score, hasTurn} = {}) {
+    constructor({color, name, score, hasTurn, clientSeed = generateSeed()} = {}) {
         super();
 
         const colorValue = validate.color(color || this.getAttribute(COLOR_ATTRIBUTE));
@@ -85,9 +89,10 @@ const TopPlayer = class extends ReadOnlyAttributes(HTMLElement) {
             throw new ConfigurationError("A Player needs a name, which is a String.");
         }
 
-        const scoreValue = validate.integer(score || this.getAttribute(SCORE_ATTRIBUTE));
+        // A score of 0 is a score too.
+        const scoreValue = validate.integer(undefined === score || null === score ? this.getAttribute(SCORE_ATTRIBUTE) : score);
         if (scoreValue.isValid) {
-            _score.set(this, score);
+            _score.set(this, scoreValue.value);
             this.setAttribute(SCORE_ATTRIBUTE, this.score);
         } else {
             // Okay. A player does not need to have a score.
@@ -98,13 +103,15 @@ const TopPlayer = class extends ReadOnlyAttributes(HTMLElement) {
         const hasTurnValue = validate.boolean(hasTurn || this.getAttribute(HAS_TURN_ATTRIBUTE))
             .isTrue();
         if (hasTurnValue.isValid) {
-            _hasTurn.set(this, hasTurn);
-            this.setAttribute(HAS_TURN_ATTRIBUTE, hasTurn);
+            _hasTurn.set(this, true);
+            this.setAttribute(HAS_TURN_ATTRIBUTE, true);
         } else {
             // Okay, A player does not always have a turn.
             _hasTurn.set(this, null);
             this.removeAttribute(HAS_TURN_ATTRIBUTE);
         }
+
+        this.clientSeed = clientSeed;
     }
 
     static get observedAttributes() {
@@ -192,6 +199,50 @@ const TopPlayer = class extends ReadOnlyAttributes(HTMLElement) {
         return true === _hasTurn.get(this);
     }
 
+    /**
+     * This player's contribution to provably fair throws: a seed combined
+     * with the seed of the throw authority and the other players' seeds.
+     * Change it to influence the throws after the authority has committed
+     * to its seed, see {@link module:authority/fairness}.
+     *
+     * @throws {ConfigurationError} The seed should be a non-empty String.
+     * @type {String}
+     */
+    get clientSeed() {
+        return _clientSeed.get(this);
+    }
+    set clientSeed(seed) {
+        if ("string" !== typeof seed || "" === seed) {
+            throw new ConfigurationError(`A client seed should be a non-empty String, got '${seed}' instead.`);
+        }
+        _clientSeed.set(this, seed);
+    }
+
+    /**
+     * @typedef {Object} PlayerState
+     *
+     * @property {String} name - The player's name.
+     * @property {String} color - The player's color.
+     * @property {Number|null} score - The player's score, if any.
+     * @property {Boolean} hasTurn - The player has a turn.
+     */
+
+    /**
+     * Convert this player to a plain object that can be serialized to
+     * JSON. Passing that object as configuration to the TopPlayer
+     * constructor creates the same player again.
+     *
+     * @return {PlayerState} The state of this player.
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            color: this.color,
+            score: undefined === _score.get(this) ? null : _score.get(this),
+            hasTurn: this.hasTurn
+        };
+    }
+
     /**
      * A String representation of this player, his or hers name.
      *
@@ -18,11 +18,83 @@
  * @ignore
  */
 import {DEFAULT_SYSTEM_PLAYER, TAG_NAME as TOP_PLAYER} from "./TopPlayer.js";
+import {TAG_NAME as TOP_BOT_PLAYER} from "./TopBotPlayer.js";
+import {RandomGenerator} from "./random/RandomGenerator.js";
+import {DEFAULT_RANDOM} from "./random/random.js";
+import {validate} from "./validate/validate.js";
 
 const TAG_NAME = "top-player-list";
 
+const CLOCKWISE = "clockwise";
+const COUNTER_CLOCKWISE = "counter-clockwise";
+const RANDOM = "random";
+const TURN_ORDERS = [CLOCKWISE, COUNTER_CLOCKWISE, RANDOM];
+const DEFAULT_TURN_ORDER = CLOCKWISE;
+
+const TURN_ORDER_ATTRIBUTE = "turn-order";
+const MAX_THROWS_ATTRIBUTE = "max-throws";
+
+// The private properties of the TopPlayerList
+const _round = new WeakMap();
+const _order = new WeakMap();
+const _position = new WeakMap();
+const _skips = new WeakMap();
+const _extraTurns = new WeakMap();
+const _throws = new WeakMap();
+
+const shuffle = (players, random) => {
+    const shuffled = [...players];
+    for (let i = shuffled.length - 1; 0 < i; i--) {
+        const j = random.integer(0, i);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+const orderPlayers = (list) => {
+    const players = list.playersTakingTurns;
+    switch (list.turnOrder) {
+    case COUNTER_CLOCKWISE: return players.reverse();
+    case RANDOM: return shuffle(players, list.random);
+    default: return players;
+    }
+};
+
+const dispatch = (list, type, detail) => {
+    list.dispatchEvent(new CustomEvent(type, {
+        bubbles: true,
+        detail
+    }));
+};
+
+const endTurn = (list, player) => {
+    player.endTurn();
+    dispatch(list, "top:end-turn", {
+        player,
+        round: list.round
+    });
+};
+
+const startRound = (list) => {
+    if (0 < list.round) {
+        dispatch(list, "top:end-round", {
+            round: list.round
+        });
+    }
+    _round.set(list, list.round + 1);
+    _order.set(list, orderPlayers(list));
+    _position.set(list, 0);
+};
+
 /**
- * TopPlayerList to describe the players in the game.
+ * TopPlayerList to describe the players in the game. It also controls
+ * whose turn it is: call {@link nextTurn} to pass the turn to the next
+ * player.
+ *
+ * The players take turns in the order set by the "turn-order" attribute:
+ * "clockwise", the order of the players in the list, "counter-clockwise",
+ * or "random", a new random order every round. The "max-throws" attribute
+ * limits the number of times a player can throw the dice in a turn.
  *
  * @extends HTMLElement
  */
@@ -33,6 +105,12 @@ const TopPlayerList = class extends HTMLElement {
      */
     constructor() {
         super();
+        _round.set(this, 0);
+        _order.set(this, []);
+        _position.set(this, -1);
+        _skips.set(this, new Map());
+        _extraTurns.set(this, 0);
+        _throws.set(this, 0);
     }
 
     connectedCallback() {
@@ -43,8 +121,9 @@ const TopPlayerList = class extends HTMLElement {
         this.addEventListener("top:start-turn", (event) => {
             // Only one player can have a turn at any given time.
             this.players
-                .filter(p => !p.equals(event.detail.player))
-                .forEach(p => p.endTurn());
+                .filter(p => !p.equals(event.detail.player) && p.hasTurn)
+                .forEach(p => endTurn(this, p));
+            _throws.set(this, 0);
         });
     }
 
@@ -57,7 +136,215 @@ const TopPlayerList = class extends HTMLElement {
      * @type {TopPlayer[]}
      */
     get players() {
-        return [...this.getElementsByTagName(TOP_PLAYER)];
+        return [...this.querySelectorAll(`${TOP_PLAYER}, ${TOP_BOT_PLAYER}`)];
+    }
+
+    /**
+     * The players in this list taking turns: all players but the {@link
+     * DEFAULT_SYSTEM_PLAYER}, unless the system player is the only player.
+     *
+     * @type {TopPlayer[]}
+     */
+    get playersTakingTurns() {
+        const players = this.players;
+        const others = players.filter(player => player !== DEFAULT_SYSTEM_PLAYER);
+        return 0 < others.length ? others : players;
+    }
+
+    /**
+     * The player having a turn, if any. Null otherwise.
+     *
+     * @type {TopPlayer|null}
+     */
+    get currentPlayer() {
+        return this.players.find(player => player.hasTurn) || null;
+    }
+
+    /**
+     * The order in which players take turns: "clockwise",
+     * "counter-clockwise", or "random". Defaults to "clockwise". A changed
+     * order takes effect in the next round.
+     *
+     * @type {String}
+     */
+    get turnOrder() {
+        const order = this.getAttribute(TURN_ORDER_ATTRIBUTE);
+        return TURN_ORDERS.includes(order) ? order : DEFAULT_TURN_ORDER;
+    }
+
+    /**
+     * The maximum number of throws in a turn. 0 means unlimited, which is
+     * the default.
+     *
+     * @type {Number}
+     */
+    get maxThrows() {
+        return validate.integer(this.getAttribute(MAX_THROWS_ATTRIBUTE))
+            .largerThan(0)
+            .defaultTo(0)
+            .value;
+    }
+
+    /**
+     * The number of times the dice have been thrown in the current turn.
+     *
+     * @type {Number}
+     */
+    get throwsThisTurn() {
+        return _throws.get(this);
+    }
+
+    /**
+     * The number of throws left in the current turn. Infinity if the number
+     * of throws in a turn is not limited.
+     *
+     * @type {Number}
+     */
+    get throwsLeft() {
+        return 0 === this.maxThrows ? Infinity : Math.max(0, this.maxThrows - this.throwsThisTurn);
+    }
+
+    /**
+     * The current round, starting at 1 with the first turn. 0 before the
+     * first turn.
+     *
+     * @type {Number}
+     */
+    get round() {
+        return _round.get(this);
+    }
+
+    /**
+     * The random number generator used to order the players randomly. This
+     * is the random number generator of the board this list belongs to, if
+     * any.
+     *
+     * @type {RandomGenerator}
+     */
+    get random() {
+        const board = this.parentNode;
+        return null !== board && board.random instanceof RandomGenerator ? board.random : DEFAULT_RANDOM;
+    }
+
+    /**
+     * End the turn of the current player, if any, and start the turn of the
+     * next player. A player granted an extra turn has another turn first.
+     * Players that should skip a turn are passed over. Players added to
+     * this list join in the next round.
+     *
+     * @return {TopPlayer|null} The player having the turn, or null if there
+     * are no players.
+     * @fires "top:end-turn" with parameters the player and the round.
+     * @fires "top:end-round" with parameter the round when all players have
+     * had a turn.
+     */
+    nextTurn() {
+        const current = this.currentPlayer;
+
+        if (null !== current && 0 < _extraTurns.get(this)) {
+            _extraTurns.set(this, _extraTurns.get(this) - 1);
+            endTurn(this, current);
+            return current.startTurn();
+        }
+
+        _extraTurns.set(this, 0);
+
+        if (null !== current) {
+            endTurn(this, current);
+        }
+
+        if (0 === this.round) {
+            startRound(this);
+            // Continue from the player having a turn before the first round.
+            _position.set(this, null === current ? 0 : _order.get(this).indexOf(current) + 1);
+        } else {
+            _position.set(this, _position.get(this) + 1);
+        }
+
+        const skips = _skips.get(this);
+        const players = this.players;
+        let next = null;
+        while (null === next) {
+            if (_position.get(this) >= _order.get(this).length) {
+                if (0 === this.playersTakingTurns.length) {
+                    return null;
+                }
+                startRound(this);
+            }
+
+            const candidate = _order.get(this)[_position.get(this)];
+            if (!players.includes(candidate)) {
+                // The player left the game.
+                _position.set(this, _position.get(this) + 1);
+            } else if (0 < (skips.get(candidate) || 0)) {
+                skips.set(candidate, skips.get(candidate) - 1);
+                _position.set(this, _position.get(this) + 1);
+            } else {
+                next = candidate;
+            }
+        }
+
+        return next.startTurn();
+    }
+
+    /**
+     * Let player skip their next turns.
+     *
+     * @param {TopPlayer} player - The player to skip.
+     * @param {Number} [turns = 1] - The number of turns to skip.
+     */
+    skipTurn(player, turns = 1) {
+        const skips = _skips.get(this);
+        skips.set(player, (skips.get(player) || 0) + turns);
+    }
+
+    /**
+     * Grant the current player an extra turn: the next call to {@link
+     * nextTurn} starts a new turn for the same player.
+     *
+     * @param {Number} [turns = 1] - The number of extra turns.
+     */
+    grantExtraTurn(turns = 1) {
+        _extraTurns.set(this, _extraTurns.get(this) + turns);
+    }
+
+    /**
+     * @typedef {Object} TurnState
+     *
+     * @property {Number} round - The current round.
+     * @property {Number} throws - The number of throws in the current turn.
+     */
+
+    /**
+     * The state of the turns, to save and restore a game. Restoring the
+     * state starts a new order of the players in the current round.
+     *
+     * @type {TurnState}
+     */
+    get turnState() {
+        return {
+            round: this.round,
+            throws: this.throwsThisTurn
+        };
+    }
+    set turnState({round = 0, throws = 0} = {}) {
+        _round.set(this, round);
+        _throws.set(this, throws);
+        const order = 0 < round ? orderPlayers(this) : [];
+        _order.set(this, order);
+        _position.set(this, order.indexOf(this.currentPlayer));
+        _skips.set(this, new Map());
+        _extraTurns.set(this, 0);
+    }
+
+    /**
+     * Count a throw in the current turn. Used by {@link TopDiceBoard} when
+     * throwing the dice.
+     *
+     * @private
+     */
+    _countThrow() {
+        _throws.set(this, this.throwsThisTurn + 1);
     }
 };
 
@@ -65,5 +352,8 @@ window.customElements.define(TAG_NAME, TopPlayerList);
 
 export {
     TopPlayerList,
-    TAG_NAME
+    TAG_NAME,
+    CLOCKWISE,
+    COUNTER_CLOCKWISE,
+    RANDOM
 };
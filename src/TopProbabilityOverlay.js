@@ -0,0 +1,313 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "./error/ConfigurationError.js";
+import {TopDiceBoard} from "./TopDiceBoard.js";
+import {distributionsPerHold} from "./probability/distribution.js";
+
+const TAG_NAME = "top-probability-overlay";
+
+const BOARD_ATTRIBUTE = "board";
+const CHOICES_ATTRIBUTE = "choices";
+
+const DEFAULT_CHOICES = 4;
+
+const STYLE = `
+:host {
+    display: inline-block;
+    padding: 0.5ex;
+    background: rgba(255, 255, 255, 0.9);
+    font-family: sans-serif;
+    font-size: smaller;
+}
+
+section {
+    margin-bottom: 1ex;
+}
+
+section.current h2 {
+    text-decoration: underline;
+}
+
+h2 {
+    font-size: inherit;
+    margin: 0;
+}
+
+.outcome {
+    display: flex;
+    align-items: center;
+}
+
+.value {
+    width: 4em;
+    text-align: right;
+    margin-right: 1ex;
+}
+
+.bar {
+    height: 0.8em;
+    background: steelblue;
+}
+`;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const percentage = (probability) => `${(100 * probability).toFixed(1)}%`;
+
+// Private properties
+const _container = new WeakMap();
+const _board = new WeakMap();
+const _evaluate = new WeakMap();
+const _distributions = new WeakMap();
+const _listener = new WeakMap();
+const _pending = new WeakSet();
+
+const EVENTS = ["top:dice-settled", "top:hold-die", "top:release-die"];
+
+// The dice the current player can hold or throw.
+const freeDiceOf = (board) => {
+    const player = board._playerList.currentPlayer;
+    return board.dice.filter(die => !die.isHeld() || (null !== player && die.heldBy.equals(player)));
+};
+
+const renderDistribution = (overlay, {hold, outcomes, expectedValue}, current) => {
+    const section = document.createElement("section");
+    section.setAttribute("part", "choice");
+    if (current) {
+        section.classList.add("current");
+    }
+
+    const held = hold.map(die => die.toUnicode()).join(" ") || "nothing";
+    const isPredicate = outcomes.every(({value}) => "boolean" === typeof value);
+    const heading = section.appendChild(document.createElement("h2"));
+    heading.textContent = isPredicate
+        ? `Hold ${held}: ${percentage(expectedValue)} chance`
+        : `Hold ${held}: expect ${expectedValue.toFixed(2)}`;
+
+    const highest = Math.max(...outcomes.map(({probability}) => probability));
+    outcomes.forEach(({value, probability}) => {
+        const row = section.appendChild(document.createElement("div"));
+        row.classList.add("outcome");
+        row.setAttribute("title", `${value}: ${percentage(probability)}`);
+
+        const label = row.appendChild(document.createElement("span"));
+        label.classList.add("value");
+        label.textContent = `${value}`;
+
+        const bar = row.appendChild(document.createElement("span"));
+        bar.classList.add("bar");
+        bar.setAttribute("part", "bar");
+        bar.style.width = `${(10 * probability / highest).toFixed(2)}em`;
+    });
+
+    _container.get(overlay).appendChild(section);
+};
+
+// The distributions per hold choice, or null if there are too many
+// outcomes.
+const computeDistributions = (board, evaluate) => {
+    try {
+        return distributionsPerHold(board.dice, freeDiceOf(board), evaluate);
+    } catch (error) {
+        if (error instanceof ConfigurationError) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+const render = (overlay) => {
+    const container = _container.get(overlay);
+    container.textContent = "";
+    _distributions.set(overlay, []);
+
+    const board = overlay.board;
+    if (null === board || 0 === board.dice.length) {
+        return;
+    }
+
+    const distributions = computeDistributions(board, overlay.evaluate);
+    if (null === distributions) {
+        container.textContent = "Too many outcomes to compute.";
+        return;
+    }
+    _distributions.set(overlay, distributions);
+
+    const held = board.dice.filter(die => die.isHeld());
+    const isCurrent = ({hold}) => hold.length === held.length && hold.every(die => held.includes(die));
+
+    distributions
+        .filter((distribution, index) => index < overlay.choices || isCurrent(distribution))
+        .forEach(distribution => renderDistribution(overlay, distribution, isCurrent(distribution)));
+};
+
+// Holding several dice fires several events in the same task: render once.
+const scheduleRender = (overlay) => {
+    if (!_pending.has(overlay)) {
+        _pending.add(overlay);
+        Promise.resolve().then(() => {
+            _pending.delete(overlay);
+            render(overlay);
+        });
+    }
+};
+
+const attach = (overlay, board) => {
+    const listener = () => scheduleRender(overlay);
+    EVENTS.forEach(type => board.addEventListener(type, listener, true));
+    _listener.set(overlay, listener);
+    _board.set(overlay, board);
+};
+
+const detach = (overlay) => {
+    const board = _board.get(overlay);
+    if (null !== board) {
+        EVENTS.forEach(type => board.removeEventListener(type, _listener.get(overlay), true));
+    }
+    _board.set(overlay, null);
+};
+
+/**
+ * TopProbabilityOverlay is the "top-probability-overlay" custom element
+ * showing the odds of the next throw on a {@link TopDiceBoard}: for each
+ * choice of dice to hold, the exact distribution of the result of throwing
+ * the other dice and its expected value. The best choices are shown
+ * first, as is the current choice of held dice.
+ *
+ * Attach the overlay to a board by setting its "board" attribute to the
+ * id of the board, or by setting its {@link board} property. The result
+ * is the sum of the dice unless {@link evaluate} is set to another
+ * scoring function or a predicate. Set the "choices" attribute to the
+ * number of hold choices to show. Position the overlay on top of the
+ * board with CSS.
+ *
+ * @extends HTMLElement
+ */
+const TopProbabilityOverlay = class extends HTMLElement {
+
+    /**
+     * Create a new TopProbabilityOverlay.
+     */
+    constructor() {
+        super();
+        _board.set(this, null);
+        _evaluate.set(this, sum);
+        _distributions.set(this, []);
+
+        const shadow = this.attachShadow({mode: "closed"});
+        const style = shadow.appendChild(document.createElement("style"));
+        style.textContent = STYLE;
+
+        const container = shadow.appendChild(document.createElement("div"));
+        container.setAttribute("aria-live", "polite");
+        _container.set(this, container);
+    }
+
+    static get observedAttributes() {
+        return [BOARD_ATTRIBUTE, CHOICES_ATTRIBUTE];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (BOARD_ATTRIBUTE === name && this.isConnected) {
+            this.board = document.getElementById(newValue);
+        } else if (CHOICES_ATTRIBUTE === name) {
+            scheduleRender(this);
+        }
+    }
+
+    connectedCallback() {
+        if (null === this.board && this.hasAttribute(BOARD_ATTRIBUTE)) {
+            this.board = document.getElementById(this.getAttribute(BOARD_ATTRIBUTE));
+        }
+        render(this);
+    }
+
+    disconnectedCallback() {
+    }
+
+    /**
+     * The board this overlay shows the odds for, if any. Null otherwise.
+     *
+     * @throws {ConfigurationError} The board should be a TopDiceBoard.
+     * @type {TopDiceBoard|null}
+     */
+    get board() {
+        return _board.get(this);
+    }
+    set board(board) {
+        if (null !== board && !(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`A probability overlay shows a TopDiceBoard, got '${board}' instead.`);
+        }
+
+        if (board !== this.board) {
+            detach(this);
+            if (null !== board) {
+                attach(this, board);
+            }
+            render(this);
+        }
+    }
+
+    /**
+     * The number of hold choices to show. Defaults to 4.
+     *
+     * @type {Number}
+     */
+    get choices() {
+        const choices = parseInt(this.getAttribute(CHOICES_ATTRIBUTE), 10);
+        return Number.isNaN(choices) || 0 >= choices ? DEFAULT_CHOICES : choices;
+    }
+
+    /**
+     * The scoring function or predicate from the values of all dice on the
+     * board to a number or a Boolean. Defaults to the sum of the dice.
+     *
+     * @throws {ConfigurationError} The scoring function should be a
+     * function.
+     * @type {Function}
+     */
+    get evaluate() {
+        return _evaluate.get(this);
+    }
+    set evaluate(evaluate) {
+        if ("function" !== typeof evaluate) {
+            throw new ConfigurationError(`An overlay's scoring function should be a function, got '${evaluate}' instead.`);
+        }
+        _evaluate.set(this, evaluate);
+        render(this);
+    }
+
+    /**
+     * The distributions per hold choice last shown, best expected value
+     * first.
+     *
+     * @type {Distribution[]}
+     */
+    get distributions() {
+        return [..._distributions.get(this)];
+    }
+};
+
+window.customElements.define(TAG_NAME, TopProbabilityOverlay);
+
+export {
+    TopProbabilityOverlay,
+    TAG_NAME
+};
@@ -0,0 +1,175 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "./error/ConfigurationError.js";
+import {ReplayPlayer} from "./replay/ReplayPlayer.js";
+
+const TAG_NAME = "top-replay-controls";
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const STYLE = `
+:host {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.5ex;
+    font-family: sans-serif;
+}
+
+input[type="range"] {
+    width: 12em;
+}
+
+output {
+    min-width: 5em;
+    text-align: center;
+}
+`;
+
+// Private properties
+const _controls = new WeakMap();
+const _player = new WeakMap();
+const _listener = new WeakMap();
+
+const createButton = (parent, label, text, onClick) => {
+    const button = parent.appendChild(document.createElement("button"));
+    button.type = "button";
+    button.textContent = text;
+    button.setAttribute("aria-label", label);
+    button.addEventListener("click", onClick);
+    return button;
+};
+
+const update = (element) => {
+    const player = element.player;
+    const {back, play, forward, position, output, speed} = _controls.get(element);
+
+    [back, play, forward, position, speed].forEach((control) => {
+        control.disabled = null === player;
+    });
+
+    if (null === player) {
+        output.textContent = "";
+        return;
+    }
+
+    back.disabled = 0 === player.position;
+    forward.disabled = player.length === player.position;
+    play.textContent = player.isPlaying() ? "⏸" : "▶";
+    play.setAttribute("aria-label", player.isPlaying() ? "Pause" : "Play");
+    position.max = player.length;
+    position.value = player.position;
+    output.textContent = `${player.position} / ${player.length}`;
+    speed.value = `${player.speed}`;
+};
+
+const togglePlaying = (element) => {
+    const player = element.player;
+    if (player.isPlaying()) {
+        player.pause();
+    } else {
+        player.play().then(() => update(element));
+    }
+    update(element);
+};
+
+/**
+ * TopReplayControls is the "top-replay-controls" custom element to control
+ * a {@link ReplayPlayer}: play and pause, step back and forward, seek with
+ * a slider, and choose the speed.
+ *
+ * @extends HTMLElement
+ */
+const TopReplayControls = class extends HTMLElement {
+
+    /**
+     * Create a new TopReplayControls.
+     */
+    constructor() {
+        super();
+        _player.set(this, null);
+
+        const shadow = this.attachShadow({mode: "closed"});
+        const style = shadow.appendChild(document.createElement("style"));
+        style.textContent = STYLE;
+
+        const back = createButton(shadow, "Step back", "⏮", () => this.player.step(-1));
+        const play = createButton(shadow, "Play", "▶", () => togglePlaying(this));
+        const forward = createButton(shadow, "Step forward", "⏭", () => this.player.step(1));
+
+        const position = shadow.appendChild(document.createElement("input"));
+        position.type = "range";
+        position.min = 0;
+        position.setAttribute("aria-label", "Position");
+        position.addEventListener("input", () => this.player.seek(parseInt(position.value, 10)));
+
+        const output = shadow.appendChild(document.createElement("output"));
+
+        const speed = shadow.appendChild(document.createElement("select"));
+        speed.setAttribute("aria-label", "Speed");
+        SPEEDS.forEach((value) => {
+            const option = speed.appendChild(document.createElement("option"));
+            option.value = `${value}`;
+            option.textContent = `${value}×`;
+        });
+        speed.addEventListener("change", () => {
+            this.player.speed = parseFloat(speed.value);
+        });
+
+        _controls.set(this, {back, play, forward, position, output, speed});
+        _listener.set(this, () => update(this));
+        update(this);
+    }
+
+    /**
+     * The replay player controlled, if any. Null otherwise.
+     *
+     * @throws {ConfigurationError} The player should be a ReplayPlayer.
+     * @type {ReplayPlayer|null}
+     */
+    get player() {
+        return _player.get(this);
+    }
+    set player(player) {
+        if (null !== player && !(player instanceof ReplayPlayer)) {
+            throw new ConfigurationError(`Replay controls control a ReplayPlayer, got '${player}' instead.`);
+        }
+
+        const listener = _listener.get(this);
+        const previous = this.player;
+        if (null !== previous) {
+            previous.board.removeEventListener("top:replay-position", listener);
+            previous.board.removeEventListener("top:replay-ended", listener);
+        }
+
+        _player.set(this, player);
+        if (null !== player) {
+            player.board.addEventListener("top:replay-position", listener);
+            player.board.addEventListener("top:replay-ended", listener);
+        }
+        update(this);
+    }
+};
+
+window.customElements.define(TAG_NAME, TopReplayControls);
+
+export {
+    TopReplayControls,
+    TAG_NAME
+};
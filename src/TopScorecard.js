@@ -0,0 +1,328 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "./error/ConfigurationError.js";
+import {GameRuleError} from "./error/GameRuleError.js";
+import {TopDiceBoard} from "./TopDiceBoard.js";
+import {ScoreSheet, CATEGORIES, CATEGORY_NAMES, UPPER_CATEGORIES} from "./game/yahtzee.js";
+
+const TAG_NAME = "top-scorecard";
+
+const BOARD_ATTRIBUTE = "board";
+
+const STYLE = `
+:host {
+    display: inline-block;
+    font-family: sans-serif;
+}
+
+table {
+    border-collapse: collapse;
+}
+
+th, td {
+    border: 1px solid silver;
+    padding: 0.2em 0.5ex;
+    text-align: right;
+}
+
+th[scope="row"] {
+    text-align: left;
+}
+
+.current {
+    background: lightyellow;
+}
+
+button {
+    width: 100%;
+    font: inherit;
+    color: dimgray;
+}
+`;
+
+// Private properties
+const _table = new WeakMap();
+const _board = new WeakMap();
+const _sheets = new WeakMap();
+const _listener = new WeakMap();
+
+// Players are identified by their unique name, so a score sheet survives
+// restoring or undoing the board.
+const sheetOf = (scorecard, player) => {
+    const sheets = _sheets.get(scorecard);
+    if (!sheets.has(player.name)) {
+        sheets.set(player.name, new ScoreSheet());
+    }
+    return sheets.get(player.name);
+};
+
+// Only the dice thrown by the current player in this turn can be scored.
+const canScore = (scorecard) => {
+    const board = scorecard.board;
+    return null !== board && null !== scorecard.currentPlayer && 0 < board._playerList.throwsThisTurn;
+};
+
+const cell = (row, text, {header = false, scope = null, current = false} = {}) => {
+    const element = row.appendChild(document.createElement(header ? "th" : "td"));
+    element.textContent = text;
+    if (null !== scope) {
+        element.setAttribute("scope", scope);
+    }
+    if (current) {
+        element.classList.add("current");
+    }
+    return element;
+};
+
+const render = (scorecard) => {
+    const table = _table.get(scorecard);
+    table.textContent = "";
+
+    const players = scorecard.players;
+    const current = scorecard.currentPlayer;
+    const suggestions = canScore(scorecard) ? sheetOf(scorecard, current).suggest(scorecard.board.dice) : {};
+
+    const header = table.appendChild(document.createElement("tr"));
+    cell(header, "", {header: true});
+    players.forEach(player => cell(header, player.name, {header: true, scope: "col", current: player === current}));
+
+    const addRow = (name, valueOf) => {
+        const row = table.appendChild(document.createElement("tr"));
+        cell(row, name, {header: true, scope: "row"});
+        players.forEach(player => valueOf(row, sheetOf(scorecard, player), player));
+    };
+
+    CATEGORIES.forEach((category) => {
+        addRow(CATEGORY_NAMES[category], (row, sheet, player) => {
+            const scores = sheet.scores;
+            const td = cell(row, category in scores ? `${scores[category]}` : "", {current: player === current});
+
+            if (player === current && category in suggestions) {
+                const button = td.appendChild(document.createElement("button"));
+                button.type = "button";
+                button.textContent = `${suggestions[category]}`;
+                button.setAttribute("aria-label", `Score ${suggestions[category]} in ${CATEGORY_NAMES[category]}`);
+                button.addEventListener("click", () => scorecard.score(category));
+            }
+        });
+
+        if (UPPER_CATEGORIES[UPPER_CATEGORIES.length - 1] === category) {
+            addRow("Bonus", (row, sheet, player) => cell(row, `${sheet.upperBonus}`, {current: player === current}));
+        }
+    });
+
+    addRow("Yahtzee bonus", (row, sheet, player) => cell(row, `${sheet.yahtzeeBonus}`, {current: player === current}));
+    addRow("Total", (row, sheet, player) => cell(row, `${sheet.total}`, {current: player === current}));
+};
+
+const EVENTS = ["top:dice-settled", "top:start-turn", "top:end-turn", "top:undo", "top:redo"];
+
+const attach = (scorecard, board) => {
+    // A player starts a turn after the "top:start-turn" event has been
+    // dispatched: render once the event has been handled.
+    const listener = () => Promise.resolve().then(() => render(scorecard));
+    EVENTS.forEach(type => board.addEventListener(type, listener, true));
+    _listener.set(scorecard, listener);
+    _board.set(scorecard, board);
+};
+
+const detach = (scorecard) => {
+    const board = _board.get(scorecard);
+    if (null !== board) {
+        EVENTS.forEach(type => board.removeEventListener(type, _listener.get(scorecard), true));
+    }
+    _board.set(scorecard, null);
+};
+
+/**
+ * TopScorecard is the "top-scorecard" custom element showing a Yahtzee
+ * score card for the players of a {@link TopDiceBoard}. After a throw,
+ * the current player's open categories show the score of the dice on the
+ * board. Choosing a category scores it, updates the player's score, and
+ * passes the turn to the next player. Scoring cannot be undone: it clears
+ * the board's history.
+ *
+ * Attach the score card to a board by setting its "board" attribute to
+ * the id of the board, or by setting its {@link board} property. Set the
+ * "max-throws" attribute of the board's player list to 3 to play by the
+ * rules.
+ *
+ * @extends HTMLElement
+ */
+const TopScorecard = class extends HTMLElement {
+
+    /**
+     * Create a new TopScorecard.
+     */
+    constructor() {
+        super();
+        _board.set(this, null);
+        _sheets.set(this, new Map());
+
+        const shadow = this.attachShadow({mode: "closed"});
+        const style = shadow.appendChild(document.createElement("style"));
+        style.textContent = STYLE;
+
+        const table = shadow.appendChild(document.createElement("table"));
+        table.setAttribute("part", "scorecard");
+        _table.set(this, table);
+    }
+
+    static get observedAttributes() {
+        return [BOARD_ATTRIBUTE];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (BOARD_ATTRIBUTE === name && this.isConnected) {
+            this.board = document.getElementById(newValue);
+        }
+    }
+
+    connectedCallback() {
+        if (null === this.board && this.hasAttribute(BOARD_ATTRIBUTE)) {
+            this.board = document.getElementById(this.getAttribute(BOARD_ATTRIBUTE));
+        }
+        render(this);
+    }
+
+    disconnectedCallback() {
+    }
+
+    /**
+     * The board this score card keeps the score of, if any. Null otherwise.
+     *
+     * @throws {ConfigurationError} The board should be a TopDiceBoard.
+     * @type {TopDiceBoard|null}
+     */
+    get board() {
+        return _board.get(this);
+    }
+    set board(board) {
+        if (null !== board && !(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`A score card keeps the score on a TopDiceBoard, got '${board}' instead.`);
+        }
+
+        if (board !== this.board) {
+            detach(this);
+            if (null !== board) {
+                attach(this, board);
+            }
+            render(this);
+        }
+    }
+
+    /**
+     * The players on the score card: the players taking turns on the
+     * board.
+     *
+     * @type {TopPlayer[]}
+     */
+    get players() {
+        return null === this.board ? [] : this.board.playersTakingTurns;
+    }
+
+    /**
+     * The player having a turn, if any. Null otherwise.
+     *
+     * @type {TopPlayer|null}
+     */
+    get currentPlayer() {
+        return this.players.find(player => player.hasTurn) || null;
+    }
+
+    /**
+     * Get the score sheet of a player.
+     *
+     * @param {TopPlayer} player - The player.
+     * @return {ScoreSheet} The player's score sheet.
+     */
+    sheetOf(player) {
+        return sheetOf(this, player);
+    }
+
+    /**
+     * Is the game over? The game is over when all players have completed
+     * their score sheets.
+     *
+     * @return {Boolean} True if the game is over.
+     */
+    isGameOver() {
+        const players = this.players;
+        return 0 < players.length && players.every(player => sheetOf(this, player).isComplete());
+    }
+
+    /**
+     * Score the dice on the board in a category for the current player,
+     * update the player's score, and pass the turn to the next player.
+     * The score sheets are not part of the board's state, so scoring clears
+     * the board's history to keep undo from getting the board and the score
+     * sheets out of step.
+     *
+     * @param {String} category - The category to score.
+     * @return {Number} The score in the category.
+     * @throws {GameRuleError} The current player should have thrown the dice
+     * and the category should be open.
+     * @fires "top:score" with parameters the player, the category, and
+     * the score.
+     * @fires "top:game-over" with parameter the players when all score
+     * sheets are complete.
+     */
+    score(category) {
+        if (!canScore(this)) {
+            throw new GameRuleError("The current player should throw the dice before scoring.");
+        }
+
+        const player = this.currentPlayer;
+        const sheet = sheetOf(this, player);
+        const score = sheet.score(category, this.board.dice);
+        player.score = sheet.total;
+
+        this.dispatchEvent(new CustomEvent("top:score", {
+            detail: {
+                player,
+                category,
+                score
+            }
+        }));
+
+        if (this.isGameOver()) {
+            player.endTurn();
+            this.dispatchEvent(new CustomEvent("top:game-over", {
+                detail: {
+                    players: this.players
+                }
+            }));
+            render(this);
+        } else {
+            // Starting the next turn renders the score card.
+            this.board._playerList.nextTurn();
+        }
+        this.board.clearHistory();
+
+        return score;
+    }
+};
+
+window.customElements.define(TAG_NAME, TopScorecard);
+
+export {
+    TopScorecard,
+    TAG_NAME
+};
@@ -0,0 +1,97 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ThrowAuthority} from "./ThrowAuthority.js";
+import {generateKeys, signThrow} from "./signing.js";
+import {generateSeed, commitTo, deriveFaces} from "./fairness.js";
+import {GameRuleError} from "../error/GameRuleError.js";
+
+// Private properties
+const _keys = new WeakMap();
+const _serverSeeds = new WeakMap();
+
+/**
+ * LocalFairThrowAuthority throws dice provably fair in the same page, by
+ * commit–reveal: it commits to a fresh server seed before each throw,
+ * derives the faces from that seed and the seeds of the players, and
+ * reveals the seed in the signed result. See {@link
+ * module:authority/fairness}.
+ *
+ * @extends ThrowAuthority
+ */
+const LocalFairThrowAuthority = class extends ThrowAuthority {
+
+    /**
+     * Create a new LocalFairThrowAuthority.
+     */
+    constructor() {
+        super();
+        _keys.set(this, generateKeys());
+        _serverSeeds.set(this, new Map());
+    }
+
+    /**
+     * Commit to the server seed of the next throw.
+     *
+     * @return {Promise<String>} A promise resolving to the commitment.
+     */
+    commit() {
+        const serverSeed = generateSeed();
+        return commitTo(serverSeed).then((commitment) => {
+            _serverSeeds.get(this).set(commitment, serverSeed);
+            return commitment;
+        });
+    }
+
+    /**
+     * Throw the dice of a request with the server seed committed to, and
+     * sign the result. Each server seed is used for one throw only.
+     *
+     * @param {ThrowRequest} request - The dice to throw, with the
+     * commitment and the seeds of the players.
+     * @return {Promise<FairThrow>} A promise resolving to the signed
+     * result, revealing the server seed.
+     */
+    throwDice({nonce, player = null, sides, commitment, clientSeeds = []}) {
+        const serverSeeds = _serverSeeds.get(this);
+        if (!serverSeeds.has(commitment)) {
+            return Promise.reject(new GameRuleError(`Throw '${nonce}' should use a server seed committed to, got '${commitment}' instead.`));
+        }
+
+        const serverSeed = serverSeeds.get(commitment);
+        serverSeeds.delete(commitment);
+
+        const seeds = {nonce, sides: [...sides], serverSeed, clientSeeds: [...clientSeeds]};
+        return Promise.all([_keys.get(this), deriveFaces(seeds)])
+            .then(([{privateKey}, faces]) => signThrow(privateKey, Object.assign({player, faces, commitment}, seeds)));
+    }
+
+    /**
+     * The public key to verify this authority's signatures with.
+     *
+     * @return {Promise<CryptoKey>} A promise resolving to the key.
+     */
+    publicKey() {
+        return _keys.get(this).then(({publicKey}) => publicKey);
+    }
+};
+
+export {
+    LocalFairThrowAuthority
+};
@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ThrowAuthority} from "./ThrowAuthority.js";
+import {generateKeys, signThrow} from "./signing.js";
+import {DEFAULT_RANDOM, checkRandom} from "../random/random.js";
+
+// Private properties
+const _keys = new WeakMap();
+const _random = new WeakMap();
+
+/**
+ * LocalThrowAuthority throws dice in the same page with its own key pair,
+ * for single-player games and tests. As the page holds the private key,
+ * it does not stop a determined player from cheating; use an authority on
+ * a server for that.
+ *
+ * @extends ThrowAuthority
+ */
+const LocalThrowAuthority = class extends ThrowAuthority {
+
+    /**
+     * Create a new LocalThrowAuthority.
+     *
+     * @param {Object} [config = {}] - The configuration of the authority.
+     * @param {RandomGenerator} [config.random = DEFAULT_RANDOM] - The
+     * random number generator to throw the dice with.
+     * @throws {ConfigurationError} The random number generator should be a
+     * RandomGenerator.
+     */
+    constructor({random = DEFAULT_RANDOM} = {}) {
+        super();
+        _random.set(this, checkRandom(random));
+        _keys.set(this, generateKeys());
+    }
+
+    /**
+     * Throw the dice of a request and sign the result.
+     *
+     * @param {ThrowRequest} request - The dice to throw.
+     * @return {Promise<SignedThrow>} A promise resolving to the signed
+     * result.
+     */
+    throwDice({nonce, player = null, sides}) {
+        const random = _random.get(this);
+        const faces = sides.map(count => random.integer(1, count));
+        return _keys.get(this).then(({privateKey}) => signThrow(privateKey, {nonce, player, sides: [...sides], faces}));
+    }
+
+    /**
+     * The public key to verify this authority's signatures with.
+     *
+     * @return {Promise<CryptoKey>} A promise resolving to the key.
+     */
+    publicKey() {
+        return _keys.get(this).then(({publicKey}) => publicKey);
+    }
+};
+
+export {
+    LocalThrowAuthority
+};
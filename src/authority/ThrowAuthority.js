@@ -0,0 +1,112 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {verifyThrow} from "./signing.js";
+
+/**
+ * @typedef {Object} ThrowRequest
+ *
+ * @property {String} nonce - A unique value identifying this request.
+ * @property {String|null} player - The name of the player throwing.
+ * @property {Number[]} sides - The number of sides, or faces, of each die
+ * to throw.
+ * @property {String} [commitment] - The commitment of the authority to
+ * the server seed of this throw, for a commit–reveal authority.
+ * @property {String[]} [clientSeeds] - The seeds of the players taking
+ * turns, in order, for a commit–reveal authority.
+ */
+
+/**
+ * @typedef {Object} SignedThrow
+ *
+ * @property {String} nonce - The nonce of the request.
+ * @property {String|null} player - The name of the player throwing.
+ * @property {Number[]} sides - The number of sides of each die thrown.
+ * @property {Number[]} faces - The face thrown with each die, 1 ≤ face ≤
+ * sides.
+ * @property {String} signature - The authority's signature of the throw,
+ * base64 encoded.
+ */
+
+/**
+ * ThrowAuthority is the interface of the authorities deciding the
+ * outcome of throws on a {@link TopDiceBoard} with a throw authority. An
+ * authority throws the dice and signs the result; the board applies only
+ * results with a valid signature. Subclasses implement {@link
+ * ThrowAuthority#throwDice} and {@link ThrowAuthority#publicKey}, like
+ * {@link LocalThrowAuthority}. An authority on a server throws the dice
+ * remotely and only shares its public key.
+ */
+const ThrowAuthority = class {
+
+    /**
+     * Create a new ThrowAuthority.
+     */
+    constructor() {
+    }
+
+    /**
+     * Commit to the server seed of the next throw: resolve to the
+     * commitment, see {@link module:authority/fairness}. A commit–reveal
+     * authority, like {@link LocalFairThrowAuthority}, overrides this
+     * method. Other authorities do not commit and resolve to null.
+     *
+     * @return {Promise<String|null>} A promise resolving to the
+     * commitment, if any.
+     */
+    commit() {
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Throw the dice of a request and sign the result: resolve to a
+     * {@link SignedThrow}. Subclasses should override this method.
+     *
+     * @param {ThrowRequest} request - The dice to throw.
+     * @throws {Error} This method is not implemented.
+     */
+    throwDice(request) {
+        throw new Error(`A ThrowAuthority should implement throwDice(), cannot throw '${request.nonce}'.`);
+    }
+
+    /**
+     * The public key to verify this authority's signatures with: resolve
+     * to a CryptoKey. Subclasses should override this method.
+     *
+     * @throws {Error} This method is not implemented.
+     */
+    publicKey() {
+        throw new Error("A ThrowAuthority should implement publicKey().");
+    }
+
+    /**
+     * Has this authority signed a throw?
+     *
+     * @param {SignedThrow} signedThrow - The throw to verify.
+     * @return {Promise<Boolean>} A promise resolving to true if the throw
+     * has been signed by this authority, false otherwise.
+     */
+    verify(signedThrow) {
+        return this.publicKey().then(key => verifyThrow(key, signedThrow));
+    }
+};
+
+export {
+    ThrowAuthority
+};
@@ -0,0 +1,149 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+
+/**
+ * Provably fair throws by commit–reveal. Before a throw, the authority
+ * picks a secret server seed and publishes its commitment: the SHA-256
+ * hash of the seed. Then every player contributes a client seed. The faces
+ * thrown are derived from the server seed, the client seeds, and the nonce
+ * of the throw with HMAC-SHA256. After the throw, the authority reveals the
+ * server seed, so anyone can check that the seed matches the commitment
+ * and that the faces follow from the seeds.
+ *
+ * As the authority commits before knowing the client seeds, and the
+ * players contribute their seeds before knowing the server seed, neither
+ * can pick the outcome of a throw.
+ *
+ * @module authority/fairness
+ */
+
+/**
+ * @typedef {Object} FairThrow
+ *
+ * A {@link SignedThrow} with the proof that it is fair.
+ *
+ * @property {String} nonce - The nonce of the throw.
+ * @property {String|null} player - The name of the player throwing.
+ * @property {Number[]} sides - The number of sides of each die thrown.
+ * @property {Number[]} faces - The face thrown with each die.
+ * @property {String} signature - The authority's signature of the throw.
+ * @property {String} commitment - The SHA-256 hash of the server seed,
+ * published before the throw, hex encoded.
+ * @property {String} serverSeed - The server seed, revealed after the
+ * throw.
+ * @property {String[]} clientSeeds - The seeds of the players, in order.
+ */
+
+const SEED_SIZE = 32; // bytes
+const UINT32_RANGE = 0x100000000;
+
+const encoder = new TextEncoder();
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, "0")).join("");
+
+const isString = (value) => "string" === typeof value;
+
+/**
+ * Generate a random seed.
+ *
+ * @return {String} A seed of 32 random bytes, hex encoded.
+ */
+const generateSeed = () => toHex(crypto.getRandomValues(new Uint8Array(SEED_SIZE)));
+
+/**
+ * Commit to a server seed.
+ *
+ * @param {String} serverSeed - The seed to commit to.
+ * @return {Promise<String>} A promise resolving to the commitment: the
+ * SHA-256 hash of the seed, hex encoded.
+ */
+const commitTo = (serverSeed) => crypto.subtle.digest("SHA-256", encoder.encode(serverSeed)).then(toHex);
+
+/**
+ * Derive the faces of a throw from its seeds. The same seeds, nonce, and
+ * dice always result in the same faces.
+ *
+ * @param {Object} seeds - The seeds of the throw.
+ * @param {String} seeds.serverSeed - The server seed.
+ * @param {String[]} seeds.clientSeeds - The seeds of the players.
+ * @param {String} seeds.nonce - The nonce of the throw.
+ * @param {Number[]} seeds.sides - The number of sides of each die.
+ * @return {Promise<Number[]>} A promise resolving to the face of each die,
+ * 1 ≤ face ≤ sides.
+ */
+const deriveFaces = ({serverSeed, clientSeeds, nonce, sides}) => {
+    const faces = [];
+    const key = crypto.subtle.importKey("raw", encoder.encode(serverSeed), {name: "HMAC", hash: "SHA-256"}, false, ["sign"]);
+
+    // Each round yields eight 32 bit numbers. Numbers that would favor the
+    // low faces of a die are skipped, so some throws need more rounds.
+    const round = (count) => key
+        .then(hmacKey => crypto.subtle.sign("HMAC", hmacKey, encoder.encode(JSON.stringify([clientSeeds, nonce, count]))))
+        .then((digest) => {
+            const view = new DataView(digest);
+            for (let offset = 0; offset < view.byteLength && faces.length < sides.length; offset += 4) {
+                const sidesOfDie = sides[faces.length];
+                const value = view.getUint32(offset);
+                if (value < UINT32_RANGE - UINT32_RANGE % sidesOfDie) {
+                    faces.push(value % sidesOfDie + 1);
+                }
+            }
+            return faces.length < sides.length ? round(count + 1) : faces;
+        });
+
+    return round(0);
+};
+
+/**
+ * Verify that a throw is fair: the revealed server seed matches the
+ * commitment, and the faces follow from the seeds. This does not check
+ * the signature of the throw; use {@link ThrowAuthority#verify} for that.
+ *
+ * @param {FairThrow} fairThrow - The throw to verify, like the proof of a
+ * throw in a {@link TopGameLog}.
+ * @return {Promise<Boolean>} A promise resolving to true if the throw is
+ * fair, false otherwise.
+ */
+const verifyFairThrow = (fairThrow) => {
+    if (null === fairThrow || "object" !== typeof fairThrow) {
+        return Promise.resolve(false);
+    }
+
+    const {commitment, serverSeed, clientSeeds, nonce, sides, faces} = fairThrow;
+    const isWellFormed = isString(commitment) && isString(serverSeed) && isString(nonce)
+        && Array.isArray(clientSeeds) && clientSeeds.every(isString)
+        && Array.isArray(sides) && sides.every(count => Number.isInteger(count) && 0 < count)
+        && Array.isArray(faces) && faces.length === sides.length;
+
+    if (!isWellFormed) {
+        return Promise.resolve(false);
+    }
+
+    return commitTo(serverSeed)
+        .then(hash => hash === commitment && deriveFaces({serverSeed, clientSeeds, nonce, sides}))
+        .then(derived => false !== derived && derived.every((face, i) => face === faces[i]));
+};
+
+export {
+    generateSeed,
+    commitTo,
+    deriveFaces,
+    verifyFairThrow
+};
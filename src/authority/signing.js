@@ -0,0 +1,99 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+
+/**
+ * Signing and verifying throws with ECDSA on the P-256 curve, using the
+ * Web Crypto API.
+ *
+ * @module authority/signing
+ */
+
+/**
+ * The signature algorithm used to sign throws.
+ * @const
+ */
+const ALGORITHM = Object.freeze({name: "ECDSA", namedCurve: "P-256", hash: "SHA-256"});
+
+const encoder = new TextEncoder();
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), character => character.charCodeAt(0));
+
+/**
+ * The signed part of a throw, in a fixed order.
+ *
+ * @param {SignedThrow} signedThrow - The throw.
+ * @return {Uint8Array} The bytes to sign.
+ */
+const payloadOf = ({nonce, player, sides, faces}) => encoder.encode(JSON.stringify([nonce, player, sides, faces]));
+
+/**
+ * Generate a key pair to sign throws with.
+ *
+ * @return {Promise<CryptoKeyPair>} A promise resolving to the key pair.
+ */
+const generateKeys = () => crypto.subtle.generateKey(ALGORITHM, true, ["sign", "verify"]);
+
+/**
+ * Sign a throw.
+ *
+ * @param {CryptoKey} privateKey - The key to sign with.
+ * @param {Object} result - The throw to sign: nonce, player, sides, and
+ * faces.
+ * @return {Promise<SignedThrow>} A promise resolving to the throw with its
+ * signature.
+ */
+const signThrow = (privateKey, result) => crypto.subtle.sign(ALGORITHM, privateKey, payloadOf(result))
+    .then(signature => Object.freeze(Object.assign({}, result, {signature: toBase64(signature)})));
+
+/**
+ * Verify the signature of a throw.
+ *
+ * @param {CryptoKey} publicKey - The key of the signer.
+ * @param {SignedThrow} signedThrow - The throw to verify.
+ * @return {Promise<Boolean>} A promise resolving to true if the signature
+ * is valid, false otherwise, also when the signature is malformed.
+ */
+const verifyThrow = (publicKey, signedThrow) => Promise.resolve()
+    .then(() => {
+        if ("string" !== typeof signedThrow.signature) {
+            return false;
+        }
+        return crypto.subtle.verify(ALGORITHM, publicKey, fromBase64(signedThrow.signature), payloadOf(signedThrow));
+    })
+    .catch(() => false);
+
+/**
+ * Import a public key exported as JSON Web Key, like the key of a remote
+ * throw authority.
+ *
+ * @param {JsonWebKey} jwk - The exported key.
+ * @return {Promise<CryptoKey>} A promise resolving to the key.
+ */
+const importPublicKey = (jwk) => crypto.subtle.importKey("jwk", jwk, ALGORITHM, true, ["verify"]);
+
+export {
+    ALGORITHM,
+    generateKeys,
+    signThrow,
+    verifyThrow,
+    importPublicKey
+};
@@ -0,0 +1,153 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {distributionsPerHold, MAX_OUTCOMES} from "../probability/distribution.js";
+
+/**
+ * Strategies for computer-controlled players. A strategy decides which
+ * dice a bot holds and whether it throws again. It is an object with a
+ * decide method:
+ *
+ *     {
+ *         decide({dice, free, throwsLeft, score, random}) {
+ *             return {hold: free.filter(die => 6 === die.pips), throwAgain: true};
+ *         }
+ *     }
+ *
+ * @module bot/strategies
+ */
+
+/**
+ * @typedef {Object} StrategyContext
+ *
+ * @property {TopDiceBoard} board - The board the bot plays on.
+ * @property {TopPlayer} player - The bot.
+ * @property {TopDie[]} dice - All dice on the board.
+ * @property {TopDie[]} free - The dice the bot can hold or throw: the
+ * dice not held by other players.
+ * @property {Number} throwsLeft - The throws left in this turn, Infinity
+ * if unlimited.
+ * @property {Function} score - The scoring function from the values of
+ * all dice to a number.
+ * @property {RandomGenerator} random - The random number generator of the
+ * board.
+ */
+
+/**
+ * @typedef {Object} Decision
+ *
+ * @property {TopDie[]} hold - The dice to hold; the other free dice are
+ * released.
+ * @property {Boolean} throwAgain - Throw the dice that are not held again?
+ */
+
+/**
+ * Hold and throw at random.
+ * @const
+ */
+const RANDOM_STRATEGY = Object.freeze({
+    name: "random",
+    decide({free, random}) {
+        return {
+            hold: free.filter(() => 1 === random.integer(0, 1)),
+            throwAgain: 1 === random.integer(0, 1)
+        };
+    }
+});
+
+/**
+ * Hold every die showing more than the average of its faces and throw the
+ * other dice again. Suits games scoring high dice.
+ * @const
+ */
+const GREEDY_STRATEGY = Object.freeze({
+    name: "greedy",
+    decide({free}) {
+        const hold = free.filter(die => die.pips > (die.sides + 1) / 2);
+        return {
+            hold,
+            throwAgain: hold.length < free.length
+        };
+    }
+});
+
+/**
+ * Hold the dice with the highest expected score after throwing the other
+ * dice once more, and throw again only if that beats the current score.
+ * When there are too many outcomes to enumerate, play greedy instead.
+ * @const
+ */
+const EXPECTED_VALUE_STRATEGY = Object.freeze({
+    name: "expected-value",
+    decide(context) {
+        const {dice, free, score} = context;
+        const outcomes = free.reduce((total, die) => total * (die.sides + 1), 1);
+        if (MAX_OUTCOMES < outcomes) {
+            return GREEDY_STRATEGY.decide(context);
+        }
+
+        // Holding all free dice scores the current dice. The best choice
+        // comes first, ties going to holding more dice.
+        const [best] = distributionsPerHold(dice, free, score);
+        const hold = best.hold.filter(die => free.includes(die));
+
+        return {
+            hold,
+            throwAgain: hold.length < free.length
+        };
+    }
+});
+
+/**
+ * The built-in strategies by name.
+ * @const
+ */
+const STRATEGIES = Object.freeze({
+    [RANDOM_STRATEGY.name]: RANDOM_STRATEGY,
+    [GREEDY_STRATEGY.name]: GREEDY_STRATEGY,
+    [EXPECTED_VALUE_STRATEGY.name]: EXPECTED_VALUE_STRATEGY
+});
+
+/**
+ * Get a strategy by name, or check a custom strategy.
+ *
+ * @param {String|Object} strategy - The name of a built-in strategy or an
+ * object with a decide method.
+ * @return {Object} The strategy.
+ * @throws {ConfigurationError} The strategy should exist or have a decide
+ * method.
+ */
+const toStrategy = (strategy) => {
+    if ("string" === typeof strategy && strategy in STRATEGIES) {
+        return STRATEGIES[strategy];
+    }
+    if (null !== strategy && "object" === typeof strategy && "function" === typeof strategy.decide) {
+        return strategy;
+    }
+    throw new ConfigurationError(`A strategy should be one of ${Object.keys(STRATEGIES).join(", ")} or have a decide method, got '${strategy}' instead.`);
+};
+
+export {
+    toStrategy,
+    STRATEGIES,
+    RANDOM_STRATEGY,
+    GREEDY_STRATEGY,
+    EXPECTED_VALUE_STRATEGY
+};
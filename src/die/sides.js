@@ -0,0 +1,36 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+
+/**
+ * The kinds of dice on a board, without depending on the DOM, so the
+ * board state can be checked outside a browser too.
+ *
+ * @module die/sides
+ */
+
+/**
+ * The numbers of sides of the supported dice: the standard polyhedral dice.
+ * @const
+ */
+const SUPPORTED_SIDES = [4, 6, 8, 10, 12, 20];
+
+export {
+    SUPPORTED_SIDES
+};
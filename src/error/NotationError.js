@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+
+/**
+ * NotationError is thrown when a dice notation, like "3d6+2", cannot be
+ * parsed.
+ *
+ * @extends Error
+ */
+const NotationError = class extends Error {
+
+    /**
+     * Create a new NotationError with message.
+     *
+     * @param {String} message - The message associated with this
+     * NotationError.
+     * @param {Number} [position = -1] - The position in the notation where
+     * the error was found, if known.
+     */
+    constructor(message, position = -1) {
+        super(message);
+        this.position = position;
+    }
+};
+
+export {NotationError};
@@ -0,0 +1,308 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {GameRuleError} from "../error/GameRuleError.js";
+import {TopDiceBoard} from "../TopDiceBoard.js";
+import {checkDefinition, score, busts} from "./definition.js";
+
+const MAX_THROWS_ATTRIBUTE = "max-throws";
+const HOLDING_DICE_DISABLED_ATTRIBUTE = "holding-dice-disabled";
+
+// Private properties
+const _board = new WeakMap();
+const _definition = new WeakMap();
+const _winners = new WeakMap();
+
+const dispatch = (game, type, detail) => {
+    _board.get(game).dispatchEvent(new CustomEvent(type, {
+        bubbles: true,
+        detail
+    }));
+};
+
+const valuesOf = (board) => board.dice.map(die => die.pips);
+
+const highestScoring = (players) => {
+    const highest = Math.max(...players.map(player => player.score));
+    return players.filter(player => highest === player.score);
+};
+
+const setUpBoard = (board, {dice, turn}) => {
+    const count = dice.reduce((total, group) => total + group.count, 0);
+    if (count > board.maximumNumberOfDice) {
+        throw new ConfigurationError(`At most ${board.maximumNumberOfDice} dice fit on this board, got ${count} dice instead.`);
+    }
+
+    board.dice.forEach(die => board.removeDie(die));
+    dice.forEach(({count: number, sides, color}) => {
+        for (let i = 0; i < number; i++) {
+            board.addDie(undefined === color ? {sides} : {sides, color});
+        }
+    });
+
+    const playerList = board._playerList;
+    if (0 === turn.throws) {
+        playerList.removeAttribute(MAX_THROWS_ATTRIBUTE);
+    } else {
+        playerList.setAttribute(MAX_THROWS_ATTRIBUTE, turn.throws);
+    }
+
+    if (turn.hold) {
+        board.removeAttribute(HOLDING_DICE_DISABLED_ATTRIBUTE);
+    } else {
+        board.setAttribute(HOLDING_DICE_DISABLED_ATTRIBUTE, HOLDING_DICE_DISABLED_ATTRIBUTE);
+    }
+};
+
+const gameOver = (game, winners) => {
+    _winners.set(game, winners);
+    dispatch(game, "top:game-over", {
+        winners
+    });
+};
+
+// Release the dice, pass the turn, and check if the game has ended.
+const finishTurn = (game, player) => {
+    const board = game.board;
+    const {end} = game.definition;
+
+    board.dice
+        .filter(die => die.isHeld())
+        .forEach(die => die.releaseIt(die.heldBy));
+
+    if (undefined !== end.targetScore && end.targetScore <= player.score) {
+        player.endTurn();
+        gameOver(game, [player]);
+        return;
+    }
+
+    if ("function" === typeof end && true === end(game)) {
+        player.endTurn();
+        gameOver(game, highestScoring(game.players));
+        return;
+    }
+
+    const playerList = board._playerList;
+    let lastRound = false;
+    const onEndRound = (event) => {
+        lastRound = event.detail.round >= end.rounds;
+    };
+
+    playerList.addEventListener("top:end-round", onEndRound);
+    playerList.nextTurn();
+    playerList.removeEventListener("top:end-round", onEndRound);
+
+    if (lastRound) {
+        game.currentPlayer.endTurn();
+        gameOver(game, highestScoring(game.players));
+    }
+};
+
+const checkTurn = (game, player) => {
+    if (game.isOver()) {
+        throw new GameRuleError("The game is over.");
+    }
+    if (player !== game.currentPlayer) {
+        throw new GameRuleError(`It is not ${player}'s turn.`);
+    }
+};
+
+/**
+ * DefinedGame plays a game defined by a {@link GameDefinition} on a {@link
+ * TopDiceBoard}. It puts the game's dice on the board, limits the throws
+ * per turn and holding dice, and lets the players of the board take turns.
+ *
+ * A turn ends when a throw busts, when the player has no throws left, or
+ * when the player calls {@link endTurn}. The dice then score and the
+ * points are added to the player's score.
+ */
+const DefinedGame = class {
+
+    /**
+     * Create a new DefinedGame.
+     *
+     * @param {TopDiceBoard} board - The board to play on. Its dice are
+     * replaced by the game's dice.
+     * @param {GameDefinition|String} definition - The game definition, or
+     * its JSON.
+     * @throws {ConfigurationError} The board should be a TopDiceBoard and
+     * the definition should be valid.
+     */
+    constructor(board, definition) {
+        if (!(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`A game is played on a TopDiceBoard, got '${board}' instead.`);
+        }
+
+        const checked = checkDefinition(definition);
+        _board.set(this, board);
+        _definition.set(this, checked);
+        _winners.set(this, null);
+
+        setUpBoard(board, checked);
+    }
+
+    /**
+     * The board this game is played on.
+     *
+     * @type {TopDiceBoard}
+     */
+    get board() {
+        return _board.get(this);
+    }
+
+    /**
+     * The checked definition of this game.
+     *
+     * @type {GameDefinition}
+     */
+    get definition() {
+        return _definition.get(this);
+    }
+
+    /**
+     * The players playing this game: the players taking turns on the board.
+     *
+     * @type {TopPlayer[]}
+     */
+    get players() {
+        return this.board.playersTakingTurns;
+    }
+
+    /**
+     * The player having a turn, if any. Null otherwise.
+     *
+     * @type {TopPlayer|null}
+     */
+    get currentPlayer() {
+        return this.board._playerList.currentPlayer;
+    }
+
+    /**
+     * The round being played. 0 before the first turn.
+     *
+     * @type {Number}
+     */
+    get round() {
+        return this.board._playerList.round;
+    }
+
+    /**
+     * Has this game ended?
+     *
+     * @return {Boolean} True if the game is over.
+     */
+    isOver() {
+        return null !== _winners.get(this);
+    }
+
+    /**
+     * The winners of this game, if it is over. Null otherwise.
+     *
+     * @type {TopPlayer[]|null}
+     */
+    get winners() {
+        const winners = _winners.get(this);
+        return null === winners ? null : [...winners];
+    }
+
+    /**
+     * Score the dice on the board with this game's scoring rules.
+     *
+     * @return {Number} The score of the dice.
+     */
+    score() {
+        return score(this.definition.scoring, valuesOf(this.board));
+    }
+
+    /**
+     * Throw the dice that are not held. A throw that busts ends the turn
+     * without scoring; the last throw of a turn ends the turn.
+     *
+     * @param {TopPlayer} [player = currentPlayer] - The player throwing.
+     * If no player has a turn, the next player starts a turn.
+     * @return {Promise<Number[]>} A promise resolving to the values of the
+     * dice when they have settled. It is rejected when the player has no
+     * throws left.
+     * @throws {GameRuleError} It should be the player's turn.
+     * @fires "top:bust" with parameters the player and the values when a
+     * throw busts.
+     */
+    throwDice(player = this.currentPlayer) {
+        if (null === player) {
+            this.board._playerList.nextTurn();
+            return this.throwDice(this.currentPlayer);
+        }
+
+        checkTurn(this, player);
+
+        return this.board.throwDice(player).then(() => {
+            const values = valuesOf(this.board);
+
+            if (busts(this.definition.bust, values)) {
+                dispatch(this, "top:bust", {
+                    player,
+                    values
+                });
+                finishTurn(this, player);
+            } else if (0 === this.board._playerList.throwsLeft) {
+                this.endTurn(player);
+            }
+
+            return values;
+        });
+    }
+
+    /**
+     * End the turn: score the dice, add the points to the player's score,
+     * and pass the turn to the next player.
+     *
+     * @param {TopPlayer} [player = currentPlayer] - The player ending
+     * their turn.
+     * @return {Number} The points scored.
+     * @throws {GameRuleError} It should be the player's turn and the player
+     * should have thrown.
+     * @fires "top:turn-scored" with parameters the player, the points, and
+     * the player's score.
+     * @fires "top:game-over" with parameter the winners when the game
+     * ends.
+     */
+    endTurn(player = this.currentPlayer) {
+        checkTurn(this, player);
+        if (0 === this.board._playerList.throwsThisTurn) {
+            throw new GameRuleError(`${player} should throw the dice before ending the turn.`);
+        }
+
+        const points = this.score();
+        player.score = player.score + points;
+
+        dispatch(this, "top:turn-scored", {
+            player,
+            points,
+            score: player.score
+        });
+
+        finishTurn(this, player);
+        return points;
+    }
+};
+
+export {
+    DefinedGame
+};
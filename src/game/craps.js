@@ -0,0 +1,472 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {GameRuleError} from "../error/GameRuleError.js";
+import {TopDiceBoard} from "../TopDiceBoard.js";
+
+/**
+ * Craps on a table with two six-sided dice: pass and don't pass, come,
+ * field, and odds bets, resolved after each throw, and the house edge of
+ * each bet.
+ *
+ * @module game/craps
+ */
+
+const PASS = "pass";
+const DONT_PASS = "dont-pass";
+const COME = "come";
+const FIELD = "field";
+const ODDS = "odds";
+
+/**
+ * The types of bet.
+ * @const
+ */
+const BET_TYPES = Object.freeze([PASS, DONT_PASS, COME, FIELD, ODDS]);
+
+const WIN = "win";
+const LOSE = "lose";
+const PUSH = "push";
+
+const SIDES = 6;
+const SEVEN = 7;
+const POINTS = [4, 5, 6, 8, 9, 10];
+const NATURALS = [7, 11];
+const CRAPS = [2, 3, 12];
+const FIELD_NUMBERS = [2, 3, 4, 9, 10, 11, 12];
+
+/**
+ * @typedef {Object} CrapsRules
+ *
+ * @property {Object<Number, Number>} fieldPays - The payout of the field
+ * per sum, if not even money. Default 2 to 1 on 2 and 12.
+ * @property {Number} maxOdds - The maximum odds bet as a multiple of the
+ * bet it backs. Default 3.
+ * @property {Number} bar - The come-out sum on which don't pass bets push:
+ * 2 or 12. Default 12.
+ */
+
+/**
+ * The default rules of craps.
+ * @const
+ * @type {CrapsRules}
+ */
+const DEFAULT_RULES = Object.freeze({
+    fieldPays: Object.freeze({2: 2, 12: 2}),
+    maxOdds: 3,
+    bar: 12
+});
+
+const checkRules = (rules) => {
+    const config = Object.assign({}, DEFAULT_RULES, rules);
+
+    if (null === config.fieldPays || "object" !== typeof config.fieldPays || !Object.entries(config.fieldPays).every(([sum, pays]) => FIELD_NUMBERS.includes(parseInt(sum, 10)) && 0 < pays)) {
+        throw new ConfigurationError(`Craps rule 'fieldPays' should map field numbers to payouts, got '${config.fieldPays}' instead.`);
+    }
+    if (!Number.isInteger(config.maxOdds) || 0 > config.maxOdds) {
+        throw new ConfigurationError(`Craps rule 'maxOdds' should be a non-negative integer, got '${config.maxOdds}' instead.`);
+    }
+    if (2 !== config.bar && 12 !== config.bar) {
+        throw new ConfigurationError(`Craps rule 'bar' should be 2 or 12, got '${config.bar}' instead.`);
+    }
+
+    config.fieldPays = Object.freeze(Object.assign({}, config.fieldPays));
+    return Object.freeze(config);
+};
+
+/**
+ * The probability of throwing a sum with two six-sided dice.
+ *
+ * @param {Number} sum - The sum.
+ * @return {Number} The probability.
+ */
+const probabilityOf = (sum) => Number.isInteger(sum) && 2 <= sum && 12 >= sum ? (SIDES - Math.abs(sum - SEVEN)) / (SIDES * SIDES) : 0;
+
+const total = (sums) => sums.reduce((p, sum) => p + probabilityOf(sum), 0);
+
+// The probability of throwing the point before a seven.
+const makesPoint = (point) => probabilityOf(point) / (probabilityOf(point) + probabilityOf(SEVEN));
+
+// What an odds bet pays per unit at true odds: 2 to 1 on 4 and 10, 3 to 2
+// on 5 and 9, 6 to 5 on 6 and 8. Laying odds pays the inverse.
+const trueOdds = (point, lay) => {
+    const odds = probabilityOf(SEVEN) / probabilityOf(point);
+    return lay ? 1 / odds : odds;
+};
+
+/**
+ * The house edge of a bet: the expected loss as a fraction of the bet.
+ * Come bets have the same edge as pass bets and odds bets have no edge.
+ *
+ * @param {String} type - The type of bet.
+ * @param {CrapsRules} [rules = DEFAULT_RULES] - The table rules.
+ * @return {Number} The house edge, like 0.0141 for the pass line.
+ * @throws {GameRuleError} The bet type should exist.
+ */
+const houseEdge = (type, rules = DEFAULT_RULES) => {
+    const config = checkRules(rules);
+    const points = POINTS.reduce((ev, point) => ev + probabilityOf(point) * (2 * makesPoint(point) - 1), 0);
+
+    switch (type) {
+    case PASS:
+    case COME: return -(total(NATURALS) - total(CRAPS) + points);
+    case DONT_PASS: return -(total(CRAPS) - probabilityOf(config.bar) - total(NATURALS) - points);
+    case FIELD: return -(FIELD_NUMBERS.reduce((ev, sum) => ev + probabilityOf(sum) * (config.fieldPays[sum] || 1), 0) - total([5, 6, 7, 8]));
+    case ODDS: return 0;
+    default: throw new GameRuleError(`Craps has no bet '${type}'.`);
+    }
+};
+
+/**
+ * @typedef {Object} Bet
+ *
+ * @property {String} type - The type of bet.
+ * @property {TopPlayer} player - The player who placed the bet.
+ * @property {Number} amount - The amount bet.
+ * @property {Number|null} point - The point of a come bet, null otherwise.
+ * @property {Bet|null} odds - The odds bet backing this bet, if any.
+ * @property {Bet|null} backs - The bet backed by this odds bet, if any.
+ */
+
+/**
+ * @typedef {Object} BetResult
+ *
+ * @property {Bet} bet - The resolved bet.
+ * @property {String} outcome - "win", "lose", or "push".
+ * @property {Number} payout - What the player won, negative when the bet
+ * lost.
+ */
+
+// The outcome of a line bet, or null if it stays on the table.
+const lineOutcome = (sum, point, dontSide, bar) => {
+    if (null === point) {
+        if (dontSide && bar === sum) {
+            return PUSH;
+        }
+        if (NATURALS.includes(sum)) {
+            return dontSide ? LOSE : WIN;
+        }
+        if (CRAPS.includes(sum)) {
+            return dontSide ? WIN : LOSE;
+        }
+        return null;
+    }
+
+    if (point === sum) {
+        return dontSide ? LOSE : WIN;
+    }
+    if (SEVEN === sum) {
+        return dontSide ? WIN : LOSE;
+    }
+    return null;
+};
+
+const result = (bet, outcome, pays = 1) => {
+    let payout = 0;
+    if (WIN === outcome) {
+        payout = bet.amount * pays;
+    } else if (LOSE === outcome) {
+        payout = -bet.amount;
+    }
+    return {bet, outcome, payout};
+};
+
+// Private properties
+const _board = new WeakMap();
+const _rules = new WeakMap();
+const _point = new WeakMap();
+const _bets = new WeakMap();
+
+const dispatch = (game, type, detail) => {
+    _board.get(game).dispatchEvent(new CustomEvent(type, {
+        bubbles: true,
+        detail
+    }));
+};
+
+const resolveBet = (game, bet, sum, point) => {
+    switch (bet.type) {
+    case FIELD: return result(bet, FIELD_NUMBERS.includes(sum) ? WIN : LOSE, game.rules.fieldPays[sum] || 1);
+    case PASS:
+    case DONT_PASS: {
+        const outcome = lineOutcome(sum, point, DONT_PASS === bet.type, game.rules.bar);
+        return null === outcome ? null : result(bet, outcome);
+    }
+    case COME: {
+        const outcome = lineOutcome(sum, bet.point, false, game.rules.bar);
+        if (null === outcome && null === bet.point) {
+            // The come bet moves to its own point.
+            bet.point = sum;
+        }
+        return null === outcome ? null : result(bet, outcome);
+    }
+    default: return null;
+    }
+};
+
+// Odds bets are resolved with the bet they back, at true odds.
+const resolveOdds = (game, {bet, outcome}) => {
+    const odds = bet.odds;
+    const point = COME === bet.type ? bet.point : game.point;
+    return result(odds, outcome, trueOdds(point, DONT_PASS === bet.type));
+};
+
+const resolve = (game, sum) => {
+    const point = game.point;
+    const results = [];
+
+    _bets.set(game, _bets.get(game).filter((bet) => {
+        if (ODDS === bet.type) {
+            return true;
+        }
+
+        const resolved = resolveBet(game, bet, sum, point);
+        if (null === resolved) {
+            return true;
+        }
+
+        results.push(resolved);
+        if (null !== bet.odds) {
+            results.push(resolveOdds(game, resolved));
+        }
+        return false;
+    }));
+
+    // Remove the odds bets of resolved bets.
+    const resolvedBets = results.map(({bet}) => bet);
+    _bets.set(game, _bets.get(game).filter(bet => !resolvedBets.includes(bet)));
+
+    results.forEach(({bet, payout}) => {
+        bet.player.score = bet.player.score + payout;
+    });
+
+    if (null === point && POINTS.includes(sum)) {
+        _point.set(game, sum);
+    } else if (null !== point && (point === sum || SEVEN === sum)) {
+        _point.set(game, null);
+    }
+
+    return results;
+};
+
+/**
+ * CrapsGame plays craps on a {@link TopDiceBoard} with two six-sided dice.
+ * Any player can place bets; the player having the turn is the shooter.
+ * Bets are resolved after every throw and wins and losses are added to
+ * the players' scores. The shooter passes the dice to the next player
+ * after a seven-out.
+ */
+const CrapsGame = class {
+
+    /**
+     * Create a new CrapsGame.
+     *
+     * @param {TopDiceBoard} board - The board to play on. Dice are added
+     * until there are two.
+     * @param {CrapsRules} [rules = {}] - Table rules overriding the {@link
+     * DEFAULT_RULES}.
+     * @throws {ConfigurationError} The board should be a TopDiceBoard with
+     * at most two six-sided dice and the rules should be valid.
+     */
+    constructor(board, rules = {}) {
+        if (!(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`Craps is played on a TopDiceBoard, got '${board}' instead.`);
+        }
+        if (2 < board.dice.length || board.dice.some(die => SIDES !== die.sides)) {
+            throw new ConfigurationError("Craps is played with two six-sided dice.");
+        }
+
+        _board.set(this, board);
+        _rules.set(this, checkRules(rules));
+        _point.set(this, null);
+        _bets.set(this, []);
+
+        while (2 > board.dice.length) {
+            board.addDie();
+        }
+    }
+
+    /**
+     * The board this game is played on.
+     *
+     * @type {TopDiceBoard}
+     */
+    get board() {
+        return _board.get(this);
+    }
+
+    /**
+     * The rules of this table.
+     *
+     * @type {CrapsRules}
+     */
+    get rules() {
+        return _rules.get(this);
+    }
+
+    /**
+     * The point, or null when the next throw is a come-out roll.
+     *
+     * @type {Number|null}
+     */
+    get point() {
+        return _point.get(this);
+    }
+
+    /**
+     * Is the next throw a come-out roll?
+     *
+     * @return {Boolean} True if there is no point.
+     */
+    isComeOut() {
+        return null === this.point;
+    }
+
+    /**
+     * The player throwing the dice, if any. Null otherwise.
+     *
+     * @type {TopPlayer|null}
+     */
+    get shooter() {
+        return this.board._playerList.currentPlayer;
+    }
+
+    /**
+     * The bets on the table.
+     *
+     * @type {Bet[]}
+     */
+    get bets() {
+        return [..._bets.get(this)];
+    }
+
+    /**
+     * The bets of a player on the table.
+     *
+     * @param {TopPlayer} player - The player.
+     * @return {Bet[]} The player's bets.
+     */
+    betsOf(player) {
+        return this.bets.filter(bet => bet.player === player);
+    }
+
+    /**
+     * The house edge of a type of bet at this table.
+     *
+     * @param {String} type - The type of bet.
+     * @return {Number} The house edge as a fraction of the bet.
+     */
+    houseEdge(type) {
+        return houseEdge(type, this.rules);
+    }
+
+    /**
+     * Place a bet. Pass and don't pass bets are placed before a come-out
+     * roll and come bets when there is a point. An odds bet backs a pass,
+     * don't pass, or come bet of the same player once that bet has a point.
+     *
+     * @param {TopPlayer} player - The player placing the bet.
+     * @param {String} type - The type of bet.
+     * @param {Number} amount - The amount to bet.
+     * @param {Bet} [backs = null] - The bet an odds bet backs.
+     * @return {Bet} The placed bet.
+     * @throws {GameRuleError} The bet should be allowed at this moment.
+     */
+    placeBet(player, type, amount, backs = null) {
+        if (!BET_TYPES.includes(type)) {
+            throw new GameRuleError(`Craps has no bet '${type}'.`);
+        }
+        if (!Number.isFinite(amount) || 0 >= amount) {
+            throw new GameRuleError(`A bet should be a positive amount, got '${amount}' instead.`);
+        }
+        if ((PASS === type || DONT_PASS === type) && !this.isComeOut()) {
+            throw new GameRuleError(`A ${type} bet is placed before a come-out roll.`);
+        }
+        if (COME === type && this.isComeOut()) {
+            throw new GameRuleError("A come bet is placed when there is a point.");
+        }
+
+        const bet = {type, player, amount, point: null, odds: null, backs: null};
+
+        if (ODDS === type) {
+            if (null === backs || !_bets.get(this).includes(backs) || backs.player !== player || ![PASS, DONT_PASS, COME].includes(backs.type)) {
+                throw new GameRuleError(`An odds bet backs a pass, don't pass, or come bet of ${player}.`);
+            }
+            if (null === (COME === backs.type ? backs.point : this.point)) {
+                throw new GameRuleError("An odds bet is placed once the bet it backs has a point.");
+            }
+            if (null !== backs.odds) {
+                throw new GameRuleError("This bet is backed by odds already.");
+            }
+            if (amount > backs.amount * this.rules.maxOdds) {
+                throw new GameRuleError(`An odds bet is at most ${this.rules.maxOdds} times the bet it backs.`);
+            }
+            bet.backs = backs;
+            backs.odds = bet;
+        }
+
+        _bets.get(this).push(bet);
+        return bet;
+    }
+
+    /**
+     * The shooter throws the dice and all bets are resolved.
+     *
+     * @param {TopPlayer} [player = shooter] - The player throwing the dice.
+     * If no player has a turn, the next player becomes the shooter.
+     * @return {Promise<BetResult[]>} A promise resolving to the resolved
+     * bets when the dice have settled.
+     * @fires "top:bets-resolved" with parameters the sum thrown, the point,
+     * and the resolved bets.
+     */
+    throwDice(player = this.shooter) {
+        const board = this.board;
+        if (null === player) {
+            board._playerList.nextTurn();
+            return this.throwDice(this.shooter);
+        }
+
+        return board.throwDice(player).then((dice) => {
+            const sum = dice.reduce((s, die) => s + die.pips, 0);
+            const sevenOut = !this.isComeOut() && SEVEN === sum;
+            const results = resolve(this, sum);
+
+            dispatch(this, "top:bets-resolved", {
+                sum,
+                point: this.point,
+                results
+            });
+
+            if (sevenOut) {
+                board._playerList.nextTurn();
+            }
+
+            return results;
+        });
+    }
+};
+
+export {
+    CrapsGame,
+    houseEdge,
+    probabilityOf,
+    BET_TYPES,
+    DEFAULT_RULES
+};
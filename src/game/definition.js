@@ -0,0 +1,275 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {SUPPORTED_SIDES} from "../TopDie.js";
+import {parse} from "../notation/parse.js";
+
+/**
+ * A declarative format to define dice games: the dice, the turns, how the
+ * dice score, when a throw busts, and when the game ends. A definition is
+ * a plain object, so it can be stored as JSON. In JavaScript, scoring and
+ * end conditions can be functions as well.
+ *
+ *     {
+ *         name: "Sixes",
+ *         dice: "5d6",
+ *         turn: {throws: 3, hold: true},
+ *         scoring: {combine: "sum", rules: [{type: "face", face: 6, points: 1}]},
+ *         end: {rounds: 10}
+ *     }
+ *
+ * @module game/definition
+ */
+
+const SUM = "sum";
+const MAX = "max";
+
+/**
+ * The types of scoring rule.
+ *
+ * - "sum": the sum of the dice.
+ * - "face": points for every die showing face.
+ * - "of-a-kind": points if count dice show the same face.
+ * - "straight": points if length dice show consecutive faces.
+ * - "all": points if the dice show all the given faces.
+ *
+ * Points can be a number or "sum" to score the sum of the dice.
+ * @const
+ */
+const RULE_TYPES = Object.freeze(["sum", "face", "of-a-kind", "straight", "all"]);
+
+/**
+ * @typedef {Object} ScoringRule
+ *
+ * @property {String} type - The type of rule, see {@link RULE_TYPES}.
+ * @property {Number|String} [points = "sum"] - The points scored.
+ * @property {Number} [face] - The face of a "face" rule.
+ * @property {Number} [count] - The number of dice of an "of-a-kind" rule.
+ * @property {Number} [length] - The length of a "straight" rule.
+ * @property {Number[]} [faces] - The faces of an "all" rule.
+ */
+
+/**
+ * @typedef {Object} GameDefinition
+ *
+ * @property {String} name - The name of the game.
+ * @property {String|Object[]} dice - The dice as dice notation, like "5d6",
+ * or as a list of {count, sides, color}.
+ * @property {Object} [turn] - The turns.
+ * @property {Number} [turn.throws = 1] - The throws per turn, 0 for
+ * unlimited.
+ * @property {Boolean} [turn.hold = false] - Can players hold dice between
+ * throws?
+ * @property {Object|Function} scoring - How the dice score at the end of a
+ * turn: {combine, rules} with combine "sum" to add the points of all
+ * rules or "max" to take the best rule, or a function from the values of
+ * the dice to the points.
+ * @property {Object|Function} [bust] - A throw busts, scoring nothing
+ * and ending the turn, if these rules score or this function returns
+ * true.
+ * @property {Object|Function} end - When the game ends: {targetScore},
+ * {rounds}, or a function from the game to true when the game is over.
+ */
+
+const isPlainObject = (value) => null !== value && "object" === typeof value && !Array.isArray(value);
+
+const checkDice = (dice) => {
+    let groups = dice;
+
+    if ("string" === typeof dice) {
+        const terms = parse(dice).terms;
+        if (terms.some(({operator, operand}) => "-" === operator || "dice" !== operand.type || null !== operand.select || null !== operand.explode || null !== operand.reroll)) {
+            throw new ConfigurationError(`A game's dice should be plain dice notation like "5d6", got '${dice}' instead.`);
+        }
+        groups = terms.map(({operand}) => ({count: operand.count, sides: operand.sides}));
+    }
+
+    if (!Array.isArray(groups) || 0 === groups.length) {
+        throw new ConfigurationError(`A game should define its dice, got '${dice}' instead.`);
+    }
+
+    return Object.freeze(groups.map(({count = 1, sides = 6, color} = {}) => {
+        if (!Number.isInteger(count) || 0 >= count) {
+            throw new ConfigurationError(`The number of dice should be a positive integer, got '${count}' instead.`);
+        }
+        if (!SUPPORTED_SIDES.includes(sides)) {
+            throw new ConfigurationError(`Dice should have ${SUPPORTED_SIDES.join(", ")} sides, got '${sides}' instead.`);
+        }
+        return Object.freeze(undefined === color ? {count, sides} : {count, sides, color});
+    }));
+};
+
+const checkRule = (rule) => {
+    if (!isPlainObject(rule) || !RULE_TYPES.includes(rule.type)) {
+        throw new ConfigurationError(`A scoring rule should have a type of ${RULE_TYPES.join(", ")}, got '${JSON.stringify(rule)}' instead.`);
+    }
+
+    const points = undefined === rule.points ? SUM : rule.points;
+    if (SUM !== points && !Number.isFinite(points)) {
+        throw new ConfigurationError(`The points of a scoring rule should be a number or "sum", got '${points}' instead.`);
+    }
+
+    const positive = (property) => {
+        if (!Number.isInteger(rule[property]) || 0 >= rule[property]) {
+            throw new ConfigurationError(`A "${rule.type}" rule should have a positive integer ${property}, got '${rule[property]}' instead.`);
+        }
+    };
+
+    switch (rule.type) {
+    case "face": positive("face"); break;
+    case "of-a-kind": positive("count"); break;
+    case "straight": positive("length"); break;
+    case "all": {
+        if (!Array.isArray(rule.faces) || 0 === rule.faces.length) {
+            throw new ConfigurationError(`An "all" rule should have a list of faces, got '${rule.faces}' instead.`);
+        }
+        break;
+    }
+    default: // A sum needs no configuration.
+    }
+
+    return Object.freeze(Object.assign({}, rule, {points}));
+};
+
+const checkRules = (rules, property) => {
+    if ("function" === typeof rules) {
+        return rules;
+    }
+
+    const config = Array.isArray(rules) ? {rules} : rules;
+    if (!isPlainObject(config) || !Array.isArray(config.rules)) {
+        throw new ConfigurationError(`A game's ${property} should be a function or a list of rules, got '${rules}' instead.`);
+    }
+
+    const combine = undefined === config.combine ? SUM : config.combine;
+    if (SUM !== combine && MAX !== combine) {
+        throw new ConfigurationError(`Rules are combined by "${SUM}" or "${MAX}", got '${combine}' instead.`);
+    }
+
+    return Object.freeze({combine, rules: Object.freeze(config.rules.map(checkRule))});
+};
+
+const checkEnd = (end) => {
+    if ("function" === typeof end) {
+        return end;
+    }
+
+    if (isPlainObject(end) && Number.isInteger(end.targetScore) && 0 < end.targetScore) {
+        return Object.freeze({targetScore: end.targetScore});
+    }
+    if (isPlainObject(end) && Number.isInteger(end.rounds) && 0 < end.rounds) {
+        return Object.freeze({rounds: end.rounds});
+    }
+
+    throw new ConfigurationError(`A game should end at a targetScore or after a number of rounds, got '${JSON.stringify(end)}' instead.`);
+};
+
+/**
+ * Check a game definition and fill in the defaults.
+ *
+ * @param {GameDefinition|String} definition - The definition, or its JSON.
+ * @return {GameDefinition} The checked definition with the dice as a list
+ * of {count, sides} and defaults filled in.
+ * @throws {ConfigurationError} The definition should be valid.
+ * @throws {NotationError} The dice notation could not be parsed.
+ */
+const checkDefinition = (definition) => {
+    const config = "string" === typeof definition ? JSON.parse(definition) : definition;
+    if (!isPlainObject(config)) {
+        throw new ConfigurationError(`A game definition should be an object, got '${definition}' instead.`);
+    }
+
+    const {name = "Dice game", dice, turn = {}, scoring, bust = null, end} = config;
+    const {throws = 1, hold = false} = turn;
+    if (!Number.isInteger(throws) || 0 > throws) {
+        throw new ConfigurationError(`The throws per turn should be a non-negative integer, got '${throws}' instead.`);
+    }
+
+    return Object.freeze({
+        name: `${name}`,
+        dice: checkDice(dice),
+        turn: Object.freeze({throws, hold: true === hold}),
+        scoring: checkRules(scoring, "scoring"),
+        bust: null === bust ? null : checkRules(bust, "bust"),
+        end: checkEnd(end)
+    });
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const countFaces = (values) => values.reduce((counts, value) => counts.set(value, (counts.get(value) || 0) + 1), new Map());
+
+const hasRun = (values, length) => {
+    const faces = new Set(values);
+    return [...faces].some(start => Array.from({length}, (_, i) => start + i).every(face => faces.has(face)));
+};
+
+const scoreRule = (rule, values) => {
+    const points = SUM === rule.points ? sum(values) : rule.points;
+    switch (rule.type) {
+    case "sum": return sum(values);
+    case "face": return values.filter(value => rule.face === value).length * (SUM === rule.points ? rule.face : rule.points);
+    case "of-a-kind": return [...countFaces(values).values()].some(count => rule.count <= count) ? points : 0;
+    case "straight": return hasRun(values, rule.length) ? points : 0;
+    default: return rule.faces.every(face => values.includes(face)) ? points : 0;
+    }
+};
+
+/**
+ * Score dice values with the scoring rules of a definition.
+ *
+ * @param {Object|Function} scoring - The checked scoring rules or a
+ * scoring function.
+ * @param {Number[]} values - The values of the dice.
+ * @return {Number} The score.
+ */
+const score = (scoring, values) => {
+    if ("function" === typeof scoring) {
+        return scoring(values);
+    }
+
+    const points = scoring.rules.map(rule => scoreRule(rule, values));
+    if (MAX === scoring.combine) {
+        return 0 < points.length ? Math.max(...points) : 0;
+    }
+    return sum(points);
+};
+
+/**
+ * Does a throw bust under the bust rules of a definition?
+ *
+ * @param {Object|Function|null} bust - The checked bust rules, a bust
+ * function, or null if throws never bust.
+ * @param {Number[]} values - The values of the dice.
+ * @return {Boolean} True if the throw busts.
+ */
+const busts = (bust, values) => {
+    if (null === bust) {
+        return false;
+    }
+    return "function" === typeof bust ? true === bust(values) : 0 < score(bust, values);
+};
+
+export {
+    checkDefinition,
+    score,
+    busts,
+    RULE_TYPES
+};
@@ -0,0 +1,588 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {GameRuleError} from "../error/GameRuleError.js";
+import {TopDiceBoard} from "../TopDiceBoard.js";
+
+/**
+ * The rules of Farkle, also known as Zilch: throw six dice, set aside
+ * scoring dice, and throw the rest again or bank the points. A throw
+ * without scoring dice is a farkle and loses the points of the turn.
+ *
+ * @module game/farkle
+ */
+
+const SIDES = 6;
+const NUMBER_OF_DICE = 6;
+
+/**
+ * @typedef {Object} FarkleRules
+ *
+ * @property {Object<Number, Number>} singles - The score of a single die
+ * per face. Default 100 for a one and 50 for a five.
+ * @property {Number} threeOnes - The score of three ones. Other three of a
+ * kinds score 100 times their face. Default 1000.
+ * @property {String} ofAKind - How four, five, or six of a kind score:
+ * "double" doubles the score of three of a kind for every extra die,
+ * "fixed" scores 1000, 2000, and 3000. Default "double".
+ * @property {Number} straight - The score of 1-2-3-4-5-6. Default 1500.
+ * @property {Number} threePairs - The score of three pairs, 0 if three
+ * pairs do not score. Default 1500.
+ * @property {Number} twoTriplets - The score of two three of a kinds, 0 if
+ * they score as two separate three of a kinds. Default 0.
+ * @property {Number} openingScore - The points a player has to bank in a
+ * single turn to get on the board. Default 0.
+ * @property {Number} minimumBank - The points a player needs to bank.
+ * Default 0.
+ * @property {Boolean} hotDice - Can a player throw all six dice again when
+ * all dice score? Default true.
+ * @property {Number} threeFarklePenalty - The points lost on a third
+ * farkle in a row. Default 0.
+ * @property {Number} targetScore - The score to win the game. Default
+ * 10000.
+ */
+
+/**
+ * The default rules of Farkle.
+ * @const
+ * @type {FarkleRules}
+ */
+const DEFAULT_RULES = Object.freeze({
+    singles: Object.freeze({1: 100, 5: 50}),
+    threeOnes: 1000,
+    ofAKind: "double",
+    straight: 1500,
+    threePairs: 1500,
+    twoTriplets: 0,
+    openingScore: 0,
+    minimumBank: 0,
+    hotDice: true,
+    threeFarklePenalty: 0,
+    targetScore: 10000
+});
+
+const OF_A_KIND_RULES = ["double", "fixed"];
+
+const checkRules = (rules) => {
+    const config = Object.assign({}, DEFAULT_RULES, rules);
+
+    ["threeOnes", "straight", "threePairs", "twoTriplets", "openingScore", "minimumBank", "threeFarklePenalty", "targetScore"]
+        .filter(rule => !Number.isInteger(config[rule]) || 0 > config[rule])
+        .forEach((rule) => {
+            throw new ConfigurationError(`Farkle rule '${rule}' should be a non-negative integer, got '${config[rule]}' instead.`);
+        });
+
+    if (!OF_A_KIND_RULES.includes(config.ofAKind)) {
+        throw new ConfigurationError(`Farkle rule 'ofAKind' should be one of ${OF_A_KIND_RULES.join(", ")}, got '${config.ofAKind}' instead.`);
+    }
+
+    if (null === config.singles || "object" !== typeof config.singles || !Object.values(config.singles).every(score => Number.isInteger(score) && 0 < score)) {
+        throw new ConfigurationError(`Farkle rule 'singles' should map faces to positive scores, got '${config.singles}' instead.`);
+    }
+
+    config.hotDice = true === config.hotDice;
+    config.singles = Object.freeze(Object.assign({}, config.singles));
+    return Object.freeze(config);
+};
+
+const countFaces = (values) => {
+    const counts = new Array(SIDES + 1).fill(0);
+    values.forEach((value) => {
+        if (!Number.isInteger(value) || 1 > value || SIDES < value) {
+            throw new GameRuleError(`Farkle is played with six-sided dice, got '${values}' instead.`);
+        }
+        counts[value]++;
+    });
+    return counts;
+};
+
+const valuesOf = (dice) => dice.map(die => "number" === typeof die ? die : die.pips);
+
+const ofAKindScore = (face, count, rules) => {
+    const three = 1 === face ? rules.threeOnes : face * 100;
+    if (3 === count || "double" === rules.ofAKind) {
+        return three * Math.pow(2, count - 3);
+    }
+    return (count - 3) * 1000;
+};
+
+// The best score using all dice, or null if some dice do not score.
+const bestScore = (counts, rules) => {
+    const face = counts.findIndex(count => 0 < count);
+    if (-1 === face) {
+        return 0;
+    }
+
+    const options = [];
+    const rest = (used) => bestScore(counts.map((count, f) => f === face ? count - used : count), rules);
+
+    for (let count = 3; count <= counts[face]; count++) {
+        const score = rest(count);
+        if (null !== score) {
+            options.push(ofAKindScore(face, count, rules) + score);
+        }
+    }
+
+    if (face in rules.singles) {
+        const score = rest(1);
+        if (null !== score) {
+            options.push(rules.singles[face] + score);
+        }
+    }
+
+    return 0 < options.length ? Math.max(...options) : null;
+};
+
+// Combinations of all six dice.
+const sixDiceScores = (counts, rules) => {
+    const groups = counts.slice(1).filter(count => 0 < count).sort();
+    const scores = [];
+    if (6 === groups.length) {
+        scores.push(rules.straight);
+    }
+    if (0 < rules.threePairs && ("2,2,2" === groups.join() || "2,4" === groups.join())) {
+        scores.push(rules.threePairs);
+    }
+    if (0 < rules.twoTriplets && "3,3" === groups.join()) {
+        scores.push(rules.twoTriplets);
+    }
+    return scores;
+};
+
+/**
+ * Score a selection of dice. All dice in the selection should score.
+ *
+ * @param {TopDie[]|Number[]} dice - The dice or their values.
+ * @param {FarkleRules} [rules = DEFAULT_RULES] - The rules to score with.
+ * @return {Number|null} The best score of the selection, or null if some
+ * of the dice do not score.
+ * @throws {GameRuleError} Farkle is played with six-sided dice.
+ */
+const scoreSelection = (dice, rules = DEFAULT_RULES) => {
+    const config = checkRules(rules);
+    const counts = countFaces(valuesOf(dice));
+    if (0 === dice.length) {
+        return null;
+    }
+
+    const scores = 6 === dice.length ? sixDiceScores(counts, config) : [];
+    const score = bestScore(counts, config);
+    if (null !== score) {
+        scores.push(score);
+    }
+
+    return 0 < scores.length ? Math.max(...scores) : null;
+};
+
+/**
+ * Find the scoring selection with the highest score among the dice.
+ *
+ * @param {TopDie[]|Number[]} dice - The dice or their values.
+ * @param {FarkleRules} [rules = DEFAULT_RULES] - The rules to score with.
+ * @return {{dice: Array, score: Number}|null} The best selection and its
+ * score, or null if no dice score.
+ */
+const bestSelection = (dice, rules = DEFAULT_RULES) => {
+    const config = checkRules(rules);
+    let best = null;
+
+    // At most 2^6 selections.
+    for (let subset = 1; subset < Math.pow(2, dice.length); subset++) {
+        const selection = dice.filter((die, index) => 1 === Math.floor(subset / Math.pow(2, index)) % 2);
+        const score = scoreSelection(selection, config);
+        if (null !== score && (null === best || score > best.score || (score === best.score && selection.length < best.dice.length))) {
+            best = {dice: selection, score};
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Is this throw a farkle: do none of the dice score?
+ *
+ * @param {TopDie[]|Number[]} dice - The thrown dice or their values.
+ * @param {FarkleRules} [rules = DEFAULT_RULES] - The rules to score with.
+ * @return {Boolean} True if none of the dice score.
+ */
+const isFarkle = (dice, rules = DEFAULT_RULES) => null === bestSelection(dice, rules);
+
+// Private properties
+const _board = new WeakMap();
+const _rules = new WeakMap();
+const _player = new WeakMap();
+const _turnScore = new WeakMap();
+const _setAside = new WeakMap();
+const _farkles = new WeakMap();
+const _winner = new WeakMap();
+const _throwing = new WeakSet();
+
+const dispatch = (game, type, detail) => {
+    _board.get(game).dispatchEvent(new CustomEvent(type, {
+        bubbles: true,
+        detail
+    }));
+};
+
+const releaseAll = (board) => board.dice
+    .filter(die => die.isHeld())
+    .forEach(die => die.releaseIt(die.heldBy));
+
+// Reset the turn when another player has the turn.
+const syncTurn = (game) => {
+    const player = game.currentPlayer;
+    if (player !== _player.get(game)) {
+        _player.set(game, player);
+        _turnScore.set(game, 0);
+        _setAside.set(game, new Set());
+    }
+};
+
+const endTurn = (game) => {
+    _player.set(game, null);
+    _turnScore.set(game, 0);
+    _setAside.set(game, new Set());
+    releaseAll(_board.get(game));
+
+    if (null === game.winner) {
+        _board.get(game)._playerList.nextTurn();
+    } else {
+        game.currentPlayer.endTurn();
+    }
+};
+
+const farkle = (game, player) => {
+    const farkles = _farkles.get(game);
+    const count = (farkles.get(player.name) || 0) + 1;
+    const rules = game.rules;
+
+    let penalty = 0;
+    if (3 <= count && 0 < rules.threeFarklePenalty) {
+        penalty = rules.threeFarklePenalty;
+        player.score = player.score - penalty;
+        farkles.set(player.name, 0);
+    } else {
+        farkles.set(player.name, count);
+    }
+
+    dispatch(game, "top:farkle", {
+        player,
+        turnScore: game.turnScore,
+        penalty
+    });
+    endTurn(game);
+};
+
+const checkTurn = (game, player) => {
+    if (null !== game.winner) {
+        throw new GameRuleError(`The game is over, ${game.winner} has won.`);
+    }
+    if (player !== game.currentPlayer) {
+        throw new GameRuleError(`It is not ${player}'s turn.`);
+    }
+    if (_throwing.has(game)) {
+        throw new GameRuleError(`${player} should wait for the dice to settle.`);
+    }
+    syncTurn(game);
+};
+
+/**
+ * FarkleGame plays Farkle on a {@link TopDiceBoard} with six dice. Players
+ * take turns using the board's {@link TopPlayerList}.
+ *
+ * After each throw, the current player holds the scoring dice to set them
+ * aside and either throws the other dice again with {@link throwDice} or
+ * banks the points of the turn with {@link bank}. Dice set aside stay held
+ * until the turn ends. When all six dice have been set aside, the player
+ * has hot dice and throws all six dice again.
+ */
+const FarkleGame = class {
+
+    /**
+     * Create a new FarkleGame.
+     *
+     * @param {TopDiceBoard} board - The board to play on. Dice are added
+     * until there are six.
+     * @param {FarkleRules} [rules = {}] - House rules overriding the {@link
+     * DEFAULT_RULES}.
+     * @throws {ConfigurationError} The board should be a TopDiceBoard and
+     * the rules should be valid.
+     */
+    constructor(board, rules = {}) {
+        if (!(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`Farkle is played on a TopDiceBoard, got '${board}' instead.`);
+        }
+
+        _board.set(this, board);
+        _rules.set(this, checkRules(rules));
+        _player.set(this, null);
+        _turnScore.set(this, 0);
+        _setAside.set(this, new Set());
+        _farkles.set(this, new Map());
+        _winner.set(this, null);
+
+        if (board.dice.some(die => SIDES !== die.sides)) {
+            throw new ConfigurationError("Farkle is played with six-sided dice.");
+        }
+        while (NUMBER_OF_DICE > board.dice.length) {
+            board.addDie();
+        }
+    }
+
+    /**
+     * The board this game is played on.
+     *
+     * @type {TopDiceBoard}
+     */
+    get board() {
+        return _board.get(this);
+    }
+
+    /**
+     * The rules of this game.
+     *
+     * @type {FarkleRules}
+     */
+    get rules() {
+        return _rules.get(this);
+    }
+
+    /**
+     * The player having a turn, if any. Null otherwise.
+     *
+     * @type {TopPlayer|null}
+     */
+    get currentPlayer() {
+        return _board.get(this)._playerList.currentPlayer;
+    }
+
+    /**
+     * The winner of this game, if any. Null otherwise.
+     *
+     * @type {TopPlayer|null}
+     */
+    get winner() {
+        return _winner.get(this);
+    }
+
+    /**
+     * The points of the current turn set aside so far.
+     *
+     * @type {Number}
+     */
+    get turnScore() {
+        syncTurn(this);
+        return _turnScore.get(this);
+    }
+
+    /**
+     * The dice set aside in earlier throws of the current turn.
+     *
+     * @type {TopDie[]}
+     */
+    get setAside() {
+        syncTurn(this);
+        return [..._setAside.get(this)];
+    }
+
+    /**
+     * The dice the current player holds since the last throw.
+     *
+     * @type {TopDie[]}
+     */
+    get selection() {
+        syncTurn(this);
+        const player = this.currentPlayer;
+        const setAside = _setAside.get(this);
+        return null === player ? [] : this.board.dice.filter(die => die.isHeld() && die.heldBy.equals(player) && !setAside.has(die));
+    }
+
+    /**
+     * The score of the selection, or null if some selected dice do not
+     * score.
+     *
+     * @type {Number|null}
+     */
+    get selectionScore() {
+        return scoreSelection(this.selection, this.rules);
+    }
+
+    /**
+     * The dice that can still be thrown in this turn.
+     *
+     * @type {TopDie[]}
+     */
+    get freeDice() {
+        return this.board.dice.filter(die => !die.isHeld());
+    }
+
+    /**
+     * Throw the dice that are not held. Before throwing again in a turn,
+     * the player has to set aside scoring dice by holding them. Throwing
+     * without scoring dice is a farkle and ends the turn.
+     *
+     * @param {TopPlayer} [player = currentPlayer] - The player throwing the
+     * dice. If no player has a turn, the next player starts a turn.
+     * @return {Promise<TopDie[]>} A promise resolving to the dice on the
+     * board when they have settled.
+     * @throws {GameRuleError} It should be the player's turn, the dice of
+     * the previous throw should have settled, and all held dice should
+     * score.
+     * @fires "top:hot-dice" with parameters the player and the turn score
+     * when all dice have been set aside.
+     * @fires "top:farkle" with parameters the player, the lost turn score,
+     * and the penalty, if any.
+     */
+    throwDice(player = this.currentPlayer) {
+        const board = this.board;
+        if (null === player) {
+            board._playerList.nextTurn();
+            return this.throwDice(this.currentPlayer);
+        }
+
+        checkTurn(this, player);
+
+        // The turn changes only once the dice have been thrown.
+        let commit = () => {};
+        let held = [];
+
+        if (0 < board._playerList.throwsThisTurn) {
+            const selection = this.selection;
+            const score = scoreSelection(selection, this.rules);
+            const setAside = _setAside.get(this);
+
+            if (0 === selection.length) {
+                throw new GameRuleError("Set aside at least one scoring die before throwing again.");
+            }
+            if (null === score) {
+                throw new GameRuleError("All dice set aside should score.");
+            }
+            if ([...setAside].some(die => !die.isHeld())) {
+                throw new GameRuleError("Dice set aside earlier in this turn cannot be thrown again.");
+            }
+
+            const hotDice = setAside.size + selection.length === board.dice.length;
+            if (hotDice && !this.rules.hotDice) {
+                throw new GameRuleError("All dice have been set aside: bank the points.");
+            }
+
+            commit = () => {
+                _turnScore.set(this, _turnScore.get(this) + score);
+                if (hotDice) {
+                    _setAside.set(this, new Set());
+                    dispatch(this, "top:hot-dice", {
+                        player,
+                        turnScore: this.turnScore
+                    });
+                } else {
+                    selection.forEach(die => setAside.add(die));
+                }
+            };
+
+            if (hotDice) {
+                held = board.dice.map(die => [die, die.heldBy]);
+                releaseAll(board);
+            }
+        } else {
+            releaseAll(board);
+        }
+
+        _throwing.add(this);
+        return board.throwDice(player).then((dice) => {
+            _throwing.delete(this);
+            commit();
+            if (isFarkle(this.freeDice, this.rules)) {
+                farkle(this, player);
+            }
+            return dice;
+        }, (error) => {
+            _throwing.delete(this);
+            // Hold the hot dice again to throw them later.
+            held.forEach(([die, holder]) => die.holdIt(holder));
+            throw error;
+        });
+    }
+
+    /**
+     * Bank the points of the current turn, including the selection, and
+     * pass the turn to the next player.
+     *
+     * @param {TopPlayer} [player = currentPlayer] - The player banking.
+     * @return {Number} The banked points.
+     * @throws {GameRuleError} It should be the player's turn, the player
+     * should have thrown and the dice should have settled, all held dice
+     * should score, and the points should meet the opening score and
+     * minimum bank.
+     * @fires "top:bank" with parameters the player, the banked points, and
+     * the player's score.
+     * @fires "top:winner" with parameters the player and the score when the
+     * player reaches the target score.
+     */
+    bank(player = this.currentPlayer) {
+        checkTurn(this, player);
+
+        if (0 === this.board._playerList.throwsThisTurn) {
+            throw new GameRuleError(`${player} should throw the dice before banking.`);
+        }
+
+        const selection = this.selection;
+        const score = 0 === selection.length ? 0 : scoreSelection(selection, this.rules);
+        if (null === score) {
+            throw new GameRuleError("All dice set aside should score.");
+        }
+
+        const points = _turnScore.get(this) + score;
+        const rules = this.rules;
+        if (0 === player.score && points < rules.openingScore) {
+            throw new GameRuleError(`${player} needs at least ${rules.openingScore} points to get on the board, got ${points} instead.`);
+        }
+        if (points < rules.minimumBank) {
+            throw new GameRuleError(`${player} needs at least ${rules.minimumBank} points to bank, got ${points} instead.`);
+        }
+
+        player.score = player.score + points;
+        _farkles.get(this).set(player.name, 0);
+
+        dispatch(this, "top:bank", {
+            player,
+            points,
+            score: player.score
+        });
+
+        if (rules.targetScore <= player.score) {
+            _winner.set(this, player);
+            dispatch(this, "top:winner", {
+                player,
+                score: player.score
+            });
+        }
+
+        endTurn(this);
+        return points;
+    }
+};
+
+export {
+    FarkleGame,
+    scoreSelection,
+    bestSelection,
+    isFarkle,
+    DEFAULT_RULES
+};
@@ -0,0 +1,391 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {GameRuleError} from "../error/GameRuleError.js";
+import {TopDiceBoard} from "../TopDiceBoard.js";
+
+/**
+ * Liar's Dice, also known as Perudo: every player throws their dice in a
+ * cup hidden from the other players. Players bid on how many dice on the
+ * table show a face, or challenge the last bid. A challenge reveals all
+ * cups and the player who was wrong loses a die.
+ *
+ * @module game/liarsDice
+ */
+
+const SIDES = 6;
+const DEFAULT_DICE_PER_PLAYER = 5;
+
+/**
+ * @typedef {Object} Bid
+ *
+ * @property {TopPlayer} player - The player making the bid.
+ * @property {Number} quantity - The number of dice bid on.
+ * @property {Number} face - The face bid on.
+ */
+
+/**
+ * Count the dice showing a face. With wild ones, ones count for any face.
+ *
+ * @param {TopDie[]|Number[]} dice - The dice or their values.
+ * @param {Number} face - The face to count.
+ * @param {Boolean} [wildOnes = true] - Do ones count for any face?
+ * @return {Number} The number of dice showing the face.
+ */
+const countFace = (dice, face, wildOnes = true) => dice
+    .map(die => "number" === typeof die ? die : die.pips)
+    .filter(value => face === value || (wildOnes && 1 === value))
+    .length;
+
+// Private properties
+const _board = new WeakMap();
+const _config = new WeakMap();
+const _diceCounts = new WeakMap();
+const _owners = new WeakMap();
+const _bids = new WeakMap();
+const _revealed = new WeakMap();
+const _starter = new WeakMap();
+const _winner = new WeakMap();
+
+const dispatch = (game, type, detail) => {
+    _board.get(game).dispatchEvent(new CustomEvent(type, {
+        bubbles: true,
+        detail
+    }));
+};
+
+const ownerOf = (game, die) => _owners.get(game).get(die) || null;
+
+// A cup is hidden from everyone but its owner until a challenge reveals it.
+const concealCups = (game) => (die, viewer) => {
+    const owner = ownerOf(game, die);
+    return !_revealed.get(game) && null !== owner && (null === viewer || owner !== viewer.name);
+};
+
+// Pass the turn to the next player who still has dice.
+const passTurn = (game) => {
+    const playerList = game.board._playerList;
+    const players = game.players.length;
+    for (let i = 0; i < players; i++) {
+        playerList.nextTurn();
+        if (0 < game.diceCountOf(game.currentPlayer)) {
+            return;
+        }
+    }
+};
+
+const checkTurn = (game, player) => {
+    if (null !== game.winner) {
+        throw new GameRuleError(`The game is over, ${game.winner} has won.`);
+    }
+    if (0 === _owners.get(game).size || game.isRevealed()) {
+        throw new GameRuleError("Start a round before bidding or challenging.");
+    }
+    if (player !== game.currentPlayer) {
+        throw new GameRuleError(`It is not ${player}'s turn.`);
+    }
+};
+
+/**
+ * LiarsDiceGame plays Liar's Dice on a {@link TopDiceBoard}. Each player
+ * has a cup of dice in their color. The board draws the dice in a cup
+ * face down, except for the cup of the board's {@link
+ * TopDiceBoard#viewer}: show each player the board with them as the
+ * viewer.
+ *
+ * Each round starts with {@link startRound}. Players take turns to {@link
+ * bid} higher than the last bid or to {@link challenge} it. The player who
+ * loses the challenge loses a die and starts the next round. The last
+ * player with dice wins.
+ */
+const LiarsDiceGame = class {
+
+    /**
+     * Create a new LiarsDiceGame for the players on a board.
+     *
+     * @param {TopDiceBoard} board - The board to play on.
+     * @param {Object} [config = {}] - The configuration of the game.
+     * @param {Number} [config.dicePerPlayer = 5] - The number of dice each
+     * player starts with.
+     * @param {Boolean} [config.wildOnes = true] - Do ones count for any
+     * face? If so, players cannot bid on ones.
+     * @throws {ConfigurationError} The board should be a TopDiceBoard with
+     * room for the dice of at least two players.
+     */
+    constructor(board, {dicePerPlayer = DEFAULT_DICE_PER_PLAYER, wildOnes = true} = {}) {
+        if (!(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`Liar's Dice is played on a TopDiceBoard, got '${board}' instead.`);
+        }
+        if (!Number.isInteger(dicePerPlayer) || 0 >= dicePerPlayer) {
+            throw new ConfigurationError(`The number of dice per player should be a positive integer, got '${dicePerPlayer}' instead.`);
+        }
+
+        _board.set(this, board);
+        _config.set(this, Object.freeze({dicePerPlayer, wildOnes: true === wildOnes}));
+        _diceCounts.set(this, new Map());
+        _owners.set(this, new Map());
+        _bids.set(this, []);
+        _revealed.set(this, false);
+        _starter.set(this, null);
+        _winner.set(this, null);
+
+        const players = this.players;
+        if (2 > players.length) {
+            throw new ConfigurationError("Liar's Dice is played with at least two players.");
+        }
+        if (players.length * dicePerPlayer > board.maximumNumberOfDice) {
+            throw new ConfigurationError(`At most ${board.maximumNumberOfDice} dice fit on this board, got ${players.length * dicePerPlayer} dice instead.`);
+        }
+        players.forEach(player => _diceCounts.get(this).set(player.name, dicePerPlayer));
+
+        board.concealPolicy = concealCups(this);
+    }
+
+    /**
+     * The board this game is played on.
+     *
+     * @type {TopDiceBoard}
+     */
+    get board() {
+        return _board.get(this);
+    }
+
+    /**
+     * Do ones count for any face?
+     *
+     * @type {Boolean}
+     */
+    get wildOnes() {
+        return _config.get(this).wildOnes;
+    }
+
+    /**
+     * The players playing this game: the players taking turns on the board.
+     *
+     * @type {TopPlayer[]}
+     */
+    get players() {
+        return this.board.playersTakingTurns;
+    }
+
+    /**
+     * The player having a turn, if any. Null otherwise.
+     *
+     * @type {TopPlayer|null}
+     */
+    get currentPlayer() {
+        return this.board._playerList.currentPlayer;
+    }
+
+    /**
+     * The winner of this game, if any. Null otherwise.
+     *
+     * @type {TopPlayer|null}
+     */
+    get winner() {
+        return _winner.get(this);
+    }
+
+    /**
+     * The number of dice a player has left.
+     *
+     * @param {TopPlayer} player - The player.
+     * @return {Number} The number of dice.
+     */
+    diceCountOf(player) {
+        return null === player ? 0 : _diceCounts.get(this).get(player.name) || 0;
+    }
+
+    /**
+     * The total number of dice on the table.
+     *
+     * @type {Number}
+     */
+    get totalDice() {
+        return this.players.reduce((total, player) => total + this.diceCountOf(player), 0);
+    }
+
+    /**
+     * The dice in a player's cup this round.
+     *
+     * @param {TopPlayer} player - The player.
+     * @return {TopDie[]} The player's dice.
+     */
+    cupOf(player) {
+        return this.board.dice.filter(die => ownerOf(this, die) === player.name);
+    }
+
+    /**
+     * The bids in this round, first to last.
+     *
+     * @type {Bid[]}
+     */
+    get bids() {
+        return [..._bids.get(this)];
+    }
+
+    /**
+     * The last bid in this round, if any. Null otherwise.
+     *
+     * @type {Bid|null}
+     */
+    get lastBid() {
+        const bids = _bids.get(this);
+        return 0 < bids.length ? bids[bids.length - 1] : null;
+    }
+
+    /**
+     * Have the cups been revealed by a challenge?
+     *
+     * @return {Boolean} True if all dice are shown face up.
+     */
+    isRevealed() {
+        return _revealed.get(this);
+    }
+
+    /**
+     * Start a new round: every player with dice throws their cup. The
+     * loser of the last challenge starts.
+     *
+     * @param {TopPlayer} [starter] - The player to start this round.
+     * Defaults to the loser of the last challenge or the first player.
+     * @return {Promise<TopDie[]>} A promise resolving to the dice when they
+     * have settled.
+     * @throws {GameRuleError} The game should not be over.
+     */
+    startRound(starter = _starter.get(this) || this.players.find(player => 0 < this.diceCountOf(player))) {
+        if (null !== this.winner) {
+            throw new GameRuleError(`The game is over, ${this.winner} has won.`);
+        }
+        if (0 === this.diceCountOf(starter)) {
+            throw new GameRuleError(`${starter} has no dice left to start a round.`);
+        }
+
+        const board = this.board;
+        const owners = new Map();
+        board.dice.forEach(die => board.removeDie(die));
+        this.players.forEach((player) => {
+            for (let i = 0; i < this.diceCountOf(player); i++) {
+                owners.set(board.addDie({sides: SIDES, color: player.color}), player.name);
+            }
+        });
+
+        _owners.set(this, owners);
+        _bids.set(this, []);
+        _revealed.set(this, false);
+
+        starter.startTurn();
+        return board.throwDice(starter);
+    }
+
+    /**
+     * Bid that at least a quantity of dice on the table show a face. A bid
+     * should be higher than the last bid: more dice, or as many dice
+     * showing a higher face.
+     *
+     * @param {TopPlayer} player - The player bidding.
+     * @param {Number} quantity - The number of dice.
+     * @param {Number} face - The face.
+     * @return {Bid} The bid.
+     * @throws {GameRuleError} It should be the player's turn and the bid
+     * should be valid and higher than the last bid.
+     * @fires "top:bid" with parameter the bid.
+     */
+    bid(player, quantity, face) {
+        checkTurn(this, player);
+
+        const lowestFace = this.wildOnes ? 2 : 1;
+        if (!Number.isInteger(face) || lowestFace > face || SIDES < face) {
+            throw new GameRuleError(`A bid is on a face from ${lowestFace} to ${SIDES}, got '${face}' instead.`);
+        }
+        if (!Number.isInteger(quantity) || 1 > quantity || this.totalDice < quantity) {
+            throw new GameRuleError(`A bid is on 1 to ${this.totalDice} dice, got '${quantity}' instead.`);
+        }
+
+        const last = this.lastBid;
+        if (null !== last && (quantity < last.quantity || (quantity === last.quantity && face <= last.face))) {
+            throw new GameRuleError(`A bid should be higher than ${last.quantity} × ${last.face}.`);
+        }
+
+        const bid = Object.freeze({player, quantity, face});
+        _bids.get(this).push(bid);
+        dispatch(this, "top:bid", {bid});
+        passTurn(this);
+        return bid;
+    }
+
+    /**
+     * Challenge the last bid. All cups are revealed. If fewer dice than
+     * bid show the face, the bidder loses a die. Otherwise, the challenger
+     * loses a die. The player losing their last die is out.
+     *
+     * @param {TopPlayer} player - The player challenging.
+     * @return {{bid: Bid, count: Number, loser: TopPlayer}} The challenged
+     * bid, the number of dice showing its face, and the loser.
+     * @throws {GameRuleError} It should be the player's turn and there
+     * should be a bid to challenge.
+     * @fires "top:challenge" with parameters the challenger, the bid, the
+     * count, and the loser.
+     * @fires "top:winner" with parameter the player when only one player
+     * has dice left.
+     */
+    challenge(player) {
+        checkTurn(this, player);
+
+        const bid = this.lastBid;
+        if (null === bid) {
+            throw new GameRuleError("There is no bid to challenge yet.");
+        }
+
+        _revealed.set(this, true);
+        // Setting the policy draws the board again, now with all cups face
+        // up.
+        this.board.concealPolicy = concealCups(this);
+
+        const count = countFace([..._owners.get(this).keys()], bid.face, this.wildOnes);
+        const loser = count >= bid.quantity ? player : bid.player;
+        const winner = loser === player ? bid.player : player;
+
+        _diceCounts.get(this).set(loser.name, this.diceCountOf(loser) - 1);
+        _starter.set(this, 0 < this.diceCountOf(loser) ? loser : winner);
+
+        dispatch(this, "top:challenge", {
+            challenger: player,
+            bid,
+            count,
+            loser
+        });
+
+        const remaining = this.players.filter(p => 0 < this.diceCountOf(p));
+        if (1 === remaining.length) {
+            _winner.set(this, remaining[0]);
+            dispatch(this, "top:winner", {
+                player: remaining[0]
+            });
+        }
+
+        return {bid, count, loser};
+    }
+};
+
+export {
+    LiarsDiceGame,
+    countFace
+};
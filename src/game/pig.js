@@ -0,0 +1,339 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {GameRuleError} from "../error/GameRuleError.js";
+import {TopDiceBoard} from "../TopDiceBoard.js";
+
+/**
+ * Pig and Two-Dice Pig: throw the dice as often as you like to build a
+ * turn total, and hold to add it to your score before throwing a one.
+ *
+ * @module game/pig
+ */
+
+const SIDES = 6;
+const DEFAULT_TARGET_SCORE = 100;
+
+/**
+ * No bust.
+ * @const
+ */
+const NO_BUST = null;
+
+/**
+ * Bust: the player loses the turn total.
+ * @const
+ */
+const BUST = "bust";
+
+/**
+ * Bust on snake eyes: the player loses the turn total and the score.
+ * @const
+ */
+const SNAKE_EYES = "snake-eyes";
+
+// Private properties
+const _board = new WeakMap();
+const _targetScore = new WeakMap();
+const _player = new WeakMap();
+const _turnTotal = new WeakMap();
+const _winner = new WeakMap();
+const _rolling = new WeakSet();
+
+const dispatch = (game, type, detail) => {
+    _board.get(game).dispatchEvent(new CustomEvent(type, {
+        bubbles: true,
+        detail
+    }));
+};
+
+// Reset the turn total when another player has the turn.
+const syncTurn = (game) => {
+    const player = game.currentPlayer;
+    if (player !== _player.get(game)) {
+        _player.set(game, player);
+        _turnTotal.set(game, 0);
+    }
+};
+
+const endTurn = (game) => {
+    _player.set(game, null);
+    _turnTotal.set(game, 0);
+    _board.get(game)._playerList.nextTurn();
+};
+
+const checkTurn = (game, player) => {
+    if (null !== game.winner) {
+        throw new GameRuleError(`The game is over, ${game.winner} has won.`);
+    }
+    if (player !== game.currentPlayer) {
+        throw new GameRuleError(`It is not ${player}'s turn.`);
+    }
+    if (_rolling.has(game)) {
+        throw new GameRuleError(`${player} should wait for the dice to settle.`);
+    }
+};
+
+// When no player has a turn, the player starts one, or, if no player is
+// given, the next player.
+const startTurn = (game, player) => {
+    if (null === game.winner && null === game.currentPlayer) {
+        if (null === player) {
+            game.board._playerList.nextTurn();
+        } else {
+            player.startTurn();
+        }
+    }
+    return null === player ? game.currentPlayer : player;
+};
+
+/**
+ * PigGame plays Pig on a {@link TopDiceBoard} with one six-sided die.
+ * Players take turns using the board's {@link TopPlayerList}. In a turn,
+ * the player throws the die with {@link roll} as often as they like,
+ * adding the pips to the turn total, and {@link hold}s to add the turn
+ * total to their score. Throwing a one busts: the turn total is lost and
+ * the turn passes. The first player to reach the target score wins.
+ */
+const PigGame = class {
+
+    /**
+     * Create a new PigGame.
+     *
+     * @param {TopDiceBoard} board - The board to play on. Dice are added
+     * until there are enough to play.
+     * @param {Object} [config = {}] - The configuration of the game.
+     * @param {Number} [config.targetScore = 100] - The score to win.
+     * @throws {ConfigurationError} The board should be a TopDiceBoard with
+     * at most the number of six-sided dice to play with and the target
+     * score should be a positive integer.
+     */
+    constructor(board, {targetScore = DEFAULT_TARGET_SCORE} = {}) {
+        if (!(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`Pig is played on a TopDiceBoard, got '${board}' instead.`);
+        }
+        if (this.numberOfDice < board.dice.length || board.dice.some(die => SIDES !== die.sides)) {
+            throw new ConfigurationError(`This game is played with ${this.numberOfDice} six-sided dice.`);
+        }
+        if (!Number.isInteger(targetScore) || 0 >= targetScore) {
+            throw new ConfigurationError(`The target score should be a positive integer, got '${targetScore}' instead.`);
+        }
+
+        _board.set(this, board);
+        _targetScore.set(this, targetScore);
+        _player.set(this, null);
+        _turnTotal.set(this, 0);
+        _winner.set(this, null);
+
+        while (this.numberOfDice > board.dice.length) {
+            board.addDie();
+        }
+    }
+
+    /**
+     * The number of dice to play with.
+     *
+     * @type {Number}
+     */
+    get numberOfDice() {
+        return 1;
+    }
+
+    /**
+     * Does a throw bust?
+     *
+     * @param {Number[]} values - The thrown values.
+     * @return {String|null} {@link BUST} or {@link SNAKE_EYES} if the throw
+     * busts, {@link NO_BUST} otherwise.
+     */
+    bust(values) {
+        return values.includes(1) ? BUST : NO_BUST;
+    }
+
+    /**
+     * The board this game is played on.
+     *
+     * @type {TopDiceBoard}
+     */
+    get board() {
+        return _board.get(this);
+    }
+
+    /**
+     * The score to win.
+     *
+     * @type {Number}
+     */
+    get targetScore() {
+        return _targetScore.get(this);
+    }
+
+    /**
+     * The player having a turn, if any. Null otherwise.
+     *
+     * @type {TopPlayer|null}
+     */
+    get currentPlayer() {
+        return this.board._playerList.currentPlayer;
+    }
+
+    /**
+     * The winner of this game, if any. Null otherwise.
+     *
+     * @type {TopPlayer|null}
+     */
+    get winner() {
+        return _winner.get(this);
+    }
+
+    /**
+     * The total of the current turn.
+     *
+     * @type {Number}
+     */
+    get turnTotal() {
+        syncTurn(this);
+        return _turnTotal.get(this);
+    }
+
+    /**
+     * Throw the dice and add their pips to the turn total, unless the
+     * throw busts.
+     *
+     * @param {TopPlayer} [player = currentPlayer] - The player throwing the
+     * dice. If no player has a turn, this player starts a turn; without a
+     * player, the next player does.
+     * @return {Promise<Number>} A promise resolving to the turn total when
+     * the dice have settled; 0 if the throw busted.
+     * @throws {GameRuleError} It should be the player's turn and the dice
+     * of the previous roll should have settled.
+     * @fires "top:bust" with parameters the player, the lost turn total,
+     * and the kind of bust.
+     */
+    roll(player = this.currentPlayer) {
+        const thrower = startTurn(this, player);
+        checkTurn(this, thrower);
+
+        _rolling.add(this);
+        return this.board.throwDice(thrower).then((dice) => {
+            _rolling.delete(this);
+            syncTurn(this);
+            const values = dice.map(die => die.pips);
+            const bust = this.bust(values);
+
+            if (NO_BUST === bust) {
+                _turnTotal.set(this, _turnTotal.get(this) + values.reduce((sum, value) => sum + value, 0));
+                return this.turnTotal;
+            }
+
+            const turnTotal = this.turnTotal;
+            if (SNAKE_EYES === bust) {
+                thrower.score = 0;
+            }
+            dispatch(this, "top:bust", {
+                player: thrower,
+                turnTotal,
+                bust
+            });
+            endTurn(this);
+            return 0;
+        }, (error) => {
+            _rolling.delete(this);
+            throw error;
+        });
+    }
+
+    /**
+     * Add the turn total to the player's score and pass the turn.
+     *
+     * @param {TopPlayer} [player = currentPlayer] - The player holding.
+     * @return {Number} The player's score.
+     * @throws {GameRuleError} It should be the player's turn and the dice
+     * should have settled.
+     * @fires "top:hold" with parameters the player, the turn total, and
+     * the player's score.
+     * @fires "top:winner" with parameters the player and the score when the
+     * player reaches the target score.
+     */
+    hold(player = this.currentPlayer) {
+        checkTurn(this, player);
+
+        const turnTotal = this.turnTotal;
+        player.score = player.score + turnTotal;
+
+        dispatch(this, "top:hold", {
+            player,
+            turnTotal,
+            score: player.score
+        });
+
+        if (this.targetScore <= player.score) {
+            _winner.set(this, player);
+            player.endTurn();
+            dispatch(this, "top:winner", {
+                player,
+                score: player.score
+            });
+        } else {
+            endTurn(this);
+        }
+
+        return player.score;
+    }
+};
+
+/**
+ * TwoDicePigGame plays Pig with two dice. Throwing a single one busts the
+ * turn; throwing two ones, snake eyes, also loses the player's score.
+ */
+const TwoDicePigGame = class extends PigGame {
+
+    /**
+     * The number of dice to play with: two.
+     *
+     * @type {Number}
+     */
+    get numberOfDice() {
+        return 2;
+    }
+
+    /**
+     * Does a throw bust? One one busts, two ones are snake eyes.
+     *
+     * @param {Number[]} values - The thrown values.
+     * @return {String|null} {@link BUST}, {@link SNAKE_EYES}, or {@link
+     * NO_BUST}.
+     */
+    bust(values) {
+        const ones = values.filter(value => 1 === value).length;
+        if (values.length === ones) {
+            return SNAKE_EYES;
+        }
+        return 0 < ones ? BUST : NO_BUST;
+    }
+};
+
+export {
+    PigGame,
+    TwoDicePigGame,
+    NO_BUST,
+    BUST,
+    SNAKE_EYES
+};
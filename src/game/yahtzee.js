@@ -0,0 +1,345 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {GameRuleError} from "../error/GameRuleError.js";
+
+/**
+ * The rules of Yahtzee: scoring five six-sided dice in thirteen
+ * categories, the upper section bonus, and Yahtzee bonuses with the joker
+ * rules.
+ *
+ * @module game/yahtzee
+ */
+
+const NUMBER_OF_DICE = 5;
+const SIDES = 6;
+
+const ONES = "ones";
+const TWOS = "twos";
+const THREES = "threes";
+const FOURS = "fours";
+const FIVES = "fives";
+const SIXES = "sixes";
+const THREE_OF_A_KIND = "three-of-a-kind";
+const FOUR_OF_A_KIND = "four-of-a-kind";
+const FULL_HOUSE = "full-house";
+const SMALL_STRAIGHT = "small-straight";
+const LARGE_STRAIGHT = "large-straight";
+const YAHTZEE = "yahtzee";
+const CHANCE = "chance";
+
+/**
+ * The categories of the upper section, in order. The nth category scores
+ * the dice showing n pips.
+ * @const
+ */
+const UPPER_CATEGORIES = Object.freeze([ONES, TWOS, THREES, FOURS, FIVES, SIXES]);
+
+/**
+ * The categories of the lower section, in order.
+ * @const
+ */
+const LOWER_CATEGORIES = Object.freeze([THREE_OF_A_KIND, FOUR_OF_A_KIND, FULL_HOUSE, SMALL_STRAIGHT, LARGE_STRAIGHT, YAHTZEE, CHANCE]);
+
+/**
+ * All thirteen categories, in order.
+ * @const
+ */
+const CATEGORIES = Object.freeze([...UPPER_CATEGORIES, ...LOWER_CATEGORIES]);
+
+/**
+ * The names of the categories as shown on a score card.
+ * @const
+ */
+const CATEGORY_NAMES = Object.freeze({
+    [ONES]: "Ones",
+    [TWOS]: "Twos",
+    [THREES]: "Threes",
+    [FOURS]: "Fours",
+    [FIVES]: "Fives",
+    [SIXES]: "Sixes",
+    [THREE_OF_A_KIND]: "Three of a kind",
+    [FOUR_OF_A_KIND]: "Four of a kind",
+    [FULL_HOUSE]: "Full house",
+    [SMALL_STRAIGHT]: "Small straight",
+    [LARGE_STRAIGHT]: "Large straight",
+    [YAHTZEE]: "Yahtzee",
+    [CHANCE]: "Chance"
+});
+
+const UPPER_BONUS_THRESHOLD = 63;
+const UPPER_BONUS = 35;
+const FULL_HOUSE_SCORE = 25;
+const SMALL_STRAIGHT_SCORE = 30;
+const LARGE_STRAIGHT_SCORE = 40;
+const YAHTZEE_SCORE = 50;
+const YAHTZEE_BONUS = 100;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const countFaces = (values) => {
+    const counts = new Array(SIDES + 1).fill(0);
+    values.forEach(value => counts[value]++);
+    return counts;
+};
+
+const hasRun = (values, length) => {
+    const faces = new Set(values);
+    for (let start = 1; start + length - 1 <= SIDES; start++) {
+        if (Array.from({length}, (_, i) => start + i).every(face => faces.has(face))) {
+            return true;
+        }
+    }
+    return false;
+};
+
+const isYahtzee = (values) => countFaces(values).includes(NUMBER_OF_DICE);
+
+/**
+ * Get the values of five six-sided dice, like the dice on a {@link
+ * TopDiceBoard}.
+ *
+ * @param {TopDie[]|Number[]} dice - The dice or their values.
+ * @return {Number[]} The values of the dice.
+ * @throws {GameRuleError} Yahtzee is played with five six-sided dice.
+ */
+const valuesOf = (dice) => {
+    const values = dice.map(die => "number" === typeof die ? die : die.pips);
+    const sixSided = dice.every(die => "number" === typeof die || SIDES === die.sides);
+
+    if (NUMBER_OF_DICE !== values.length || !sixSided || !values.every(value => Number.isInteger(value) && 1 <= value && value <= SIDES)) {
+        throw new GameRuleError(`Yahtzee is played with ${NUMBER_OF_DICE} six-sided dice, got '${values}' instead.`);
+    }
+
+    return values;
+};
+
+/**
+ * Score the dice in a category, without the joker rules.
+ *
+ * @param {String} category - The category to score.
+ * @param {TopDie[]|Number[]} dice - The dice or their values.
+ * @return {Number} The score.
+ * @throws {GameRuleError} The category should exist and Yahtzee is played
+ * with five six-sided dice.
+ */
+const scoreCategory = (category, dice) => {
+    const values = valuesOf(dice);
+    const counts = countFaces(values);
+
+    const upper = UPPER_CATEGORIES.indexOf(category);
+    if (0 <= upper) {
+        return (upper + 1) * counts[upper + 1];
+    }
+
+    switch (category) {
+    case THREE_OF_A_KIND: return counts.some(count => 3 <= count) ? sum(values) : 0;
+    case FOUR_OF_A_KIND: return counts.some(count => 4 <= count) ? sum(values) : 0;
+    case FULL_HOUSE: return counts.includes(3) && counts.includes(2) ? FULL_HOUSE_SCORE : 0;
+    case SMALL_STRAIGHT: return hasRun(values, 4) ? SMALL_STRAIGHT_SCORE : 0;
+    case LARGE_STRAIGHT: return hasRun(values, 5) ? LARGE_STRAIGHT_SCORE : 0;
+    case YAHTZEE: return isYahtzee(values) ? YAHTZEE_SCORE : 0;
+    case CHANCE: return sum(values);
+    default: throw new GameRuleError(`Yahtzee has no category '${category}'.`);
+    }
+};
+
+/**
+ * Score the dice in all categories, without the joker rules.
+ *
+ * @param {TopDie[]|Number[]} dice - The dice or their values.
+ * @return {Object<String, Number>} The score per category.
+ * @throws {GameRuleError} Yahtzee is played with five six-sided dice.
+ */
+const scoreAll = (dice) => {
+    const values = valuesOf(dice);
+    return CATEGORIES.reduce((scores, category) => Object.assign(scores, {[category]: scoreCategory(category, values)}), {});
+};
+
+// Private properties
+const _scores = new WeakMap();
+const _yahtzeeBonuses = new WeakMap();
+
+/**
+ * A Yahtzee score sheet of one player. Each category is scored once.
+ * Scoring a Yahtzee when the Yahtzee category already scored 50 earns a
+ * Yahtzee bonus and makes it a joker: it scores in full house and the
+ * straights if its upper category has been used already.
+ */
+const ScoreSheet = class {
+
+    /**
+     * Create a new, empty, ScoreSheet.
+     */
+    constructor() {
+        _scores.set(this, new Map());
+        _yahtzeeBonuses.set(this, 0);
+    }
+
+    /**
+     * The scored categories and their scores.
+     *
+     * @type {Object<String, Number>}
+     */
+    get scores() {
+        return [..._scores.get(this)].reduce((scores, [category, score]) => Object.assign(scores, {[category]: score}), {});
+    }
+
+    /**
+     * The categories not yet scored, in order.
+     *
+     * @type {String[]}
+     */
+    get openCategories() {
+        return CATEGORIES.filter(category => !_scores.get(this).has(category));
+    }
+
+    /**
+     * Have all categories been scored?
+     *
+     * @return {Boolean} True if this sheet is complete.
+     */
+    isComplete() {
+        return 0 === this.openCategories.length;
+    }
+
+    /**
+     * The total of the upper section, without bonus.
+     *
+     * @type {Number}
+     */
+    get upperTotal() {
+        return sum(UPPER_CATEGORIES.map(category => _scores.get(this).get(category) || 0));
+    }
+
+    /**
+     * The upper section bonus: 35 if the upper total is at least 63.
+     *
+     * @type {Number}
+     */
+    get upperBonus() {
+        return UPPER_BONUS_THRESHOLD <= this.upperTotal ? UPPER_BONUS : 0;
+    }
+
+    /**
+     * The Yahtzee bonuses: 100 for every extra Yahtzee.
+     *
+     * @type {Number}
+     */
+    get yahtzeeBonus() {
+        return _yahtzeeBonuses.get(this) * YAHTZEE_BONUS;
+    }
+
+    /**
+     * The total score of this sheet, including bonuses.
+     *
+     * @type {Number}
+     */
+    get total() {
+        return sum([..._scores.get(this).values()]) + this.upperBonus + this.yahtzeeBonus;
+    }
+
+    /**
+     * Is this roll a joker: an extra Yahtzee whose upper category has been
+     * scored already?
+     *
+     * @param {Number[]} values - The values of the dice.
+     * @return {Boolean} True if the roll is a joker.
+     * @private
+     */
+    _isJoker(values) {
+        const scores = _scores.get(this);
+        return isYahtzee(values) && scores.has(YAHTZEE) && scores.has(UPPER_CATEGORIES[values[0] - 1]);
+    }
+
+    /**
+     * Score the dice in a category on this sheet, including the joker
+     * rules.
+     *
+     * @param {String} category - The category.
+     * @param {TopDie[]|Number[]} dice - The dice or their values.
+     * @return {Number} The score.
+     */
+    scoreFor(category, dice) {
+        const values = valuesOf(dice);
+        if (this._isJoker(values)) {
+            switch (category) {
+            case FULL_HOUSE: return FULL_HOUSE_SCORE;
+            case SMALL_STRAIGHT: return SMALL_STRAIGHT_SCORE;
+            case LARGE_STRAIGHT: return LARGE_STRAIGHT_SCORE;
+            default: // Score as usual
+            }
+        }
+        return scoreCategory(category, values);
+    }
+
+    /**
+     * Suggest the score in each open category for the dice.
+     *
+     * @param {TopDie[]|Number[]} dice - The dice or their values.
+     * @return {Object<String, Number>} The score per open category.
+     */
+    suggest(dice) {
+        const values = valuesOf(dice);
+        return this.openCategories.reduce((suggestions, category) => Object.assign(suggestions, {[category]: this.scoreFor(category, values)}), {});
+    }
+
+    /**
+     * Score the dice in an open category.
+     *
+     * @param {String} category - The category to score.
+     * @param {TopDie[]|Number[]} dice - The dice or their values.
+     * @return {Number} The score in the category, without bonus.
+     * @throws {GameRuleError} The category should be open.
+     */
+    score(category, dice) {
+        if (!CATEGORIES.includes(category)) {
+            throw new GameRuleError(`Yahtzee has no category '${category}'.`);
+        }
+
+        const scores = _scores.get(this);
+        if (scores.has(category)) {
+            throw new GameRuleError(`Category '${CATEGORY_NAMES[category]}' has been scored already.`);
+        }
+
+        const values = valuesOf(dice);
+        if (isYahtzee(values) && YAHTZEE_SCORE === scores.get(YAHTZEE)) {
+            _yahtzeeBonuses.set(this, _yahtzeeBonuses.get(this) + 1);
+        }
+
+        const score = this.scoreFor(category, values);
+        scores.set(category, score);
+        return score;
+    }
+};
+
+export {
+    ScoreSheet,
+    valuesOf,
+    scoreCategory,
+    scoreAll,
+    CATEGORIES,
+    CATEGORY_NAMES,
+    UPPER_CATEGORIES,
+    LOWER_CATEGORIES,
+    NUMBER_OF_DICE,
+    UPPER_BONUS,
+    UPPER_BONUS_THRESHOLD,
+    YAHTZEE_BONUS
+};
@@ -0,0 +1,226 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+
+/**
+ * The history of commands changing a {@link TopDiceBoard}, to undo and
+ * redo them.
+ *
+ * @module history/CommandHistory
+ */
+
+const THROW = "throw";
+const HOLD = "hold";
+const RELEASE = "release";
+const MOVE = "move";
+const ADD_DIE = "add-die";
+const REMOVE_DIE = "remove-die";
+const PLAYERS = "players";
+
+/**
+ * The default maximum number of commands a history remembers.
+ * @const
+ */
+const DEFAULT_HISTORY_DEPTH = 100;
+
+/**
+ * The types of commands done by interacting with the board: holding,
+ * releasing, and moving dice.
+ * @const
+ */
+const UI_ACTIONS = Object.freeze([HOLD, RELEASE, MOVE]);
+
+/**
+ * @typedef {Object} Command
+ *
+ * @property {String} type - The type of command: "throw", "hold",
+ * "release", "move", "add-die", "remove-die", or "players".
+ * @property {Object} detail - Details of the command, like the die and
+ * player involved.
+ * @property {BoardState} before - The state of the board before the
+ * command.
+ * @property {BoardState} after - The state of the board after the command.
+ */
+
+/**
+ * An undo policy that only allows undoing interactions with the board,
+ * {@link UI_ACTIONS}. Use it to forbid undoing a throw.
+ *
+ * @param {Command} command - The command to undo.
+ * @return {Boolean} True if the command is a UI action.
+ */
+const onlyUndoUiActions = (command) => UI_ACTIONS.includes(command.type);
+
+const sameState = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Private properties
+const _depth = new WeakMap();
+const _present = new WeakMap();
+const _undoStack = new WeakMap();
+const _redoStack = new WeakMap();
+
+/**
+ * CommandHistory records commands as the states of a board before and
+ * after each command. Commands that do not change the state are ignored.
+ */
+const CommandHistory = class {
+
+    /**
+     * Create a new CommandHistory.
+     *
+     * @param {Object} [config = {}] - The configuration of the history.
+     * @param {Number} [config.depth = DEFAULT_HISTORY_DEPTH] - The maximum
+     * number of commands to remember. Use 0 to remember none.
+     */
+    constructor({depth = DEFAULT_HISTORY_DEPTH} = {}) {
+        _present.set(this, null);
+        _undoStack.set(this, []);
+        _redoStack.set(this, []);
+        this.depth = depth;
+    }
+
+    /**
+     * The maximum number of commands this history remembers. Lowering the
+     * depth forgets the oldest commands.
+     *
+     * @type {Number}
+     */
+    get depth() {
+        return _depth.get(this);
+    }
+    set depth(newDepth) {
+        _depth.set(this, Math.max(0, newDepth));
+        const undoStack = _undoStack.get(this);
+        undoStack.splice(0, Math.max(0, undoStack.length - this.depth));
+    }
+
+    /**
+     * The state of the board after the last recorded, undone, or redone
+     * command. Null if this history has not been started.
+     *
+     * @type {BoardState|null}
+     */
+    get present() {
+        return _present.get(this);
+    }
+
+    /**
+     * Forget all commands and start recording from state.
+     *
+     * @param {BoardState|null} state - The current state of the board.
+     */
+    reset(state) {
+        _present.set(this, state);
+        _undoStack.set(this, []);
+        _redoStack.set(this, []);
+    }
+
+    /**
+     * Record a command that changed the board to state. Recording a command
+     * forgets the commands that could be redone.
+     *
+     * @param {String} type - The type of command.
+     * @param {BoardState} state - The state of the board after the command.
+     * @param {Object} [detail = {}] - The details of the command.
+     * @return {Command|null} The recorded command, or null if the state did
+     * not change or this history has not been started.
+     */
+    record(type, state, detail = {}) {
+        const before = this.present;
+        if (null === before || sameState(before, state)) {
+            return null;
+        }
+
+        const command = Object.freeze({type, detail, before, after: state});
+        _present.set(this, state);
+        _redoStack.set(this, []);
+
+        if (0 < this.depth) {
+            const undoStack = _undoStack.get(this);
+            undoStack.push(command);
+            undoStack.splice(0, Math.max(0, undoStack.length - this.depth));
+        }
+
+        return command;
+    }
+
+    /**
+     * The command that would be undone next, if any.
+     *
+     * @type {Command|null}
+     */
+    get lastCommand() {
+        const undoStack = _undoStack.get(this);
+        return 0 < undoStack.length ? undoStack[undoStack.length - 1] : null;
+    }
+
+    /**
+     * The command that would be redone next, if any.
+     *
+     * @type {Command|null}
+     */
+    get nextCommand() {
+        const redoStack = _redoStack.get(this);
+        return 0 < redoStack.length ? redoStack[redoStack.length - 1] : null;
+    }
+
+    /**
+     * Undo the last command. Restoring the state before the command is up to
+     * the caller.
+     *
+     * @return {Command|null} The undone command, or null if there is none.
+     */
+    undo() {
+        const command = _undoStack.get(this).pop() || null;
+        if (null !== command) {
+            _redoStack.get(this).push(command);
+            _present.set(this, command.before);
+        }
+        return command;
+    }
+
+    /**
+     * Redo the last undone command. Restoring the state after the command
+     * is up to the caller.
+     *
+     * @return {Command|null} The redone command, or null if there is none.
+     */
+    redo() {
+        const command = _redoStack.get(this).pop() || null;
+        if (null !== command) {
+            _undoStack.get(this).push(command);
+            _present.set(this, command.after);
+        }
+        return command;
+    }
+};
+
+export {
+    CommandHistory,
+    DEFAULT_HISTORY_DEPTH,
+    UI_ACTIONS,
+    onlyUndoUiActions,
+    THROW,
+    HOLD,
+    RELEASE,
+    MOVE,
+    ADD_DIE,
+    REMOVE_DIE,
+    PLAYERS
+};
@@ -0,0 +1,340 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {NotationError} from "../error/NotationError.js";
+
+/**
+ * Parse dice notation, like "3d6+2", "4d6kh3", or "2d20kl1", into an
+ * abstract syntax tree. The supported notation is:
+ *
+ *     expression := ["+" | "-"] term (("+" | "-") term)*
+ *     term       := dice | integer
+ *     dice       := [integer] "d" (integer | "%") modifier*
+ *     modifier   := keep | drop | explode | reroll
+ *     keep       := "k" ["h" | "l"] integer
+ *     drop       := "d" ["h" | "l"] integer
+ *     explode    := "!" [compare]
+ *     reroll     := "r" ["o"] compare
+ *     compare    := ["=" | "<" | ">" | "<=" | ">="] integer
+ *
+ * Notation is case insensitive and white space between terms is ignored.
+ * A "k" without "h" or "l" keeps the highest dice, a "d" without "h" or
+ * "l" drops the lowest dice, like "4d6d1", an "!" without compare
+ * explodes on the highest face, and "ro" rerolls a die at most once.
+ *
+ * @module notation/parse
+ */
+
+const MAX_COUNT = 100;
+const MAX_SIDES = 1000;
+const PERCENTILE_SIDES = 100;
+
+const KEEP = "keep";
+const DROP = "drop";
+const HIGHEST = "highest";
+const LOWEST = "lowest";
+
+// Longest operators first so "<=" is not read as "<".
+const COMPARE_OPERATORS = ["<=", ">=", "=", "<", ">"];
+
+/**
+ * @typedef {Object} Compare
+ *
+ * @property {String} operator - One of "=", "<", ">", "<=", or ">=".
+ * @property {Number} value - The value to compare a die's value with.
+ */
+
+/**
+ * @typedef {Object} DiceNode
+ *
+ * @property {String} type - "dice".
+ * @property {Number} count - The number of dice to throw.
+ * @property {Number} sides - The number of sides of these dice.
+ * @property {Object|null} select - Which dice count towards the total:
+ * {action, which, count} with action "keep" or "drop" and which
+ * "highest" or "lowest". Null if all dice count.
+ * @property {Object|null} explode - Throw an extra die for every die
+ * matching {compare}. Null if these dice do not explode.
+ * @property {Object|null} reroll - Throw a die again while it matches
+ * {compare, once}; only once if once is true. Null if these dice are not
+ * rerolled.
+ */
+
+/**
+ * @typedef {Object} NumberNode
+ *
+ * @property {String} type - "number".
+ * @property {Number} value - The value of this number.
+ */
+
+/**
+ * @typedef {Object} ExpressionNode
+ *
+ * @property {String} type - "expression".
+ * @property {Array<{operator: String, operand: DiceNode|NumberNode}>} terms
+ * - The terms of this expression, operator being "+" or "-".
+ */
+
+/**
+ * Check if a value matches a compare.
+ *
+ * @param {Compare} compare - The compare to match against.
+ * @param {Number} value - The value to check.
+ * @return {Boolean} True if value matches compare.
+ */
+const matches = ({operator, value: other}, value) => {
+    switch (operator) {
+    case "<": return value < other;
+    case ">": return value > other;
+    case "<=": return value <= other;
+    case ">=": return value >= other;
+    default: return value === other;
+    }
+};
+
+const Parser = class {
+    constructor(notation) {
+        this.notation = notation;
+        this.position = 0;
+    }
+
+    error(message, position = this.position) {
+        return new NotationError(`${message} at position ${position} in '${this.notation}'.`, position);
+    }
+
+    atEnd() {
+        return this.position >= this.notation.length;
+    }
+
+    skipWhiteSpace() {
+        while (!this.atEnd() && /\s/.test(this.notation[this.position])) {
+            this.position++;
+        }
+    }
+
+    peek(length = 1) {
+        return this.notation.substr(this.position, length).toLowerCase();
+    }
+
+    accept(text) {
+        if (this.peek(text.length) === text) {
+            this.position += text.length;
+            return true;
+        }
+        return false;
+    }
+
+    atInteger() {
+        return /[0-9]/.test(this.peek());
+    }
+
+    integer(description) {
+        const start = this.position;
+        while (this.atInteger()) {
+            this.position++;
+        }
+
+        if (start === this.position) {
+            throw this.error(`Expected ${description}`);
+        }
+
+        return parseInt(this.notation.slice(start, this.position), 10);
+    }
+
+    compare() {
+        const operator = COMPARE_OPERATORS.find(op => this.accept(op)) || "=";
+        return Object.freeze({operator, value: this.integer("a number to compare with")});
+    }
+
+    which(defaultWhich = HIGHEST) {
+        if (this.accept("l")) {
+            return LOWEST;
+        }
+        if (this.accept("h")) {
+            return HIGHEST;
+        }
+        return defaultWhich;
+    }
+
+    expression() {
+        const terms = [];
+        this.skipWhiteSpace();
+
+        let operator = this.accept("-") ? "-" : "+";
+        if ("+" === operator) {
+            this.accept("+");
+        }
+
+        for (;;) {
+            this.skipWhiteSpace();
+            terms.push(Object.freeze({operator, operand: this.term()}));
+            this.skipWhiteSpace();
+
+            if (this.atEnd()) {
+                break;
+            } else if (this.accept("+")) {
+                operator = "+";
+            } else if (this.accept("-")) {
+                operator = "-";
+            } else {
+                throw this.error(`Unexpected '${this.notation[this.position]}'`);
+            }
+        }
+
+        return Object.freeze({type: "expression", terms: Object.freeze(terms)});
+    }
+
+    term() {
+        const start = this.position;
+        const count = this.atInteger() ? this.integer("a number") : null;
+
+        if (!this.accept("d")) {
+            if (null === count) {
+                throw this.error("Expected a number or dice");
+            }
+            return Object.freeze({type: "number", value: count});
+        }
+
+        return this.dice(null === count ? 1 : count, start);
+    }
+
+    dice(count, start) {
+        if (1 > count || MAX_COUNT < count) {
+            throw this.error(`The number of dice should be between 1 and ${MAX_COUNT}`, start);
+        }
+
+        const sides = this.accept("%") ? PERCENTILE_SIDES : this.integer("the number of sides");
+        if (2 > sides || MAX_SIDES < sides) {
+            throw this.error(`The number of sides should be between 2 and ${MAX_SIDES}`, start);
+        }
+
+        const node = {type: "dice", count, sides, select: null, explode: null, reroll: null};
+
+        let position = this.position;
+        let modifier = this.modifier(sides);
+        while (null !== modifier) {
+            const [name, value] = modifier;
+            if (null !== node[name]) {
+                throw this.error(`Dice can have only one ${name} modifier`, position);
+            }
+            node[name] = Object.freeze(value);
+
+            position = this.position;
+            modifier = this.modifier(sides);
+        }
+
+        // Exploding or rerolling on every face would never end.
+        const faces = Array.from({length: sides}, (_, i) => i + 1);
+        if (null !== node.explode && faces.every(face => matches(node.explode.compare, face))) {
+            throw this.error("Dice cannot explode on every face", start);
+        }
+        if (null !== node.reroll && faces.every(face => matches(node.reroll.compare, face))) {
+            throw this.error("Dice cannot be rerolled on every face", start);
+        }
+
+        return Object.freeze(node);
+    }
+
+    modifier(sides) {
+        if (this.accept("k")) {
+            return ["select", {action: KEEP, which: this.which(), count: this.integer("the number of dice to keep")}];
+        }
+
+        if (/^d[hl0-9]$/.test(this.peek(2))) {
+            this.accept("d");
+            return ["select", {action: DROP, which: this.which(LOWEST), count: this.integer("the number of dice to drop")}];
+        }
+
+        if (this.accept("!")) {
+            const compare = /[0-9<>=]/.test(this.peek()) ? this.compare() : Object.freeze({operator: "=", value: sides});
+            return ["explode", {compare}];
+        }
+
+        if (this.accept("r")) {
+            const once = this.accept("o");
+            return ["reroll", {compare: this.compare(), once}];
+        }
+
+        return null;
+    }
+};
+
+/**
+ * Parse a dice notation into an abstract syntax tree.
+ *
+ * @param {String} notation - The dice notation to parse, like "3d6+2".
+ * @return {ExpressionNode} The abstract syntax tree of the notation.
+ * @throws {NotationError} The notation could not be parsed.
+ */
+const parse = (notation) => {
+    if ("string" !== typeof notation) {
+        throw new NotationError(`A dice notation should be a string, got '${notation}' instead.`);
+    }
+
+    return new Parser(notation).expression();
+};
+
+const formatCompare = ({operator, value}) => `${"=" === operator ? "" : operator}${value}`;
+
+const formatDice = ({count, sides, select, explode, reroll}) => {
+    let notation = `${count}d${sides}`;
+
+    if (null !== reroll) {
+        notation += `r${reroll.once ? "o" : ""}${formatCompare(reroll.compare)}`;
+    }
+
+    if (null !== explode) {
+        const onHighest = "=" === explode.compare.operator && sides === explode.compare.value;
+        notation += `!${onHighest ? "" : formatCompare(explode.compare)}`;
+    }
+
+    if (null !== select) {
+        notation += `${KEEP === select.action ? "k" : "d"}${HIGHEST === select.which ? "h" : "l"}${select.count}`;
+    }
+
+    return notation;
+};
+
+/**
+ * Format a node of the abstract syntax tree of a dice notation as
+ * normalized dice notation. For example, "d20 + 3" is formatted as
+ * "1d20+3".
+ *
+ * @param {ExpressionNode|DiceNode|NumberNode} node - The node to format.
+ * @return {String} The dice notation.
+ */
+const format = (node) => {
+    switch (node.type) {
+    case "dice": return formatDice(node);
+    case "number": return `${node.value}`;
+    default: return node.terms
+        .map(({operator, operand}, index) => `${0 === index && "+" === operator ? "" : operator}${format(operand)}`)
+        .join("");
+    }
+};
+
+export {
+    parse,
+    format,
+    matches,
+    KEEP,
+    DROP,
+    HIGHEST,
+    LOWEST
+};
@@ -0,0 +1,292 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {DEFAULT_SYSTEM_PLAYER} from "../TopPlayer.js";
+import {SUPPORTED_SIDES} from "../TopDie.js";
+import {DEFAULT_RANDOM, checkRandom} from "../random/random.js";
+import {parse, format, matches, KEEP, HIGHEST} from "./parse.js";
+
+/**
+ * Evaluate dice notation by throwing virtual dice, or by throwing the dice
+ * on a {@link TopDiceBoard}.
+ *
+ * @module notation/roll
+ */
+
+// Limit the number of extra throws to stop long runs of exploding or
+// rerolled dice.
+const MAX_EXTRA_THROWS = 100;
+
+/**
+ * @typedef {Object} DieResult
+ *
+ * @property {Number} sides - The number of sides of the die.
+ * @property {Number} value - The value of the die.
+ * @property {Number[]} throws - All values thrown with this die, the
+ * last one being its value. Rerolled dice have more than one throw.
+ * @property {Boolean} exploded - This die was added because another die
+ * exploded.
+ * @property {Boolean} kept - This die counts towards the total.
+ * @property {TopDie} [die] - The die on the board, if thrown on a board.
+ */
+
+/**
+ * @typedef {Object} DiceResult
+ *
+ * @property {String} notation - The notation of these dice, like "4d6kh3".
+ * @property {String} operator - "+" or "-".
+ * @property {Number} sides - The number of sides of these dice.
+ * @property {DieResult[]} dice - The results of the individual dice.
+ * @property {Number} total - The sum of the kept dice.
+ */
+
+/**
+ * @typedef {Object} NotationResult
+ *
+ * @property {String} notation - The normalized notation thrown.
+ * @property {DiceResult[]} groups - The results of the dice terms in the
+ * notation, in order.
+ * @property {Number} modifier - The sum of the number terms in the
+ * notation.
+ * @property {Number} total - The total of the throw.
+ * @property {TopDie[]} [dice] - The dice on the board, if thrown on a
+ * board.
+ */
+
+const toAst = (notation) => "string" === typeof notation ? parse(notation) : notation;
+
+const diceTerms = (ast) => ast.terms.filter(({operand}) => "dice" === operand.type);
+
+const selectDice = (results, {action, which, count}) => {
+    // Sort by value; ties are broken by the order of the dice.
+    const order = results
+        .map((result, index) => index)
+        .sort((a, b) => HIGHEST === which ? results[b].value - results[a].value || a - b : results[a].value - results[b].value || a - b);
+    const selected = order.slice(0, count);
+
+    results.forEach((result, index) => {
+        result.kept = KEEP === action ? selected.includes(index) : !selected.includes(index);
+    });
+};
+
+const evaluateDice = ({operator, operand: node}, throwDie, budget) => {
+    const {count, sides, reroll, explode, select} = node;
+    const results = [];
+    const newResult = (exploded) => {
+        const value = throwDie(results.length);
+        return {sides, value, throws: [value], exploded, kept: true};
+    };
+
+    while (results.length < count) {
+        results.push(newResult(false));
+    }
+
+    for (let index = 0; index < results.length; index++) {
+        const result = results[index];
+
+        if (null !== reroll) {
+            let rerolls = 0;
+            while (matches(reroll.compare, result.value) && (!reroll.once || 0 === rerolls) && budget.take()) {
+                result.value = throwDie(index);
+                result.throws.push(result.value);
+                rerolls++;
+            }
+        }
+
+        if (null !== explode && matches(explode.compare, result.value) && budget.take(true)) {
+            results.push(newResult(true));
+        }
+    }
+
+    if (null !== select) {
+        selectDice(results, select);
+    }
+
+    return {
+        notation: format(node),
+        operator,
+        sides,
+        dice: results,
+        total: results.filter(result => result.kept).reduce((sum, result) => sum + result.value, 0)
+    };
+};
+
+const createBudget = (explosions = MAX_EXTRA_THROWS) => {
+    let throws = MAX_EXTRA_THROWS;
+    let dice = explosions;
+    return {
+        take(addsDie = false) {
+            if (0 >= throws || (addsDie && 0 >= dice)) {
+                return false;
+            }
+            throws--;
+            if (addsDie) {
+                dice--;
+            }
+            return true;
+        }
+    };
+};
+
+const evaluate = (ast, throwDie, budget) => {
+    const groups = [];
+    let modifier = 0;
+
+    ast.terms.forEach((term) => {
+        if ("dice" === term.operand.type) {
+            const group = groups.length;
+            groups.push(evaluateDice(term, (index) => throwDie(group, index, term.operand), budget));
+        } else {
+            modifier += ("-" === term.operator ? -1 : 1) * term.operand.value;
+        }
+    });
+
+    return {
+        notation: format(ast),
+        groups,
+        modifier,
+        total: groups.reduce((sum, {operator, total}) => sum + ("-" === operator ? -total : total), modifier)
+    };
+};
+
+/**
+ * Roll virtual dice described by a dice notation.
+ *
+ * @param {String|ExpressionNode} notation - The dice notation or its
+ * abstract syntax tree.
+ * @param {RandomGenerator} [random = DEFAULT_RANDOM] - The random number
+ * generator to throw the dice with.
+ * @return {NotationResult} The result of the roll.
+ * @throws {NotationError} The notation could not be parsed.
+ */
+const roll = (notation, random = DEFAULT_RANDOM) => {
+    checkRandom(random);
+    return evaluate(toAst(notation), (group, index, {sides}) => random.integer(1, sides), createBudget());
+};
+
+const addDice = (board, ast) => {
+    const terms = diceTerms(ast);
+    const unsupported = terms.find(({operand}) => !SUPPORTED_SIDES.includes(operand.sides));
+    if (undefined !== unsupported) {
+        throw new ConfigurationError(`Dice on a board should have ${SUPPORTED_SIDES.join(", ")} sides, got '${format(unsupported.operand)}' instead.`);
+    }
+
+    const count = terms.reduce((sum, {operand}) => sum + operand.count, 0);
+    if (count > board.maximumNumberOfDice) {
+        throw new ConfigurationError(`At most ${board.maximumNumberOfDice} dice fit on this board, got ${count} dice instead.`);
+    }
+
+    board.dice.forEach(die => board.removeDie(die));
+    return terms.map(({operand}) => Array.from({length: operand.count}, () => board.addDie({sides: operand.sides})));
+};
+
+/**
+ * Replace the dice on a board with the dice described by a dice notation.
+ *
+ * @param {TopDiceBoard} board - The board to put the dice on.
+ * @param {String|ExpressionNode} notation - The dice notation or its
+ * abstract syntax tree.
+ * @return {TopDie[]} The dice added to the board.
+ * @throws {NotationError} The notation could not be parsed.
+ * @throws {ConfigurationError} The dice should fit on the board and have a
+ * supported number of sides.
+ */
+const populateBoard = (board, notation) => addDice(board, toAst(notation)).flat();
+
+/**
+ * Replace the dice on a board with the dice described by a dice notation,
+ * throw them, and compute the result. Rerolled dice are thrown again and
+ * exploding dice add extra dice to the board once the thrown dice have
+ * settled. Each reroll is a throw on the board, so it goes through the
+ * board's throw authority and counts towards the player's maximum number of
+ * throws.
+ *
+ * @param {TopDiceBoard} board - The board to throw the dice on.
+ * @param {String|ExpressionNode} notation - The dice notation or its
+ * abstract syntax tree.
+ * @param {TopPlayer} [player = DEFAULT_SYSTEM_PLAYER] - The player
+ * throwing the dice.
+ * @return {Promise<NotationResult>} A promise resolving to the result when
+ * the dice have settled.
+ * @throws {NotationError} The notation could not be parsed.
+ * @throws {ConfigurationError} The dice should fit on the board and have a
+ * supported number of sides.
+ */
+const throwOnBoard = (board, notation, player = DEFAULT_SYSTEM_PLAYER) => {
+    const ast = toAst(notation);
+    const groups = addDice(board, ast);
+    const explosions = board.maximumNumberOfDice - board.dice.length;
+
+    // All values thrown with each die on the board, in order.
+    const thrown = new Map();
+    const addThrows = (dice) => dice.forEach((die) => {
+        thrown.set(die, (thrown.get(die) || []).concat(die.pips));
+    });
+
+    // Evaluate the notation with the values thrown so far. Dice that need
+    // to be thrown (again) stop rerolling and exploding until they have
+    // been thrown on the board, after which the notation is evaluated anew.
+    const evaluateThrown = () => {
+        const needed = [];
+        const used = new Map();
+        const result = evaluate(ast, (group, index, {sides}) => {
+            const dice = groups[group];
+            if (index === dice.length) {
+                dice.push(board.addDie({sides}));
+            }
+
+            const die = dice[index];
+            const values = thrown.get(die) || [];
+            const count = used.get(die) || 0;
+            used.set(die, count + 1);
+
+            if (count < values.length) {
+                return values[count];
+            }
+            needed.push(die);
+            return NaN;
+        }, createBudget(explosions));
+
+        if (0 < needed.length) {
+            return board.throwDice(player, {dice: needed}).then(() => {
+                addThrows(needed);
+                return evaluateThrown();
+            });
+        }
+
+        result.groups.forEach(({dice}, group) => dice.forEach((dieResult, index) => {
+            dieResult.die = groups[group][index];
+        }));
+        result.dice = board.dice;
+
+        return result;
+    };
+
+    return board.throwDice(player).then(() => {
+        addThrows(board.dice);
+        return evaluateThrown();
+    });
+};
+
+export {
+    roll,
+    populateBoard,
+    throwOnBoard
+};
@@ -0,0 +1,166 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+
+/**
+ * Exact probabilities of throwing dice by enumerating all outcomes. Given
+ * the dice to hold and a scoring function or predicate over the values of
+ * all dice, compute the distribution of the result of throwing the other
+ * dice and its expected value.
+ *
+ * @module probability/distribution
+ */
+
+/**
+ * The maximum number of outcomes to enumerate, to keep the page
+ * responsive.
+ * @const
+ */
+const MAX_OUTCOMES = 200000;
+
+/**
+ * @typedef {Object} Outcome
+ *
+ * @property {Number|Boolean} value - The result of the scoring function or
+ * predicate.
+ * @property {Number} count - The number of ways to throw this result.
+ * @property {Number} probability - The probability of this result.
+ */
+
+/**
+ * @typedef {Object} Distribution
+ *
+ * @property {Array} hold - The held dice.
+ * @property {Outcome[]} outcomes - The possible results, ordered by value.
+ * @property {Number} total - The number of equally likely throws.
+ * @property {Number} expectedValue - The expected result; for a predicate
+ * the probability it is true.
+ */
+
+/**
+ * All combinations of values of dice with these numbers of sides.
+ *
+ * @param {Number[]} sides - The number of sides of each die.
+ * @param {Number[]} [values = []] - The values chosen so far.
+ * @yield {Number[]} The values of the dice.
+ */
+const combinations = function* (sides, values = []) {
+    if (values.length === sides.length) {
+        yield values;
+        return;
+    }
+    for (let value = 1; value <= sides[values.length]; value++) {
+        yield* combinations(sides, [...values, value]);
+    }
+};
+
+const valueOf = (die) => "number" === typeof die.pips ? die.pips : die.value;
+
+const checkSize = (size) => {
+    if (MAX_OUTCOMES < size) {
+        throw new ConfigurationError(`At most ${MAX_OUTCOMES} outcomes can be enumerated, got ${size} instead.`);
+    }
+};
+
+/**
+ * Compute the distribution of throwing all dice except the held ones.
+ *
+ * @param {Array} dice - All dice, like {@link TopDie}s or {sides, pips}.
+ * @param {Array} hold - The dice to hold; the other dice are thrown.
+ * @param {Function} evaluate - A scoring function or a predicate from the
+ * values of all dice, in order, to a number or a Boolean.
+ * @return {Distribution} The distribution of the results.
+ * @throws {ConfigurationError} There should not be too many outcomes to
+ * enumerate.
+ */
+const distribution = (dice, hold, evaluate) => {
+    const thrown = dice.filter(die => !hold.includes(die));
+    const total = thrown.reduce((size, die) => size * die.sides, 1);
+    checkSize(total);
+
+    const counts = new Map();
+    for (const values of combinations(thrown.map(die => die.sides))) {
+        const result = evaluate(dice.map((die) => {
+            const index = thrown.indexOf(die);
+            return -1 === index ? valueOf(die) : values[index];
+        }));
+        counts.set(result, (counts.get(result) || 0) + 1);
+    }
+
+    const outcomes = [...counts]
+        .map(([value, count]) => ({value, count, probability: count / total}))
+        .sort((a, b) => Number(a.value) - Number(b.value));
+
+    return {
+        hold: [...hold],
+        outcomes,
+        total,
+        expectedValue: outcomes.reduce((expected, {value, count}) => expected + Number(value) * count, 0) / total
+    };
+};
+
+/**
+ * All ways to choose dice to hold among the free dice.
+ *
+ * @param {Array} free - The dice that can be held.
+ * @return {Array[]} Every subset of the free dice.
+ */
+const holdChoices = (free) => Array.from({length: Math.pow(2, free.length)}, (_, subset) => free
+    .filter((die, index) => 1 === Math.floor(subset / Math.pow(2, index)) % 2));
+
+/**
+ * Compute the distribution for every choice of dice to hold, best
+ * expected value first. Dice that are not free stay held.
+ *
+ * @param {Array} dice - All dice.
+ * @param {Array} free - The dice that can be held or thrown.
+ * @param {Function} evaluate - A scoring function or predicate, see {@link
+ * distribution}.
+ * @return {Distribution[]} The distributions per hold choice.
+ * @throws {ConfigurationError} There should not be too many outcomes to
+ * enumerate.
+ */
+const distributionsPerHold = (dice, free, evaluate) => {
+    checkSize(free.reduce((size, die) => size * (die.sides + 1), 1));
+    const fixed = dice.filter(die => !free.includes(die));
+    return holdChoices(free)
+        .map(hold => distribution(dice, [...fixed, ...hold], evaluate))
+        .sort((a, b) => b.expectedValue - a.expectedValue || b.hold.length - a.hold.length);
+};
+
+/**
+ * Compute the distribution of throwing the dice on a board that are not
+ * held.
+ *
+ * @param {TopDiceBoard} board - The board.
+ * @param {Function} evaluate - A scoring function or predicate, see {@link
+ * distribution}.
+ * @return {Distribution} The distribution of the next throw.
+ */
+const distributionOfBoard = (board, evaluate) => distribution(board.dice, board.dice.filter(die => die.isHeld()), evaluate);
+
+export {
+    distribution,
+    distributionsPerHold,
+    distributionOfBoard,
+    holdChoices,
+    combinations,
+    MAX_OUTCOMES
+};
@@ -0,0 +1,208 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+
+/**
+ * Descriptive statistics of thrown dice and the chi-square goodness-of-fit
+ * test against fair dice.
+ *
+ * @module probability/statistics
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+
+/**
+ * The mean of values given their counts.
+ *
+ * @param {Map<Number, Number>} counts - The number of times each value was
+ * thrown.
+ * @return {Number} The mean, NaN if nothing was thrown.
+ */
+const mean = (counts) => {
+    let n = 0;
+    let total = 0;
+    counts.forEach((count, value) => {
+        n += count;
+        total += count * value;
+    });
+    return 0 === n ? NaN : total / n;
+};
+
+/**
+ * The sample variance of values given their counts.
+ *
+ * @param {Map<Number, Number>} counts - The number of times each value was
+ * thrown.
+ * @return {Number} The sample variance, NaN if fewer than two values were
+ * thrown.
+ */
+const variance = (counts) => {
+    const average = mean(counts);
+    let n = 0;
+    let squares = 0;
+    counts.forEach((count, value) => {
+        n += count;
+        squares += count * Math.pow(value - average, 2);
+    });
+    return 2 > n ? NaN : squares / (n - 1);
+};
+
+/**
+ * The probability of each sum of fair dice.
+ *
+ * @param {Number[]} sides - The number of sides of each die.
+ * @return {Map<Number, Number>} The probability of each sum, from lowest
+ * to highest.
+ */
+const sumDistribution = (sides) => {
+    let ways = new Map([[0, 1]]);
+    let total = 1;
+
+    sides.forEach((faces) => {
+        const next = new Map();
+        ways.forEach((count, sum) => {
+            for (let value = 1; value <= faces; value++) {
+                next.set(sum + value, (next.get(sum + value) || 0) + count);
+            }
+        });
+        ways = next;
+        total *= faces;
+    });
+
+    return new Map([...ways].map(([sum, count]) => [sum, count / total]));
+};
+
+/**
+ * The probability of each face of a fair die.
+ *
+ * @param {Number} sides - The number of sides of the die.
+ * @return {Map<Number, Number>} The probability of each face.
+ */
+const faceDistribution = (sides) => sumDistribution([sides]);
+
+// Lanczos approximation of ln(Γ(x)).
+const LANCZOS = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+const logGamma = (x) => {
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    const series = LANCZOS.reduce((s, c, i) => s + c / (x + 1 + i), 1.000000000190015);
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+};
+
+const EPSILON = 1e-12;
+const MAX_ITERATIONS = 1000;
+
+// The regularized upper incomplete gamma function Q(a, x).
+const upperGamma = (a, x) => {
+    if (0 >= x) {
+        return 1;
+    }
+
+    if (x < a + 1) {
+        // Series expansion of the lower function P(a, x).
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < MAX_ITERATIONS && Math.abs(term) > Math.abs(sum) * EPSILON; n++) {
+            term *= x / (a + n);
+            sum += term;
+        }
+        return 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+    }
+
+    // Continued fraction for Q(a, x).
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < MAX_ITERATIONS; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        d = Math.abs(d) < tiny ? tiny : d;
+        c = b + an / c;
+        c = Math.abs(c) < tiny ? tiny : c;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < EPSILON) {
+            break;
+        }
+    }
+    return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+};
+
+/**
+ * @typedef {Object} ChiSquareTest
+ *
+ * @property {Number} statistic - The chi-square statistic.
+ * @property {Number} degreesOfFreedom - The degrees of freedom.
+ * @property {Number} pValue - The probability of a statistic at least
+ * this large if the dice are fair. A small p-value, like below 0.05,
+ * suggests the dice are not fair.
+ */
+
+/**
+ * Test how well observed counts fit the expected probabilities.
+ *
+ * @param {Map<Number, Number>} counts - The number of times each value was
+ * thrown. Each value should be a possible outcome in probabilities.
+ * @param {Map<Number, Number>} probabilities - The expected probability of
+ * each value.
+ * @return {ChiSquareTest|null} The test, or null if nothing was thrown.
+ *
+ * @throws {ConfigurationError} Counts and probabilities should be Maps.
+ * @throws {ConfigurationError} A value that cannot be thrown should not
+ * have been counted.
+ */
+const chiSquare = (counts, probabilities) => {
+    if (!(counts instanceof Map) || !(probabilities instanceof Map)) {
+        throw new ConfigurationError("Counts and probabilities should be Maps of values.");
+    }
+
+    for (const [value, count] of counts) {
+        if (0 < count && !probabilities.has(value)) {
+            throw new ConfigurationError(`Value ${value} was counted, but it cannot be thrown.`);
+        }
+    }
+
+    const n = [...counts.values()].reduce((total, count) => total + count, 0);
+    if (0 === n) {
+        return null;
+    }
+
+    let statistic = 0;
+    probabilities.forEach((probability, value) => {
+        const expected = n * probability;
+        statistic += Math.pow((counts.get(value) || 0) - expected, 2) / expected;
+    });
+
+    const degreesOfFreedom = probabilities.size - 1;
+    return {
+        statistic,
+        degreesOfFreedom,
+        pValue: upperGamma(degreesOfFreedom / 2, statistic / 2)
+    };
+};
+
+export {
+    mean,
+    variance,
+    sumDistribution,
+    faceDistribution,
+    chiSquare
+};
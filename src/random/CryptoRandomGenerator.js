@@ -0,0 +1,69 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {RandomGenerator} from "./RandomGenerator.js";
+
+const UINT32 = 2 ** 32;
+const BUFFER_SIZE = 64;
+
+// Private properties
+const _buffer = new WeakMap();
+const _index = new WeakMap();
+
+/**
+ * CryptoRandomGenerator generates random numbers with the browser's
+ * cryptographically strong random number generator,
+ * [crypto.getRandomValues](https://developer.mozilla.org/en-US/docs/Web/API/Crypto/getRandomValues).
+ * Random values are fetched in batches to keep throwing many dice fast.
+ *
+ * @extends RandomGenerator
+ */
+const CryptoRandomGenerator = class extends RandomGenerator {
+
+    /**
+     * Create a new CryptoRandomGenerator.
+     */
+    constructor() {
+        super();
+        _buffer.set(this, new Uint32Array(BUFFER_SIZE));
+        _index.set(this, BUFFER_SIZE);
+    }
+
+    /**
+     * Generate the next random number.
+     *
+     * @return {Number} A random number r, 0 ≤ r < 1.
+     */
+    random() {
+        const buffer = _buffer.get(this);
+        let index = _index.get(this);
+
+        if (BUFFER_SIZE <= index) {
+            window.crypto.getRandomValues(buffer);
+            index = 0;
+        }
+
+        _index.set(this, index + 1);
+        return buffer[index] / UINT32;
+    }
+};
+
+export {
+    CryptoRandomGenerator
+};
@@ -0,0 +1,73 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+
+/**
+ * @module random/RandomGenerator
+ */
+
+/**
+ * RandomGenerator is the interface of the random number generators used to
+ * throw dice and lay them out on a dice board. Subclasses implement
+ * {@link RandomGenerator#random}.
+ */
+const RandomGenerator = class {
+
+    /**
+     * Create a new RandomGenerator.
+     */
+    constructor() {
+    }
+
+    /**
+     * Generate the next random number r, 0 ≤ r < 1. Subclasses should
+     * override this method.
+     *
+     * @throws {Error} This method is not implemented.
+     */
+    random() {
+        throw new Error("A RandomGenerator should implement random().");
+    }
+
+    /**
+     * Generate a random integer between min and max, inclusive.
+     *
+     * @param {Number} min - The smallest integer to generate.
+     * @param {Number} max - The largest integer to generate.
+     * @return {Number} A random integer n, min ≤ n ≤ max.
+     */
+    integer(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    /**
+     * Pick a random element from a list.
+     *
+     * @param {Array} list - The list to pick from.
+     * @return {*} A random element of the list, or undefined when the list
+     * is empty.
+     */
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+};
+
+export {
+    RandomGenerator
+};
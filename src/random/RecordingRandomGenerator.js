@@ -0,0 +1,82 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {RandomGenerator} from "./RandomGenerator.js";
+import {checkRandom} from "./random.js";
+
+// Private properties
+const _generator = new WeakMap();
+const _values = new WeakMap();
+
+/**
+ * RecordingRandomGenerator generates random numbers with another generator
+ * and records them, so the same numbers can be replayed elsewhere with a
+ * {@link ReplayRandomGenerator}.
+ *
+ * @extends RandomGenerator
+ */
+const RecordingRandomGenerator = class extends RandomGenerator {
+
+    /**
+     * Create a new RecordingRandomGenerator.
+     *
+     * @param {RandomGenerator} generator - The generator to record.
+     * @throws {ConfigurationError} The generator should be a RandomGenerator.
+     */
+    constructor(generator) {
+        super();
+        _generator.set(this, checkRandom(generator));
+        _values.set(this, []);
+    }
+
+    /**
+     * The recorded generator.
+     *
+     * @type {RandomGenerator}
+     */
+    get generator() {
+        return _generator.get(this);
+    }
+
+    /**
+     * Generate the next random number and record it.
+     *
+     * @return {Number} A random number r, 0 ≤ r < 1.
+     */
+    random() {
+        const value = this.generator.random();
+        _values.get(this).push(value);
+        return value;
+    }
+
+    /**
+     * Take the numbers recorded so far and start recording anew.
+     *
+     * @return {Number[]} The recorded numbers, in order.
+     */
+    take() {
+        const values = _values.get(this);
+        _values.set(this, []);
+        return values;
+    }
+};
+
+export {
+    RecordingRandomGenerator
+};
@@ -0,0 +1,79 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {RandomGenerator} from "./RandomGenerator.js";
+import {DEFAULT_RANDOM, checkRandom} from "./random.js";
+
+// Private properties
+const _values = new WeakMap();
+const _index = new WeakMap();
+const _fallback = new WeakMap();
+
+/**
+ * ReplayRandomGenerator generates a given list of numbers, like the
+ * numbers recorded by a {@link RecordingRandomGenerator}. Once the list is
+ * exhausted, the fallback generator takes over.
+ *
+ * @extends RandomGenerator
+ */
+const ReplayRandomGenerator = class extends RandomGenerator {
+
+    /**
+     * Create a new ReplayRandomGenerator.
+     *
+     * @param {Number[]} values - The numbers to replay, 0 ≤ r < 1.
+     * @param {RandomGenerator} [fallback = DEFAULT_RANDOM] - The generator
+     * to use once all numbers have been replayed.
+     * @throws {ConfigurationError} The fallback should be a RandomGenerator.
+     */
+    constructor(values, fallback = DEFAULT_RANDOM) {
+        super();
+        _values.set(this, [...values]);
+        _index.set(this, 0);
+        _fallback.set(this, checkRandom(fallback));
+    }
+
+    /**
+     * Have all numbers been replayed?
+     *
+     * @return {Boolean} True if the fallback generator has taken over.
+     */
+    isExhausted() {
+        return _index.get(this) >= _values.get(this).length;
+    }
+
+    /**
+     * Generate the next number of the list, or of the fallback generator
+     * once the list is exhausted.
+     *
+     * @return {Number} A random number r, 0 ≤ r < 1.
+     */
+    random() {
+        if (this.isExhausted()) {
+            return _fallback.get(this).random();
+        }
+        const index = _index.get(this);
+        _index.set(this, index + 1);
+        return _values.get(this)[index];
+    }
+};
+
+export {
+    ReplayRandomGenerator
+};
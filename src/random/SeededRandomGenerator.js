@@ -0,0 +1,134 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {RandomGenerator} from "./RandomGenerator.js";
+
+// The modulus and multiplier of the MINSTD generator. All arithmetic stays
+// exact within the range of safe integers.
+const MODULUS = 2 ** 31 - 1;
+const MULTIPLIER = 48271;
+
+/**
+ * Map an integer to a valid state of the generator, 1 ≤ state < MODULUS.
+ * Valid states map to themselves.
+ *
+ * @param {Number} n - The integer to map.
+ * @return {Number} The state.
+ */
+const toState = (n) => (((n - 1) % (MODULUS - 1)) + (MODULUS - 1)) % (MODULUS - 1) + 1;
+
+/**
+ * Multiply two states modulo MODULUS. The first factor is split in two so
+ * the products stay exact.
+ *
+ * @param {Number} a - A state.
+ * @param {Number} b - Another state.
+ * @return {Number} The product of a and b modulo MODULUS.
+ */
+const multiply = (a, b) => ((Math.floor(a / 65536) * b % MODULUS) * 65536 + (a % 65536) * b) % MODULUS;
+
+/**
+ * The state following a state of the generator.
+ *
+ * @param {Number} state - The state.
+ * @return {Number} The next state.
+ */
+const next = (state) => state * MULTIPLIER % MODULUS;
+
+/**
+ * Convert a seed to a state of the generator. Seeds are hashed as text, so
+ * 42 and "42" are the same seed. Squaring mixes the hash, so that similar
+ * seeds do not lead to similar sequences.
+ *
+ * @param {Number|String} seed - The seed to convert.
+ * @return {Number} The seed as state.
+ */
+const seedToState = (seed) => {
+    const text = `${seed}`;
+    let state = 1;
+    for (let i = 0; i < text.length; i++) {
+        state = toState(next(state) + text.charCodeAt(i));
+        state = toState(multiply(state, state) + i + 1);
+    }
+    return next(toState(multiply(state, state) + text.length));
+};
+
+// Private properties
+const _seed = new WeakMap();
+const _state = new WeakMap();
+
+/**
+ * SeededRandomGenerator is a deterministic random number generator: two
+ * generators with the same seed generate the same sequence of numbers. Use
+ * it to reproduce a game or to test games. It implements the Park–Miller
+ * MINSTD algorithm, which is fast and good enough for dice games, but not
+ * cryptographically secure.
+ *
+ * @extends RandomGenerator
+ */
+const SeededRandomGenerator = class extends RandomGenerator {
+
+    /**
+     * Create a new SeededRandomGenerator.
+     *
+     * @param {Number|String} [seed = Date.now()] - The seed of this
+     * generator.
+     */
+    constructor(seed = Date.now()) {
+        super();
+        _seed.set(this, seed);
+        _state.set(this, seedToState(seed));
+    }
+
+    /**
+     * The seed of this generator.
+     *
+     * @type {Number|String}
+     */
+    get seed() {
+        return _seed.get(this);
+    }
+
+    /**
+     * The internal state of this generator. Set the state to continue a
+     * sequence from a previously saved state.
+     *
+     * @type {Number}
+     */
+    get state() {
+        return _state.get(this);
+    }
+    set state(newState) {
+        _state.set(this, toState(newState));
+    }
+
+    /**
+     * Generate the next random number.
+     *
+     * @return {Number} A random number r, 0 ≤ r < 1.
+     */
+    random() {
+        this.state = next(this.state);
+        return (this.state - 1) / (MODULUS - 1);
+    }
+};
+
+export {
+    SeededRandomGenerator
+};
@@ -0,0 +1,59 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {CryptoRandomGenerator} from "./CryptoRandomGenerator.js";
+import {RandomGenerator} from "./RandomGenerator.js";
+import {SeededRandomGenerator} from "./SeededRandomGenerator.js";
+
+/**
+ * The random number generator used when no other generator is configured.
+ * @const
+ */
+const DEFAULT_RANDOM = new CryptoRandomGenerator();
+
+/**
+ * Create a random number generator. With a seed, a deterministic
+ * {@link SeededRandomGenerator} is created, otherwise the
+ * {@link DEFAULT_RANDOM} generator is used.
+ *
+ * @param {Number|String|null} [seed = null] - The seed.
+ * @return {RandomGenerator} The random number generator.
+ */
+const createRandom = (seed = null) => null === seed || undefined === seed ? DEFAULT_RANDOM : new SeededRandomGenerator(seed);
+
+/**
+ * Check that generator can be used as a random number generator.
+ *
+ * @param {RandomGenerator} generator - The generator to check.
+ * @return {RandomGenerator} The generator.
+ * @throws {ConfigurationError} The generator should be a RandomGenerator.
+ */
+const checkRandom = (generator) => {
+    if (!(generator instanceof RandomGenerator)) {
+        throw new ConfigurationError(`A random number generator should be a RandomGenerator, got '${generator}' instead.`);
+    }
+    return generator;
+};
+
+export {
+    DEFAULT_RANDOM,
+    createRandom,
+    checkRandom
+};
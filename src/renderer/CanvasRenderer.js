@@ -0,0 +1,154 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {Renderer} from "./Renderer.js";
+
+// Private properties
+const _canvas = new WeakMap();
+const _pixelRatio = new WeakMap();
+const _pixelRatioQuery = new WeakMap();
+const _lastFrame = new WeakMap();
+
+/**
+ * The device's pixel ratio, the number of physical pixels per CSS pixel.
+ *
+ * @return {Number} The device pixel ratio, 1 on regular screens.
+ */
+const devicePixelRatio = () => window.devicePixelRatio || 1;
+
+/**
+ * Watch for changes of the device's pixel ratio, for example when the
+ * window is moved to another monitor or the page is zoomed. A media query
+ * only matches the current ratio, so it is renewed after every change.
+ *
+ * @param {CanvasRenderer} renderer - The renderer to update on changes.
+ */
+const watchPixelRatio = (renderer) => {
+    if ("function" !== typeof window.matchMedia) {
+        return;
+    }
+
+    const query = window.matchMedia(`(resolution: ${devicePixelRatio()}dppx)`);
+    const onChange = () => {
+        query.removeEventListener("change", onChange);
+        renderer.resize(renderer.width, renderer.height);
+        if (_lastFrame.has(renderer)) {
+            const {frame, dieSize} = _lastFrame.get(renderer);
+            renderer.render(frame, dieSize);
+        }
+        watchPixelRatio(renderer);
+    };
+
+    query.addEventListener("change", onChange);
+    _pixelRatioQuery.set(renderer, {query, onChange});
+};
+
+/**
+ * CanvasRenderer draws the dice on a single canvas via
+ * {@link TopDie#render}. The canvas' backing store is scaled by the
+ * device's pixel ratio so the dice look sharp on HiDPI screens, while its
+ * CSS size stays the size of the board.
+ *
+ * @extends Renderer
+ */
+const CanvasRenderer = class extends Renderer {
+
+    /**
+     * Create a new CanvasRenderer.
+     *
+     * @param {Object} config - The configuration of this renderer.
+     * @param {Number} config.width - The width of the board.
+     * @param {Number} config.height - The height of the board.
+     */
+    constructor({width, height}) {
+        super({width, height});
+        _canvas.set(this, document.createElement("canvas"));
+        this.resize(width, height);
+        watchPixelRatio(this);
+    }
+
+    /**
+     * The canvas this CanvasRenderer draws the dice on.
+     *
+     * @type {HTMLCanvasElement}
+     */
+    get element() {
+        return _canvas.get(this);
+    }
+
+    /**
+     * The 2D context of the canvas.
+     *
+     * @type {CanvasRenderingContext2D}
+     */
+    get context() {
+        return this.element.getContext("2d");
+    }
+
+    /**
+     * The number of canvas pixels per board pixel.
+     *
+     * @type {Number}
+     */
+    get pixelRatio() {
+        return _pixelRatio.get(this);
+    }
+
+    resize(width, height) {
+        super.resize(width, height);
+        const ratio = devicePixelRatio();
+        _pixelRatio.set(this, ratio);
+
+        this.element.setAttribute("width", Math.round(width * ratio));
+        this.element.setAttribute("height", Math.round(height * ratio));
+        this.element.style.width = `${width}px`;
+        this.element.style.height = `${height}px`;
+    }
+
+    render(frame, dieSize) {
+        _lastFrame.set(this, {frame, dieSize});
+        const context = this.context;
+        context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        context.clearRect(0, 0, this.width, this.height);
+
+        for (const {die, coordinates, appearance} of frame) {
+            die.render(context, dieSize, coordinates, appearance);
+        }
+    }
+
+    connect() {
+        if (!_pixelRatioQuery.has(this)) {
+            // The pixel ratio could have changed while disconnected.
+            this.resize(this.width, this.height);
+            watchPixelRatio(this);
+        }
+    }
+
+    disconnect() {
+        if (_pixelRatioQuery.has(this)) {
+            const {query, onChange} = _pixelRatioQuery.get(this);
+            query.removeEventListener("change", onChange);
+            _pixelRatioQuery.delete(this);
+        }
+    }
+};
+
+export {
+    CanvasRenderer
+};
@@ -0,0 +1,153 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+
+/**
+ * @module renderer/Renderer
+ */
+
+// Private properties
+const _width = new WeakMap();
+const _height = new WeakMap();
+
+/**
+ * @typedef {Object} FrameDie
+ *
+ * @property {TopDie} die - The die to render.
+ * @property {Coordinates} coordinates - The coordinates to render the die
+ * at.
+ * @property {Object} appearance - The rotation and face to render the die
+ * with, and whether it is hidden. See {@link TopDie#render}.
+ */
+
+/**
+ * Renderer is the interface of the renderers a dice board uses to draw its
+ * dice. A renderer owns the element the dice are drawn on. Subclasses
+ * implement {@link Renderer#element} and {@link Renderer#render}.
+ */
+const Renderer = class {
+
+    /**
+     * Create a new Renderer.
+     *
+     * @param {Object} config - The configuration of this renderer.
+     * @param {Number} config.width - The width of the board.
+     * @param {Number} config.height - The height of the board.
+     */
+    constructor({width, height}) {
+        _width.set(this, width);
+        _height.set(this, height);
+    }
+
+    /**
+     * The width of the board rendered by this Renderer.
+     *
+     * @type {Number}
+     */
+    get width() {
+        return _width.get(this);
+    }
+
+    /**
+     * The height of the board rendered by this Renderer.
+     *
+     * @type {Number}
+     */
+    get height() {
+        return _height.get(this);
+    }
+
+    /**
+     * The element this Renderer draws the dice on. Subclasses should
+     * override this property.
+     *
+     * @type {Element}
+     */
+    get element() {
+        throw new Error("A Renderer should implement element.");
+    }
+
+    /**
+     * Resize the board rendered by this Renderer.
+     *
+     * @param {Number} width - The new width of the board.
+     * @param {Number} height - The new height of the board.
+     */
+    resize(width, height) {
+        _width.set(this, width);
+        _height.set(this, height);
+    }
+
+    /**
+     * Render a frame, replacing the previous one. Subclasses should
+     * override this method.
+     *
+     * @param {FrameDie[]} _frame - The dice to render, in order.
+     * @param {Number} _dieSize - The size of the dice.
+     * @throws {Error} This method is not implemented.
+     */
+    render(_frame, _dieSize) {
+        throw new Error("A Renderer should implement render(frame, dieSize).");
+    }
+
+    /**
+     * Convert window coordinates, such as a mouse event's clientX and
+     * clientY, to coordinates on the board rendered by this Renderer. The
+     * board's coordinates are independent of how large the element is shown
+     * on screen and of the device's pixel ratio.
+     *
+     * @param {Number} xWindow - The x coordinate in the window.
+     * @param {Number} yWindow - The y coordinate in the window.
+     * @return {Coordinates} The corresponding coordinates on the board.
+     */
+    toBoardCoordinates(xWindow, yWindow) {
+        const box = this.element.getBoundingClientRect();
+
+        return {
+            x: (xWindow - box.left) * (this.width / box.width),
+            y: (yWindow - box.top) * (this.height / box.height)
+        };
+    }
+
+    /**
+     * Start this Renderer again when the board uses it again after {@link
+     * disconnect}.
+     */
+    connect() {
+    }
+
+    /**
+     * Stop this Renderer when the board no longer uses it.
+     */
+    disconnect() {
+    }
+};
+
+/**
+ * Create a frame rendering the dice as they are.
+ *
+ * @param {TopDie[]} dice - The dice to render.
+ * @return {FrameDie[]} The frame.
+ */
+const frameOf = (dice) => dice.map(die => ({die, coordinates: die.coordinates, appearance: {}}));
+
+export {
+    Renderer,
+    frameOf
+};
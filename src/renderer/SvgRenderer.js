@@ -0,0 +1,344 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {Renderer} from "./Renderer.js";
+import {
+    BASE_DIE_SIZE,
+    BASE_ROUNDED_CORNER_RADIUS,
+    HALF,
+    HOLD_OPACITY,
+    MIN_STROKE_WIDTH,
+    NUMBER_COLOR,
+    NUMBER_FONT,
+    PIP_COLOR,
+    PIP_POSITIONS,
+    PIP_SIZE,
+    POLYHEDRAL_SHAPES,
+    strokeWidth
+} from "./geometry.js";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const NUMBER_OF_PIPS = 6;
+const CUSTOM_FACE_TEXT_SIZE = 0.8;
+
+/**
+ * Create an SVG element.
+ *
+ * @param {String} name - The name of the element.
+ * @param {Object} [attributes = {}] - The attributes of the element.
+ * @return {SVGElement} The created element.
+ */
+const createSvgElement = (name, attributes = {}) => {
+    const element = document.createElementNS(SVG_NAMESPACE, name);
+    for (const [attribute, value] of Object.entries(attributes)) {
+        element.setAttribute(attribute, value);
+    }
+    return element;
+};
+
+const toPoints = (vertices) => vertices.map(([x, y]) => `${x},${y}`).join(" ");
+
+/**
+ * The number of the face of a die facing up.
+ *
+ * @param {TopDie} die - The die.
+ * @return {Number} The number of the face facing up, 1 ≤ face ≤ sides.
+ */
+const faceNumberOf = (die) => die.hasCustomFaces() ? die.faces.indexOf(die.face) + 1 : die.pips;
+
+/**
+ * Describe a die for assistive technology.
+ *
+ * @param {TopDie} die - The die to describe.
+ * @param {Boolean} [hidden = false] - Is the die face down?
+ * @return {String} The description of the die.
+ */
+const describe = (die, hidden = false) => {
+    const kind = die.hasCustomFaces() ? "Die" : `${die.sides}-sided die`;
+    const face = die.hasCustomFaces() ? die.face.label : die.pips;
+    const held = die.isHeld() ? `, held by ${die.heldBy}` : "";
+    return hidden ? `Hidden ${kind.toLowerCase()}${held}` : `${kind} showing ${face}${held}`;
+};
+
+const createLabel = (x, y, width, label, textSize) => {
+    const fontSize = Math.round(width * textSize);
+    const group = createSvgElement("g", {
+        "class": "die-label",
+        "part": "die-label",
+        "fill": NUMBER_COLOR
+    });
+
+    const text = createSvgElement("text", {
+        x,
+        y,
+        "font-family": NUMBER_FONT,
+        "font-weight": "bold",
+        "font-size": fontSize,
+        "text-anchor": "middle",
+        "dominant-baseline": "central"
+    });
+    text.textContent = `${label}`;
+
+    // Squeeze long labels to fit on the die, roughly like a canvas does.
+    const maxWidth = 1.2 * width;
+    if (`${label}`.length * fontSize / 2 > maxWidth) {
+        text.setAttribute("textLength", maxWidth);
+        text.setAttribute("lengthAdjust", "spacingAndGlyphs");
+    }
+    group.appendChild(text);
+
+    if ("6" === `${label}` || "9" === `${label}`) {
+        // Underline 6 and 9 to tell them apart.
+        const lineWidth = fontSize / 2;
+        group.appendChild(createSvgElement("rect", {
+            x: x - lineWidth / 2,
+            y: y + fontSize / 2,
+            width: lineWidth,
+            height: Math.max(MIN_STROKE_WIDTH, fontSize / 12)
+        }));
+    }
+
+    return group;
+};
+
+const createSquareBody = (width, color) => {
+    const HALF_INNER_SIZE = Math.sqrt(width ** 2 / 2);
+    return createSvgElement("rect", {
+        "class": "die-body",
+        "part": "die-body",
+        "x": width - HALF_INNER_SIZE,
+        "y": width - HALF_INNER_SIZE,
+        "width": 2 * HALF_INNER_SIZE,
+        "height": 2 * HALF_INNER_SIZE,
+        "rx": BASE_ROUNDED_CORNER_RADIUS * width / HALF,
+        "fill": color,
+        "stroke": "black",
+        "stroke-width": strokeWidth(width)
+    });
+};
+
+const createPolyhedralBody = (width, color, sides) => {
+    const STROKE_WIDTH = strokeWidth(width);
+    const radius = width - STROKE_WIDTH;
+    const toBoard = ([vx, vy]) => [width + vx * radius, width + vy * radius];
+    const {outline, facets} = POLYHEDRAL_SHAPES[sides];
+
+    const body = createSvgElement("g", {
+        "class": "die-body",
+        "part": "die-body",
+        "stroke": "black",
+        "stroke-linejoin": "round"
+    });
+
+    body.appendChild(createSvgElement("polygon", {
+        "points": toPoints(outline.map(toBoard)),
+        "fill": color,
+        "stroke-width": STROKE_WIDTH
+    }));
+
+    for (const facet of facets) {
+        const [[x1, y1], [x2, y2]] = facet.map(toBoard);
+        body.appendChild(createSvgElement("line", {
+            x1, y1, x2, y2,
+            "class": "die-facet",
+            "stroke-width": STROKE_WIDTH / 2
+        }));
+    }
+
+    return body;
+};
+
+const createPips = (dieSize, pips) => {
+    const group = createSvgElement("g", {
+        "class": "die-pips",
+        "part": "die-pips",
+        "fill": PIP_COLOR
+    });
+
+    for (const [px, py] of PIP_POSITIONS[pips] || []) {
+        group.appendChild(createSvgElement("circle", {
+            cx: px * dieSize,
+            cy: py * dieSize,
+            r: PIP_SIZE * dieSize / BASE_DIE_SIZE
+        }));
+    }
+
+    return group;
+};
+
+const createCustomFace = (width, face) => {
+    const HALF_INNER_SIZE = Math.sqrt(width ** 2 / 2);
+    const source = face.image && (face.image.currentSrc || face.image.src);
+
+    if (source) {
+        const innerSize = 2 * HALF_INNER_SIZE;
+        const margin = innerSize / 10;
+        return createSvgElement("image", {
+            "class": "die-image",
+            "part": "die-image",
+            "href": source,
+            "x": width - HALF_INNER_SIZE + margin,
+            "y": width - HALF_INNER_SIZE + margin,
+            "width": innerSize - 2 * margin,
+            "height": innerSize - 2 * margin
+        });
+    }
+
+    // A face's render callback draws on a canvas. In SVG the face's label is
+    // shown instead.
+    return createLabel(width, width, HALF_INNER_SIZE, face.label, CUSTOM_FACE_TEXT_SIZE);
+};
+
+/**
+ * Create the shapes of a die, drawn at (0, 0) and without rotation.
+ *
+ * @param {TopDie} die - The die to draw.
+ * @param {Number} dieSize - The size of the die.
+ * @param {Number} face - The number of the face facing up.
+ * @param {Boolean} [hidden = false] - Draw the die face down.
+ * @return {SVGElement[]} The hold marker, if any, and the die's face.
+ */
+const createDie = (die, dieSize, face, hidden = false) => {
+    const width = dieSize / 2;
+    const shapes = [];
+
+    if (die.isHeld()) {
+        shapes.push(createSvgElement("circle", {
+            "class": "die-hold",
+            "part": "die-hold",
+            "cx": width,
+            "cy": width,
+            "r": width - width / 30,
+            "fill": die.heldBy.color,
+            "opacity": HOLD_OPACITY
+        }));
+    }
+
+    const faceGroup = createSvgElement("g", {"class": "die-face"});
+    if (hidden) {
+        faceGroup.appendChild(die.hasCustomFaces() || NUMBER_OF_PIPS === die.sides
+            ? createSquareBody(width, die.color)
+            : createPolyhedralBody(width, die.color, die.sides));
+    } else if (die.hasCustomFaces()) {
+        faceGroup.appendChild(createSquareBody(width, die.color));
+        faceGroup.appendChild(createCustomFace(width, die.faces[face - 1]));
+    } else if (NUMBER_OF_PIPS === die.sides) {
+        faceGroup.appendChild(createSquareBody(width, die.color));
+        faceGroup.appendChild(createPips(dieSize, face));
+    } else {
+        faceGroup.appendChild(createPolyhedralBody(width, die.color, die.sides));
+        faceGroup.appendChild(createLabel(width, width, width, face, POLYHEDRAL_SHAPES[die.sides].textSize));
+    }
+    shapes.push(faceGroup);
+
+    return shapes;
+};
+
+// Private properties
+const _svg = new WeakMap();
+const _groups = new WeakMap();
+
+/**
+ * SvgRenderer draws each die as an SVG group with shapes for the body and
+ * the pips or number. Unlike a canvas, the SVG stays sharp when zoomed in,
+ * can be styled with CSS via the parts "die", "die-body", "die-pips",
+ * "die-label", "die-image", and "die-hold", and each die is described for
+ * assistive technology.
+ *
+ * @extends Renderer
+ */
+const SvgRenderer = class extends Renderer {
+
+    /**
+     * Create a new SvgRenderer.
+     *
+     * @param {Object} config - The configuration of this renderer.
+     * @param {Number} config.width - The width of the board.
+     * @param {Number} config.height - The height of the board.
+     */
+    constructor({width, height}) {
+        super({width, height});
+        _svg.set(this, createSvgElement("svg", {
+            "role": "group",
+            "aria-label": "Dice board"
+        }));
+        _groups.set(this, new Map());
+        this.resize(width, height);
+    }
+
+    /**
+     * The SVG element this SvgRenderer draws the dice on.
+     *
+     * @type {SVGSVGElement}
+     */
+    get element() {
+        return _svg.get(this);
+    }
+
+    resize(width, height) {
+        super.resize(width, height);
+        this.element.setAttribute("width", width);
+        this.element.setAttribute("height", height);
+        this.element.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    }
+
+    render(frame, dieSize) {
+        const groups = _groups.get(this);
+        const rendered = new Set();
+
+        for (const {die, coordinates, appearance} of frame) {
+            const face = undefined === appearance.face ? faceNumberOf(die) : appearance.face;
+            const rotation = undefined === appearance.rotation ? die.rotation : appearance.rotation;
+            const hidden = true === appearance.hidden;
+            const key = [dieSize, die.sides, die.color, hidden ? "hidden" : face, die.isHeld() ? die.heldBy.color : ""].join("|");
+
+            let entry = groups.get(die);
+            if (undefined === entry) {
+                entry = {group: createSvgElement("g", {"class": "die", "part": "die", "role": "img"}), key: null};
+                groups.set(die, entry);
+            }
+
+            const {group} = entry;
+            if (key !== entry.key) {
+                group.replaceChildren(...createDie(die, dieSize, face, hidden));
+                entry.key = key;
+            }
+
+            group.setAttribute("aria-label", describe(die, hidden));
+            group.setAttribute("transform", `translate(${coordinates.x} ${coordinates.y})`);
+            group.lastChild.setAttribute("transform", `rotate(${rotation || 0} ${dieSize / 2} ${dieSize / 2})`);
+
+            // Appending moves the group to the end: later dice are drawn on
+            // top of earlier dice.
+            this.element.appendChild(group);
+            rendered.add(die);
+        }
+
+        for (const [die, {group}] of groups) {
+            if (!rendered.has(die)) {
+                group.remove();
+                groups.delete(die);
+            }
+        }
+    }
+};
+
+export {
+    SvgRenderer
+};
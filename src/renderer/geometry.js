@@ -0,0 +1,129 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+
+/**
+ * The geometry of dice shared by the renderers. Sizes are given for a die
+ * of BASE_DIE_SIZE and scale with the die size of a board.
+ *
+ * @module renderer/geometry
+ */
+
+const CIRCLE_DEGREES = 360; // degrees
+
+const BASE_DIE_SIZE = 100; // px
+const BASE_ROUNDED_CORNER_RADIUS = 15; // px
+const BASE_STROKE_WIDTH = 2.5; // px
+const MIN_STROKE_WIDTH = 1; // px
+const HALF = BASE_DIE_SIZE / 2; // px
+const THIRD = 1 / 3;
+const PIP_SIZE = BASE_DIE_SIZE / 15; //px
+const PIP_COLOR = "black";
+const NUMBER_COLOR = "black";
+const NUMBER_FONT = "sans-serif";
+const HOLD_OPACITY = 0.5;
+
+const deg2rad = (deg) => {
+    return deg * (Math.PI / 180);
+};
+
+/**
+ * The stroke width of a die's outline.
+ *
+ * @param {Number} width - Half the size of the die.
+ * @return {Number} The stroke width.
+ */
+const strokeWidth = (width) => Math.max(MIN_STROKE_WIDTH, BASE_STROKE_WIDTH * width / HALF);
+
+/**
+ * Compute the vertices of a regular polygon with n corners on the unit
+ * circle, starting at angle start.
+ *
+ * @param {Number} n - The number of corners.
+ * @param {Number} [start = -90] - The angle of the first corner in degrees.
+ * @returns {Array[]} The list of [x, y] vertices.
+ */
+const regularPolygon = (n, start = -90) => {
+    const vertices = [];
+    for (let i = 0; i < n; i++) {
+        const angle = deg2rad(start + i * CIRCLE_DEGREES / n);
+        vertices.push([Math.cos(angle), Math.sin(angle)]);
+    }
+    return vertices;
+};
+
+// The outlines of the polyhedral dice as seen from above, on the unit circle.
+// Facets are lines drawn on top of the outline to make the shape
+// recognizable, and textSize is the size of the number relative to the die.
+const POLYHEDRAL_SHAPES = {
+    4: {
+        outline: regularPolygon(3),
+        facets: [],
+        textSize: 0.45
+    },
+    8: {
+        outline: regularPolygon(4),
+        facets: [[[-1, 0], [1, 0]]],
+        textSize: 0.5
+    },
+    10: {
+        outline: [[0, -1], [0.9, 0.1], [0, 0.8], [-0.9, 0.1]],
+        facets: [],
+        textSize: 0.55
+    },
+    12: {
+        outline: regularPolygon(5),
+        facets: [],
+        textSize: 0.6
+    },
+    20: {
+        outline: regularPolygon(6),
+        facets: regularPolygon(3).map((vertex, i, triangle) => [vertex, triangle[(i + 1) % 3]]),
+        textSize: 0.5
+    }
+};
+
+// The positions of the pips on a six sided die as fractions of the die's
+// size, by number of pips.
+const PIP_POSITIONS = {
+    1: [[0.5, 0.5]],
+    2: [[THIRD, THIRD], [2 * THIRD, 2 * THIRD]],
+    3: [[THIRD, THIRD], [0.5, 0.5], [2 * THIRD, 2 * THIRD]],
+    4: [[THIRD, THIRD], [THIRD, 2 * THIRD], [2 * THIRD, 2 * THIRD], [2 * THIRD, THIRD]],
+    5: [[THIRD, THIRD], [THIRD, 2 * THIRD], [0.5, 0.5], [2 * THIRD, 2 * THIRD], [2 * THIRD, THIRD]],
+    6: [[THIRD, THIRD], [THIRD, 2 * THIRD], [THIRD, 0.5], [2 * THIRD, 2 * THIRD], [2 * THIRD, THIRD], [2 * THIRD, 0.5]]
+};
+
+export {
+    BASE_DIE_SIZE,
+    BASE_ROUNDED_CORNER_RADIUS,
+    CIRCLE_DEGREES,
+    HALF,
+    HOLD_OPACITY,
+    MIN_STROKE_WIDTH,
+    NUMBER_COLOR,
+    NUMBER_FONT,
+    PIP_COLOR,
+    PIP_POSITIONS,
+    PIP_SIZE,
+    POLYHEDRAL_SHAPES,
+    deg2rad,
+    regularPolygon,
+    strokeWidth
+};
@@ -0,0 +1,286 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {TopDiceBoard} from "../TopDiceBoard.js";
+import {checkReplay, statesOf} from "./replay.js";
+
+const DEFAULT_SPEED = 1;
+const MAX_PAUSE = 2000; // ms
+
+const SPECTATOR_ATTRIBUTE = "spectator";
+
+// Private properties
+const _board = new WeakMap();
+const _replay = new WeakMap();
+const _states = new WeakMap();
+const _position = new WeakMap();
+const _speed = new WeakMap();
+const _timeout = new WeakMap();
+const _stopped = new WeakMap();
+const _wasSpectator = new WeakMap();
+
+const dispatch = (player, type, detail) => {
+    player.board.dispatchEvent(new CustomEvent(type, {
+        bubbles: true,
+        detail
+    }));
+};
+
+const show = (player, position) => {
+    _position.set(player, position);
+    player.board.restore(_states.get(player)[position]);
+    dispatch(player, "top:replay-position", {
+        position,
+        action: player.currentAction
+    });
+};
+
+// Wait as long as the players did before the next action, but not longer
+// than MAX_PAUSE, at the speed of this player.
+const delayOf = (player) => {
+    const actions = _replay.get(player).actions;
+    const position = player.position;
+    const previous = 0 === position ? 0 : actions[position - 1].at;
+    return Math.min(MAX_PAUSE, actions[position].at - previous) / player.speed;
+};
+
+const stopPlaying = (player) => {
+    window.clearTimeout(_timeout.get(player));
+    _timeout.set(player, null);
+
+    const stopped = _stopped.get(player);
+    _stopped.set(player, null);
+    if (null !== stopped) {
+        stopped();
+    }
+};
+
+const schedule = (player) => {
+    window.clearTimeout(_timeout.get(player));
+    if (player.position >= player.length) {
+        stopPlaying(player);
+        dispatch(player, "top:replay-ended", {
+            position: player.position
+        });
+        return;
+    }
+
+    _timeout.set(player, window.setTimeout(() => {
+        show(player, player.position + 1);
+        schedule(player);
+    }, delayOf(player)));
+};
+
+/**
+ * ReplayPlayer plays a {@link Replay}, like one recorded by a {@link
+ * ReplayRecorder}, on a {@link TopDiceBoard}. The board is a spectator
+ * while the replay is loaded: it shows the state of the game at the
+ * position of the player, the number of actions played. Play, pause, step
+ * through, or seek in the replay, at any speed.
+ *
+ * The player waits as long between actions as the players did, up to two
+ * seconds, divided by its {@link speed}.
+ */
+const ReplayPlayer = class {
+
+    /**
+     * Create a new ReplayPlayer and show the start of the replay on the
+     * board.
+     *
+     * @param {TopDiceBoard} board - The board to play the replay on.
+     * @param {Replay|String} replay - The replay, or the replay as JSON.
+     * @param {Object} [config = {}] - The configuration of the player.
+     * @param {Number} [config.speed = 1] - The speed of playing.
+     * @throws {ConfigurationError} The board should be a TopDiceBoard, the
+     * replay should be valid, and the speed should be a positive number.
+     */
+    constructor(board, replay, {speed = DEFAULT_SPEED} = {}) {
+        if (!(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`A replay player plays on a TopDiceBoard, got '${board}' instead.`);
+        }
+
+        const checked = checkReplay("string" === typeof replay ? JSON.parse(replay) : replay);
+        _board.set(this, board);
+        _replay.set(this, checked);
+        _states.set(this, statesOf(checked));
+        _timeout.set(this, null);
+        _stopped.set(this, null);
+        this.speed = speed;
+
+        _wasSpectator.set(this, board.getAttribute(SPECTATOR_ATTRIBUTE));
+        board.setAttribute(SPECTATOR_ATTRIBUTE, "true");
+        show(this, 0);
+    }
+
+    /**
+     * The board the replay is played on.
+     *
+     * @type {TopDiceBoard}
+     */
+    get board() {
+        return _board.get(this);
+    }
+
+    /**
+     * The replay played.
+     *
+     * @type {Replay}
+     */
+    get replay() {
+        return _replay.get(this);
+    }
+
+    /**
+     * The number of actions in the replay.
+     *
+     * @type {Number}
+     */
+    get length() {
+        return this.replay.actions.length;
+    }
+
+    /**
+     * The number of actions played, 0 at the start of the replay.
+     *
+     * @type {Number}
+     */
+    get position() {
+        return _position.get(this);
+    }
+
+    /**
+     * The last action played, if any. Null at the start of the replay.
+     *
+     * @type {ReplayAction|null}
+     */
+    get currentAction() {
+        return 0 === this.position ? null : this.replay.actions[this.position - 1];
+    }
+
+    /**
+     * The speed of playing: 1 is as fast as the game went, 2 twice as
+     * fast, 0.5 half as fast.
+     *
+     * @throws {ConfigurationError} The speed should be a positive number.
+     * @type {Number}
+     */
+    get speed() {
+        return _speed.get(this);
+    }
+    set speed(speed) {
+        if (!Number.isFinite(speed) || 0 >= speed) {
+            throw new ConfigurationError(`The speed of a replay should be a positive number, got '${speed}' instead.`);
+        }
+        _speed.set(this, speed);
+        if (this.isPlaying()) {
+            schedule(this);
+        }
+    }
+
+    /**
+     * Is the replay playing?
+     *
+     * @return {Boolean} True if the replay is playing.
+     */
+    isPlaying() {
+        return null !== _stopped.get(this);
+    }
+
+    /**
+     * Play the replay from the current position, or from the start when
+     * at the end.
+     *
+     * @return {Promise} A promise resolving when playing stops: at the end
+     * of the replay, or when paused.
+     *
+     * @fires "top:replay-position" with the position and the action
+     * played, after each action.
+     * @fires "top:replay-ended" with the position when the end of the
+     * replay has been played.
+     */
+    play() {
+        if (this.isPlaying()) {
+            return Promise.resolve();
+        }
+
+        if (this.position >= this.length) {
+            show(this, 0);
+        }
+
+        const stopped = new Promise(resolve => _stopped.set(this, resolve));
+        schedule(this);
+        return stopped;
+    }
+
+    /**
+     * Pause playing the replay.
+     */
+    pause() {
+        stopPlaying(this);
+    }
+
+    /**
+     * Pause and step through the replay.
+     *
+     * @param {Number} [count = 1] - The number of actions to step forward,
+     * or backward when negative.
+     */
+    step(count = 1) {
+        this.pause();
+        this.seek(this.position + count);
+    }
+
+    /**
+     * Show the state of the game after a number of actions. While playing,
+     * playing continues from there.
+     *
+     * @param {Number} position - The number of actions played, between 0
+     * and the length of the replay. Positions outside are clamped.
+     * @throws {ConfigurationError} The position should be an integer.
+     */
+    seek(position) {
+        if (!Number.isInteger(position)) {
+            throw new ConfigurationError(`A position in a replay should be an integer, got '${position}' instead.`);
+        }
+
+        show(this, Math.max(0, Math.min(this.length, position)));
+        if (this.isPlaying()) {
+            schedule(this);
+        }
+    }
+
+    /**
+     * Stop playing and give the board back: it is no longer a spectator,
+     * unless it was before. The board keeps showing the current state.
+     */
+    close() {
+        this.pause();
+        const wasSpectator = _wasSpectator.get(this);
+        if (null === wasSpectator) {
+            this.board.removeAttribute(SPECTATOR_ATTRIBUTE);
+        } else {
+            this.board.setAttribute(SPECTATOR_ATTRIBUTE, wasSpectator);
+        }
+    }
+};
+
+export {
+    ReplayPlayer
+};
@@ -0,0 +1,247 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {TopDiceBoard} from "../TopDiceBoard.js";
+import {TopPlayer} from "../TopPlayer.js";
+import {TAG_NAME as TOP_PLAYER_LIST} from "../TopPlayerList.js";
+import {REPLAY_VERSION, diffState} from "./replay.js";
+
+const THROW = "throw";
+const HOLD = "hold";
+const RELEASE = "release";
+const MOVE = "move";
+const ADD_DIE = "add-die";
+const REMOVE_DIE = "remove-die";
+const TURN = "turn";
+const PLAYERS = "players";
+
+// Private properties
+const _board = new WeakMap();
+const _recording = new WeakMap();
+const _pending = new WeakMap();
+const _listeners = new WeakMap();
+const _observer = new WeakMap();
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+const nameOf = (player) => player ? player.name : null;
+
+const isPlayerMutation = ({type, target, addedNodes, removedNodes}) => {
+    if ("attributes" === type) {
+        return target instanceof TopPlayer;
+    }
+    return [...addedNodes, ...removedNodes].some(node => node instanceof TopPlayer || TOP_PLAYER_LIST === node.localName);
+};
+
+// Record an action with the changes to the board since the previous one.
+// Actions that change nothing are left out.
+const snapshot = (recorder, {type, player, die}) => {
+    const recording = _recording.get(recorder);
+    const state = recorder.board.toJSON();
+    const changes = diffState(recording.last, state);
+    if (null === changes) {
+        return;
+    }
+
+    const action = {type, at: Date.now() - recording.startedAt, player};
+    if (undefined !== die) {
+        action.die = die;
+    }
+    action.changes = changes;
+
+    recording.actions.push(action);
+    recording.last = state;
+};
+
+const flush = (recorder) => {
+    const pending = _pending.get(recorder);
+    if (null !== pending) {
+        _pending.set(recorder, null);
+        snapshot(recorder, pending);
+    }
+};
+
+// The board handles an action after its event has been dispatched: take
+// the snapshot of an action in a microtask, or when the next action comes
+// first. The dice of a throw are thrown in the same task: record them as a
+// single action.
+const note = (recorder, action) => {
+    const pending = _pending.get(recorder);
+    if (null !== pending && THROW === pending.type && THROW === action.type) {
+        return;
+    }
+
+    flush(recorder);
+    _pending.set(recorder, action);
+    Promise.resolve().then(() => {
+        if (action === _pending.get(recorder)) {
+            flush(recorder);
+        }
+    });
+};
+
+const listenersOf = (recorder) => {
+    const board = recorder.board;
+    const indexOf = die => board.dice.indexOf(die);
+
+    return {
+        "top:throw-die": () => note(recorder, {type: THROW, player: nameOf(board._playerList.currentPlayer)}),
+        "top:hold-die": ({detail: {die, player}}) => note(recorder, {type: HOLD, player: nameOf(player), die: indexOf(die)}),
+        "top:release-die": ({detail: {die, player}}) => note(recorder, {type: RELEASE, player: nameOf(player), die: indexOf(die)}),
+        "top:move-die": ({detail: {die}}) => note(recorder, {type: MOVE, player: null, die: indexOf(die)}),
+        "top:start-turn": ({detail: {player}}) => note(recorder, {type: TURN, player: nameOf(player)}),
+        "top-die:added": () => note(recorder, {type: ADD_DIE, player: null}),
+        "top-die:removed": () => note(recorder, {type: REMOVE_DIE, player: null})
+    };
+};
+
+const isCaptured = (type) => !type.startsWith("top-die:");
+
+/**
+ * ReplayRecorder records the actions on a {@link TopDiceBoard} into a
+ * {@link Replay}: throwing, holding, releasing, and moving dice, adding
+ * and removing dice, and turns and other changes of the players. Each
+ * action holds the changes of the board's state, including the state of
+ * its seeded random number generator, the coordinates of the dice, and
+ * the turns. Play a replay with a {@link ReplayPlayer}.
+ */
+const ReplayRecorder = class {
+
+    /**
+     * Create a new ReplayRecorder.
+     *
+     * @param {TopDiceBoard} board - The board to record.
+     * @throws {ConfigurationError} The board should be a TopDiceBoard.
+     */
+    constructor(board) {
+        if (!(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`A replay recorder records a TopDiceBoard, got '${board}' instead.`);
+        }
+
+        _board.set(this, board);
+        _recording.set(this, null);
+        _pending.set(this, null);
+        _observer.set(this, new MutationObserver((mutations) => {
+            if (mutations.some(isPlayerMutation)) {
+                note(this, {type: PLAYERS, player: null});
+            }
+        }));
+    }
+
+    /**
+     * The board recorded.
+     *
+     * @type {TopDiceBoard}
+     */
+    get board() {
+        return _board.get(this);
+    }
+
+    /**
+     * Is this recorder recording?
+     *
+     * @return {Boolean} True if this recorder is recording.
+     */
+    isRecording() {
+        return _listeners.has(this);
+    }
+
+    /**
+     * The number of actions recorded.
+     *
+     * @type {Number}
+     */
+    get length() {
+        const recording = _recording.get(this);
+        return null === recording ? 0 : recording.actions.length;
+    }
+
+    /**
+     * Start a new recording, from the current state of the board. A
+     * previous recording is discarded.
+     */
+    start() {
+        if (this.isRecording()) {
+            this.stop();
+        }
+
+        const board = this.board;
+        const state = board.toJSON();
+        _recording.set(this, {
+            startedAt: Date.now(),
+            start: state,
+            last: state,
+            actions: []
+        });
+
+        const listeners = listenersOf(this);
+
+        // Die events do not bubble: listen while they are captured. The
+        // board lays out its dice when a die is added or removed: listen
+        // after it.
+        Object.entries(listeners).forEach(([type, listener]) => board.addEventListener(type, listener, isCaptured(type)));
+        _listeners.set(this, listeners);
+
+        _observer.get(this).observe(board, {
+            childList: true,
+            subtree: true,
+            attributes: true
+        });
+    }
+
+    /**
+     * Stop recording. The recording is kept until the next start.
+     */
+    stop() {
+        if (!this.isRecording()) {
+            return;
+        }
+
+        flush(this);
+        const board = this.board;
+        Object.entries(_listeners.get(this)).forEach(([type, listener]) => board.removeEventListener(type, listener, isCaptured(type)));
+        _listeners.delete(this);
+        _observer.get(this).disconnect();
+    }
+
+    /**
+     * Export the recording as a replay that can be serialized to JSON.
+     *
+     * @return {Replay|null} The replay recorded so far, if any. Null
+     * otherwise.
+     */
+    toJSON() {
+        const recording = _recording.get(this);
+        if (null === recording) {
+            return null;
+        }
+
+        flush(this);
+        return {
+            version: REPLAY_VERSION,
+            start: copy(recording.start),
+            actions: copy(recording.actions)
+        };
+    }
+};
+
+export {
+    ReplayRecorder
+};
@@ -0,0 +1,177 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {checkState} from "../state/boardState.js";
+
+/**
+ * The replay file format: the state of a {@link TopDiceBoard} at the start
+ * of a recording, followed by the actions on the board. To keep replays
+ * compact, an action only holds the parts of the board state it changed,
+ * and of the dice only the dice it changed, unless it added or removed
+ * dice.
+ *
+ * @module replay/replay
+ */
+
+/**
+ * The current version of the replay format. Increase it whenever the
+ * format changes.
+ * @const
+ */
+const REPLAY_VERSION = 1;
+
+/**
+ * @typedef {Object} StateChanges
+ *
+ * The changed parts of a {@link BoardState}. Any property of the state
+ * that changed, like the players, the turns, or the state of the random
+ * number generator, holds its new value. The dice are special:
+ *
+ * @property {DieState[]} [dice] - All dice, if the number of dice changed.
+ * @property {Object<Number, DieState>} [changedDice] - The changed dice by
+ * index, if the number of dice did not change.
+ */
+
+/**
+ * @typedef {Object} ReplayAction
+ *
+ * @property {String} type - The type of action: "throw", "hold",
+ * "release", "move", "add-die", "remove-die", "turn", or "players".
+ * @property {Number} at - The time of the action in ms since the start of
+ * the recording.
+ * @property {String|null} player - The name of the player acting, if any.
+ * @property {Number} [die] - The index of the die acted upon, for actions
+ * on a single die.
+ * @property {StateChanges} changes - The changes of the board's state.
+ */
+
+/**
+ * @typedef {Object} Replay
+ *
+ * @property {Number} version - The version of the replay format.
+ * @property {BoardState} start - The state of the board at the start.
+ * @property {ReplayAction[]} actions - The actions, in order.
+ */
+
+const isObject = (value) => null !== value && "object" === typeof value;
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * The changes from one board state to another.
+ *
+ * @param {BoardState} before - The state before.
+ * @param {BoardState} after - The state after.
+ * @return {StateChanges|null} The changes, or null if the states are the
+ * same.
+ */
+const diffState = (before, after) => {
+    const changes = {};
+
+    Object.keys(after)
+        .filter(key => "dice" !== key && !same(before[key], after[key]))
+        .forEach((key) => {
+            changes[key] = copy(after[key]);
+        });
+
+    if (before.dice.length !== after.dice.length) {
+        changes.dice = copy(after.dice);
+    } else {
+        const changedDice = {};
+        after.dice
+            .map((die, index) => [die, index])
+            .filter(([die, index]) => !same(before.dice[index], die))
+            .forEach(([die, index]) => {
+                changedDice[index] = copy(die);
+            });
+        if (0 < Object.keys(changedDice).length) {
+            changes.changedDice = changedDice;
+        }
+    }
+
+    return 0 < Object.keys(changes).length ? changes : null;
+};
+
+/**
+ * Apply changes to a board state.
+ *
+ * @param {BoardState} state - The state.
+ * @param {StateChanges} changes - The changes to apply.
+ * @return {BoardState} The changed state. The given state is not changed.
+ */
+const applyChanges = (state, {changedDice = {}, ...changes}) => {
+    const changed = Object.assign(copy(state), copy(changes));
+    Object.entries(changedDice).forEach(([index, die]) => {
+        changed.dice[index] = copy(die);
+    });
+    return changed;
+};
+
+/**
+ * Check a replay.
+ *
+ * @param {Replay} replay - The replay to check.
+ * @return {Replay} The replay, with its start state migrated to the
+ * current version of the board state schema.
+ * @throws {ConfigurationError} The replay should be of a known version,
+ * with a valid start state and a list of actions in time order.
+ */
+const checkReplay = (replay) => {
+    if (!isObject(replay) || REPLAY_VERSION !== replay.version) {
+        throw new ConfigurationError(`A replay should be an object of version ${REPLAY_VERSION}.`);
+    }
+
+    const start = checkState(replay.start);
+
+    const {actions} = replay;
+    const isAction = (action) => isObject(action) && "string" === typeof action.type
+        && Number.isFinite(action.at) && isObject(action.changes);
+    if (!Array.isArray(actions) || !actions.every(isAction)) {
+        throw new ConfigurationError("A replay should have a list of actions, each with a type, a time, and changes.");
+    }
+
+    if (actions.some((action, i) => 0 < i && actions[i - 1].at > action.at)) {
+        throw new ConfigurationError("The actions of a replay should be in time order.");
+    }
+
+    return Object.assign({}, replay, {start});
+};
+
+/**
+ * The states of the board during a replay.
+ *
+ * @param {Replay} replay - The replay.
+ * @return {BoardState[]} The state at the start, followed by the state
+ * after each action.
+ */
+const statesOf = (replay) => replay.actions.reduce((states, {changes}) => {
+    states.push(applyChanges(states[states.length - 1], changes));
+    return states;
+}, [copy(replay.start)]);
+
+export {
+    REPLAY_VERSION,
+    diffState,
+    applyChanges,
+    checkReplay,
+    statesOf
+};
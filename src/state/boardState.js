@@ -0,0 +1,182 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {SUPPORTED_SIDES} from "../die/sides.js";
+
+/**
+ * The versioned schema of a saved {@link TopDiceBoard}.
+ *
+ * @module state/boardState
+ */
+
+/**
+ * The current version of the board state schema. Increase it whenever the
+ * schema changes and add a migration from the previous version.
+ * @const
+ */
+const STATE_VERSION = 2;
+
+/**
+ * @typedef {Object} BoardState
+ *
+ * @property {Number} version - The version of the schema of this state.
+ * @property {Number} width - The width of the board.
+ * @property {Number} height - The height of the board.
+ * @property {Number} dieSize - The size of the dice on the board.
+ * @property {Number} dispersion - The dispersion of the board.
+ * @property {Object|null} random - The seed and state of the board's
+ * seeded random number generator, if it has one: {seed, state}.
+ * @property {PlayerState[]} players - The players on the board.
+ * @property {TurnState} turns - The round and the number of throws in the
+ * current turn. Added in version 2.
+ * @property {DieState[]} dice - The dice on the board.
+ */
+
+// Migrations from version n to version n + 1, indexed by n.
+const MIGRATIONS = {
+    1: (state) => Object.assign({}, state, {
+        version: 2,
+        turns: {round: 0, throws: 0}
+    })
+};
+
+const isObject = (value) => null !== value && "object" === typeof value;
+const isOptional = (value, check) => undefined === value || null === value || check(value);
+const isString = (value) => "string" === typeof value;
+const isCount = (value) => Number.isInteger(value) && 0 <= value;
+
+const checkRandom = (random) => {
+    if (!isOptional(random, ({seed, state}) => (isString(seed) || Number.isInteger(seed)) && isCount(state))) {
+        throw new ConfigurationError("The random number generator of a board state should have a seed and a state.");
+    }
+};
+
+const checkPlayer = ({name, color, score, hasTurn}, index) => {
+    if (!isString(name) || "" === name) {
+        throw new ConfigurationError(`Player ${index} of a board state should have a name.`);
+    }
+    if (!isString(color)) {
+        throw new ConfigurationError(`Player '${name}' of a board state should have a color.`);
+    }
+    if (!isOptional(score, Number.isInteger)) {
+        throw new ConfigurationError(`The score of player '${name}' of a board state should be an integer, got '${score}' instead.`);
+    }
+    if (!isOptional(hasTurn, value => "boolean" === typeof value)) {
+        throw new ConfigurationError(`Whether player '${name}' of a board state has the turn should be true or false, got '${hasTurn}' instead.`);
+    }
+};
+
+const checkFace = (face) => isString(face) || (isObject(face)
+    && isOptional(face.label, isString)
+    && isOptional(face.value, Number.isFinite)
+    && isOptional(face.image, isString));
+
+const checkDie = (die, index, names) => {
+    const {sides, pips, faces, face, color, x, y, rotation, heldBy} = die;
+
+    if (undefined !== faces) {
+        if (!Array.isArray(faces) || 2 > faces.length || !faces.every(checkFace)) {
+            throw new ConfigurationError(`Die ${index} of a board state should have a list of at least two faces.`);
+        }
+        if (!Number.isInteger(face) || 1 > face || faces.length < face) {
+            throw new ConfigurationError(`The face of die ${index} of a board state should be between 1 and ${faces.length}, got '${face}' instead.`);
+        }
+    } else {
+        if (!SUPPORTED_SIDES.includes(sides)) {
+            throw new ConfigurationError(`Die ${index} of a board state should have ${SUPPORTED_SIDES.join(", ")} sides, got '${sides}' instead.`);
+        }
+        if (!Number.isInteger(pips) || 1 > pips || sides < pips) {
+            throw new ConfigurationError(`The pips of die ${index} of a board state should be between 1 and ${sides}, got '${pips}' instead.`);
+        }
+    }
+
+    if (!isOptional(color, isString)) {
+        throw new ConfigurationError(`The color of die ${index} of a board state should be a string, got '${color}' instead.`);
+    }
+    if (![x, y, rotation].every(value => isOptional(value, Number.isFinite))) {
+        throw new ConfigurationError(`The position of die ${index} of a board state should be numbers.`);
+    }
+    if (!isOptional(heldBy, name => names.includes(name))) {
+        throw new ConfigurationError(`Die ${index} of a board state should be held by one of its players, got '${heldBy}' instead.`);
+    }
+};
+
+/**
+ * Check a saved board state and migrate it to the current version of the
+ * schema.
+ *
+ * @param {BoardState} state - The state to check.
+ * @return {BoardState} The state in the current version of the schema.
+ * @throws {ConfigurationError} The state should be a valid board state of
+ * a known version: its sizes, random number generator, players, turns,
+ * and dice should be valid.
+ */
+const checkState = (state) => {
+    if (!isObject(state) || !Number.isInteger(state.version)) {
+        throw new ConfigurationError("A board state should be an object with a version.");
+    }
+
+    if (STATE_VERSION < state.version) {
+        throw new ConfigurationError(`A board state of version ${state.version} is newer than the supported version ${STATE_VERSION}.`);
+    }
+
+    let migrated = state;
+    while (STATE_VERSION > migrated.version) {
+        const migrate = MIGRATIONS[migrated.version];
+        if (undefined === migrate) {
+            throw new ConfigurationError(`A board state of version ${migrated.version} cannot be migrated.`);
+        }
+        migrated = migrate(migrated);
+    }
+
+    const sizes = [migrated.width, migrated.height, migrated.dieSize, migrated.dispersion];
+    if (!sizes.every(size => isOptional(size, Number.isFinite))) {
+        throw new ConfigurationError("The sizes of a board state should be numbers.");
+    }
+
+    checkRandom(migrated.random);
+
+    if (!Array.isArray(migrated.players) || !migrated.players.every(isObject)) {
+        throw new ConfigurationError("A board state should have a list of players.");
+    }
+    migrated.players.forEach(checkPlayer);
+
+    const names = migrated.players.map(({name}) => name);
+    if (names.some((name, index) => names.indexOf(name) !== index)) {
+        throw new ConfigurationError("The players of a board state should have unique names.");
+    }
+
+    const turns = migrated.turns;
+    if (!isObject(turns) || !isCount(turns.round) || !isCount(turns.throws)) {
+        throw new ConfigurationError("The turns of a board state should have a round and a number of throws.");
+    }
+
+    if (!Array.isArray(migrated.dice) || !migrated.dice.every(isObject)) {
+        throw new ConfigurationError("A board state should have a list of dice.");
+    }
+    migrated.dice.forEach((die, index) => checkDie(die, index, names));
+
+    return migrated;
+};
+
+export {
+    STATE_VERSION,
+    checkState
+};
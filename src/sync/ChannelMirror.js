@@ -0,0 +1,337 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {DEFAULT_RANDOM} from "../random/random.js";
+
+const HELLO = "hello";
+const STATE = "state";
+const HEARTBEAT = "heartbeat";
+const BYE = "bye";
+
+const HEARTBEAT_INTERVAL = 1000; // ms
+const LEADER_TIMEOUT = 3000; // ms
+const ELECTION_TIMEOUT = 250; // ms
+
+const SPECTATOR_ATTRIBUTE = "spectator";
+
+const createBroadcastChannel = (name) => new BroadcastChannel(name);
+
+// Private properties
+const _board = new WeakMap();
+const _name = new WeakMap();
+const _createChannel = new WeakMap();
+const _channel = new WeakMap();
+const _id = new WeakMap();
+const _leader = new WeakMap();
+const _lastHeard = new WeakMap();
+const _heartbeat = new WeakMap();
+const _election = new WeakMap();
+const _observer = new WeakMap();
+const _wasSpectator = new WeakMap();
+const _pendingBroadcast = new WeakSet();
+
+const dispatch = (mirror, type, detail) => {
+    mirror.board.dispatchEvent(new CustomEvent(type, {
+        bubbles: true,
+        detail
+    }));
+};
+
+const post = (mirror, message) => _channel.get(mirror).postMessage(Object.assign({from: mirror.id}, message));
+
+const broadcastState = (mirror) => post(mirror, {type: STATE, state: mirror.board.toJSON()});
+
+// A change of the leader's board changes its DOM in one or more tasks:
+// broadcast the state once per task.
+const scheduleBroadcast = (mirror) => {
+    if (mirror.isLeader() && !_pendingBroadcast.has(mirror)) {
+        _pendingBroadcast.add(mirror);
+        Promise.resolve().then(() => {
+            _pendingBroadcast.delete(mirror);
+            if (mirror.isLeader()) {
+                broadcastState(mirror);
+            }
+        });
+    }
+};
+
+const follow = (mirror, leader) => {
+    const changed = leader !== _leader.get(mirror);
+    _leader.set(mirror, leader);
+    _lastHeard.set(mirror, Date.now());
+
+    if (mirror.isLeader()) {
+        mirror.board.removeAttribute(SPECTATOR_ATTRIBUTE);
+    } else {
+        mirror.board.setAttribute(SPECTATOR_ATTRIBUTE, "true");
+    }
+
+    if (changed) {
+        dispatch(mirror, "top:mirror-leader", {
+            leader,
+            isLeader: mirror.isLeader()
+        });
+    }
+};
+
+const lead = (mirror) => {
+    follow(mirror, mirror.id);
+    broadcastState(mirror);
+};
+
+// Without a leader, claim the lead unless another tab does so first. When
+// tabs claim the lead at the same time, the tab with the lowest id wins.
+const elect = (mirror) => {
+    _leader.set(mirror, null);
+    window.clearTimeout(_election.get(mirror));
+    _election.set(mirror, window.setTimeout(() => {
+        _election.set(mirror, null);
+        if (null === _leader.get(mirror)) {
+            lead(mirror);
+        }
+    }, ELECTION_TIMEOUT));
+};
+
+const adopt = (mirror, leader, state) => {
+    follow(mirror, leader);
+    mirror.board.restore(state);
+    dispatch(mirror, "top:mirror-updated", {
+        leader,
+        state
+    });
+};
+
+const receive = (mirror, {type, from, state}) => {
+    const leader = _leader.get(mirror);
+    switch (type) {
+    case HELLO: {
+        if (mirror.isLeader()) {
+            broadcastState(mirror);
+        }
+        break;
+    }
+    case STATE: {
+        if (null === leader || from === leader || from < leader) {
+            adopt(mirror, from, state);
+        } else if (mirror.isLeader()) {
+            // Make the other leader step down.
+            broadcastState(mirror);
+        }
+        break;
+    }
+    case HEARTBEAT: {
+        if (from === leader) {
+            _lastHeard.set(mirror, Date.now());
+        } else if (null === leader || from < leader) {
+            // Another tab leads: ask for its state.
+            _leader.set(mirror, null);
+            post(mirror, {type: HELLO});
+        } else if (mirror.isLeader()) {
+            broadcastState(mirror);
+        }
+        break;
+    }
+    case BYE: {
+        if (from === leader) {
+            elect(mirror);
+        }
+        break;
+    }
+    default: // Ignore unknown messages
+    }
+};
+
+const beat = (mirror) => {
+    const leader = _leader.get(mirror);
+    if (mirror.isLeader()) {
+        post(mirror, {type: HEARTBEAT});
+    } else if (null !== leader && LEADER_TIMEOUT < Date.now() - _lastHeard.get(mirror)) {
+        // The leader's tab has been closed or has crashed.
+        elect(mirror);
+    } else if (null === leader && null === _election.get(mirror)) {
+        elect(mirror);
+    }
+};
+
+/**
+ * ChannelMirror mirrors a {@link TopDiceBoard} across the tabs of the same
+ * origin that have a board with the same "sync-channel" attribute, using a
+ * BroadcastChannel. Like a classroom game shown in a presenter tab and in
+ * student tabs.
+ *
+ * The tabs elect a leader: the first tab to open the channel leads. Only
+ * the leader's board can be played. The leader broadcasts the full state
+ * of its board, dice and players, after every change, and the other tabs
+ * restore their board to that state. Their boards are spectators: see
+ * {@link TopDiceBoard#spectator}. When the leader's tab is closed, the
+ * other tabs elect a new leader.
+ *
+ * Setting a board's "sync-channel" attribute creates its mirror, see
+ * {@link TopDiceBoard#mirror}.
+ */
+const ChannelMirror = class {
+
+    /**
+     * Create a new ChannelMirror.
+     *
+     * @param {TopDiceBoard} board - The board to mirror.
+     * @param {Object} config - The configuration of the mirror.
+     * @param {String} config.channel - The name of the channel.
+     * @param {Function} [config.createChannel] - Create a BroadcastChannel
+     * with a name. Defaults to the browser's BroadcastChannel.
+     * @throws {ConfigurationError} The name of the channel should be a
+     * non-empty String.
+     */
+    constructor(board, {channel, createChannel = createBroadcastChannel} = {}) {
+        if ("string" !== typeof channel || "" === channel) {
+            throw new ConfigurationError(`A mirror needs the name of a channel, got '${channel}' instead.`);
+        }
+
+        _board.set(this, board);
+        _name.set(this, channel);
+        _createChannel.set(this, createChannel);
+        _channel.set(this, null);
+        _id.set(this, `${Date.now()}-${DEFAULT_RANDOM.integer(0, Number.MAX_SAFE_INTEGER)}`);
+        _leader.set(this, null);
+        _election.set(this, null);
+        _observer.set(this, new MutationObserver(() => scheduleBroadcast(this)));
+    }
+
+    /**
+     * The board mirrored.
+     *
+     * @type {TopDiceBoard}
+     */
+    get board() {
+        return _board.get(this);
+    }
+
+    /**
+     * The name of the channel.
+     *
+     * @type {String}
+     */
+    get channel() {
+        return _name.get(this);
+    }
+
+    /**
+     * The id of this mirror's tab. Unique per mirror.
+     *
+     * @type {String}
+     */
+    get id() {
+        return _id.get(this);
+    }
+
+    /**
+     * The id of the leader's tab, if known. Null otherwise.
+     *
+     * @type {String|null}
+     */
+    get leader() {
+        return _leader.get(this);
+    }
+
+    /**
+     * Does this mirror's tab lead?
+     *
+     * @return {Boolean} True if this tab leads.
+     */
+    isLeader() {
+        return this.id === this.leader;
+    }
+
+    /**
+     * Is this mirror open?
+     *
+     * @return {Boolean} True if the channel is open.
+     */
+    isOpen() {
+        return null !== _channel.get(this);
+    }
+
+    /**
+     * Open the channel and join the tabs on it.
+     *
+     * @return {Promise<Boolean>} A promise resolving once a leader is
+     * known: to true if this tab leads, false otherwise.
+     *
+     * @fires "top:mirror-leader" with the id of the leader and whether this
+     * tab leads, when the leader changes.
+     * @fires "top:mirror-updated" with the state of the leader's board,
+     * when this board has been restored to it.
+     */
+    open() {
+        if (this.isOpen()) {
+            return Promise.resolve(this.isLeader());
+        }
+
+        const board = this.board;
+        const elected = new Promise(resolve => board.addEventListener("top:mirror-leader", (event) => resolve(event.detail.isLeader), {once: true}));
+
+        const channel = _createChannel.get(this)(this.channel);
+        channel.addEventListener("message", (event) => receive(this, event.data));
+        _channel.set(this, channel);
+
+        _wasSpectator.set(this, board.getAttribute(SPECTATOR_ATTRIBUTE));
+        _observer.get(this).observe(board, {
+            childList: true,
+            subtree: true,
+            attributes: true
+        });
+        _heartbeat.set(this, window.setInterval(() => beat(this), HEARTBEAT_INTERVAL));
+
+        post(this, {type: HELLO});
+        elect(this);
+
+        return elected;
+    }
+
+    /**
+     * Leave the channel and close it. If this tab leads, the other tabs
+     * elect a new leader.
+     */
+    close() {
+        if (!this.isOpen()) {
+            return;
+        }
+
+        post(this, {type: BYE});
+        window.clearInterval(_heartbeat.get(this));
+        window.clearTimeout(_election.get(this));
+        _election.set(this, null);
+        _observer.get(this).disconnect();
+        _channel.get(this).close();
+        _channel.set(this, null);
+        _leader.set(this, null);
+
+        const wasSpectator = _wasSpectator.get(this);
+        if (null === wasSpectator) {
+            this.board.removeAttribute(SPECTATOR_ATTRIBUTE);
+        } else {
+            this.board.setAttribute(SPECTATOR_ATTRIBUTE, wasSpectator);
+        }
+    }
+};
+
+export {
+    ChannelMirror
+};
@@ -0,0 +1,470 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {ProtocolError} from "../error/ProtocolError.js";
+import {TopDiceBoard} from "../TopDiceBoard.js";
+import {RecordingRandomGenerator} from "../random/RecordingRandomGenerator.js";
+import {ReplayRandomGenerator} from "../random/ReplayRandomGenerator.js";
+import {
+    PROTOCOL_VERSION,
+    HELLO,
+    WELCOME,
+    ACTION,
+    ACK,
+    REJECT,
+    SYNC,
+    STATE,
+    ERROR,
+    THROW,
+    HOLD,
+    RELEASE,
+    MOVE,
+    ADD_DIE,
+    REMOVE_DIE,
+    TURN,
+    encode,
+    decode
+} from "./protocol.js";
+
+const DEFAULT_ROOM = "default";
+
+const forbidUndo = () => false;
+
+// Private properties
+const _board = new WeakMap();
+const _room = new WeakMap();
+const _createSocket = new WeakMap();
+const _socket = new WeakMap();
+const _clientId = new WeakMap();
+const _sequence = new WeakMap();
+const _recorder = new WeakMap();
+const _undoPolicy = new WeakMap();
+const _dice = new WeakMap();
+const _listeners = new WeakMap();
+const _pending = new WeakMap();
+const _nextId = new WeakMap();
+const _pendingThrow = new WeakSet();
+const _applying = new WeakSet();
+
+const dispatch = (client, type, detail) => {
+    client.board.dispatchEvent(new CustomEvent(type, {
+        bubbles: true,
+        detail
+    }));
+};
+
+const send = (client, message) => _socket.get(client).send(encode(message));
+
+const diceStateOf = (board) => board.dice.map(die => die.toJSON());
+
+const playerNamed = (board, name) => board.players.find(player => player.name === name) || null;
+
+const nameOf = (player) => player ? player.name : null;
+
+// Record the random numbers the board uses, so other boards can reproduce
+// this board's actions.
+const record = (client) => {
+    const board = client.board;
+    const recorder = new RecordingRandomGenerator(board.random);
+    board.random = recorder;
+    _recorder.set(client, recorder);
+};
+
+const adopt = (client, state, sequence) => {
+    const board = client.board;
+    board.random = _recorder.get(client).generator;
+    _applying.add(client);
+    board.restore(state);
+    _applying.delete(client);
+
+    // Restoring a board replaces its random number generator.
+    record(client);
+    _dice.set(client, board.dice);
+    _sequence.set(client, sequence);
+};
+
+const requestSync = (client) => send(client, {type: SYNC});
+
+const emit = (client, action) => {
+    const board = client.board;
+    const id = _nextId.get(client);
+    _nextId.set(client, id + 1);
+
+    const complete = Object.assign({player: null}, action, {
+        dice: diceStateOf(board),
+        turns: Object.assign({}, board._playerList.turnState, action.turns),
+        random: _recorder.get(client).take()
+    });
+
+    _pending.get(client).set(id, complete);
+    _dice.set(client, board.dice);
+    send(client, {type: ACTION, id, action: complete});
+};
+
+// A throw of the board throws all dice in the same task: send them as a
+// single action, before any other action.
+const flushThrow = (client) => {
+    if (_pendingThrow.has(client)) {
+        _pendingThrow.delete(client);
+        emit(client, {
+            type: THROW,
+            player: nameOf(client.board._playerList.currentPlayer)
+        });
+    }
+};
+
+const emitAfterThrow = (client, action) => {
+    flushThrow(client);
+    emit(client, action);
+};
+
+const listenersOf = (client) => {
+    const board = client.board;
+    const indexOf = die => board.dice.indexOf(die);
+
+    return {
+        "top:throw-die": () => {
+            if (!_pendingThrow.has(client)) {
+                _pendingThrow.add(client);
+                Promise.resolve().then(() => flushThrow(client));
+            }
+        },
+        "top:hold-die": ({detail: {die, player}}) => emitAfterThrow(client, {type: HOLD, player: nameOf(player), die: indexOf(die)}),
+        "top:release-die": ({detail: {die, player}}) => emitAfterThrow(client, {type: RELEASE, player: nameOf(player), die: indexOf(die)}),
+        "top:move-die": ({detail: {die}}) => emitAfterThrow(client, {type: MOVE, die: indexOf(die)}),
+        "top:start-turn": ({detail: {player}}) => emitAfterThrow(client, {
+            type: TURN,
+            player: nameOf(player),
+            // The new turn has not started yet.
+            turns: {round: board._playerList.round, throws: 0}
+        }),
+        "top-die:added": () => {
+            const known = _dice.get(client);
+            board.dice
+                .filter(die => !known.includes(die))
+                .forEach(die => emitAfterThrow(client, {type: ADD_DIE, die: indexOf(die)}));
+        },
+        "top-die:removed": () => {
+            const dice = board.dice;
+            _dice.get(client)
+                .map((die, index) => [die, index])
+                .filter(([die]) => !dice.includes(die))
+                .reverse()
+                .forEach(([, index]) => emitAfterThrow(client, {type: REMOVE_DIE, die: index}));
+        }
+    };
+};
+
+const isCaptured = (type) => !type.startsWith("top-die:");
+
+const attach = (client) => {
+    const board = client.board;
+    const listeners = Object.entries(listenersOf(client)).reduce((guarded, [type, listener]) => Object.assign(guarded, {
+        [type]: (event) => {
+            // Actions applied from other boards are not sent back.
+            if (!_applying.has(client)) {
+                listener(event);
+            }
+        }
+    }), {});
+
+    // Die events do not bubble: listen while they are captured. The board
+    // lays out its dice when a die is added or removed: listen after it.
+    Object.entries(listeners).forEach(([type, listener]) => board.addEventListener(type, listener, isCaptured(type)));
+    _listeners.set(client, listeners);
+
+    // The server's state is authoritative: there is no going back.
+    _undoPolicy.set(client, board.undoPolicy);
+    board.undoPolicy = forbidUndo;
+};
+
+const detach = (client) => {
+    const board = client.board;
+    const listeners = _listeners.get(client);
+    if (null !== listeners) {
+        Object.entries(listeners).forEach(([type, listener]) => board.removeEventListener(type, listener, isCaptured(type)));
+        board.undoPolicy = _undoPolicy.get(client);
+    }
+    _listeners.set(client, null);
+    board.random = _recorder.get(client).generator;
+};
+
+const perform = (board, {type, player: name, die: index, dice, turns}) => {
+    const player = playerNamed(board, name);
+    const die = board.dice[index];
+
+    switch (type) {
+    case THROW: return board.throwDice(null === player ? undefined : player);
+    case HOLD: return die.holdIt(player);
+    case RELEASE: return die.releaseIt(player);
+    case MOVE: return board.moveDie(die, dice[index]);
+    case ADD_DIE: return board.addDie(Object.assign({}, dice[index], {heldBy: playerNamed(board, dice[index].heldBy)}));
+    case REMOVE_DIE: return board.removeDie(die);
+    case TURN: {
+        player.startTurn();
+        board._playerList.turnState = turns;
+        return player;
+    }
+    default: throw new ProtocolError(`Unknown action '${type}'.`);
+    }
+};
+
+// Reproduce an action of another board with the random numbers that board
+// used. If this board ends up different, it asks for the room's state.
+const apply = (client, {sequence, clientId, action}) => {
+    const board = client.board;
+    const recorder = _recorder.get(client);
+
+    _applying.add(client);
+    board.random = new ReplayRandomGenerator(action.random, recorder.generator);
+    let reproduced = true;
+    try {
+        const result = perform(board, action);
+        if (result instanceof Promise) {
+            // The throw was not allowed on this board.
+            result.catch(() => requestSync(client));
+        }
+    } catch (error) {
+        reproduced = false;
+    } finally {
+        board.random = recorder;
+        _applying.delete(client);
+    }
+
+    _dice.set(client, board.dice);
+    _sequence.set(client, sequence);
+
+    if (!reproduced || JSON.stringify(diceStateOf(board)) !== JSON.stringify(action.dice)) {
+        requestSync(client);
+    }
+
+    dispatch(client, "top:sync-action", {clientId, action});
+};
+
+const handle = (client, message, connected) => {
+    switch (message.type) {
+    case WELCOME: {
+        _clientId.set(client, message.clientId);
+        if (JSON.stringify(message.state) !== JSON.stringify(client.board.toJSON())) {
+            adopt(client, message.state, message.sequence);
+        } else {
+            _sequence.set(client, message.sequence);
+        }
+        attach(client);
+        connected.resolve(message.clientId);
+        dispatch(client, "top:sync-connected", {clientId: message.clientId, room: client.room});
+        break;
+    }
+    case ACK: {
+        _pending.get(client).delete(message.id);
+        _sequence.set(client, message.sequence);
+        break;
+    }
+    case ACTION: {
+        if (client.sequence + 1 === message.sequence) {
+            apply(client, message);
+        } else {
+            requestSync(client);
+        }
+        break;
+    }
+    case REJECT: {
+        const action = _pending.get(client).get(message.id) || null;
+        _pending.get(client).delete(message.id);
+        adopt(client, message.state, message.sequence);
+        dispatch(client, "top:sync-rejected", {action, reason: message.reason});
+        break;
+    }
+    case STATE: {
+        adopt(client, message.state, message.sequence);
+        break;
+    }
+    case ERROR: {
+        connected.reject(new ProtocolError(message.reason));
+        dispatch(client, "top:sync-error", {reason: message.reason});
+        break;
+    }
+    default: // Ignore messages meant for the server
+    }
+};
+
+/**
+ * SyncClient synchronizes a {@link TopDiceBoard} with the boards of other
+ * players in the same room of a sync server, like the reference server in
+ * "server/sync-server.mjs" or a {@link SyncServer} in the same page. See
+ * {@link module:sync/protocol} for the messages exchanged.
+ *
+ * Throwing, holding, releasing, and moving dice, adding and removing dice,
+ * and starting turns on the board are sent to the server; the actions of
+ * other players are reproduced on the board. The server's state is
+ * authoritative: the board adopts it when joining a room and when one of
+ * its actions conflicts with another player's. Undo is disabled while
+ * connected.
+ */
+const SyncClient = class {
+
+    /**
+     * Create a new SyncClient.
+     *
+     * @param {TopDiceBoard} board - The board to synchronize.
+     * @param {Object} [config = {}] - The configuration of the client.
+     * @param {String} [config.url] - The URL of the sync server, like
+     * "ws://localhost:22223".
+     * @param {String} [config.room = "default"] - The room to join.
+     * @param {Function} [config.createSocket] - Create the socket to the
+     * server given the URL. Defaults to creating a WebSocket.
+     * @throws {ConfigurationError} The board should be a TopDiceBoard.
+     */
+    constructor(board, {url = null, room = DEFAULT_ROOM, createSocket = address => new WebSocket(address)} = {}) {
+        if (!(board instanceof TopDiceBoard)) {
+            throw new ConfigurationError(`A sync client synchronizes a TopDiceBoard, got '${board}' instead.`);
+        }
+
+        _board.set(this, board);
+        _room.set(this, `${room}`);
+        _createSocket.set(this, () => createSocket(url));
+        _socket.set(this, null);
+        _clientId.set(this, null);
+        _sequence.set(this, 0);
+        _listeners.set(this, null);
+        _pending.set(this, new Map());
+        _nextId.set(this, 1);
+    }
+
+    /**
+     * The synchronized board.
+     *
+     * @type {TopDiceBoard}
+     */
+    get board() {
+        return _board.get(this);
+    }
+
+    /**
+     * The room this client joins.
+     *
+     * @type {String}
+     */
+    get room() {
+        return _room.get(this);
+    }
+
+    /**
+     * The id the server gave this client, if connected. Null otherwise.
+     *
+     * @type {String|null}
+     */
+    get clientId() {
+        return _clientId.get(this);
+    }
+
+    /**
+     * The sequence number of the last action in the room this client knows
+     * of.
+     *
+     * @type {Number}
+     */
+    get sequence() {
+        return _sequence.get(this);
+    }
+
+    /**
+     * Is this client connected to a room?
+     *
+     * @return {Boolean} True if connected.
+     */
+    isConnected() {
+        return null !== this.clientId;
+    }
+
+    /**
+     * Connect to the server and join the room. The first board in a room
+     * sets the room's state; later boards adopt it.
+     *
+     * @return {Promise<String>} A promise resolving to the client id once
+     * joined.
+     * @throws {ProtocolError} The promise is rejected when the server
+     * refuses the client or the connection closes before joining.
+     * @fires "top:sync-connected" with parameters the client id and the
+     * room.
+     * @fires "top:sync-action" with parameters the client id and the
+     * action for each action of another board reproduced on the board.
+     * @fires "top:sync-rejected" with parameters the action and the reason
+     * when the server rejects an action of the board.
+     * @fires "top:sync-error" with parameter the reason when the server
+     * reports an error.
+     * @fires "top:sync-disconnected" when the connection closes.
+     */
+    connect() {
+        if (null !== _socket.get(this)) {
+            return Promise.reject(new ProtocolError("A sync client connects only once."));
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = _createSocket.get(this)();
+            _socket.set(this, socket);
+            record(this);
+            _dice.set(this, this.board.dice);
+
+            socket.addEventListener("open", () => send(this, {
+                type: HELLO,
+                version: PROTOCOL_VERSION,
+                room: this.room,
+                state: this.board.toJSON()
+            }));
+
+            socket.addEventListener("message", (event) => {
+                try {
+                    handle(this, decode(event.data), {resolve, reject});
+                } catch (error) {
+                    if (!(error instanceof ProtocolError)) {
+                        throw error;
+                    }
+                    requestSync(this);
+                }
+            });
+
+            socket.addEventListener("close", () => {
+                detach(this);
+                const wasConnected = this.isConnected();
+                _clientId.set(this, null);
+                reject(new ProtocolError("The connection to the sync server closed."));
+                if (wasConnected) {
+                    dispatch(this, "top:sync-disconnected", {room: this.room});
+                }
+            });
+        });
+    }
+
+    /**
+     * Leave the room and close the connection to the server.
+     */
+    close() {
+        const socket = _socket.get(this);
+        if (null !== socket) {
+            socket.close();
+        }
+    }
+};
+
+export {
+    SyncClient,
+    DEFAULT_ROOM
+};
@@ -0,0 +1,302 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {ProtocolError} from "../error/ProtocolError.js";
+import {GameRuleError} from "../error/GameRuleError.js";
+import {checkState} from "../state/boardState.js";
+import {
+    PROTOCOL_VERSION,
+    HELLO,
+    WELCOME,
+    ACTION,
+    ACK,
+    REJECT,
+    SYNC,
+    STATE,
+    ERROR,
+    encode,
+    decode,
+    validateAction,
+    applyAction
+} from "./protocol.js";
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+// Private properties
+const _rooms = new WeakMap();
+const _clients = new WeakMap();
+const _connection = new WeakMap();
+
+const sendTo = (client, message) => client.send(encode(message));
+
+const error = (client, reason) => sendTo(client, {type: ERROR, reason});
+
+const leave = (server, client) => {
+    const rooms = _rooms.get(server);
+    if (rooms.has(client.room)) {
+        const room = rooms.get(client.room);
+        room.clients.delete(client);
+        if (0 === room.clients.size) {
+            rooms.delete(client.room);
+        }
+    }
+    client.room = null;
+};
+
+const join = (server, client, {version, room, state = null}) => {
+    if (PROTOCOL_VERSION !== version) {
+        error(client, `The server speaks protocol version ${PROTOCOL_VERSION}, got version ${version} instead.`);
+        return;
+    }
+
+    if (null !== client.room) {
+        leave(server, client);
+    }
+
+    const rooms = _rooms.get(server);
+    if (!rooms.has(room)) {
+        if (null === state || "object" !== typeof state) {
+            error(client, `Room '${room}' does not exist yet: send a board state to start it.`);
+            return;
+        }
+
+        let checked = null;
+        try {
+            checked = checkState(state);
+        } catch (invalid) {
+            if (invalid instanceof ConfigurationError) {
+                error(client, `Room '${room}' cannot start with this board state: ${invalid.message}`);
+                return;
+            }
+            throw invalid;
+        }
+        rooms.set(room, {state: checked, sequence: 0, clients: new Set()});
+    }
+
+    const joined = rooms.get(room);
+    joined.clients.add(client);
+    client.room = room;
+    sendTo(client, {
+        type: WELCOME,
+        clientId: client.id,
+        sequence: joined.sequence,
+        state: joined.state
+    });
+};
+
+const act = (server, client, {id = null, action}) => {
+    const room = _rooms.get(server).get(client.room);
+    try {
+        validateAction(room.state, action);
+    } catch (rejection) {
+        if (rejection instanceof GameRuleError) {
+            sendTo(client, {
+                type: REJECT,
+                id,
+                reason: rejection.message,
+                sequence: room.sequence,
+                state: room.state
+            });
+            return;
+        }
+        throw rejection;
+    }
+
+    room.state = applyAction(room.state, action);
+    room.sequence++;
+
+    sendTo(client, {type: ACK, id, sequence: room.sequence});
+    room.clients.forEach((other) => {
+        if (other !== client) {
+            sendTo(other, {
+                type: ACTION,
+                sequence: room.sequence,
+                clientId: client.id,
+                action
+            });
+        }
+    });
+};
+
+const receive = (server, client, data) => {
+    let message = null;
+    try {
+        message = decode(data);
+    } catch (invalid) {
+        if (invalid instanceof ProtocolError) {
+            error(client, invalid.message);
+            return;
+        }
+        throw invalid;
+    }
+
+    try {
+        if (HELLO === message.type) {
+            join(server, client, message);
+        } else if (null === client.room) {
+            error(client, "Say hello and join a room first.");
+        } else if (ACTION === message.type) {
+            act(server, client, message);
+        } else if (SYNC === message.type) {
+            const room = _rooms.get(server).get(client.room);
+            sendTo(client, {type: STATE, sequence: room.sequence, state: room.state});
+        } else {
+            error(client, `A client cannot send a '${message.type}' message.`);
+        }
+    } catch (failure) {
+        // A message the server fails on should not stop the server for
+        // every other client.
+        error(client, `The server failed to handle a '${message.type}' message: ${failure.message}`);
+    }
+};
+
+// Messages to and from a local socket are delivered asynchronously, in
+// order, like over a network.
+const deliver = (callback) => Promise.resolve().then(callback);
+
+// A socket connected to a server in the same page, with the part of the
+// WebSocket interface a SyncClient uses.
+const LocalSocket = class extends EventTarget {
+    constructor(server) {
+        super();
+        this.readyState = CONNECTING;
+
+        _connection.set(this, server.connect(data => deliver(() => {
+            if (OPEN === this.readyState) {
+                this.dispatchEvent(new MessageEvent("message", {data}));
+            }
+        })));
+
+        deliver(() => {
+            if (CONNECTING === this.readyState) {
+                this.readyState = OPEN;
+                this.dispatchEvent(new Event("open"));
+            }
+        });
+    }
+
+    send(data) {
+        deliver(() => _connection.get(this).receive(data));
+    }
+
+    close() {
+        if (CLOSED !== this.readyState) {
+            this.readyState = CLOSED;
+            _connection.get(this).disconnect();
+            deliver(() => this.dispatchEvent(new Event("close")));
+        }
+    }
+};
+
+/**
+ * SyncServer is the reference server of the synchronization protocol,
+ * {@link module:sync/protocol}, without a transport: it keeps the state of
+ * each room, checks and numbers the actions of its clients, and forwards
+ * them to the other clients in the room. A room is forgotten when its last
+ * client leaves.
+ *
+ * Plug in a transport with {@link connect}, like the WebSocket server in
+ * "server/sync-server.mjs", or connect a {@link SyncClient} in the same
+ * page with {@link connectLocal}.
+ */
+const SyncServer = class {
+
+    /**
+     * Create a new SyncServer.
+     */
+    constructor() {
+        _rooms.set(this, new Map());
+        _clients.set(this, 0);
+    }
+
+    /**
+     * The names of the rooms.
+     *
+     * @type {String[]}
+     */
+    get rooms() {
+        return [..._rooms.get(this).keys()];
+    }
+
+    /**
+     * The state of the board in a room, if the room exists. Null otherwise.
+     *
+     * @param {String} room - The room.
+     * @return {BoardState|null} The state of the room.
+     */
+    stateOf(room) {
+        return _rooms.get(this).has(room) ? _rooms.get(this).get(room).state : null;
+    }
+
+    /**
+     * The sequence number of the last action accepted in a room, 0 if
+     * there is none.
+     *
+     * @param {String} room - The room.
+     * @return {Number} The sequence number.
+     */
+    sequenceOf(room) {
+        return _rooms.get(this).has(room) ? _rooms.get(this).get(room).sequence : 0;
+    }
+
+    /**
+     * @typedef {Object} Connection
+     *
+     * @property {String} id - The id of the client.
+     * @property {Function} receive - Call with each message received from
+     * the client, as JSON.
+     * @property {Function} disconnect - Call when the client disconnects.
+     */
+
+    /**
+     * Connect a client.
+     *
+     * @param {Function} send - Send a message, as JSON, to the client.
+     * @return {Connection} The connection to pass the client's messages
+     * to.
+     */
+    connect(send) {
+        const number = _clients.get(this) + 1;
+        _clients.set(this, number);
+
+        const client = {id: `client-${number}`, room: null, send};
+        return {
+            id: client.id,
+            receive: (data) => receive(this, client, data),
+            disconnect: () => leave(this, client)
+        };
+    }
+
+    /**
+     * Connect a client in the same page, like a {@link SyncClient} in a
+     * test or a game played on one screen.
+     *
+     * @return {WebSocket} A socket connected to this server.
+     */
+    connectLocal() {
+        return new LocalSocket(this);
+    }
+};
+
+export {
+    SyncServer
+};
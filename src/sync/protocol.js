@@ -0,0 +1,339 @@
+/**
+ * Copyright (c) 2018, 2019 Huub de Beer
+ *
+ * This file is part of twenty-one-pips.
+ *
+ * Twenty-one-pips is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Twenty-one-pips is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+ * or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with twenty-one-pips.  If not, see <http://www.gnu.org/licenses/>.
+ * @ignore
+ */
+import {ConfigurationError} from "../error/ConfigurationError.js";
+import {ProtocolError} from "../error/ProtocolError.js";
+import {GameRuleError} from "../error/GameRuleError.js";
+import {checkState} from "../state/boardState.js";
+
+/**
+ * The message protocol to synchronize {@link TopDiceBoard}s over a
+ * WebSocket. Messages are JSON objects with a "type" property.
+ *
+ * A client joins a room by sending a "hello" message with its board state.
+ * The first client seeds the room's state; the server answers with a
+ * "welcome" message carrying the room's state, which every client adopts.
+ *
+ * Clients apply their own actions on their board at once and send them as
+ * "action" messages. The server is authoritative: it checks each action
+ * against the room's state, numbers accepted actions in sequence, answers
+ * the sender with an "ack", and forwards the action to the other clients.
+ * An action conflicting with the room's state, like holding a die someone
+ * else already holds, is answered with a "reject" message carrying the
+ * room's state, which the sender adopts. A client missing a sequence
+ * number, or failing to reproduce an action, asks for the room's state
+ * with a "sync" message.
+ *
+ * | Message   | Direction | Properties                                  |
+ * |-----------|-----------|---------------------------------------------|
+ * | hello     | to server | version, room, state                        |
+ * | welcome   | to client | clientId, sequence, state                   |
+ * | action    | to server | id, action                                  |
+ * | action    | to client | sequence, clientId, action                  |
+ * | ack       | to client | id, sequence                                |
+ * | reject    | to client | id, reason, sequence, state                 |
+ * | sync      | to server |                                             |
+ * | state     | to client | sequence, state                             |
+ * | error     | to client | reason                                      |
+ *
+ * @module sync/protocol
+ */
+
+/**
+ * The version of the protocol. Increase it whenever the messages change.
+ * @const
+ */
+const PROTOCOL_VERSION = 1;
+
+const HELLO = "hello";
+const WELCOME = "welcome";
+const ACTION = "action";
+const ACK = "ack";
+const REJECT = "reject";
+const SYNC = "sync";
+const STATE = "state";
+const ERROR = "error";
+
+const THROW = "throw";
+const HOLD = "hold";
+const RELEASE = "release";
+const MOVE = "move";
+const ADD_DIE = "add-die";
+const REMOVE_DIE = "remove-die";
+const TURN = "turn";
+
+/**
+ * The types of actions on a board.
+ * @const
+ */
+const ACTION_TYPES = Object.freeze([THROW, HOLD, RELEASE, MOVE, ADD_DIE, REMOVE_DIE, TURN]);
+
+// The actions on a single die, by index.
+const DIE_ACTIONS = [HOLD, RELEASE, MOVE, ADD_DIE, REMOVE_DIE];
+
+// The properties every message of a type should have.
+const REQUIRED = {
+    [HELLO]: ["version", "room"],
+    [WELCOME]: ["clientId", "sequence", "state"],
+    [ACTION]: ["action"],
+    [ACK]: ["id", "sequence"],
+    [REJECT]: ["id", "reason", "sequence", "state"],
+    [SYNC]: [],
+    [STATE]: ["sequence", "state"],
+    [ERROR]: ["reason"]
+};
+
+/**
+ * The types of messages.
+ * @const
+ */
+const MESSAGE_TYPES = Object.freeze(Object.keys(REQUIRED));
+
+const isObject = (value) => null !== value && "object" === typeof value;
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * @typedef {Object} Action
+ *
+ * @property {String} type - The type of action: "throw", "hold",
+ * "release", "move", "add-die", "remove-die", or "turn".
+ * @property {String|null} player - The name of the player acting, if any.
+ * @property {Number} [die] - The index of the die acted upon, for actions
+ * on a single die.
+ * @property {DieState[]} dice - The dice on the board after the action.
+ * @property {TurnState} turns - The turns on the board after the action.
+ * @property {Number[]} random - The random numbers used by the board
+ * during the action, to reproduce it on other boards.
+ */
+
+/**
+ * Check that an action is well formed.
+ *
+ * @param {Action} action - The action to check.
+ * @return {Action} The action.
+ * @throws {ProtocolError} The action should be well formed.
+ */
+const checkAction = (action) => {
+    if (!isObject(action) || !ACTION_TYPES.includes(action.type)) {
+        throw new ProtocolError(`An action should have a type, one of ${ACTION_TYPES.join(", ")}.`);
+    }
+
+    if (DIE_ACTIONS.includes(action.type) && !Number.isInteger(action.die)) {
+        throw new ProtocolError(`A '${action.type}' action should have the index of a die.`);
+    }
+
+    if (!Array.isArray(action.dice) || !action.dice.every(isObject) || !isObject(action.turns)) {
+        throw new ProtocolError(`A '${action.type}' action should have the dice and turns after the action.`);
+    }
+
+    if (!Array.isArray(action.random) || !action.random.every(value => "number" === typeof value)) {
+        throw new ProtocolError(`A '${action.type}' action should have the random numbers used.`);
+    }
+
+    return action;
+};
+
+/**
+ * Encode a message to send.
+ *
+ * @param {Object} message - The message.
+ * @return {String} The message as JSON.
+ */
+const encode = (message) => JSON.stringify(message);
+
+/**
+ * Decode and check a received message.
+ *
+ * @param {String} data - The message as JSON.
+ * @return {Object} The message.
+ * @throws {ProtocolError} The message should be a JSON object of a known
+ * type with the properties of that type. An action message should carry a
+ * well formed action.
+ */
+const decode = (data) => {
+    let message = null;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        throw new ProtocolError(`A message should be JSON, got '${data}' instead.`);
+    }
+
+    if (!isObject(message) || !MESSAGE_TYPES.includes(message.type)) {
+        throw new ProtocolError(`A message should have a type, one of ${MESSAGE_TYPES.join(", ")}.`);
+    }
+
+    const missing = REQUIRED[message.type].filter(property => !(property in message));
+    if (0 < missing.length) {
+        throw new ProtocolError(`A '${message.type}' message should have ${missing.join(", ")}.`);
+    }
+
+    if (ACTION === message.type) {
+        checkAction(message.action);
+    }
+
+    return message;
+};
+
+// The change in the number of dice by an action.
+const diceDelta = (type) => {
+    switch (type) {
+    case ADD_DIE: return 1;
+    case REMOVE_DIE: return -1;
+    default: return 0;
+    }
+};
+
+/**
+ * Apply an action to a board state.
+ *
+ * @param {BoardState} state - The state of the board.
+ * @param {Action} action - The action to apply.
+ * @return {BoardState} The new state of the board. The given state is not
+ * changed.
+ */
+const applyAction = (state, {type, player, dice, turns}) => {
+    const players = TURN === type
+        ? state.players.map(config => Object.assign({}, config, {hasTurn: config.name === player}))
+        : state.players;
+
+    return copy(Object.assign({}, state, {players, turns, dice}));
+};
+
+// The kind of a die in a state: its sides or its faces.
+const kindOf = ({sides, faces}) => JSON.stringify(undefined === faces ? sides : faces);
+
+// The face a die in a state shows.
+const faceOf = ({pips, face}) => undefined === face ? pips : face;
+
+// Check that the dice kept on the board by an action keep their kind, and
+// that only a throw changes the faces of the dice not held.
+const checkDice = (state, {type, die, dice}) => {
+    const before = state.dice.filter((config, index) => REMOVE_DIE !== type || die !== index);
+    const after = dice.filter((config, index) => ADD_DIE !== type || die !== index);
+
+    after.forEach((config, index) => {
+        const previous = before[index];
+        if (kindOf(previous) !== kindOf(config)) {
+            throw new GameRuleError(`A '${type}' action cannot change the sides or faces of a die.`);
+        }
+
+        const thrown = THROW === type && null === previous.heldBy;
+        if (!thrown && faceOf(previous) !== faceOf(config)) {
+            throw new GameRuleError(`A '${type}' action cannot change the face of a die that is not thrown.`);
+        }
+    });
+};
+
+/**
+ * Check that an action can be done on a board in a state. This is how the
+ * server resolves conflicts: the first action to arrive wins, later
+ * actions conflicting with it are rejected.
+ *
+ * The dice and turns of an action come from a client and are checked as
+ * well: the dice should keep their sides or faces, only a throw can
+ * change the pips or face of the dice not held, and the board after the
+ * action should be a valid board state.
+ *
+ * @param {BoardState} state - The state of the board.
+ * @param {Action} action - The action to check.
+ * @throws {GameRuleError} The action should be possible in the state: the
+ * player should be on the board, the die should exist, a held die cannot
+ * be held again and can only be released by the player holding it, only
+ * the player having a turn can throw the dice, and the dice and turns
+ * after the action should be valid.
+ */
+const validateAction = (state, action) => {
+    const {type, player, die, dice} = action;
+    const names = state.players.map(({name}) => name);
+    if (null !== player && undefined !== player && !names.includes(player)) {
+        throw new GameRuleError(`Player '${player}' is not on the board.`);
+    }
+
+    if (state.dice.length + diceDelta(type) !== dice.length) {
+        throw new GameRuleError(`A '${type}' action on ${state.dice.length} dice cannot result in ${dice.length} dice.`);
+    }
+
+    if (DIE_ACTIONS.includes(type)) {
+        const count = ADD_DIE === type ? state.dice.length + 1 : state.dice.length;
+        if (0 > die || count <= die) {
+            throw new GameRuleError(`There is no die ${die} on the board.`);
+        }
+    }
+
+    switch (type) {
+    case HOLD: {
+        if (null !== state.dice[die].heldBy) {
+            throw new GameRuleError(`Die ${die} is held by ${state.dice[die].heldBy} already.`);
+        }
+        break;
+    }
+    case RELEASE: {
+        if (player !== state.dice[die].heldBy) {
+            throw new GameRuleError(`Die ${die} is not held by ${player}.`);
+        }
+        break;
+    }
+    case THROW: {
+        const current = state.players.find(({hasTurn}) => hasTurn);
+        if (undefined !== current && current.name !== player) {
+            throw new GameRuleError(`${player} cannot throw the dice during the turn of ${current.name}.`);
+        }
+        break;
+    }
+    default: // Any other action is fine
+    }
+
+    checkDice(state, action);
+
+    try {
+        checkState(applyAction(state, action));
+    } catch (invalid) {
+        if (invalid instanceof ConfigurationError) {
+            throw new GameRuleError(`A '${type}' action cannot result in an invalid board: ${invalid.message}`);
+        }
+        throw invalid;
+    }
+};
+
+export {
+    PROTOCOL_VERSION,
+    HELLO,
+    WELCOME,
+    ACTION,
+    ACK,
+    REJECT,
+    SYNC,
+    STATE,
+    ERROR,
+    THROW,
+    HOLD,
+    RELEASE,
+    MOVE,
+    ADD_DIE,
+    REMOVE_DIE,
+    TURN,
+    ACTION_TYPES,
+    MESSAGE_TYPES,
+    checkAction,
+    encode,
+    decode,
+    validateAction,
+    applyAction
+};
@@ -20,6 +20,41 @@ import {TopDiceBoard} from "./TopDiceBoard.js";
 import {TopDie} from "./TopDie.js";
 import {TopPlayer} from "./TopPlayer.js";
 import {TopPlayerList} from "./TopPlayerList.js";
+import {TopGameLog} from "./TopGameLog.js";
+import {TopScorecard} from "./TopScorecard.js";
+import {TopBotPlayer} from "./TopBotPlayer.js";
+import {TopProbabilityOverlay} from "./TopProbabilityOverlay.js";
+import {TopDiceStatistics} from "./TopDiceStatistics.js";
+import {TopFairnessBadge} from "./TopFairnessBadge.js";
+import {TopReplayControls} from "./TopReplayControls.js";
+import {ReplayRecorder} from "./replay/ReplayRecorder.js";
+import {ReplayPlayer} from "./replay/ReplayPlayer.js";
+import {REPLAY_VERSION} from "./replay/replay.js";
+import {STRATEGIES} from "./bot/strategies.js";
+import {distribution, distributionsPerHold, distributionOfBoard} from "./probability/distribution.js";
+import {mean, variance, sumDistribution, chiSquare} from "./probability/statistics.js";
+import {RandomGenerator} from "./random/RandomGenerator.js";
+import {SeededRandomGenerator} from "./random/SeededRandomGenerator.js";
+import {CryptoRandomGenerator} from "./random/CryptoRandomGenerator.js";
+import {parse, format} from "./notation/parse.js";
+import {roll, populateBoard, throwOnBoard} from "./notation/roll.js";
+import {onlyUndoUiActions} from "./history/CommandHistory.js";
+import {ScoreSheet, scoreCategory, scoreAll, CATEGORIES} from "./game/yahtzee.js";
+import {FarkleGame, scoreSelection, bestSelection, isFarkle, DEFAULT_RULES as FARKLE_RULES} from "./game/farkle.js";
+import {PigGame, TwoDicePigGame} from "./game/pig.js";
+import {LiarsDiceGame, countFace} from "./game/liarsDice.js";
+import {checkDefinition} from "./game/definition.js";
+import {DefinedGame} from "./game/DefinedGame.js";
+import {ThrowAuthority} from "./authority/ThrowAuthority.js";
+import {LocalThrowAuthority} from "./authority/LocalThrowAuthority.js";
+import {LocalFairThrowAuthority} from "./authority/LocalFairThrowAuthority.js";
+import {commitTo, deriveFaces, verifyFairThrow} from "./authority/fairness.js";
+import {importPublicKey} from "./authority/signing.js";
+import {SyncClient} from "./sync/SyncClient.js";
+import {SyncServer} from "./sync/SyncServer.js";
+import {ChannelMirror} from "./sync/ChannelMirror.js";
+import {PROTOCOL_VERSION} from "./sync/protocol.js";
+import {CrapsGame, houseEdge, probabilityOf, DEFAULT_RULES as CRAPS_RULES} from "./game/craps.js";
 
 window.twentyonepips = window.twentyonepips || Object.freeze({
     VERSION: "0.0.1",
@@ -28,5 +63,82 @@ window.twentyonepips = window.twentyonepips || Object.freeze({
     TopDiceBoard: TopDiceBoard,
     TopDie: TopDie,
     TopPlayer: TopPlayer,
-    TopPlayerList: TopPlayerList
+    TopPlayerList: TopPlayerList,
+    TopGameLog: TopGameLog,
+    TopScorecard: TopScorecard,
+    TopBotPlayer: TopBotPlayer,
+    TopProbabilityOverlay: TopProbabilityOverlay,
+    TopDiceStatistics: TopDiceStatistics,
+    TopFairnessBadge: TopFairnessBadge,
+    TopReplayControls: TopReplayControls,
+    STRATEGIES: STRATEGIES,
+    RandomGenerator: RandomGenerator,
+    SeededRandomGenerator: SeededRandomGenerator,
+    CryptoRandomGenerator: CryptoRandomGenerator,
+    onlyUndoUiActions: onlyUndoUiActions,
+    notation: Object.freeze({
+        parse: parse,
+        format: format,
+        roll: roll,
+        populateBoard: populateBoard,
+        throwOnBoard: throwOnBoard
+    }),
+    yahtzee: Object.freeze({
+        ScoreSheet: ScoreSheet,
+        scoreCategory: scoreCategory,
+        scoreAll: scoreAll,
+        CATEGORIES: CATEGORIES
+    }),
+    farkle: Object.freeze({
+        FarkleGame: FarkleGame,
+        scoreSelection: scoreSelection,
+        bestSelection: bestSelection,
+        isFarkle: isFarkle,
+        DEFAULT_RULES: FARKLE_RULES
+    }),
+    craps: Object.freeze({
+        CrapsGame: CrapsGame,
+        houseEdge: houseEdge,
+        probabilityOf: probabilityOf,
+        DEFAULT_RULES: CRAPS_RULES
+    }),
+    pig: Object.freeze({
+        PigGame: PigGame,
+        TwoDicePigGame: TwoDicePigGame
+    }),
+    liarsDice: Object.freeze({
+        LiarsDiceGame: LiarsDiceGame,
+        countFace: countFace
+    }),
+    DefinedGame: DefinedGame,
+    checkDefinition: checkDefinition,
+    probability: Object.freeze({
+        distribution: distribution,
+        distributionsPerHold: distributionsPerHold,
+        distributionOfBoard: distributionOfBoard,
+        mean: mean,
+        variance: variance,
+        sumDistribution: sumDistribution,
+        chiSquare: chiSquare
+    }),
+    authority: Object.freeze({
+        ThrowAuthority: ThrowAuthority,
+        LocalThrowAuthority: LocalThrowAuthority,
+        LocalFairThrowAuthority: LocalFairThrowAuthority,
+        importPublicKey: importPublicKey,
+        commitTo: commitTo,
+        deriveFaces: deriveFaces,
+        verifyFairThrow: verifyFairThrow
+    }),
+    sync: Object.freeze({
+        SyncClient: SyncClient,
+        SyncServer: SyncServer,
+        ChannelMirror: ChannelMirror,
+        PROTOCOL_VERSION: PROTOCOL_VERSION
+    }),
+    replay: Object.freeze({
+        ReplayRecorder: ReplayRecorder,
+        ReplayPlayer: ReplayPlayer,
+        REPLAY_VERSION: REPLAY_VERSION
+    })
 });
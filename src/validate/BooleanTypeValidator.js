@@ -28,8 +28,8 @@ const BooleanTypeValidator = class extends TypeValidator {
         const defaultValue = BOOLEAN_DEFAULT_VALUE;
         const errors = [];
 
-        if (input instanceof Boolean) {
-            value = input;
+        if ("boolean" === typeof input || input instanceof Boolean) {
+            value = input.valueOf();
         } else if ("string" === typeof input) {
             if (/true/i.test(input)) {
                 value = true;
@@ -0,0 +1,75 @@
+import {CanvasRenderer} from "../src/renderer/CanvasRenderer.js";
+import "../src/TopDiceBoard.js";
+
+// Replace window.matchMedia to count the listeners watching the pixel ratio.
+const watchMedia = (test) => {
+    const matchMedia = window.matchMedia;
+    const listeners = new Set();
+    window.matchMedia = () => ({
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+    });
+    try {
+        test(listeners);
+    } finally {
+        window.matchMedia = matchMedia;
+    }
+};
+
+describe("CanvasRenderer", function () {
+    describe("#resize(width, height)", function () {
+        it("Should scale the canvas by the device pixel ratio and keep its CSS size", function () {
+            const renderer = new CanvasRenderer({width: 300, height: 200});
+            const canvas = renderer.element;
+            chai.expect(renderer.pixelRatio).to.equal(window.devicePixelRatio || 1);
+            chai.expect(canvas.width).to.equal(Math.round(300 * renderer.pixelRatio));
+            chai.expect(canvas.height).to.equal(Math.round(200 * renderer.pixelRatio));
+            chai.expect(canvas.style.width).to.equal("300px");
+            chai.expect(canvas.style.height).to.equal("200px");
+            renderer.disconnect();
+        });
+    });
+
+    describe("#toBoardCoordinates(xWindow, yWindow)", function () {
+        it("Should convert window coordinates to board coordinates", function () {
+            const renderer = new CanvasRenderer({width: 300, height: 200});
+            document.body.appendChild(renderer.element);
+            renderer.element.style.width = "600px";
+            renderer.element.style.height = "400px";
+
+            const box = renderer.element.getBoundingClientRect();
+            const {x, y} = renderer.toBoardCoordinates(box.left + 100, box.top + 50);
+            chai.expect(x).to.be.closeTo(50, 0.01);
+            chai.expect(y).to.be.closeTo(25, 0.01);
+
+            renderer.element.remove();
+            renderer.disconnect();
+        });
+    });
+
+    describe("#disconnect() and #connect()", function () {
+        it("Should stop and start watching the device pixel ratio", function () {
+            watchMedia((listeners) => {
+                const renderer = new CanvasRenderer({width: 300, height: 200});
+                chai.expect(listeners.size).to.equal(1);
+                renderer.disconnect();
+                chai.expect(listeners.size).to.equal(0);
+                renderer.connect();
+                renderer.connect();
+                chai.expect(listeners.size).to.equal(1);
+                renderer.disconnect();
+            });
+        });
+
+        it("Should only watch the device pixel ratio while the board is connected", function () {
+            watchMedia((listeners) => {
+                const board = document.createElement("top-dice-board");
+                chai.expect(listeners.size).to.equal(0);
+                document.body.appendChild(board);
+                chai.expect(listeners.size).to.equal(1);
+                board.remove();
+                chai.expect(listeners.size).to.equal(0);
+            });
+        });
+    });
+});
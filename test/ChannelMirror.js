@@ -0,0 +1,75 @@
+import {ChannelMirror} from "../src/sync/ChannelMirror.js";
+import {ConfigurationError} from "../src/error/ConfigurationError.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {JANE, createBoard, addPlayers} from "./fixture.js";
+
+let channels = 0;
+
+const nextEvent = (board, type) => new Promise(resolve => board.addEventListener(type, event => resolve(event.detail), {once: true}));
+
+describe("ChannelMirror", function () {
+    let channel;
+    let presenter;
+    let student;
+
+    beforeEach(function () {
+        channels++;
+        channel = `mirror-test-${channels}`;
+        presenter = createBoard({"sync-channel": channel});
+        const led = nextEvent(presenter, "top:mirror-leader");
+        addPlayers(presenter, [JANE]);
+        presenter.addDie({pips: 3});
+
+        return led.then(() => {
+            student = document.createElement("top-dice-board");
+            student.setAttribute("throw-duration", "0");
+            student.setAttribute("sync-channel", channel);
+            const followed = nextEvent(student, "top:mirror-updated");
+            document.body.appendChild(student);
+            return followed;
+        });
+    });
+
+    afterEach(function () {
+        presenter.remove();
+        student.remove();
+    });
+
+    it("Should need the name of a channel", function () {
+        chai.expect(() => new ChannelMirror(presenter, {channel: ""})).to.throw(ConfigurationError);
+    });
+
+    it("Should let the first tab lead and the others spectate", function () {
+        chai.expect(presenter.mirror.isLeader()).to.be.true;
+        chai.expect(presenter.spectator).to.be.false;
+        chai.expect(student.mirror.leader).to.equal(presenter.mirror.id);
+        chai.expect(student.spectator).to.be.true;
+        chai.expect(student.toJSON()).to.deep.equal(presenter.toJSON());
+    });
+
+    it("Should mirror the leader's throws", function () {
+        const updated = nextEvent(student, "top:mirror-updated");
+        return presenter.throwDice(presenter.players[0])
+            .then(() => updated)
+            .then(() => {
+                chai.expect(student.dice.map(die => die.pips)).to.deep.equal(presenter.dice.map(die => die.pips));
+                chai.expect(student.players.map(player => player.name)).to.deep.equal(["Jane"]);
+            });
+    });
+
+    it("Should not let a spectator throw the dice", function () {
+        return student.throwDice(student.players[0]).then(
+            () => chai.assert.fail("A spectator should not throw."),
+            error => chai.expect(error).to.be.an.instanceof(GameRuleError)
+        );
+    });
+
+    it("Should elect a new leader when the leader leaves", function () {
+        const elected = nextEvent(student, "top:mirror-leader");
+        presenter.remove();
+        return elected.then(({isLeader}) => {
+            chai.expect(isLeader).to.be.true;
+            chai.expect(student.spectator).to.be.false;
+        });
+    });
+});
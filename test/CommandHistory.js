@@ -0,0 +1,61 @@
+import {CommandHistory, onlyUndoUiActions, THROW, HOLD} from "../src/history/CommandHistory.js";
+
+const state = (n) => ({version: 1, n});
+
+describe("CommandHistory", function () {
+    describe("#record(type, state, detail)", function () {
+        it("Should only record commands after it has been started", function () {
+            const history = new CommandHistory();
+            chai.expect(history.record(THROW, state(1))).to.be.null;
+            history.reset(state(0));
+            chai.expect(history.record(THROW, state(1))).to.include({type: THROW});
+            chai.expect(history.lastCommand.before).to.deep.equal(state(0));
+        });
+
+        it("Should ignore commands that do not change the state", function () {
+            const history = new CommandHistory();
+            history.reset(state(0));
+            chai.expect(history.record(HOLD, state(0))).to.be.null;
+            chai.expect(history.lastCommand).to.be.null;
+        });
+
+        it("Should forget the oldest commands beyond its depth", function () {
+            const history = new CommandHistory({depth: 2});
+            history.reset(state(0));
+            [1, 2, 3].forEach(n => history.record(THROW, state(n)));
+            chai.expect(history.undo().after).to.deep.equal(state(3));
+            chai.expect(history.undo().after).to.deep.equal(state(2));
+            chai.expect(history.undo()).to.be.null;
+        });
+    });
+
+    describe("#undo() and #redo()", function () {
+        it("Should move commands between undo and redo", function () {
+            const history = new CommandHistory();
+            history.reset(state(0));
+            history.record(THROW, state(1));
+            history.record(HOLD, state(2));
+
+            chai.expect(history.undo().type).to.equal(HOLD);
+            chai.expect(history.present).to.deep.equal(state(1));
+            chai.expect(history.redo().type).to.equal(HOLD);
+            chai.expect(history.present).to.deep.equal(state(2));
+        });
+
+        it("Should forget redoable commands when recording a new command", function () {
+            const history = new CommandHistory();
+            history.reset(state(0));
+            history.record(THROW, state(1));
+            history.undo();
+            history.record(HOLD, state(2));
+            chai.expect(history.nextCommand).to.be.null;
+        });
+    });
+
+    describe("onlyUndoUiActions(command)", function () {
+        it("Should forbid undoing throws", function () {
+            chai.expect(onlyUndoUiActions({type: THROW})).to.be.false;
+            chai.expect(onlyUndoUiActions({type: HOLD})).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,72 @@
+import {CrapsGame, houseEdge, probabilityOf} from "../src/game/craps.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {JANE, createBoard, addPlayers} from "./fixture.js";
+
+describe("Craps", function () {
+    describe("houseEdge()", function () {
+        it("Should compute the house edge of each bet", function () {
+            chai.expect(probabilityOf(7)).to.be.closeTo(1 / 6, 1e-9);
+            chai.expect(houseEdge("pass")).to.be.closeTo(7 / 495, 1e-9);
+            chai.expect(houseEdge("come")).to.be.closeTo(7 / 495, 1e-9);
+            chai.expect(houseEdge("dont-pass")).to.be.closeTo(3 / 220, 1e-9);
+            chai.expect(houseEdge("field")).to.be.closeTo(1 / 18, 1e-9);
+            chai.expect(houseEdge("field", {fieldPays: {2: 2, 12: 3}})).to.be.closeTo(1 / 36, 1e-9);
+            chai.expect(houseEdge("odds")).to.equal(0);
+        });
+    });
+
+    describe("CrapsGame", function () {
+        let board;
+        let game;
+        let jane;
+
+        beforeEach(function () {
+            board = createBoard();
+            [jane] = addPlayers(board, [JANE]);
+            game = new CrapsGame(board);
+        });
+
+        afterEach(function () {
+            board.remove();
+        });
+
+        it("Should play with two dice and start with a come-out roll", function () {
+            chai.expect(board.dice).to.have.lengthOf(2);
+            chai.expect(game.isComeOut()).to.be.true;
+        });
+
+        it("Should only allow bets at the right moment", function () {
+            const pass = game.placeBet(jane, "pass", 10);
+            chai.expect(() => game.placeBet(jane, "come", 10)).to.throw(GameRuleError);
+            chai.expect(() => game.placeBet(jane, "odds", 10, pass)).to.throw(GameRuleError);
+            chai.expect(() => game.placeBet(jane, "hardways", 10)).to.throw(GameRuleError);
+            chai.expect(game.betsOf(jane)).to.deep.equal([pass]);
+        });
+
+        it("Should resolve the field after every throw", function () {
+            game.placeBet(jane, "field", 10);
+            return game.throwDice(jane).then((results) => {
+                const sum = board.dice.reduce((s, die) => s + die.pips, 0);
+                const [{outcome, payout}] = results.filter(({bet}) => "field" === bet.type);
+                chai.expect(outcome).to.equal([5, 6, 7, 8].includes(sum) ? "lose" : "win");
+                chai.expect(jane.score).to.equal(payout);
+                chai.expect(game.bets).to.be.empty;
+            });
+        });
+
+        it("Should set the point on a come-out roll", function () {
+            const pass = game.placeBet(jane, "pass", 10);
+            return game.throwDice(jane).then((results) => {
+                const sum = board.dice.reduce((s, die) => s + die.pips, 0);
+                if ([4, 5, 6, 8, 9, 10].includes(sum)) {
+                    chai.expect(game.point).to.equal(sum);
+                    chai.expect(results).to.be.empty;
+                    chai.expect(game.placeBet(jane, "odds", 30, pass).backs).to.equal(pass);
+                } else {
+                    chai.expect(game.isComeOut()).to.be.true;
+                    chai.expect(results.map(({outcome}) => outcome)).to.deep.equal([[7, 11].includes(sum) ? "win" : "lose"]);
+                }
+            });
+        });
+    });
+});
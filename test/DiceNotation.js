@@ -0,0 +1,93 @@
+import {parse, format} from "../src/notation/parse.js";
+import {roll, throwOnBoard} from "../src/notation/roll.js";
+import {NotationError} from "../src/error/NotationError.js";
+import {SeededRandomGenerator} from "../src/random/SeededRandomGenerator.js";
+import {createBoard} from "./fixture.js";
+
+describe("Dice notation", function () {
+    describe("parse(notation)", function () {
+        it("Should parse dice and modifiers", function () {
+            const [dice, modifier] = parse("3d6+2").terms;
+            chai.expect(dice.operand).to.include({type: "dice", count: 3, sides: 6});
+            chai.expect(modifier).to.deep.equal({operator: "+", operand: {type: "number", value: 2}});
+        });
+
+        it("Should parse keeping and dropping dice", function () {
+            chai.expect(parse("4d6kh3").terms[0].operand.select).to.deep.equal({action: "keep", which: "highest", count: 3});
+            chai.expect(parse("2d20kl1").terms[0].operand.select).to.deep.equal({action: "keep", which: "lowest", count: 1});
+            chai.expect(parse("4d6dl1").terms[0].operand.select).to.deep.equal({action: "drop", which: "lowest", count: 1});
+            chai.expect(parse("4d6d1").terms[0].operand.select).to.deep.equal({action: "drop", which: "lowest", count: 1});
+        });
+
+        it("Should parse exploding and rerolled dice", function () {
+            const dice = parse("3d6!r<2").terms[0].operand;
+            chai.expect(dice.explode).to.deep.equal({compare: {operator: "=", value: 6}});
+            chai.expect(dice.reroll).to.deep.equal({compare: {operator: "<", value: 2}, once: false});
+        });
+
+        it("Should format normalized notation", function () {
+            chai.expect(format(parse("d20 + 3"))).to.equal("1d20+3");
+            chai.expect(format(parse("4D6K3-1"))).to.equal("4d6kh3-1");
+            chai.expect(format(parse("2d10!>8ro1"))).to.equal("2d10ro1!>8");
+        });
+
+        it("Should reject invalid notation", function () {
+            for (const notation of ["", "3d", "2d6x", "0d6", "d1", "2d6kh1kl1", "1d6!>0"]) {
+                chai.expect(() => parse(notation)).to.throw(NotationError);
+            }
+        });
+    });
+
+    describe("roll(notation, random)", function () {
+        it("Should total the kept dice and the modifiers", function () {
+            const result = roll("4d6kh3+2", new SeededRandomGenerator(1));
+            const kept = result.groups[0].dice.filter(die => die.kept);
+            chai.expect(result.groups[0].dice.length).to.equal(4);
+            chai.expect(kept.length).to.equal(3);
+            chai.expect(result.total).to.equal(kept.reduce((sum, die) => sum + die.value, 2));
+        });
+
+        it("Should be deterministic for a seeded generator", function () {
+            chai.expect(roll("2d20kl1", new SeededRandomGenerator(5))).to.deep.equal(roll("2d20kl1", new SeededRandomGenerator(5)));
+        });
+
+        it("Should reroll and explode dice", function () {
+            const rerolled = roll("20d6r<3", new SeededRandomGenerator(2));
+            chai.expect(rerolled.groups[0].dice.every(die => 3 <= die.value)).to.be.true;
+
+            const exploded = roll("20d6!", new SeededRandomGenerator(2)).groups[0].dice;
+            chai.expect(exploded.length).to.equal(20 + exploded.filter(die => 6 === die.value).length);
+        });
+    });
+
+    describe("throwOnBoard(board, notation)", function () {
+        it("Should throw the dice of the notation on the board", function () {
+            const board = createBoard({seed: "notation"});
+
+            return throwOnBoard(board, "2d20kl1+1d4").then((result) => {
+                chai.expect(board.dice.map(die => die.sides)).to.deep.equal([20, 20, 4]);
+                chai.expect(result.groups[0].dice.map(die => die.die)).to.deep.equal(board.dice.slice(0, 2));
+                chai.expect(result.total).to.equal(Math.min(board.dice[0].pips, board.dice[1].pips) + board.dice[2].pips);
+                board.remove();
+            });
+        });
+
+        it("Should reroll dice by throwing them on the board", function () {
+            const board = createBoard({seed: "reroll"});
+
+            const throws = [];
+            const throwDice = board.throwDice.bind(board);
+            board.throwDice = (player, options) => {
+                throws.push(undefined === options ? board.dice.length : options.dice.length);
+                return throwDice(player, options);
+            };
+
+            return throwOnBoard(board, "6d6r<6").then((result) => {
+                const rerolls = result.groups[0].dice.reduce((sum, die) => sum + die.throws.length - 1, 0);
+                chai.expect(throws.reduce((sum, count) => sum + count, 0)).to.equal(6 + rerolls);
+                chai.expect(result.groups[0].dice.every(die => die.die.pips === die.value)).to.be.true;
+                board.remove();
+            });
+        });
+    });
+});
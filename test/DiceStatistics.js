@@ -0,0 +1,85 @@
+import {TopDiceStatistics} from "../src/TopDiceStatistics.js";
+import {mean, variance, sumDistribution, chiSquare} from "../src/probability/statistics.js";
+import {ConfigurationError} from "../src/error/ConfigurationError.js";
+import {JANE, createBoard, addPlayers} from "./fixture.js";
+
+describe("Dice statistics", function () {
+    describe("statistics", function () {
+        it("Should compute the mean and sample variance from counts", function () {
+            const counts = new Map([[1, 1], [3, 1]]);
+            chai.expect(mean(counts)).to.equal(2);
+            chai.expect(variance(counts)).to.equal(2);
+            chai.expect(mean(new Map())).to.be.NaN;
+        });
+
+        it("Should compute the distribution of the sum of fair dice", function () {
+            const sums = sumDistribution([6, 6]);
+            chai.expect([...sums.keys()]).to.deep.equal([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+            chai.expect(sums.get(7)).to.be.closeTo(6 / 36, 1e-12);
+        });
+
+        it("Should test the goodness of fit against fair dice", function () {
+            const fair = sumDistribution([2]);
+            const {statistic, degreesOfFreedom, pValue} = chiSquare(new Map([[1, 50], [2, 10]]), fair);
+            chai.expect(statistic).to.be.closeTo(26.667, 1e-3);
+            chai.expect(degreesOfFreedom).to.equal(1);
+            chai.expect(pValue).to.be.below(0.001);
+            chai.expect(chiSquare(new Map([[1, 30], [2, 30]]), fair).pValue).to.be.closeTo(1, 1e-9);
+            chai.expect(chiSquare(new Map(), fair)).to.be.null;
+        });
+
+        it("Should reject counts that are not a Map or values that cannot be thrown", function () {
+            const fair = sumDistribution([2]);
+            chai.expect(() => chiSquare([50, 10], fair)).to.throw(ConfigurationError);
+            chai.expect(() => chiSquare(new Map([[1, 50], [3, 10]]), fair)).to.throw(ConfigurationError);
+            chai.expect(chiSquare(new Map([[1, 30], [2, 30], [3, 0]]), fair).pValue).to.be.closeTo(1, 1e-9);
+        });
+    });
+
+    describe("TopDiceStatistics", function () {
+        let board;
+        let statistics;
+        let player;
+
+        beforeEach(function () {
+            board = createBoard({id: "counted-board"});
+            [player] = addPlayers(board, [JANE]);
+            board.addDie({pips: 1});
+            board.addDie({pips: 2});
+
+            statistics = document.createElement("top-dice-statistics");
+            statistics.setAttribute("board", "counted-board");
+            document.body.appendChild(statistics);
+        });
+
+        afterEach(function () {
+            board.remove();
+            statistics.remove();
+        });
+
+        it("Should attach to the board with the given id", function () {
+            chai.expect(statistics).to.be.an.instanceof(TopDiceStatistics);
+            chai.expect(statistics.board).to.equal(board);
+        });
+
+        it("Should count the faces and the sum of each throw", function () {
+            return board.throwDice(player).then(() => {
+                const [faces] = statistics.faces;
+                chai.expect(faces).to.include({label: "d6", throws: 2, expectedMean: 3.5});
+                board.dice.forEach(die => chai.expect(faces.counts[die.pips]).to.be.at.least(1));
+
+                const [sums] = statistics.sums;
+                chai.expect(sums).to.include({label: "2d6", throws: 1});
+                chai.expect(sums.counts[board.dice[0].pips + board.dice[1].pips]).to.equal(1);
+                chai.expect(sums.expectedVariance).to.be.closeTo(35 / 6, 1e-9);
+            });
+        });
+
+        it("Should forget the counted throws when reset", function () {
+            return board.throwDice(player).then(() => {
+                statistics.reset();
+                chai.expect(statistics.toJSON()).to.deep.equal({faces: [], sums: []});
+            });
+        });
+    });
+});
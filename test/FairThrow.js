@@ -0,0 +1,97 @@
+import {LocalFairThrowAuthority} from "../src/authority/LocalFairThrowAuthority.js";
+import {commitTo, deriveFaces, verifyFairThrow} from "../src/authority/fairness.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {TopFairnessBadge} from "../src/TopFairnessBadge.js";
+import "../src/TopGameLog.js";
+import {JANE, createBoard, addPlayers} from "./fixture.js";
+
+// An authority ignoring the seeds of the players.
+const IgnoringAuthority = class extends LocalFairThrowAuthority {
+    throwDice(request) {
+        return super.throwDice(Object.assign({}, request, {clientSeeds: []}));
+    }
+};
+
+describe("Provably fair throws", function () {
+    const seeds = {serverSeed: "server", clientSeeds: ["jane", "john"], nonce: "1", sides: [6, 6, 20]};
+
+    describe("deriveFaces(seeds)", function () {
+        it("Should derive the same faces from the same seeds", function () {
+            return Promise.all([deriveFaces(seeds), deriveFaces(seeds)]).then(([faces, again]) => {
+                chai.expect(faces).to.have.lengthOf(3);
+                chai.expect(faces).to.deep.equal(again);
+                faces.forEach((face, i) => chai.expect(face).to.be.within(1, seeds.sides[i]));
+            });
+        });
+    });
+
+    describe("verifyFairThrow(fairThrow)", function () {
+        it("Should only accept faces following from the seed committed to", function () {
+            return Promise.all([commitTo("server"), commitTo("other"), deriveFaces(seeds)])
+                .then(([commitment, other, faces]) => Promise.all([
+                    verifyFairThrow(Object.assign({commitment, faces}, seeds)),
+                    verifyFairThrow(Object.assign({commitment: other, faces}, seeds)),
+                    verifyFairThrow(Object.assign({commitment, faces: faces.map(face => face % 6 + 1)}, seeds)),
+                    verifyFairThrow(null)
+                ]))
+                .then(verified => chai.expect(verified).to.deep.equal([true, false, false, false]));
+        });
+    });
+
+    describe("TopDiceBoard with a LocalFairThrowAuthority", function () {
+        let board;
+        let log;
+        let player;
+
+        beforeEach(function () {
+            board = createBoard();
+            [player] = addPlayers(board, [Object.assign({clientSeed: "jane"}, JANE)]);
+            board.addDie({pips: 1});
+            board.addDie({pips: 2});
+            board.throwAuthority = new LocalFairThrowAuthority();
+
+            log = document.createElement("top-game-log");
+            log.board = board;
+            document.body.appendChild(log);
+        });
+
+        afterEach(function () {
+            board.remove();
+            log.remove();
+        });
+
+        it("Should commit before the players contribute their seeds", function () {
+            board.addEventListener("top:throw-commitment", () => {
+                player.clientSeed = "changed";
+            });
+            return board.throwDice(player).then((dice) => {
+                const proof = board.signedThrow;
+                chai.expect(proof.clientSeeds).to.deep.equal(["changed"]);
+                chai.expect(proof.faces).to.deep.equal(dice.map(die => die.pips));
+                return verifyFairThrow(proof);
+            }).then(fair => chai.expect(fair).to.be.true);
+        });
+
+        it("Should log the proof of a throw to re-check it", function () {
+            return board.throwDice(player).then(() => {
+                const thrown = log.entries.find(entry => "throw" === entry.type);
+                chai.expect(thrown.proof).to.equal(board.signedThrow);
+
+                const badge = new TopFairnessBadge(thrown.proof);
+                chai.expect(badge.status).to.equal("unverified");
+                return badge.verify().then((fair) => {
+                    chai.expect(fair).to.be.true;
+                    chai.expect(badge.getAttribute("status")).to.equal("fair");
+                });
+            });
+        });
+
+        it("Should reject throws ignoring the seeds of the players", function () {
+            board.throwAuthority = new IgnoringAuthority();
+            return board.throwDice(player).then(
+                () => chai.assert.fail("An unfair throw should be rejected."),
+                error => chai.expect(error).to.be.an.instanceof(GameRuleError)
+            );
+        });
+    });
+});
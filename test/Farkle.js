@@ -0,0 +1,131 @@
+import {FarkleGame, scoreSelection, bestSelection, isFarkle} from "../src/game/farkle.js";
+import {ConfigurationError} from "../src/error/ConfigurationError.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {createBoard, addPlayers} from "./fixture.js";
+
+describe("Farkle", function () {
+    describe("scoreSelection()", function () {
+        it("Should score singles and three or more of a kind", function () {
+            chai.expect(scoreSelection([1])).to.equal(100);
+            chai.expect(scoreSelection([5, 5])).to.equal(100);
+            chai.expect(scoreSelection([4, 4, 4])).to.equal(400);
+            chai.expect(scoreSelection([1, 1, 1, 5])).to.equal(1050);
+            chai.expect(scoreSelection([2, 2, 2, 2])).to.equal(400);
+        });
+
+        it("Should score six dice combinations", function () {
+            chai.expect(scoreSelection([6, 5, 4, 3, 2, 1])).to.equal(1500);
+            chai.expect(scoreSelection([2, 2, 3, 3, 4, 4])).to.equal(1500);
+        });
+
+        it("Should not score a selection with dice that do not score", function () {
+            chai.expect(scoreSelection([1, 2])).to.be.null;
+            chai.expect(scoreSelection([])).to.be.null;
+        });
+
+        it("Should apply house rules", function () {
+            chai.expect(scoreSelection([3, 3, 3, 3], {ofAKind: "fixed"})).to.equal(1000);
+            chai.expect(scoreSelection([2, 2, 3, 3, 4, 4], {threePairs: 0})).to.be.null;
+            chai.expect(() => scoreSelection([1], {ofAKind: "triple"})).to.throw(ConfigurationError);
+        });
+    });
+
+    describe("bestSelection() and isFarkle()", function () {
+        it("Should find the best scoring dice", function () {
+            chai.expect(bestSelection([1, 2, 3, 5, 6, 6])).to.deep.equal({dice: [1, 5], score: 150});
+            chai.expect(isFarkle([2, 3, 4, 6, 6])).to.be.true;
+            chai.expect(isFarkle([2, 3, 3, 3])).to.be.false;
+        });
+    });
+
+    describe("FarkleGame", function () {
+        let board;
+        let game;
+        let jane;
+
+        beforeEach(function () {
+            board = createBoard();
+            [jane] = addPlayers(board);
+            game = new FarkleGame(board);
+        });
+
+        afterEach(function () {
+            board.remove();
+        });
+
+        it("Should play with six dice", function () {
+            chai.expect(board.dice).to.have.lengthOf(6);
+        });
+
+        it("Should not bank before throwing", function () {
+            jane.startTurn();
+            chai.expect(() => game.bank()).to.throw(GameRuleError);
+        });
+
+        it("Should require scoring dice to be set aside before throwing again", function () {
+            return game.throwDice().then(() => {
+                if (jane.hasTurn) {
+                    chai.expect(() => game.throwDice()).to.throw(GameRuleError);
+                } else {
+                    // Jane farkled.
+                    chai.expect(game.turnScore).to.equal(0);
+                }
+            });
+        });
+
+        it("Should bank the scoring dice and pass the turn", function () {
+            return game.throwDice().then(() => {
+                if (jane.hasTurn) {
+                    const {dice, score} = bestSelection(game.freeDice);
+                    dice.forEach(die => die.holdIt(jane));
+                    chai.expect(game.selectionScore).to.equal(score);
+                    chai.expect(game.bank()).to.equal(score);
+                    chai.expect(jane.score).to.equal(score);
+                    chai.expect(jane.hasTurn).to.be.false;
+                    chai.expect(board.dice.every(die => !die.isHeld())).to.be.true;
+                }
+            });
+        });
+
+        it("Should not throw twice while the dice are rolling", function () {
+            return game.throwDice().then(() => {
+                if (!jane.hasTurn) {
+                    // Jane farkled.
+                    return null;
+                }
+
+                const {dice, score} = bestSelection(game.freeDice);
+                dice.forEach(die => die.holdIt(jane));
+                const thrown = game.throwDice();
+                chai.expect(() => game.throwDice()).to.throw(GameRuleError);
+                chai.expect(() => game.bank()).to.throw(GameRuleError);
+
+                return thrown.then(() => {
+                    if (jane.hasTurn) {
+                        chai.expect(game.turnScore).to.equal(score);
+                    }
+                });
+            });
+        });
+
+        it("Should keep the turn score when throwing again fails", function () {
+            return game.throwDice().then(() => {
+                if (!jane.hasTurn) {
+                    // Jane farkled.
+                    return null;
+                }
+
+                const {dice} = bestSelection(game.freeDice);
+                dice.forEach(die => die.holdIt(jane));
+                board.throwDice = () => Promise.reject(new GameRuleError("The throw failed."));
+
+                return game.throwDice().then(() => chai.assert.fail("The throw should fail."), (error) => {
+                    chai.expect(error).to.be.an.instanceof(GameRuleError);
+                    chai.expect(game.turnScore).to.equal(0);
+                    chai.expect(game.setAside).to.be.empty;
+                    chai.expect(game.selection).to.have.members(dice);
+                });
+            });
+        });
+    });
+});
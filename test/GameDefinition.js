@@ -0,0 +1,110 @@
+import {checkDefinition, score, busts} from "../src/game/definition.js";
+import {DefinedGame} from "../src/game/DefinedGame.js";
+import {ConfigurationError} from "../src/error/ConfigurationError.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {createBoard, addPlayers} from "./fixture.js";
+
+const SIXES = {
+    name: "Sixes",
+    dice: "3d6",
+    turn: {throws: 2, hold: true},
+    scoring: {rules: [{type: "face", face: 6, points: 1}]},
+    end: {rounds: 1}
+};
+
+describe("Game definitions", function () {
+    describe("checkDefinition()", function () {
+        it("Should fill in the defaults", function () {
+            const definition = checkDefinition({dice: [{count: 2}], scoring: [{type: "sum"}], end: {targetScore: 50}});
+            chai.expect(definition.dice).to.deep.equal([{count: 2, sides: 6}]);
+            chai.expect(definition.turn).to.deep.equal({throws: 1, hold: false});
+            chai.expect(definition.scoring.combine).to.equal("sum");
+            chai.expect(definition.bust).to.be.null;
+        });
+
+        it("Should read JSON and dice notation", function () {
+            const definition = checkDefinition(JSON.stringify(SIXES));
+            chai.expect(definition.name).to.equal("Sixes");
+            chai.expect(definition.dice).to.deep.equal([{count: 3, sides: 6}]);
+        });
+
+        it("Should reject invalid definitions", function () {
+            chai.expect(() => checkDefinition(Object.assign({}, SIXES, {dice: "4d6kh3"}))).to.throw(ConfigurationError);
+            chai.expect(() => checkDefinition(Object.assign({}, SIXES, {scoring: [{type: "pairs"}]}))).to.throw(ConfigurationError);
+            chai.expect(() => checkDefinition(Object.assign({}, SIXES, {end: {}}))).to.throw(ConfigurationError);
+        });
+    });
+
+    describe("score() and busts()", function () {
+        it("Should combine scoring rules", function () {
+            const rules = [
+                {type: "of-a-kind", count: 3, points: 30},
+                {type: "straight", length: 3, points: 20},
+                {type: "face", face: 5}
+            ];
+            chai.expect(score(checkDefinition({dice: "3d6", scoring: rules, end: {rounds: 1}}).scoring, [5, 5, 5])).to.equal(45);
+            chai.expect(score(checkDefinition({dice: "3d6", scoring: {combine: "max", rules}, end: {rounds: 1}}).scoring, [5, 5, 5])).to.equal(30);
+            chai.expect(score(values => values.length, [1, 2])).to.equal(2);
+        });
+
+        it("Should bust when the bust rules score", function () {
+            const {bust} = checkDefinition({dice: "2d6", scoring: [{type: "sum"}], bust: [{type: "face", face: 1}], end: {targetScore: 100}});
+            chai.expect(busts(bust, [1, 4])).to.be.true;
+            chai.expect(busts(bust, [2, 4])).to.be.false;
+        });
+    });
+
+    describe("DefinedGame", function () {
+        let board;
+        let jane;
+        let john;
+
+        beforeEach(function () {
+            board = createBoard();
+            [jane, john] = addPlayers(board);
+        });
+
+        afterEach(function () {
+            board.remove();
+        });
+
+        it("Should set up the board", function () {
+            new DefinedGame(board, SIXES);
+            chai.expect(board.dice).to.have.lengthOf(3);
+            chai.expect(board._playerList.maxThrows).to.equal(2);
+            chai.expect(board.disabledHoldingDice).to.be.false;
+        });
+
+        it("Should play with the players taking turns", function () {
+            const game = new DefinedGame(board, SIXES);
+            chai.expect(game.players).to.deep.equal([jane, john]);
+        });
+
+        it("Should score the dice at the end of a turn", function () {
+            const game = new DefinedGame(board, SIXES);
+            return game.throwDice().then((values) => {
+                chai.expect(jane.hasTurn).to.be.true;
+                const sixes = values.filter(value => 6 === value).length;
+                chai.expect(game.endTurn()).to.equal(sixes);
+                chai.expect(jane.score).to.equal(sixes);
+                chai.expect(john.hasTurn).to.be.true;
+                chai.expect(() => game.endTurn(jane)).to.throw(GameRuleError);
+            });
+        });
+
+        it("Should end the game after the last round", function () {
+            const game = new DefinedGame(board, Object.assign({}, SIXES, {turn: {throws: 1}}));
+            let winners = null;
+            board.addEventListener("top:game-over", (event) => {
+                winners = event.detail.winners;
+            });
+            return game.throwDice()
+                .then(() => game.throwDice())
+                .then(() => {
+                    chai.expect(game.isOver()).to.be.true;
+                    chai.expect(winners).to.deep.equal(game.winners);
+                    chai.expect(board.players.some(player => player.hasTurn)).to.be.false;
+                });
+        });
+    });
+});
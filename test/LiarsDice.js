@@ -0,0 +1,70 @@
+import {LiarsDiceGame, countFace} from "../src/game/liarsDice.js";
+import {ConfigurationError} from "../src/error/ConfigurationError.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {createBoard, addPlayers} from "./fixture.js";
+
+describe("Liar's Dice", function () {
+    describe("countFace()", function () {
+        it("Should count ones as wild", function () {
+            chai.expect(countFace([1, 3, 3, 5, 6], 3)).to.equal(3);
+            chai.expect(countFace([1, 3, 3, 5, 6], 3, false)).to.equal(2);
+        });
+    });
+
+    describe("LiarsDiceGame", function () {
+        let board;
+        let game;
+        let jane;
+        let john;
+
+        beforeEach(function () {
+            board = createBoard();
+            [jane, john] = addPlayers(board);
+            game = new LiarsDiceGame(board, {dicePerPlayer: 3});
+            return game.startRound(jane);
+        });
+
+        afterEach(function () {
+            board.remove();
+        });
+
+        it("Should need at least two players", function () {
+            board.removePlayer(john);
+            chai.expect(() => new LiarsDiceGame(board)).to.throw(ConfigurationError);
+        });
+
+        it("Should play with the players taking turns", function () {
+            chai.expect(game.players).to.deep.equal([jane, john]);
+        });
+
+        it("Should give each player a cup only they can see", function () {
+            chai.expect(game.cupOf(jane)).to.have.lengthOf(3);
+            chai.expect(game.cupOf(john)).to.have.lengthOf(3);
+            chai.expect(game.cupOf(jane).every(die => board.isConcealed(die))).to.be.true;
+
+            board.viewer = jane;
+            chai.expect(game.cupOf(jane).some(die => board.isConcealed(die))).to.be.false;
+            chai.expect(game.cupOf(john).every(die => board.isConcealed(die))).to.be.true;
+        });
+
+        it("Should only accept higher bids", function () {
+            game.bid(jane, 2, 4);
+            chai.expect(john.hasTurn).to.be.true;
+            chai.expect(() => game.bid(john, 2, 3)).to.throw(GameRuleError);
+            chai.expect(() => game.bid(john, 3, 1)).to.throw(GameRuleError);
+            chai.expect(game.bid(john, 2, 5)).to.include({quantity: 2, face: 5});
+        });
+
+        it("Should reveal the cups on a challenge and take a die from the loser", function () {
+            game.bid(jane, 2, 4);
+            const {count, loser} = game.challenge(john);
+
+            chai.expect(game.isRevealed()).to.be.true;
+            chai.expect(board.dice.some(die => board.isConcealed(die))).to.be.false;
+            chai.expect(count).to.equal(countFace(board.dice, 4));
+            chai.expect(loser).to.equal(2 <= count ? john : jane);
+            chai.expect(game.diceCountOf(loser)).to.equal(2);
+            chai.expect(game.totalDice).to.equal(5);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+import {PigGame, TwoDicePigGame, BUST, SNAKE_EYES, NO_BUST} from "../src/game/pig.js";
+import {ConfigurationError} from "../src/error/ConfigurationError.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {createBoard, addPlayers} from "./fixture.js";
+
+describe("Pig", function () {
+    let board;
+    let jane;
+    let john;
+
+    beforeEach(function () {
+        board = createBoard();
+        [jane, john] = addPlayers(board);
+    });
+
+    afterEach(function () {
+        board.remove();
+    });
+
+    describe("PigGame", function () {
+        it("Should play with one die and a target score", function () {
+            const game = new PigGame(board, {targetScore: 50});
+            chai.expect(board.dice).to.have.lengthOf(1);
+            chai.expect(game.targetScore).to.equal(50);
+            chai.expect(() => new PigGame(board, {targetScore: 0})).to.throw(ConfigurationError);
+        });
+
+        it("Should bust on a one", function () {
+            const game = new PigGame(board);
+            chai.expect(game.bust([1])).to.equal(BUST);
+            chai.expect(game.bust([6])).to.equal(NO_BUST);
+        });
+
+        it("Should add a throw to the turn total or bust", function () {
+            const game = new PigGame(board);
+            return game.roll(jane).then((turnTotal) => {
+                const pips = board.dice[0].pips;
+                if (1 === pips) {
+                    chai.expect(turnTotal).to.equal(0);
+                    chai.expect(john.hasTurn).to.be.true;
+                } else {
+                    chai.expect(turnTotal).to.equal(pips);
+                    chai.expect(game.hold()).to.equal(pips);
+                    chai.expect(john.hasTurn).to.be.true;
+                }
+            });
+        });
+
+        it("Should not roll or hold while the dice are rolling", function () {
+            const game = new PigGame(board);
+            const rolled = game.roll(jane);
+            chai.expect(() => game.roll(jane)).to.throw(GameRuleError);
+            chai.expect(() => game.hold(jane)).to.throw(GameRuleError);
+
+            return rolled.then((turnTotal) => {
+                const pips = board.dice[0].pips;
+                chai.expect(turnTotal).to.equal(1 === pips ? 0 : pips);
+            });
+        });
+
+        it("Should only let the current player roll", function () {
+            const game = new PigGame(board);
+            jane.startTurn();
+            chai.expect(() => game.roll(john)).to.throw(GameRuleError);
+        });
+
+        it("Should announce the winner", function () {
+            const game = new PigGame(board, {targetScore: 1});
+            let winner = null;
+            board.addEventListener("top:winner", (event) => {
+                winner = event.detail.player;
+            });
+            jane.score = 1;
+            jane.startTurn();
+            game.hold();
+            chai.expect(winner).to.equal(jane);
+            chai.expect(() => game.roll()).to.throw(GameRuleError);
+        });
+    });
+
+    describe("TwoDicePigGame", function () {
+        it("Should play with two dice and lose everything on snake eyes", function () {
+            const game = new TwoDicePigGame(board);
+            chai.expect(board.dice).to.have.lengthOf(2);
+            chai.expect(game.bust([1, 1])).to.equal(SNAKE_EYES);
+            chai.expect(game.bust([1, 4])).to.equal(BUST);
+            chai.expect(game.bust([3, 4])).to.equal(NO_BUST);
+        });
+    });
+});
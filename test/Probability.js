@@ -0,0 +1,67 @@
+import {distribution, distributionsPerHold, holdChoices} from "../src/probability/distribution.js";
+import {TopProbabilityOverlay} from "../src/TopProbabilityOverlay.js";
+import {ConfigurationError} from "../src/error/ConfigurationError.js";
+import {createBoard} from "./fixture.js";
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+describe("Probability", function () {
+    describe("distribution()", function () {
+        it("Should enumerate all outcomes of the thrown dice", function () {
+            const dice = [{sides: 6, pips: 3}, {sides: 6, pips: 4}];
+            const {outcomes, total, expectedValue} = distribution(dice, [], sum);
+            chai.expect(total).to.equal(36);
+            chai.expect(outcomes).to.have.lengthOf(11);
+            chai.expect(outcomes.find(({value}) => 7 === value)).to.include({count: 6});
+            chai.expect(expectedValue).to.be.closeTo(7, 1e-9);
+        });
+
+        it("Should keep the held dice", function () {
+            const dice = [{sides: 6, pips: 6}, {sides: 4, pips: 1}];
+            const {outcomes, expectedValue} = distribution(dice, [dice[0]], sum);
+            chai.expect(outcomes.map(({value}) => value)).to.deep.equal([7, 8, 9, 10]);
+            chai.expect(expectedValue).to.be.closeTo(8.5, 1e-9);
+        });
+
+        it("Should compute the probability of a predicate", function () {
+            const dice = [{sides: 6, pips: 6}, {sides: 6, pips: 1}];
+            const doubleSix = values => values.every(value => 6 === value);
+            chai.expect(distribution(dice, [dice[0]], doubleSix).expectedValue).to.be.closeTo(1 / 6, 1e-9);
+        });
+
+        it("Should refuse to enumerate too many outcomes", function () {
+            const dice = Array.from({length: 8}, () => ({sides: 20, pips: 1}));
+            chai.expect(() => distribution(dice, [], sum)).to.throw(ConfigurationError);
+        });
+    });
+
+    describe("distributionsPerHold()", function () {
+        it("Should rank every hold choice by expected value", function () {
+            const dice = [{sides: 6, pips: 1}, {sides: 6, pips: 6}];
+            chai.expect(holdChoices(dice)).to.have.lengthOf(4);
+            const [best, ...rest] = distributionsPerHold(dice, dice, sum);
+            chai.expect(best.hold).to.deep.equal([dice[1]]);
+            chai.expect(best.expectedValue).to.be.closeTo(9.5, 1e-9);
+            chai.expect(rest).to.have.lengthOf(3);
+        });
+    });
+
+    describe("TopProbabilityOverlay", function () {
+        it("Should show the distributions of the board's dice", function () {
+            const board = createBoard({id: "analyzed-board"});
+            board.addDie({pips: 2});
+            board.addDie({pips: 5});
+
+            const overlay = document.createElement("top-probability-overlay");
+            overlay.setAttribute("board", "analyzed-board");
+            document.body.appendChild(overlay);
+
+            chai.expect(overlay).to.be.an.instanceof(TopProbabilityOverlay);
+            chai.expect(overlay.distributions).to.have.lengthOf(4);
+            chai.expect(overlay.distributions[0].expectedValue).to.be.closeTo(8.5, 1e-9);
+
+            board.remove();
+            overlay.remove();
+        });
+    });
+});
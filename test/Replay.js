@@ -0,0 +1,87 @@
+import {diffState, applyChanges, checkReplay} from "../src/replay/replay.js";
+import {ReplayRecorder} from "../src/replay/ReplayRecorder.js";
+import {ReplayPlayer} from "../src/replay/ReplayPlayer.js";
+import {ConfigurationError} from "../src/error/ConfigurationError.js";
+import {JANE, createBoard, addPlayers} from "./fixture.js";
+
+describe("Replay", function () {
+    describe("diffState(before, after)", function () {
+        it("Should only keep the changes", function () {
+            const before = {version: 2, players: [], turns: {round: 0, throws: 0}, dice: [{pips: 1}, {pips: 2}]};
+            const after = {version: 2, players: [], turns: {round: 0, throws: 1}, dice: [{pips: 1}, {pips: 6}]};
+            const changes = diffState(before, after);
+            chai.expect(changes).to.deep.equal({turns: {round: 0, throws: 1}, changedDice: {1: {pips: 6}}});
+            chai.expect(applyChanges(before, changes)).to.deep.equal(after);
+            chai.expect(diffState(after, after)).to.be.null;
+        });
+    });
+
+    describe("checkReplay(replay)", function () {
+        it("Should reject an invalid replay", function () {
+            chai.expect(() => checkReplay({version: 0})).to.throw(ConfigurationError);
+            chai.expect(() => checkReplay({version: 1, start: {version: 2, players: [], dice: []}, actions: null})).to.throw(ConfigurationError);
+        });
+    });
+
+    describe("ReplayRecorder and ReplayPlayer", function () {
+        let board;
+        let replayBoard;
+        let replay;
+
+        beforeEach(function () {
+            board = createBoard({seed: "42"});
+            replayBoard = createBoard({seed: "42"});
+            const [player] = addPlayers(board, [JANE]);
+            board.addDie({pips: 1});
+            board.addDie({pips: 2});
+
+            const recorder = new ReplayRecorder(board);
+            return Promise.resolve()
+                .then(() => recorder.start())
+                .then(() => board.throwDice(player))
+                .then(() => board.dice[0].holdIt(player))
+                .then(() => board.throwDice(player))
+                .then(() => {
+                    recorder.stop();
+                    replay = JSON.parse(JSON.stringify(recorder));
+                });
+        });
+
+        afterEach(function () {
+            board.remove();
+            replayBoard.remove();
+        });
+
+        it("Should record every action", function () {
+            chai.expect(replay.actions.map(action => action.type)).to.deep.equal(["turn", "throw", "hold", "throw"]);
+            chai.expect(replay.actions[2]).to.include({player: "Jane", die: 0});
+        });
+
+        it("Should show the game at any position on a spectator board", function () {
+            const player = new ReplayPlayer(replayBoard, replay);
+            chai.expect(replayBoard.spectator).to.be.true;
+            chai.expect(player.position).to.equal(0);
+            chai.expect(replayBoard.dice.map(die => die.pips)).to.deep.equal([1, 2]);
+
+            player.seek(player.length);
+            chai.expect(replayBoard.toJSON()).to.deep.equal(board.toJSON());
+
+            player.step(-1);
+            chai.expect(player.currentAction.type).to.equal("hold");
+            chai.expect(replayBoard.dice[0].isHeld()).to.be.true;
+
+            player.close();
+            chai.expect(replayBoard.spectator).to.be.false;
+        });
+
+        it("Should play the replay to the end", function () {
+            const player = new ReplayPlayer(replayBoard, replay, {speed: 1000});
+            const positions = [];
+            replayBoard.addEventListener("top:replay-position", event => positions.push(event.detail.position));
+            return player.play().then(() => {
+                chai.expect(player.isPlaying()).to.be.false;
+                chai.expect(positions).to.deep.equal([1, 2, 3, 4]);
+            });
+        });
+    });
+});
@@ -0,0 +1,90 @@
+import {SeededRandomGenerator} from "../src/random/SeededRandomGenerator.js";
+import {CryptoRandomGenerator} from "../src/random/CryptoRandomGenerator.js";
+import {GridLayout} from "../src/GridLayout.js";
+import {TopDie} from "../src/TopDie.js";
+import "../src/TopDiceBoard.js";
+
+const sample = (generator, n = 10) => Array.from({length: n}, () => generator.random());
+
+describe("SeededRandomGenerator", function () {
+    describe("#random()", function () {
+        it("Should generate numbers between 0 and 1", function () {
+            for (const r of sample(new SeededRandomGenerator(1), 1000)) {
+                chai.expect(r).to.be.at.least(0).and.to.be.below(1);
+            }
+        });
+
+        it("Should generate the same sequence for the same seed", function () {
+            chai.expect(sample(new SeededRandomGenerator(42))).to.deep.equal(sample(new SeededRandomGenerator(42)));
+            chai.expect(sample(new SeededRandomGenerator(42))).to.deep.equal(sample(new SeededRandomGenerator("42")));
+            chai.expect(sample(new SeededRandomGenerator("game"))).to.deep.equal(sample(new SeededRandomGenerator("game")));
+        });
+
+        it("Should generate different sequences for different seeds", function () {
+            chai.expect(sample(new SeededRandomGenerator(1))).to.not.deep.equal(sample(new SeededRandomGenerator(2)));
+        });
+
+        it("Should continue a sequence from a saved state", function () {
+            const generator = new SeededRandomGenerator(7);
+            sample(generator, 5);
+            const copy = new SeededRandomGenerator(7);
+            copy.state = generator.state;
+            chai.expect(sample(copy)).to.deep.equal(sample(generator));
+        });
+    });
+
+    describe("#integer(min, max)", function () {
+        it("Should generate integers between min and max", function () {
+            const generator = new SeededRandomGenerator(3);
+            for (let i = 0; i < 1000; i++) {
+                chai.expect(generator.integer(1, 6)).to.be.at.least(1).and.to.be.at.most(6);
+            }
+        });
+    });
+
+    describe("throwing and laying out dice", function () {
+        it("Should throw dice deterministically", function () {
+            const throwDice = (seed) => {
+                const random = new SeededRandomGenerator(seed);
+                const die = new TopDie({sides: 20});
+                return Array.from({length: 10}, () => {
+                    die.throwIt(random);
+                    return die.pips;
+                });
+            };
+            chai.expect(throwDice(11)).to.deep.equal(throwDice(11));
+        });
+
+        it("Should create dice with random pips deterministically", function () {
+            const createDice = (seed) => {
+                const board = document.createElement("top-dice-board");
+                board.setAttribute("seed", seed);
+                const pips = Array.from({length: 10}, () => board.addDie({sides: 20}).pips);
+                board.remove();
+                return pips;
+            };
+            chai.expect(createDice("dice")).to.deep.equal(createDice("dice"));
+        });
+
+        it("Should lay out dice deterministically", function () {
+            const layout = (seed) => {
+                const grid = new GridLayout({random: new SeededRandomGenerator(seed)});
+                return grid.layout([new TopDie(), new TopDie(), new TopDie()])
+                    .map(die => ({x: die.x, y: die.y, rotation: die.rotation}));
+            };
+            chai.expect(layout(5)).to.deep.equal(layout(5));
+        });
+
+        it("Should only accept a RandomGenerator", function () {
+            chai.expect(() => new GridLayout({random: Math.random})).to.throw();
+        });
+    });
+});
+
+describe("CryptoRandomGenerator", function () {
+    it("Should generate numbers between 0 and 1", function () {
+        for (const r of sample(new CryptoRandomGenerator(), 1000)) {
+            chai.expect(r).to.be.at.least(0).and.to.be.below(1);
+        }
+    });
+});
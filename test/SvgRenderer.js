@@ -0,0 +1,57 @@
+import {SvgRenderer} from "../src/renderer/SvgRenderer.js";
+import {frameOf} from "../src/renderer/Renderer.js";
+import {TopDie} from "../src/TopDie.js";
+import {TopPlayer} from "../src/TopPlayer.js";
+
+describe("SvgRenderer", function () {
+    describe("#render(frame, dieSize)", function () {
+        it("Should draw each die as a group", function () {
+            const renderer = new SvgRenderer({width: 300, height: 300});
+            const dice = [new TopDie({pips: 3}), new TopDie({sides: 20, pips: 17})];
+            renderer.render(frameOf(dice), 100);
+
+            const groups = renderer.element.querySelectorAll("g.die");
+            chai.expect(groups.length).to.equal(2);
+            chai.expect(groups[0].querySelectorAll(".die-pips circle").length).to.equal(3);
+            chai.expect(groups[1].querySelector(".die-label text").textContent).to.equal("17");
+        });
+
+        it("Should describe the dice for assistive technology", function () {
+            const renderer = new SvgRenderer({width: 300, height: 300});
+            const player = new TopPlayer({name: "John", color: "red"});
+            const die = new TopDie({pips: 5, heldBy: player});
+            renderer.render(frameOf([die]), 100);
+
+            const group = renderer.element.querySelector("g.die");
+            chai.expect(group.getAttribute("role")).to.equal("img");
+            chai.expect(group.getAttribute("aria-label")).to.equal("6-sided die showing 5, held by John");
+            chai.expect(group.querySelector(".die-hold")).to.exist;
+        });
+
+        it("Should draw hidden dice face down", function () {
+            const renderer = new SvgRenderer({width: 300, height: 300});
+            const die = new TopDie({pips: 4});
+            renderer.render([{die, coordinates: {x: 0, y: 0}, appearance: {hidden: true}}], 100);
+
+            const group = renderer.element.querySelector("g.die");
+            chai.expect(group.querySelector(".die-pips")).to.not.exist;
+            chai.expect(group.getAttribute("aria-label")).to.equal("Hidden 6-sided die");
+        });
+
+        it("Should keep the dice in sync with the frame", function () {
+            const renderer = new SvgRenderer({width: 300, height: 300});
+            const die = new TopDie({pips: 2, x: 100, y: 200, rotation: 45});
+            renderer.render(frameOf([die]), 100);
+
+            const group = renderer.element.querySelector("g.die");
+            chai.expect(group.getAttribute("transform")).to.equal("translate(100 200)");
+            chai.expect(group.lastChild.getAttribute("transform")).to.equal("rotate(45 50 50)");
+
+            renderer.render([{die, coordinates: {x: 0, y: 0}, appearance: {face: 6}}], 100);
+            chai.expect(group.querySelectorAll(".die-pips circle").length).to.equal(6);
+
+            renderer.render([], 100);
+            chai.expect(renderer.element.querySelectorAll("g.die").length).to.equal(0);
+        });
+    });
+});
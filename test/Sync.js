@@ -0,0 +1,155 @@
+import {SyncServer} from "../src/sync/SyncServer.js";
+import {SyncClient} from "../src/sync/SyncClient.js";
+import {PROTOCOL_VERSION, decode, encode, validateAction, applyAction} from "../src/sync/protocol.js";
+import {ProtocolError} from "../src/error/ProtocolError.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {JANE, createBoard, addPlayers} from "./fixture.js";
+
+const STATE = {
+    version: 2,
+    players: [{name: "Jane", color: "blue", score: null, hasTurn: false}],
+    turns: {round: 0, throws: 0},
+    dice: [{sides: 6, pips: 3, heldBy: null}]
+};
+
+const holdAction = (player) => ({
+    type: "hold",
+    player,
+    die: 0,
+    dice: [{sides: 6, pips: 3, heldBy: player}],
+    turns: {round: 0, throws: 0},
+    random: []
+});
+
+const nextSyncAction = (board, type) => new Promise((resolve) => {
+    const listener = (event) => {
+        if (type === event.detail.action.type) {
+            board.removeEventListener("top:sync-action", listener);
+            resolve(event.detail.action);
+        }
+    };
+    board.addEventListener("top:sync-action", listener);
+});
+
+describe("Sync", function () {
+    describe("protocol", function () {
+        it("Should decode well formed messages only", function () {
+            chai.expect(decode(encode({type: "sync"}))).to.deep.equal({type: "sync"});
+            chai.expect(() => decode("nonsense")).to.throw(ProtocolError);
+            chai.expect(() => decode(encode({type: "shout"}))).to.throw(ProtocolError);
+            chai.expect(() => decode(encode({type: "action", action: {type: "hold"}}))).to.throw(ProtocolError);
+        });
+
+        it("Should reject actions conflicting with the state", function () {
+            const held = applyAction(STATE, holdAction("Jane"));
+            chai.expect(held.dice[0].heldBy).to.equal("Jane");
+            chai.expect(STATE.dice[0].heldBy).to.be.null;
+            chai.expect(() => validateAction(held, holdAction("Jane"))).to.throw(GameRuleError);
+            chai.expect(() => validateAction(STATE, holdAction("John"))).to.throw(GameRuleError);
+        });
+
+        it("Should reject actions with invalid dice or turns", function () {
+            const withDice = (dice, turns = {round: 0, throws: 0}) => Object.assign(holdAction("Jane"), {dice, turns});
+            chai.expect(() => validateAction(STATE, withDice([{sides: 20, pips: 3, heldBy: "Jane"}]))).to.throw(GameRuleError);
+            chai.expect(() => validateAction(STATE, withDice([{sides: 6, pips: 6, heldBy: "Jane"}]))).to.throw(GameRuleError);
+            chai.expect(() => validateAction(STATE, withDice([{sides: 6, pips: 3, heldBy: "Mallory"}]))).to.throw(GameRuleError);
+            chai.expect(() => validateAction(STATE, withDice([{sides: 6, pips: 3, heldBy: "Jane"}], {round: -1, throws: 0}))).to.throw(GameRuleError);
+
+            const thrown = (pips) => ({type: "throw", player: "Jane", dice: [{sides: 6, pips, heldBy: null}], turns: {round: 0, throws: 1}, random: []});
+            chai.expect(() => validateAction(STATE, thrown(5))).not.to.throw();
+            chai.expect(() => validateAction(STATE, thrown(7))).to.throw(GameRuleError);
+        });
+    });
+
+    describe("SyncServer", function () {
+        it("Should accept the first of two conflicting actions", function () {
+            const server = new SyncServer();
+            const received = [];
+            const connection = server.connect(data => received.push(JSON.parse(data)));
+
+            connection.receive(encode({type: "hello", version: PROTOCOL_VERSION, room: "table", state: STATE}));
+            connection.receive(encode({type: "action", id: 1, action: holdAction("Jane")}));
+            connection.receive(encode({type: "action", id: 2, action: holdAction("Jane")}));
+
+            chai.expect(received.map(message => message.type)).to.deep.equal(["welcome", "ack", "reject"]);
+            chai.expect(received[2]).to.include({id: 2, sequence: 1});
+            chai.expect(server.sequenceOf("table")).to.equal(1);
+
+            connection.disconnect();
+            chai.expect(server.rooms).to.be.empty;
+        });
+
+        it("Should refuse to start a room with a malformed state and keep serving", function () {
+            const server = new SyncServer();
+            const received = [];
+            const connection = server.connect(data => received.push(JSON.parse(data)));
+
+            connection.receive(encode({type: "hello", version: PROTOCOL_VERSION, room: "table", state: {}}));
+            connection.receive(encode({type: "hello", version: PROTOCOL_VERSION, room: "table", state: Object.assign({}, STATE, {players: null})}));
+            chai.expect(received.map(message => message.type)).to.deep.equal(["error", "error"]);
+            chai.expect(server.rooms).to.be.empty;
+
+            connection.receive(encode({type: "hello", version: PROTOCOL_VERSION, room: "table", state: STATE}));
+            connection.receive(encode({type: "action", id: 1, action: holdAction("Jane")}));
+            chai.expect(received.map(message => message.type)).to.deep.equal(["error", "error", "welcome", "ack"]);
+
+            connection.disconnect();
+        });
+    });
+
+    describe("SyncClient", function () {
+        let server;
+        let boards;
+        let clients;
+        let jane;
+
+        beforeEach(function () {
+            server = new SyncServer();
+            boards = [createBoard(), createBoard()];
+            [jane] = addPlayers(boards[0], [JANE]);
+            boards[0].addDie({pips: 1});
+            boards[0].addDie({pips: 2});
+
+            clients = boards.map(board => new SyncClient(board, {
+                room: "table",
+                createSocket: () => server.connectLocal()
+            }));
+            return clients[0].connect().then(() => clients[1].connect());
+        });
+
+        afterEach(function () {
+            clients.forEach(client => client.close());
+            boards.forEach(board => board.remove());
+        });
+
+        it("Should adopt the state of the room when joining", function () {
+            chai.expect(clients[1].isConnected()).to.be.true;
+            chai.expect(boards[1].dice.map(die => die.pips)).to.deep.equal([1, 2]);
+            chai.expect(boards[1].players.map(player => player.name)).to.include("Jane");
+        });
+
+        it("Should reproduce holding a die on the other board", function () {
+            const synced = nextSyncAction(boards[1], "hold");
+            boards[0].dice[1].holdIt(jane);
+            return synced.then(() => {
+                chai.expect(boards[1].dice[1].isHeld()).to.be.true;
+                chai.expect(boards[1].dice[1].heldBy.name).to.equal("Jane");
+            });
+        });
+
+        it("Should reproduce a throw on the other board", function () {
+            const synced = nextSyncAction(boards[1], "throw");
+            return boards[0].throwDice(jane)
+                .then(() => synced)
+                .then(() => {
+                    chai.expect(boards[1].toJSON().dice).to.deep.equal(boards[0].toJSON().dice);
+                    chai.expect(server.stateOf("table").dice).to.deep.equal(boards[0].toJSON().dice);
+                });
+        });
+
+        it("Should forbid undo while connected", function () {
+            boards[0].dice[0].holdIt(jane);
+            chai.expect(boards[0].canUndo).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,101 @@
+import {ThrowAuthority} from "../src/authority/ThrowAuthority.js";
+import {LocalThrowAuthority} from "../src/authority/LocalThrowAuthority.js";
+import {verifyThrow} from "../src/authority/signing.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {ConfigurationError} from "../src/error/ConfigurationError.js";
+import {JANE, createBoard, addPlayers} from "./fixture.js";
+
+// An authority that makes up its results without signing them.
+const ForgingAuthority = class extends ThrowAuthority {
+    constructor(authority) {
+        super();
+        this.authority = authority;
+    }
+
+    throwDice({nonce, player, sides}) {
+        return this.authority.throwDice({nonce, player, sides})
+            .then(signed => Object.assign({}, signed, {faces: signed.faces.map((face, i) => face % sides[i] + 1)}));
+    }
+
+    publicKey() {
+        return this.authority.publicKey();
+    }
+};
+
+describe("Throw authority", function () {
+    describe("LocalThrowAuthority", function () {
+        it("Should sign the throws it makes", function () {
+            const authority = new LocalThrowAuthority();
+            return authority.throwDice({nonce: "1", player: "Jane", sides: [6, 20]}).then((signed) => {
+                chai.expect(signed).to.include({nonce: "1", player: "Jane"});
+                chai.expect(signed.faces).to.have.lengthOf(2);
+                return Promise.all([
+                    authority.verify(signed),
+                    authority.verify(Object.assign({}, signed, {faces: [6, 20]})),
+                    new LocalThrowAuthority().verify(signed)
+                ]);
+            }).then(verified => chai.expect(verified).to.deep.equal([true, false, false]));
+        });
+
+        it("Should not verify a throw with a malformed signature", function () {
+            const authority = new LocalThrowAuthority();
+            return Promise.all([authority.throwDice({nonce: "1", player: "Jane", sides: [6]}), authority.publicKey()])
+                .then(([signed, key]) => verifyThrow(key, Object.assign({}, signed, {signature: "not base64!"})))
+                .then(verified => chai.expect(verified).to.be.false);
+        });
+    });
+
+    describe("TopDiceBoard#throwAuthority", function () {
+        let board;
+        let player;
+
+        beforeEach(function () {
+            board = createBoard();
+            [player] = addPlayers(board, [JANE]);
+            board.addDie({pips: 1});
+            board.addDie({pips: 2});
+            board.throwAuthority = new LocalThrowAuthority();
+        });
+
+        afterEach(function () {
+            board.remove();
+        });
+
+        it("Should only accept a ThrowAuthority", function () {
+            chai.expect(() => {
+                board.throwAuthority = {};
+            }).to.throw(ConfigurationError);
+        });
+
+        it("Should show the faces thrown by the authority", function () {
+            board.dice[0].holdIt(player);
+            return board.throwDice(player).then((dice) => {
+                chai.expect(board.signedThrow.player).to.equal("Jane");
+                chai.expect(board.signedThrow.faces).to.deep.equal([dice[1].pips]);
+                chai.expect(dice[0].pips).to.equal(1);
+            });
+        });
+
+        it("Should refuse dice thrown on their own", function () {
+            let refused = null;
+            board.addEventListener("top:unsigned-throw", (event) => {
+                refused = event.detail.die;
+            });
+            const die = board.dice[1];
+            die.throwIt();
+            chai.expect(refused).to.equal(die);
+            chai.expect(die.pips).to.equal(2);
+        });
+
+        it("Should reject results not signed by the authority", function () {
+            board.throwAuthority = new ForgingAuthority(new LocalThrowAuthority());
+            return board.throwDice(player).then(
+                () => chai.assert.fail("A forged throw should be rejected."),
+                (error) => {
+                    chai.expect(error).to.be.an.instanceof(GameRuleError);
+                    chai.expect(board.dice.map(die => die.pips)).to.deep.equal([1, 2]);
+                }
+            );
+        });
+    });
+});
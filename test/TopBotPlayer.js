@@ -0,0 +1,97 @@
+import {TopBotPlayer} from "../src/TopBotPlayer.js";
+import {GREEDY_STRATEGY, EXPECTED_VALUE_STRATEGY, toStrategy} from "../src/bot/strategies.js";
+import {ConfigurationError} from "../src/error/ConfigurationError.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {JANE, createBoard, addPlayers} from "./fixture.js";
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+const context = (free, score = sum) => ({dice: free, free, throwsLeft: 1, score});
+
+describe("TopBotPlayer", function () {
+    describe("strategies", function () {
+        it("Should hold high dice when greedy", function () {
+            const dice = [{sides: 6, pips: 2}, {sides: 6, pips: 5}, {sides: 6, pips: 4}];
+            const {hold, throwAgain} = GREEDY_STRATEGY.decide(context(dice));
+            chai.expect(hold).to.deep.equal([dice[1], dice[2]]);
+            chai.expect(throwAgain).to.be.true;
+        });
+
+        it("Should hold the dice with the highest expected score", function () {
+            const dice = [{sides: 6, pips: 1}, {sides: 6, pips: 6}];
+            chai.expect(EXPECTED_VALUE_STRATEGY.decide(context(dice)).hold).to.deep.equal([dice[1]]);
+
+            const sixes = values => values.filter(value => 6 === value).length;
+            chai.expect(EXPECTED_VALUE_STRATEGY.decide(context([{sides: 6, pips: 6}], sixes)).throwAgain).to.be.false;
+        });
+
+        it("Should only accept known or custom strategies", function () {
+            const custom = {decide: () => ({hold: [], throwAgain: false})};
+            chai.expect(toStrategy("random").name).to.equal("random");
+            chai.expect(toStrategy(custom)).to.equal(custom);
+            chai.expect(() => toStrategy("clever")).to.throw(ConfigurationError);
+        });
+    });
+
+    describe("playing a turn", function () {
+        let board;
+        let bot;
+        let jane;
+
+        beforeEach(function () {
+            board = createBoard();
+            board._playerList.setAttribute("max-throws", "3");
+            bot = board.addPlayer(new TopBotPlayer({name: "Bot", color: "green", strategy: "expected-value", thinkingDelay: 0}));
+            [jane] = addPlayers(board, [JANE]);
+            [1, 2, 3].forEach(pips => board.addDie({pips}));
+        });
+
+        afterEach(function () {
+            board.remove();
+        });
+
+        it("Should be one of the players", function () {
+            chai.expect(board.playersTakingTurns).to.deep.equal([bot, jane]);
+        });
+
+        it("Should throw and pass the turn when its turn starts", function (done) {
+            board.addEventListener("top:bot-turn-done", (event) => {
+                chai.expect(event.detail.player).to.equal(bot);
+                chai.expect(board._playerList.throwsThisTurn).to.be.above(0);
+                Promise.resolve().then(() => {
+                    chai.expect(jane.hasTurn).to.be.true;
+                    done();
+                });
+            });
+            bot.startTurn();
+        });
+
+        it("Should report a failing strategy and pass the turn", function (done) {
+            bot.strategy = {
+                decide() {
+                    throw new Error("The strategy failed.");
+                }
+            };
+            board.addEventListener("top:bot-error", (event) => {
+                chai.expect(event.detail.player).to.equal(bot);
+                chai.expect(event.detail.error.message).to.equal("The strategy failed.");
+                Promise.resolve().then(() => {
+                    chai.expect(jane.hasTurn).to.be.true;
+                    done();
+                });
+            });
+            bot.startTurn();
+        });
+
+        it("Should report a rejected throw and pass the turn", function (done) {
+            board.throwDice = () => Promise.reject(new GameRuleError("The throw failed."));
+            board.addEventListener("top:bot-error", (event) => {
+                chai.expect(event.detail.error).to.be.an.instanceof(GameRuleError);
+                Promise.resolve().then(() => {
+                    chai.expect(jane.hasTurn).to.be.true;
+                    done();
+                });
+            });
+            bot.startTurn();
+        });
+    });
+});
@@ -0,0 +1,168 @@
+import {TopDiceBoard} from "../src/TopDiceBoard.js";
+import {TopPlayer} from "../src/TopPlayer.js";
+import {ConfigurationError} from "../src/error/ConfigurationError.js";
+import {STATE_VERSION} from "../src/state/boardState.js";
+import {onlyUndoUiActions} from "../src/history/CommandHistory.js";
+import {JANE, createBoard, addPlayers} from "./fixture.js";
+
+describe("TopDiceBoard", function () {
+    describe("#toJSON() and #restore(state)", function () {
+        let board;
+        let saved;
+
+        beforeEach(function () {
+            board = createBoard({seed: "saved game"});
+            const player = board.addPlayer(new TopPlayer({name: "Jane", color: "blue", score: 12, hasTurn: true}));
+            board.addDie({pips: 3});
+            board.addDie({sides: 20, pips: 17});
+            board.addDie({faces: ["heads", "tails"], face: 2});
+            board.dice[0].holdIt(player);
+            saved = JSON.parse(JSON.stringify(board));
+        });
+
+        afterEach(function () {
+            board.remove();
+        });
+
+        it("Should save the board's players, dice, and random number generator", function () {
+            chai.expect(saved.version).to.equal(STATE_VERSION);
+            chai.expect(saved.random.seed).to.equal("saved game");
+            chai.expect(saved.players.find(player => "Jane" === player.name)).to.deep.equal({name: "Jane", color: "blue", score: 12, hasTurn: true});
+            chai.expect(saved.dice.map(die => die.sides)).to.deep.equal([6, 20, 2]);
+            chai.expect(saved.dice[0].heldBy).to.equal("Jane");
+            chai.expect(saved.dice[2].faces.map(face => face.label)).to.deep.equal(["heads", "tails"]);
+        });
+
+        it("Should restore the dice without randomizing them again", function () {
+            const coordinates = board.dice.map(die => die.coordinates);
+
+            return board.throwDice(board._playerList.currentPlayer).then(() => {
+                board.restore(saved);
+
+                chai.expect(board.dice.map(die => die.toUnicode())).to.deep.equal(["⚂", "17", "tails"]);
+                chai.expect(board.dice.map(die => die.coordinates)).to.deep.equal(coordinates);
+                chai.expect(board.dice[0].heldBy.name).to.equal("Jane");
+                chai.expect(board.players.find(player => "Jane" === player.name).hasTurn).to.be.true;
+                chai.expect(JSON.parse(JSON.stringify(board))).to.deep.equal(saved);
+            });
+        });
+
+        it("Should create a board from a saved state", function () {
+            const restored = TopDiceBoard.fromJSON(JSON.stringify(saved));
+            document.body.appendChild(restored);
+            chai.expect(JSON.parse(JSON.stringify(restored))).to.deep.equal(saved);
+            restored.remove();
+        });
+
+        it("Should migrate states of older versions", function () {
+            const old = Object.assign({}, saved, {version: 1});
+            delete old.turns;
+            board.restore(old);
+            chai.expect(board.toJSON().version).to.equal(STATE_VERSION);
+        });
+
+        it("Should reject states of unknown versions", function () {
+            chai.expect(() => board.restore({})).to.throw(ConfigurationError);
+            chai.expect(() => board.restore(Object.assign({}, saved, {version: STATE_VERSION + 1}))).to.throw(ConfigurationError);
+        });
+
+        it("Should reject invalid states without changing the board", function () {
+            const withDie = (changes) => Object.assign({}, saved, {dice: [Object.assign({}, saved.dice[0], changes)]});
+            const invalid = [
+                withDie({pips: 7}),
+                withDie({sides: 7}),
+                withDie({heldBy: "John"}),
+                withDie({x: "left"}),
+                Object.assign({}, saved, {players: [{name: "", color: "blue"}]}),
+                Object.assign({}, saved, {players: [{name: "Jane", color: "blue", score: "12"}]}),
+                Object.assign({}, saved, {random: {seed: "saved game"}}),
+                Object.assign({}, saved, {turns: {round: -1, throws: 0}})
+            ];
+
+            invalid.forEach((state) => {
+                chai.expect(() => board.restore(state)).to.throw(ConfigurationError);
+                chai.expect(JSON.parse(JSON.stringify(board))).to.deep.equal(saved);
+            });
+
+            // The board still records its history after a failed restore.
+            return Promise.resolve().then(() => {
+                board.dice[1].holdIt(board.players.find(player => "Jane" === player.name));
+                chai.expect(board.canUndo).to.be.true;
+            });
+        });
+
+        it("Should save the images of custom faces by their URL", function () {
+            const image = new Image();
+            image.src = "http://localhost/face.png";
+            const die = board.addDie({faces: [{label: "picture", image}, "blank"], face: 1});
+
+            const state = JSON.parse(JSON.stringify(die));
+            chai.expect(state.faces[0].image).to.equal(image.src);
+            chai.expect(state.faces[1].image).to.be.null;
+
+            board.restore(JSON.parse(JSON.stringify(board)));
+            const restored = board.dice[board.dice.length - 1];
+            chai.expect(restored.faces[0].image).to.be.an.instanceof(HTMLImageElement);
+            chai.expect(restored.faces[0].image.src).to.equal(image.src);
+        });
+    });
+
+    describe("#undo() and #redo()", function () {
+        let board;
+        let player;
+
+        beforeEach(function () {
+            board = createBoard();
+            [player] = addPlayers(board, [JANE]);
+            board.addDie({pips: 3});
+            board.addDie({pips: 5});
+
+            // A board starts recording its history once connected.
+            return Promise.resolve();
+        });
+
+        afterEach(function () {
+            board.remove();
+        });
+
+        it("Should undo and redo holding a die", function () {
+            board.dice[0].holdIt(player);
+            chai.expect(board.canUndo).to.be.true;
+
+            chai.expect(board.undo().type).to.equal("hold");
+            chai.expect(board.dice[0].isHeld()).to.be.false;
+            chai.expect(board.canRedo).to.be.true;
+
+            board.redo();
+            chai.expect(board.dice[0].heldBy.name).to.equal("Jane");
+        });
+
+        it("Should undo a throw", function () {
+            const before = board.dice.map(die => die.pips);
+            return board.throwDice(player).then(() => {
+                board.undo();
+                chai.expect(board.dice.map(die => die.pips)).to.deep.equal(before);
+            });
+        });
+
+        it("Should follow the undo policy", function () {
+            board.undoPolicy = onlyUndoUiActions;
+            return board.throwDice(player).then(() => {
+                chai.expect(board.canUndo).to.be.false;
+                chai.expect(board.undo()).to.be.null;
+
+                board.dice[1].holdIt(player);
+                chai.expect(board.undo().type).to.equal("hold");
+                chai.expect(board.canUndo).to.be.false;
+            });
+        });
+
+        it("Should not remember more commands than its depth", function () {
+            board.setAttribute("history-depth", "1");
+            board.dice[0].holdIt(player);
+            board.dice[1].holdIt(player);
+            board.undo();
+            chai.expect(board.canUndo).to.be.false;
+        });
+    });
+});
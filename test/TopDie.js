@@ -1,4 +1,4 @@
-import {TopDie} from "../src/TopDie.js";
+import {TopDie, SUPPORTED_SIDES} from "../src/TopDie.js";
 import {TopPlayer} from "../src/TopPlayer.js";
 
 describe("TopDie", function () {
@@ -53,6 +53,82 @@ describe("TopDie", function () {
         });
     });
 
+    describe("Create a new polyhedral TopDie", function () {
+        it("Should be a six sided die by default", function () {
+            chai.expect((new TopDie()).sides).to.equal(6);
+        });
+
+        it("Should create d4, d6, d8, d10, d12, and d20 dice", function () {
+            for (const sides of SUPPORTED_SIDES) {
+                const die = new TopDie({sides, pips: sides});
+                chai.expect(die.sides).to.equal(sides);
+                chai.expect(die.pips).to.equal(sides);
+                chai.expect(die.getAttribute("sides")).to.equal(`${sides}`);
+            }
+        });
+
+        it("Should throw an error for an unsupported number of sides", function () {
+            chai.expect(() => new TopDie({sides: 7})).to.throw();
+            chai.expect(() => new TopDie({sides: 100})).to.throw();
+        });
+
+        it("Should generate random pips between 1 and the number of sides", function () {
+            const die = new TopDie({sides: 20});
+            for (let i = 0; i < 100; i++) {
+                die.throwIt();
+                chai.expect(die.pips).to.be.above(0).and.to.be.below(21);
+            }
+        });
+
+        it("Should represent non six sided dice by their number", function () {
+            chai.expect((new TopDie({sides: 12, pips: 11})).toUnicode()).to.equal("11");
+            chai.expect((new TopDie({sides: 6, pips: 3})).toUnicode()).to.equal("⚂");
+        });
+    });
+
+    describe("Create a new TopDie with custom faces", function () {
+        const zombieFaces = [
+            {label: "brain", value: 1},
+            {label: "brain", value: 1},
+            {label: "footsteps", value: 0},
+            {label: "footsteps", value: 0},
+            {label: "shotgun", value: -1},
+            {label: "shotgun", value: -1}
+        ];
+
+        it("Should have as many sides as faces", function () {
+            const die = new TopDie({faces: zombieFaces, face: 5});
+            chai.expect(die.hasCustomFaces()).to.be.true;
+            chai.expect(die.sides).to.equal(6);
+            chai.expect(die.face.label).to.equal("shotgun");
+            chai.expect(die.pips).to.equal(-1);
+            chai.expect(die.value).to.equal(-1);
+            chai.expect(die.toUnicode()).to.equal("shotgun");
+        });
+
+        it("Should default values to the position of the face and labels to the value", function () {
+            const die = new TopDie({faces: ["9", "10", "J", "Q", "K", "A"], face: 4});
+            chai.expect(die.face.label).to.equal("Q");
+            chai.expect(die.pips).to.equal(4);
+            chai.expect((new TopDie({faces: [{value: 3}, {value: 7}], face: 2})).face.label).to.equal("7");
+        });
+
+        it("Should throw an error for invalid faces", function () {
+            chai.expect(() => new TopDie({faces: []})).to.throw();
+            chai.expect(() => new TopDie({faces: ["only one"]})).to.throw();
+            chai.expect(() => new TopDie({faces: [{value: "a"}, {value: 1}]})).to.throw();
+        });
+
+        it("Should pick a random face when thrown", function () {
+            const die = new TopDie({faces: zombieFaces});
+            for (let i = 0; i < 50; i++) {
+                die.throwIt();
+                chai.expect(zombieFaces.map(f => f.label)).to.include(die.face.label);
+                chai.expect(die.pips).to.equal(die.face.value);
+            }
+        });
+    });
+
     describe("#throwIt()", function () {
         // It is a bit difficult to test for random numbers, as they could
         // potentially be the same for a number of times. Therefore I use a
@@ -0,0 +1,59 @@
+import {TopGameLog} from "../src/TopGameLog.js";
+import {JANE, createBoard, addPlayers} from "./fixture.js";
+
+describe("TopGameLog", function () {
+    let board;
+    let log;
+    let player;
+
+    beforeEach(function () {
+        board = createBoard({id: "logged-board"});
+        [player] = addPlayers(board, [JANE]);
+        board.addDie({pips: 1});
+        board.addDie({pips: 2});
+
+        log = document.createElement("top-game-log");
+        log.setAttribute("board", "logged-board");
+        document.body.appendChild(log);
+    });
+
+    afterEach(function () {
+        board.remove();
+        log.remove();
+    });
+
+    it("Should attach to the board with the given id", function () {
+        chai.expect(log).to.be.an.instanceof(TopGameLog);
+        chai.expect(log.board).to.equal(board);
+    });
+
+    it("Should record a throw of the board as a single entry", function () {
+        return board.throwDice(player).then(() => {
+            const [turn, thrown] = log.entries;
+            chai.expect(turn).to.include({type: "start-turn", player: "Jane"});
+            chai.expect(thrown).to.include({type: "throw", player: "Jane"});
+            chai.expect(thrown.dice).to.deep.equal(board.dice.map(die => die.toUnicode()));
+            chai.expect(thrown.values).to.deep.equal(board.dice.map(die => die.pips));
+        });
+    });
+
+    it("Should record holding and releasing dice", function () {
+        const die = board.dice[0];
+        die.holdIt(player);
+        die.releaseIt(player);
+        chai.expect(log.entries.map(entry => entry.type)).to.deep.equal(["hold", "release"]);
+        chai.expect(log.entries[0].dice).to.deep.equal(["⚀"]);
+    });
+
+    it("Should export the log as JSON and text", function () {
+        board.dice[1].holdIt(player);
+        chai.expect(JSON.parse(JSON.stringify(log))).to.deep.equal(log.entries);
+        chai.expect(log.toText()).to.match(/^\[.+\] Jane held ⚁$/);
+    });
+
+    it("Should stop recording when detached", function () {
+        log.board = null;
+        board.dice[0].holdIt(player);
+        chai.expect(log.entries).to.be.empty;
+    });
+});
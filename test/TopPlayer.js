@@ -14,6 +14,12 @@ describe("TopPlayer", function () {
             chai.expect(() => new TopPlayer({color: "red"})).to.throw();
             chai.expect(() => new TopPlayer({name: "sdfsd"})).to.throw();
         });
+
+        it("Should be created again from its state", function () {
+            const p = new TopPlayer({name: "John", color: "red", score: 0, hasTurn: true});
+            chai.expect(p.toJSON()).to.deep.equal({name: "John", color: "red", score: 0, hasTurn: true});
+            chai.expect(new TopPlayer(p.toJSON()).toJSON()).to.deep.equal(p.toJSON());
+        });
     });
 
     describe("#equals(other)", function () {
@@ -0,0 +1,87 @@
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {createBoard, addPlayers} from "./fixture.js";
+
+describe("TopPlayerList", function () {
+    let board;
+    let list;
+    let players;
+
+    beforeEach(function () {
+        board = createBoard();
+        players = addPlayers(board, ["Ann", "Bob", "Cat"].map(name => ({name, color: "blue"})));
+        list = board.querySelector("top-player-list");
+    });
+
+    afterEach(function () {
+        board.remove();
+    });
+
+    const turns = (n) => Array.from({length: n}, () => list.nextTurn().name);
+
+    describe("#nextTurn()", function () {
+        it("Should pass the turn clockwise by default, skipping the system player", function () {
+            chai.expect(turns(4)).to.deep.equal(["Ann", "Bob", "Cat", "Ann"]);
+            chai.expect(list.round).to.equal(2);
+        });
+
+        it("Should pass the turn counter-clockwise", function () {
+            list.setAttribute("turn-order", "counter-clockwise");
+            chai.expect(turns(3)).to.deep.equal(["Cat", "Bob", "Ann"]);
+        });
+
+        it("Should give every player a turn each round in random order", function () {
+            list.setAttribute("turn-order", "random");
+            chai.expect(turns(3).sort()).to.deep.equal(["Ann", "Bob", "Cat"]);
+            chai.expect(turns(3).sort()).to.deep.equal(["Ann", "Bob", "Cat"]);
+        });
+
+        it("Should fire end-turn and end-round events", function () {
+            const events = [];
+            board.addEventListener("top:end-turn", (event) => events.push(`end-turn ${event.detail.player.name}`));
+            board.addEventListener("top:end-round", (event) => events.push(`end-round ${event.detail.round}`));
+            turns(4);
+            chai.expect(events).to.deep.equal(["end-turn Ann", "end-turn Bob", "end-turn Cat", "end-round 1"]);
+        });
+
+        it("Should skip players and grant extra turns", function () {
+            list.skipTurn(players[1]);
+            chai.expect(turns(2)).to.deep.equal(["Ann", "Cat"]);
+            list.grantExtraTurn();
+            chai.expect(turns(3)).to.deep.equal(["Cat", "Ann", "Bob"]);
+        });
+    });
+
+    describe("max-throws", function () {
+        it("Should limit the number of throws in a turn", function () {
+            list.setAttribute("max-throws", "2");
+            const player = list.nextTurn();
+
+            return board.throwDice(player)
+                .then(() => board.throwDice(player))
+                .then(() => {
+                    chai.expect(list.throwsLeft).to.equal(0);
+                    return board.throwDice(player);
+                })
+                .then(() => chai.assert.fail("A third throw should be rejected."), (error) => {
+                    chai.expect(error).to.be.an.instanceof(GameRuleError);
+                    list.nextTurn();
+                    chai.expect(list.throwsLeft).to.equal(2);
+                });
+        });
+
+        it("Should not let a player without the turn throw", function () {
+            list.setAttribute("max-throws", "1");
+            const [ann, bob] = players;
+            ann.startTurn();
+
+            return board.throwDice(ann)
+                .then(() => board.throwDice(bob))
+                .then(() => chai.assert.fail("Bob should not take the turn from Ann."), (error) => {
+                    chai.expect(error).to.be.an.instanceof(GameRuleError);
+                    chai.expect(ann.hasTurn).to.be.true;
+                    chai.expect(bob.hasTurn).to.be.false;
+                    chai.expect(list.throwsLeft).to.equal(0);
+                });
+        });
+    });
+});
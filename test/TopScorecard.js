@@ -0,0 +1,58 @@
+import {TopScorecard} from "../src/TopScorecard.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+import {createBoard, addPlayers} from "./fixture.js";
+
+describe("TopScorecard", function () {
+    let board;
+    let scorecard;
+    let jane;
+    let john;
+
+    beforeEach(function () {
+        board = createBoard({id: "scored-board"});
+        [jane, john] = addPlayers(board);
+        [1, 2, 3, 4, 5].forEach(pips => board.addDie({pips}));
+
+        scorecard = document.createElement("top-scorecard");
+        scorecard.setAttribute("board", "scored-board");
+        document.body.appendChild(scorecard);
+    });
+
+    afterEach(function () {
+        board.remove();
+        scorecard.remove();
+    });
+
+    it("Should attach to the board with the given id", function () {
+        chai.expect(scorecard).to.be.an.instanceof(TopScorecard);
+        chai.expect(scorecard.board).to.equal(board);
+        chai.expect(scorecard.players).to.deep.equal([jane, john]);
+    });
+
+    it("Should not score before the current player has thrown", function () {
+        jane.startTurn();
+        chai.expect(() => scorecard.score("chance")).to.throw(GameRuleError);
+    });
+
+    it("Should score the dice for the current player and pass the turn", function () {
+        return board.throwDice(jane).then(() => {
+            const expected = board.dice.reduce((sum, die) => sum + die.pips, 0);
+            chai.expect(scorecard.score("chance")).to.equal(expected);
+            chai.expect(jane.score).to.equal(expected);
+            chai.expect(scorecard.sheetOf(jane).scores).to.deep.equal({chance: expected});
+            chai.expect(john.hasTurn).to.be.true;
+        });
+    });
+
+    it("Should not undo scoring", function () {
+        return board.throwDice(jane).then(() => {
+            scorecard.score("chance");
+            // Changes to the players are recorded once observed.
+            return new Promise(resolve => setTimeout(resolve, 0));
+        }).then(() => {
+            chai.expect(board.canUndo).to.be.false;
+            chai.expect(board.undo()).to.be.null;
+            chai.expect(jane.score).to.equal(scorecard.sheetOf(jane).total);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import {ScoreSheet, scoreCategory, scoreAll, UPPER_BONUS, YAHTZEE_BONUS} from "../src/game/yahtzee.js";
+import {GameRuleError} from "../src/error/GameRuleError.js";
+
+describe("Yahtzee", function () {
+    describe("scoreCategory()", function () {
+        it("Should score the upper section by counting the faces", function () {
+            chai.expect(scoreCategory("ones", [1, 1, 3, 4, 1])).to.equal(3);
+            chai.expect(scoreCategory("sixes", [6, 2, 6, 4, 5])).to.equal(12);
+            chai.expect(scoreCategory("twos", [1, 3, 4, 5, 6])).to.equal(0);
+        });
+
+        it("Should score the lower section", function () {
+            const scores = scoreAll([2, 3, 4, 5, 3]);
+            chai.expect(scores).to.include({
+                "three-of-a-kind": 0,
+                "full-house": 0,
+                "small-straight": 30,
+                "large-straight": 0,
+                "chance": 17
+            });
+            chai.expect(scoreAll([3, 3, 5, 5, 3])).to.include({"three-of-a-kind": 19, "four-of-a-kind": 0, "full-house": 25});
+            chai.expect(scoreAll([6, 5, 4, 3, 2])).to.include({"small-straight": 30, "large-straight": 40});
+            chai.expect(scoreAll([4, 4, 4, 4, 4])).to.include({"four-of-a-kind": 20, "full-house": 0, "yahtzee": 50});
+        });
+
+        it("Should only score five six-sided dice", function () {
+            chai.expect(() => scoreCategory("chance", [1, 2, 3, 4])).to.throw(GameRuleError);
+            chai.expect(() => scoreCategory("chance", [1, 2, 3, 4, 7])).to.throw(GameRuleError);
+            chai.expect(() => scoreCategory("pairs", [1, 2, 3, 4, 5])).to.throw(GameRuleError);
+        });
+    });
+
+    describe("ScoreSheet", function () {
+        it("Should score each category once", function () {
+            const sheet = new ScoreSheet();
+            chai.expect(sheet.score("chance", [1, 2, 3, 4, 5])).to.equal(15);
+            chai.expect(() => sheet.score("chance", [1, 2, 3, 4, 5])).to.throw(GameRuleError);
+            chai.expect(sheet.openCategories).to.have.lengthOf(12);
+            chai.expect(sheet.suggest([1, 2, 3, 4, 5])).to.not.have.property("chance");
+        });
+
+        it("Should add the upper bonus from 63", function () {
+            const sheet = new ScoreSheet();
+            [1, 2, 3, 4, 5].forEach((face, index) => sheet.score(["ones", "twos", "threes", "fours", "fives"][index], [face, face, face, 6, 6]));
+            chai.expect(sheet.upperTotal).to.equal(45);
+            chai.expect(sheet.upperBonus).to.equal(0);
+            sheet.score("sixes", [6, 6, 6, 1, 2]);
+            chai.expect(sheet.upperTotal).to.equal(63);
+            chai.expect(sheet.total).to.equal(63 + UPPER_BONUS);
+        });
+
+        it("Should add a Yahtzee bonus and apply the joker rules", function () {
+            const sheet = new ScoreSheet();
+            sheet.score("yahtzee", [3, 3, 3, 3, 3]);
+            sheet.score("threes", [3, 3, 3, 1, 2]);
+            chai.expect(sheet.scoreFor("large-straight", [3, 3, 3, 3, 3])).to.equal(40);
+            chai.expect(sheet.score("full-house", [3, 3, 3, 3, 3])).to.equal(25);
+            chai.expect(sheet.yahtzeeBonus).to.equal(YAHTZEE_BONUS);
+            chai.expect(sheet.total).to.equal(50 + 9 + 25 + YAHTZEE_BONUS);
+        });
+
+        it("Should not add a Yahtzee bonus after scratching the Yahtzee", function () {
+            const sheet = new ScoreSheet();
+            sheet.score("yahtzee", [1, 2, 3, 4, 6]);
+            sheet.score("chance", [2, 2, 2, 2, 2]);
+            chai.expect(sheet.yahtzeeBonus).to.equal(0);
+        });
+    });
+});
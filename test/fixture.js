@@ -0,0 +1,25 @@
+import {TopPlayer} from "../src/TopPlayer.js";
+import "../src/TopDiceBoard.js";
+
+const JANE = {name: "Jane", color: "blue"};
+const JOHN = {name: "John", color: "red"};
+
+// Create a board that throws without animation and add it to the page.
+// Remove it after the test.
+const createBoard = (attributes = {}) => {
+    const board = document.createElement("top-dice-board");
+    Object.entries(Object.assign({"throw-duration": "0"}, attributes))
+        .forEach(([name, value]) => board.setAttribute(name, value));
+    document.body.appendChild(board);
+    return board;
+};
+
+// Add players to a board, Jane and John by default.
+const addPlayers = (board, players = [JANE, JOHN]) => players.map(config => board.addPlayer(new TopPlayer(config)));
+
+export {
+    JANE,
+    JOHN,
+    createBoard,
+    addPlayers
+};